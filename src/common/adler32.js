@@ -0,0 +1,44 @@
+// The largest prime smaller than 2^16.
+let MOD_ADLER = 65521;
+
+// The most bytes that can be summed before the sums can overflow 32 bits.
+let MAX_RUN = 5552;
+
+/**
+ * Computes the Adler-32 checksum of the given data.
+ * The checksum normally starts at 1, but MPQ sector checksums start at 0.
+ *
+ * @param {ArrayBuffer|TypedArray} data
+ * @param {?number} adler The starting checksum, 1 by default.
+ * @returns {number} An unsigned 32 bit integer.
+ */
+export default function adler32(data, adler) {
+    let bytes;
+
+    if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+    } else {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    if (adler === undefined) {
+        adler = 1;
+    }
+
+    let a = adler & 0xFFFF,
+        b = adler >>> 16;
+
+    for (let i = 0, l = bytes.byteLength; i < l;) {
+        let end = Math.min(i + MAX_RUN, l);
+
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+
+        a %= MOD_ADLER;
+        b %= MOD_ADLER;
+    }
+
+    return ((b << 16) | a) >>> 0;
+};
@@ -0,0 +1,35 @@
+// The CRC-32 used by zlib, PNG, and MPQ (attributes).
+let table = new Uint32Array(256);
+
+for (let i = 0; i < 256; i++) {
+    let c = i;
+
+    for (let j = 0; j < 8; j++) {
+        c = (c & 1) ? (c >>> 1) ^ 0xEDB88320 : c >>> 1;
+    }
+
+    table[i] = c;
+}
+
+/**
+ * Computes the CRC-32 of the given data.
+ *
+ * @param {ArrayBuffer|TypedArray} data
+ * @returns {number} An unsigned 32 bit integer.
+ */
+export default function crc32(data) {
+    let bytes,
+        crc = 0xFFFFFFFF;
+
+    if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+    } else {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    for (let i = 0, l = bytes.byteLength; i < l; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
@@ -103,8 +103,8 @@ export function decodeDxt3(src, width, height) {
         r0, g0, b0, r1, g1, b1,
         widthBytes = width * 4;
 
-    for (let blockY = 0, blockHeight = width / 4; blockY < blockHeight; blockY++) {
-        for (let blockX = 0, blockWidth = height / 4; blockX < blockWidth; blockX++) {
+    for (let blockY = 0, blockHeight = height / 4; blockY < blockHeight; blockY++) {
+        for (let blockX = 0, blockWidth = width / 4; blockX < blockWidth; blockX++) {
             i = 8 * (blockY * blockWidth + blockX);
             c[0] = src[i + 4];
             c[1] = src[i + 5];
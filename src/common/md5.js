@@ -0,0 +1,108 @@
+// Per-round shift amounts.
+let shifts = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// Per-round constants, floor(abs(sin(i + 1)) * 2^32).
+let constants = new Uint32Array(64);
+
+for (let i = 0; i < 64; i++) {
+    constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+}
+
+/**
+ * Computes the MD5 digest of the given data.
+ *
+ * @param {ArrayBuffer|TypedArray} data
+ * @returns {Uint8Array} The 16 bytes of the digest.
+ */
+export default function md5(data) {
+    let bytes;
+
+    if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+    } else {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    let length = bytes.byteLength,
+        paddedLength = (((length + 8) >>> 6) + 1) << 6,
+        padded = new Uint8Array(paddedLength),
+        words = new Uint32Array(16),
+        a0 = 0x67452301,
+        b0 = 0xefcdab89,
+        c0 = 0x98badcfe,
+        d0 = 0x10325476;
+
+    padded.set(bytes);
+    padded[length] = 0x80;
+
+    // The message length in bits, as a 64 bit little endian integer.
+    let bitsLow = (length << 3) >>> 0,
+        bitsHigh = Math.floor(length / 0x20000000);
+
+    for (let i = 0; i < 4; i++) {
+        padded[paddedLength - 8 + i] = (bitsLow >>> (i * 8)) & 0xFF;
+        padded[paddedLength - 4 + i] = (bitsHigh >>> (i * 8)) & 0xFF;
+    }
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            let index = offset + i * 4;
+
+            words[i] = padded[index] | (padded[index + 1] << 8) | (padded[index + 2] << 16) | (padded[index + 3] << 24);
+        }
+
+        let a = a0,
+            b = b0,
+            c = c0,
+            d = d0;
+
+        for (let i = 0; i < 64; i++) {
+            let f,
+                g;
+
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+
+            let temp = d,
+                sum = (a + f + constants[i] + words[g]) | 0,
+                shift = shifts[i];
+
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            a = temp;
+        }
+
+        a0 = (a0 + a) | 0;
+        b0 = (b0 + b) | 0;
+        c0 = (c0 + c) | 0;
+        d0 = (d0 + d) | 0;
+    }
+
+    let digest = new Uint8Array(16),
+        state = [a0, b0, c0, d0];
+
+    for (let i = 0; i < 4; i++) {
+        for (let j = 0; j < 4; j++) {
+            digest[i * 4 + j] = (state[i] >>> (j * 8)) & 0xFF;
+        }
+    }
+
+    return digest;
+};
@@ -0,0 +1,170 @@
+import encodePng from './png';
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return `${+value.toFixed(6)}`;
+}
+
+/**
+ * OBJ names can't have whitespace.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function formatName(name) {
+    return name.trim().replace(/\s+/g, '_') || 'unnamed';
+}
+
+/**
+ * Writes Wavefront OBJ and MTL files, and the PNG textures that the MTL file references.
+ *
+ * Warcraft 3 and Starcraft 2 are Z up, while most tools expect OBJ files to be Y up.
+ * Unless zUp is set, positions and normals are rotated to be Y up.
+ */
+export default class ObjWriter {
+    /**
+     * @param {?boolean} zUp
+     */
+    constructor(zUp) {
+        /** @member {boolean} */
+        this.zUp = !!zUp;
+        /** @member {Array<string>} */
+        this.objLines = [];
+        /** @member {Array<string>} */
+        this.mtlLines = [];
+        /** @member {Array<Object>} */
+        this.textures = [];
+        /** @member {Map<string, string>} */
+        this.textureNames = new Map();
+        /** @member {Set<string>} */
+        this.materialNames = new Set();
+        /** @member {number} */
+        this.vertexCount = 0;
+    }
+
+    /**
+     * Adds a texture as a PNG file, named after its path, and returns the file name.
+     * Textures with the same path are added once.
+     *
+     * @param {string} path
+     * @param {Object} imageData An object of the form { width, height, data }, like ImageData, with RGBA pixels.
+     * @returns {string}
+     */
+    addTexture(path, imageData) {
+        if (!this.textureNames.has(path)) {
+            let base = formatName(path.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '')),
+                name = `${base}.png`;
+
+            for (let i = 1; this.textures.some((texture) => texture.path === name); i++) {
+                name = `${base}_${i}.png`;
+            }
+
+            this.textures.push({ path: name, data: encodePng(imageData) });
+            this.textureNames.set(path, name);
+        }
+
+        return this.textureNames.get(path);
+    }
+
+    /**
+     * Adds a material, unless one with the same name was already added.
+     *
+     * @param {string} name
+     * @param {number} alpha
+     * @param {?string} textureName The file name returned by addTexture().
+     */
+    addMaterial(name, alpha, textureName) {
+        name = formatName(name);
+
+        if (this.materialNames.has(name)) {
+            return;
+        }
+
+        this.materialNames.add(name);
+        this.mtlLines.push(`newmtl ${name}`, 'Ka 0 0 0', 'Kd 1 1 1', 'Ks 0 0 0', `d ${formatNumber(alpha)}`, 'illum 1');
+
+        if (textureName) {
+            this.mtlLines.push(`map_Kd ${textureName}`);
+        }
+
+        this.mtlLines.push('');
+    }
+
+    /**
+     * Adds a group of triangles.
+     * The faces index the vertices of this group.
+     *
+     * @param {string} name
+     * @param {?string} material
+     * @param {Float32Array} vertices
+     * @param {Float32Array} normals
+     * @param {Float32Array} uvs
+     * @param {Uint16Array|Array<number>} faces
+     */
+    addGroup(name, material, vertices, normals, uvs, faces) {
+        let lines = this.objLines,
+            zUp = this.zUp,
+            offset = this.vertexCount + 1;
+
+        lines.push(`g ${formatName(name)}`);
+
+        if (material) {
+            lines.push(`usemtl ${formatName(material)}`);
+        }
+
+        let writeVector = (type, vectors, i) => {
+            let x = vectors[i * 3],
+                y = vectors[i * 3 + 1],
+                z = vectors[i * 3 + 2];
+
+            if (zUp) {
+                lines.push(`${type} ${formatNumber(x)} ${formatNumber(y)} ${formatNumber(z)}`);
+            } else {
+                lines.push(`${type} ${formatNumber(x)} ${formatNumber(z)} ${formatNumber(-y)}`);
+            }
+        };
+
+        let count = vertices.length / 3;
+
+        for (let i = 0; i < count; i++) {
+            writeVector('v', vertices, i);
+        }
+
+        for (let i = 0; i < count; i++) {
+            writeVector('vn', normals, i);
+        }
+
+        // OBJ texture coordinates start at the bottom.
+        for (let i = 0; i < count; i++) {
+            lines.push(`vt ${formatNumber(uvs[i * 2])} ${formatNumber(1 - uvs[i * 2 + 1])}`);
+        }
+
+        for (let i = 0, l = faces.length - faces.length % 3; i < l; i += 3) {
+            let a = faces[i] + offset,
+                b = faces[i + 1] + offset,
+                c = faces[i + 2] + offset;
+
+            lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+        }
+
+        this.vertexCount += count;
+    }
+
+    /**
+     * Returns an object of the form { obj, mtl, textures }, where the textures are of the form { path, data }, and the data is a PNG file.
+     * The OBJ file references the MTL file by the given name.
+     *
+     * @param {string} name
+     * @returns {Object}
+     */
+    save(name) {
+        return {
+            obj: [`mtllib ${formatName(name)}.mtl`, ...this.objLines, ''].join('\n'),
+            mtl: this.mtlLines.join('\n'),
+            textures: this.textures
+        };
+    }
+};
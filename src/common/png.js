@@ -0,0 +1,62 @@
+import { deflate } from 'pako';
+import crc32 from './crc32';
+
+let PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Encodes RGBA pixels as a PNG file, without needing a canvas.
+ * Every row is stored without a filter, which keeps this simple, at the cost of some compression.
+ *
+ * @param {Object} imageData An object of the form { width, height, data }, like ImageData.
+ * @returns {Uint8Array}
+ */
+export default function encodePng(imageData) {
+    let width = imageData.width,
+        height = imageData.height,
+        pixels = imageData.data,
+        rowSize = width * 4,
+        raw = new Uint8Array((rowSize + 1) * height);
+
+    // Every row starts with its filter type, which is 0 for none.
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), y * (rowSize + 1) + 1);
+    }
+
+    let header = new Uint8Array(13),
+        headerView = new DataView(header.buffer);
+
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // Color type - RGBA
+
+    let chunks = [['IHDR', header], ['IDAT', deflate(raw)], ['IEND', new Uint8Array(0)]],
+        byteLength = PNG_SIGNATURE.length;
+
+    for (let [type, data] of chunks) {
+        byteLength += 12 + data.byteLength;
+    }
+
+    let png = new Uint8Array(byteLength),
+        view = new DataView(png.buffer),
+        offset = PNG_SIGNATURE.length;
+
+    png.set(PNG_SIGNATURE);
+
+    for (let [type, data] of chunks) {
+        view.setUint32(offset, data.byteLength);
+
+        for (let i = 0; i < 4; i++) {
+            png[offset + 4 + i] = type.charCodeAt(i);
+        }
+
+        png.set(data, offset + 8);
+
+        // The CRC covers the type and the data.
+        view.setUint32(offset + 8 + data.byteLength, crc32(png.subarray(offset + 4, offset + 8 + data.byteLength)));
+
+        offset += 12 + data.byteLength;
+    }
+
+    return png;
+};
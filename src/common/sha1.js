@@ -0,0 +1,204 @@
+// Heap allocations needed for this module.
+let wordsHeap = new Uint32Array(80);
+
+/**
+ * Processes 64 byte blocks of data.
+ *
+ * @param {Array<number>} state
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} end
+ */
+function processBlocks(state, bytes, offset, end) {
+    let words = wordsHeap;
+
+    for (; offset < end; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            let index = offset + i * 4;
+
+            words[i] = (bytes[index] << 24) | (bytes[index + 1] << 16) | (bytes[index + 2] << 8) | bytes[index + 3];
+        }
+
+        for (let i = 16; i < 80; i++) {
+            let word = words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16];
+
+            words[i] = (word << 1) | (word >>> 31);
+        }
+
+        let a = state[0],
+            b = state[1],
+            c = state[2],
+            d = state[3],
+            e = state[4];
+
+        for (let i = 0; i < 80; i++) {
+            let f,
+                k;
+
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+
+            let temp = (((a << 5) | (a >>> 27)) + f + e + k + words[i]) | 0;
+
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = temp;
+        }
+
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+        state[4] = (state[4] + e) | 0;
+    }
+}
+
+/**
+ * A SHA-1 digest that is calculated incrementally.
+ * It can be copied, so data that multiple digests start with is only processed once.
+ */
+export class Sha1 {
+    constructor() {
+        /** @member {Array<number>} */
+        this.state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+        /**
+         * The data that doesn't fill a whole block yet.
+         *
+         * @member {Uint8Array}
+         */
+        this.pending = new Uint8Array(64);
+        /** @member {number} */
+        this.pendingLength = 0;
+        /**
+         * The length of all of the data in bytes.
+         *
+         * @member {number}
+         */
+        this.length = 0;
+    }
+
+    /**
+     * Adds data to the digest.
+     *
+     * @param {ArrayBuffer|TypedArray} data
+     * @returns {this}
+     */
+    update(data) {
+        let bytes;
+
+        if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        } else {
+            bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+
+        let pending = this.pending,
+            offset = 0,
+            length = bytes.byteLength;
+
+        this.length += length;
+
+        // Complete the pending block first.
+        if (this.pendingLength) {
+            let count = Math.min(64 - this.pendingLength, length);
+
+            pending.set(bytes.subarray(0, count), this.pendingLength);
+
+            this.pendingLength += count;
+            offset = count;
+
+            if (this.pendingLength < 64) {
+                return this;
+            }
+
+            processBlocks(this.state, pending, 0, 64);
+
+            this.pendingLength = 0;
+        }
+
+        let end = offset + ((length - offset) & ~63);
+
+        processBlocks(this.state, bytes, offset, end);
+
+        pending.set(bytes.subarray(end));
+
+        this.pendingLength = length - end;
+
+        return this;
+    }
+
+    /**
+     * @returns {Sha1}
+     */
+    copy() {
+        let copy = new Sha1();
+
+        copy.state = this.state.slice();
+        copy.pending.set(this.pending);
+        copy.pendingLength = this.pendingLength;
+        copy.length = this.length;
+
+        return copy;
+    }
+
+    /**
+     * Gets the digest of the data that was added so far.
+     * The object can still be updated afterwards.
+     *
+     * @returns {Uint8Array} The 20 bytes of the digest.
+     */
+    digest() {
+        let length = this.length,
+            pendingLength = this.pendingLength,
+            paddedLength = pendingLength < 56 ? 64 : 128,
+            padded = new Uint8Array(paddedLength),
+            state = this.state.slice();
+
+        padded.set(this.pending.subarray(0, pendingLength));
+        padded[pendingLength] = 0x80;
+
+        // The message length in bits, as a 64 bit big endian integer.
+        let bitsLow = (length << 3) >>> 0,
+            bitsHigh = Math.floor(length / 0x20000000);
+
+        for (let i = 0; i < 4; i++) {
+            padded[paddedLength - 8 + i] = (bitsHigh >>> (24 - i * 8)) & 0xFF;
+            padded[paddedLength - 4 + i] = (bitsLow >>> (24 - i * 8)) & 0xFF;
+        }
+
+        processBlocks(state, padded, 0, paddedLength);
+
+        let digest = new Uint8Array(20);
+
+        for (let i = 0; i < 5; i++) {
+            for (let j = 0; j < 4; j++) {
+                digest[i * 4 + j] = (state[i] >>> (24 - j * 8)) & 0xFF;
+            }
+        }
+
+        return digest;
+    }
+}
+
+/**
+ * Computes the SHA-1 digest of the given data.
+ *
+ * @param {ArrayBuffer|TypedArray} data
+ * @returns {Uint8Array} The 20 bytes of the digest.
+ */
+export default function sha1(data) {
+    return new Sha1().update(data).digest();
+};
@@ -1,3 +1,59 @@
+/**
+ * Tokens of numbers that parse to NaN, but are still numbers, as written by JS and C.
+ * E.g. NaN, -nan or inf.
+ * 
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isNaNToken(token) {
+    return /^[-+]?(nan|inf)/i.test(token);
+}
+
+/**
+ * An error while reading a token stream.
+ * The message includes the line and column of the token that caused it, and the path of blocks it was in, if there are any.
+ */
+export class TokenStreamError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line
+     * @param {number} column
+     * @param {Array<string>} path
+     * @param {?string} expected
+     * @param {?string} actual
+     */
+    constructor(message, line, column, path, expected, actual) {
+        let location = `line ${line}, column ${column}`;
+
+        if (path.length) {
+            location += ` in ${path.join(' > ')}`;
+        }
+
+        super(`${message} at ${location}`);
+
+        /** @member {string} */
+        this.name = 'TokenStreamError';
+        /** @member {number} */
+        this.line = line;
+        /** @member {number} */
+        this.column = column;
+        /**
+         * The names of the blocks the error happened in, from the outermost to the innermost.
+         * 
+         * @member {Array<string>}
+         */
+        this.path = path;
+        /** @member {?string} */
+        this.expected = expected;
+        /**
+         * The token that was read, or null at the end of the stream.
+         * 
+         * @member {?string}
+         */
+        this.actual = actual;
+    }
+};
+
 /**
  * Used to read and write structured text formats.
  */
@@ -9,6 +65,8 @@ export default class TokenStream {
         this.buffer = buffer || '';
         this.index = 0;
         this.ident = 0; // Used for writing blocks nicely.
+        this.tokenIndex = 0; // Where the last read token starts, used for errors.
+        this.blocks = []; // The names of the blocks being read, used for errors.
     }
 
     /**
@@ -42,9 +100,15 @@ export default class TokenStream {
             inString = false,
             token = '';
 
+        this.tokenIndex = length;
+
         while (this.index < length) {
             let c = buffer[this.index++];
 
+            if (!inComment && !token.length && !inString) {
+                this.tokenIndex = this.index - 1;
+            }
+
             if (inComment) {
                 if (c === '\n') {
                     inComment = false;
@@ -91,25 +155,57 @@ export default class TokenStream {
      */
     peek() {
         let index = this.index,
+            tokenIndex = this.tokenIndex,
             value = this.read();
 
         this.index = index;
+        this.tokenIndex = tokenIndex;
 
         return value;
     }
 
+    /**
+     * Reads the next token, and throws an error if it isn't the expected one.
+     * 
+     * @param {string} expected
+     * @returns {string}
+     */
+    expect(expected) {
+        let token = this.read();
+
+        if (token !== expected) {
+            throw this.error(`Expected "${expected}"`, `"${expected}"`, token);
+        }
+
+        return token;
+    }
+
     /**
      * Reads the next token, and parses it as an integer.
      */
     readInt() {
-        return parseInt(this.read());
+        let token = this.read(),
+            value = parseInt(token);
+
+        if (isNaN(value) && !isNaNToken(token)) {
+            throw this.error('Expected an integer', 'an integer', token);
+        }
+
+        return value;
     }
 
     /**
      * Reads the next token, and parses it as a float.
      */
     readFloat() {
-        return parseFloat(this.read());
+        let token = this.read(),
+            value = parseFloat(token);
+
+        if (isNaN(value) && !isNaNToken(token)) {
+            throw this.error('Expected a number', 'a number', token);
+        }
+
+        return value;
     }
 
     /**
@@ -118,13 +214,13 @@ export default class TokenStream {
      *     { Value1, Value2, ..., ValueN }
      */
     readIntArray(view) {
-        this.read(); // {
+        this.expect('{');
 
         for (let i = 0, l = view.length; i < l; i++) {
             view[i] = this.readInt();
         }
 
-        this.read(); // }
+        this.expect('}');
 
         return view;
     }
@@ -135,13 +231,13 @@ export default class TokenStream {
      *     { Value1, Value2, ..., ValueN }
      */
     readFloatArray(view) {
-        this.read(); // {
+        this.expect('{');
 
         for (let i = 0, l = view.length; i < l; i++) {
             view[i] = this.readFloat();
         }
 
-        this.read(); // }
+        this.expect('}');
 
         return view;
     }
@@ -156,13 +252,13 @@ export default class TokenStream {
      * @param {Float32Array} view 
      */
     readColor(view) {
-        this.read(); // {
+        this.expect('{');
 
         view[2] = this.readFloat();
         view[1] = this.readFloat();
         view[0] = this.readFloat();
 
-        this.read(); // }
+        this.expect('}');
     }
 
     /**
@@ -176,19 +272,19 @@ export default class TokenStream {
      * @param {number} size 
      */
     readVectorArray(view, size) {
-        this.read(); // {
+        this.expect('{');
 
         for (let i = 0, l = view.length / size; i < l; i++) {
-            this.read(); // {
+            this.expect('{');
 
             for (let j = 0; j < size; j++) {
                 view[i * size + j] = this.readFloat();
             }
 
-            this.read(); // }
+            this.expect('}');
         }
 
-        this.read(); // }
+        this.expect('}');
 
         return view;
     }
@@ -206,17 +302,118 @@ export default class TokenStream {
      * It is used for most MDL blocks.
      */
     *readBlock() {
-        this.read(); // {
+        this.expect('{');
 
         let token = this.read();
 
         while (token !== '}') {
+            if (token === undefined) {
+                throw this.error('Expected "}"', '"}"', token);
+            }
+
             yield token;
 
             token = this.read();
         }
     }
 
+    /**
+     * Skips a block, along with the tokens before it, e.g. its header.
+     * 
+     *     Header "Name" {
+     *         ...
+     *     }
+     * 
+     * Blocks inside it are skipped too.
+     * If the block isn't closed, the rest of the stream is skipped.
+     */
+    skipBlock() {
+        let token = this.read(),
+            depth = 0;
+
+        while (token !== undefined && token !== '{') {
+            token = this.read();
+        }
+
+        while (token !== undefined) {
+            if (token === '{') {
+                depth += 1;
+            } else if (token === '}') {
+                depth -= 1;
+
+                if (depth === 0) {
+                    return;
+                }
+            }
+
+            token = this.read();
+        }
+    }
+
+    /**
+     * Enters a named block, which is added to the path of errors until it is left.
+     * 
+     * @param {string} name
+     */
+    enterBlock(name) {
+        this.blocks.push(name);
+    }
+
+    /**
+     * Leaves the last entered block.
+     */
+    leaveBlock() {
+        this.blocks.pop();
+    }
+
+    /**
+     * Gets the line and column of a position in the buffer, both starting at 1.
+     * 
+     * @param {number} index
+     * @returns {Object}
+     */
+    getLocation(index) {
+        let buffer = this.buffer,
+            line = 1,
+            lineStart = 0;
+
+        for (let i = 0; i < index; i++) {
+            if (buffer[i] === '\n') {
+                line += 1;
+                lineStart = i + 1;
+            }
+        }
+
+        return { line, column: index - lineStart + 1 };
+    }
+
+    /**
+     * Creates an error at the last read token, with the path of the blocks being read.
+     * The caller is expected to throw it.
+     * 
+     * @param {string} message
+     * @param {?string} expected
+     * @param {?string} actual
+     * @returns {TokenStreamError}
+     */
+    error(message, expected, actual) {
+        let { line, column } = this.getLocation(this.tokenIndex);
+
+        if (actual === undefined) {
+            actual = null;
+        }
+
+        if (expected) {
+            if (actual === null) {
+                message += ', but reached the end';
+            } else {
+                message += `, but got "${actual}"`;
+            }
+        }
+
+        return new TokenStreamError(message, line, column, this.blocks.slice(), expected || null, actual);
+    }
+
     /**
      * Writes a color in the form:
      * 
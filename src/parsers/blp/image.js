@@ -0,0 +1,123 @@
+import BitStream from '../../common/bitstream';
+import convertBitRange from '../../common/convertbitrange';
+import { JpegImage } from './jpg';
+
+let BLP1_MAGIC = 0x31504c42,
+    BLP_JPG = 0x0;
+
+/**
+ * A Warcraft 3 BLP1 texture.
+ * Decodes to BGRA pixels, without needing a canvas or WebGL.
+ */
+export default class BlpImage {
+    /**
+     * @param {?ArrayBuffer} buffer
+     */
+    constructor(buffer) {
+        /** @member {number} */
+        this.content = 0;
+        /** @member {number} */
+        this.alphaBits = 0;
+        /** @member {number} */
+        this.width = 0;
+        /** @member {number} */
+        this.height = 0;
+        /** @member {Array<number>} */
+        this.mipmapOffsets = [];
+        /** @member {Array<number>} */
+        this.mipmapSizes = [];
+        /** @member {?Uint8Array} */
+        this.data = null;
+
+        if (buffer) {
+            this.load(buffer);
+        }
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     */
+    load(buffer) {
+        if (buffer.byteLength < 156) {
+            throw new Error('FileTooSmall');
+        }
+
+        let header = new Int32Array(buffer, 0, 39);
+
+        if (header[0] !== BLP1_MAGIC) {
+            throw new Error('WrongMagicNumber');
+        }
+
+        this.content = header[1];
+        this.alphaBits = header[2];
+        this.width = header[3];
+        this.height = header[4];
+        this.mipmapOffsets = [...header.subarray(7, 23)];
+        this.mipmapSizes = [...header.subarray(23, 39)];
+        this.data = new Uint8Array(buffer);
+    }
+
+    /**
+     * Decodes a mipmap.
+     * The pixels are BGRA, like they are stored in the file.
+     * JPEG images without alpha bits keep the alpha component that is stored in them.
+     *
+     * @param {number} level
+     * @returns {Object} An object of the form { width, height, data }, like ImageData.
+     */
+    getMipmap(level) {
+        let data = this.data,
+            width = Math.max(this.width >> level, 1),
+            height = Math.max(this.height >> level, 1),
+            mipmapOffset = this.mipmapOffsets[level],
+            mipmapSize = this.mipmapSizes[level],
+            imageData = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+
+        if (!mipmapSize || mipmapOffset + mipmapSize > data.byteLength) {
+            throw new Error(`InvalidMipmap ${level}`);
+        }
+
+        if (this.content === BLP_JPG) {
+            let jpegHeaderSize = new DataView(data.buffer).getUint32(156, true),
+                jpegData = new Uint8Array(jpegHeaderSize + mipmapSize);
+
+            jpegData.set(data.subarray(160, 160 + jpegHeaderSize));
+            jpegData.set(data.subarray(mipmapOffset, mipmapOffset + mipmapSize), jpegHeaderSize);
+
+            let jpegImage = new JpegImage();
+
+            jpegImage.parse(jpegData);
+            jpegImage.getData(imageData);
+        } else {
+            let pallete = data.subarray(156, 156 + 1024),
+                size = width * height,
+                mipmapAlphaOffset = mipmapOffset + size,
+                alphaBits = this.alphaBits,
+                pixels = imageData.data,
+                bitBuffer,
+                bitsToByte;
+
+            if (alphaBits > 0) {
+                bitBuffer = new BitStream(data.buffer, mipmapAlphaOffset, Math.ceil((size * alphaBits) / 8));
+                bitsToByte = convertBitRange(alphaBits, 8);
+            }
+
+            for (let index = 0; index < size; index++) {
+                let i = data[mipmapOffset + index] * 4,
+                    dstI = index * 4;
+
+                pixels[dstI] = pallete[i];
+                pixels[dstI + 1] = pallete[i + 1];
+                pixels[dstI + 2] = pallete[i + 2];
+
+                if (alphaBits > 0) {
+                    pixels[dstI + 3] = bitBuffer.readBits(alphaBits) * bitsToByte;
+                } else {
+                    pixels[dstI + 3] = 255;
+                }
+            }
+        }
+
+        return imageData;
+    }
+};
@@ -0,0 +1,5 @@
+import BlpImage from './image';
+
+export default {
+    BlpImage
+};
@@ -0,0 +1,142 @@
+import { base256ToString } from '../../common/typecast';
+import convertBitRange from '../../common/convertbitrange';
+import { decodeDxt1, decodeDxt3, decodeDxt5 } from '../../common/dxt';
+
+let DDS_MAGIC = 0x20534444,
+    DDSD_MIPMAPCOUNT = 0x20000,
+    DDPF_FOURCC = 0x4,
+    FOURCC_DXT1 = 0x31545844,
+    FOURCC_DXT3 = 0x33545844,
+    FOURCC_DXT5 = 0x35545844;
+
+let dxt5to8 = convertBitRange(5, 8),
+    dxt6to8 = convertBitRange(6, 8);
+
+/**
+ * A DDS texture compressed with DXT1, DXT3 or DXT5, like the textures of Starcraft 2.
+ * Decodes to RGBA pixels, without needing a canvas or WebGL.
+ */
+export default class DdsImage {
+    /**
+     * @param {?ArrayBuffer} buffer
+     */
+    constructor(buffer) {
+        /** @member {number} */
+        this.format = 0;
+        /** @member {number} */
+        this.width = 0;
+        /** @member {number} */
+        this.height = 0;
+        /** @member {Array<number>} */
+        this.mipmapOffsets = [];
+        /** @member {Array<number>} */
+        this.mipmapSizes = [];
+        /** @member {?ArrayBuffer} */
+        this.buffer = null;
+
+        if (buffer) {
+            this.load(buffer);
+        }
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     */
+    load(buffer) {
+        if (buffer.byteLength < 128) {
+            throw new Error('FileTooSmall');
+        }
+
+        let header = new Int32Array(buffer, 0, 31);
+
+        if (header[0] !== DDS_MAGIC) {
+            throw new Error('WrongMagicNumber');
+        }
+
+        if (!(header[20] & DDPF_FOURCC)) {
+            throw new Error('UnsupportedFeature FourCC');
+        }
+
+        let format = header[21],
+            blockBytes;
+
+        if (format === FOURCC_DXT1) {
+            blockBytes = 8;
+        } else if (format === FOURCC_DXT3 || format === FOURCC_DXT5) {
+            blockBytes = 16;
+        } else {
+            throw new Error(`UnsupportedFeature ${base256ToString(format)}`);
+        }
+
+        let mipmapCount = header[2] & DDSD_MIPMAPCOUNT ? Math.max(1, header[7]) : 1,
+            width = header[4],
+            height = header[3],
+            offset = header[1] + 4;
+
+        this.format = format;
+        this.width = width;
+        this.height = height;
+        this.buffer = buffer;
+        this.mipmapOffsets = [];
+        this.mipmapSizes = [];
+
+        for (let i = 0; i < mipmapCount; i++) {
+            let size = Math.ceil(Math.max(width >> i, 1) / 4) * Math.ceil(Math.max(height >> i, 1) / 4) * blockBytes;
+
+            this.mipmapOffsets[i] = offset;
+            this.mipmapSizes[i] = size;
+
+            offset += size;
+        }
+    }
+
+    /**
+     * Decodes a mipmap.
+     *
+     * @param {number} level
+     * @returns {Object} An object of the form { width, height, data }, like ImageData.
+     */
+    getMipmap(level) {
+        let width = Math.max(this.width >> level, 1),
+            height = Math.max(this.height >> level, 1),
+            mipmapOffset = this.mipmapOffsets[level],
+            mipmapSize = this.mipmapSizes[level];
+
+        if (!mipmapSize || mipmapOffset + mipmapSize > this.buffer.byteLength) {
+            throw new Error(`InvalidMipmap ${level}`);
+        }
+
+        // The decoders work on whole blocks of 4x4 pixels.
+        let blocksWidth = Math.ceil(width / 4) * 4,
+            blocksHeight = Math.ceil(height / 4) * 4,
+            src = new Uint16Array(this.buffer.slice(mipmapOffset, mipmapOffset + mipmapSize)),
+            decoded,
+            data = new Uint8ClampedArray(width * height * 4);
+
+        if (this.format === FOURCC_DXT1) {
+            let colors = decodeDxt1(src, blocksWidth, blocksHeight);
+
+            decoded = new Uint8Array(blocksWidth * blocksHeight * 4);
+
+            // DXT1 is decoded to 5-6-5 RGB.
+            for (let i = 0, l = colors.length; i < l; i++) {
+                let color = colors[i];
+
+                decoded[i * 4] = (((color >> 11) & 31) * dxt5to8) | 0;
+                decoded[i * 4 + 1] = (((color >> 5) & 63) * dxt6to8) | 0;
+                decoded[i * 4 + 2] = ((color & 31) * dxt5to8) | 0;
+                decoded[i * 4 + 3] = 255;
+            }
+        } else if (this.format === FOURCC_DXT3) {
+            decoded = decodeDxt3(src, blocksWidth, blocksHeight);
+        } else {
+            decoded = decodeDxt5(src, blocksWidth, blocksHeight);
+        }
+
+        for (let y = 0; y < height; y++) {
+            data.set(decoded.subarray(y * blocksWidth * 4, (y * blocksWidth + width) * 4), y * width * 4);
+        }
+
+        return { width, height, data };
+    }
+};
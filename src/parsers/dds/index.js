@@ -0,0 +1,5 @@
+import DdsImage from './image';
+
+export default {
+    DdsImage
+};
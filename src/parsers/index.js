@@ -1,3 +1,5 @@
+import Blp from './blp';
+import Dds from './dds';
 import Ini from './ini';
 import Slk from './slk';
 import M3 from './m3';
@@ -6,6 +8,8 @@ import Mpq from './mpq';
 import W3x from './w3x';
 
 export default {
+    Blp,
+    Dds,
     Ini,
     Slk,
     M3,
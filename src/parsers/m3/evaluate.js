@@ -0,0 +1,149 @@
+import { quat, mat4 } from 'gl-matrix';
+import { clamp } from '../../common/math';
+import Interpolator from '../../common/interpolator';
+
+/**
+ * Samples animation data at a frame, the same way the renderer does.
+ *
+ * @param {M3ParserSd} sd
+ * @param {Object} animationReference
+ * @param {number} frame
+ * @param {number} runsConcurrent
+ * @returns {number|Float32Array}
+ */
+function sampleSd(sd, animationReference, frame, runsConcurrent) {
+    let keys = sd.keys.getAll(),
+        values = sd.values.getAll(),
+        length = keys.length,
+        a = length,
+        b = 0;
+
+    if (runsConcurrent) {
+        frame = frame % sd.biggestKey;
+    }
+
+    while (b !== length && frame > keys[b]) {
+        a = b;
+        b++;
+    }
+
+    if (a === length) {
+        return b === length ? animationReference.initValue : values[b];
+    }
+
+    if (b === length || a >= b) {
+        return values[a];
+    }
+
+    let t = clamp((frame - keys[a]) / (keys[b] - keys[a]), 0, 1);
+
+    // M3 doesn't seem to have Hermite or Bezier interpolations, so the tangents are not used.
+    return Interpolator.interpolate(values[a], 0, 0, values[b], t, animationReference.interpolationType);
+}
+
+/**
+ * Evaluates an animation reference at a frame of a sequence, the same way the renderer does.
+ * The sequence group of the sequence is searched for the first animation controller whose sequence data has the reference, and otherwise, or if the sequence is -1, the initial value is used.
+ *
+ * The returned value is a copy, so it can be kept.
+ *
+ * @param {Model} model
+ * @param {Object} animationReference
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @returns {number|Float32Array}
+ */
+export function evaluateAnimationReference(model, animationReference, sequenceId, frame) {
+    let header = model.model,
+        stg = header.stg.getAll()[sequenceId],
+        value = animationReference.initValue;
+
+    if (stg) {
+        let stcs = header.stc.getAll(),
+            stss = header.sts.getAll(),
+            animId = animationReference.animId;
+
+        for (let stcIndex of stg.stcIndices.getAll()) {
+            let stc = stcs[stcIndex],
+                sts = stss[stc.stsIndex];
+
+            if (sts.animIds.getAll().includes(animId)) {
+                let animIds = stc.animIds.getAll(),
+                    index = animIds.indexOf(animId);
+
+                if (index !== -1) {
+                    // Every animation reference is a 16 bit index, followed by the 16 bit type of its sequence data.
+                    let animRef = stc.animRefs.getAll()[index],
+                        sd = stc.sd[animRef >>> 16].getAll()[animRef & 0xffff];
+
+                    value = sampleSd(sd, animationReference, frame, stc.runsConcurrent);
+                }
+
+                break;
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    return value.slice();
+}
+
+/**
+ * Evaluates the bones of a model at a frame of a sequence on the CPU, with the same semantics as the renderer, and without needing WebGL.
+ * The sequence -1 is the bind pose.
+ *
+ * Returns an object of the form { nodes, boneMatrices }:
+ *     nodes - For every bone, { location, rotation, scale, worldMatrix }.
+ *     boneMatrices - For every bone lookup, the matrix that skins the vertices that reference it.
+ *
+ * Bone rotations are normalized, which the renderer skips for speed.
+ * Billboarding depends on the camera, so billboarded bones are not billboarded.
+ *
+ * @param {Model} model
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @returns {Object}
+ */
+export default function evaluateModel(model, sequenceId, frame) {
+    let header = model.model,
+        bones = header.bones.getAll(),
+        initialReferences = header.absoluteInverseBoneRestPositions.getAll(),
+        nodes = [];
+
+    let evaluateNode = (boneId) => {
+        if (!nodes[boneId]) {
+            let bone = bones[boneId],
+                location = evaluateAnimationReference(model, bone.location, sequenceId, frame),
+                rotation = quat.normalize(quat.create(), evaluateAnimationReference(model, bone.rotation, sequenceId, frame)),
+                scale = evaluateAnimationReference(model, bone.scale, sequenceId, frame),
+                worldMatrix = mat4.fromRotationTranslationScale(mat4.create(), rotation, location, scale);
+
+            // Add the node before its parents, so broken hierarchies with cycles end.
+            nodes[boneId] = { location, rotation, scale, worldMatrix };
+
+            if (bones[bone.parent] && bone.parent !== boneId) {
+                mat4.mul(worldMatrix, evaluateNode(bone.parent).worldMatrix, worldMatrix);
+            }
+        }
+
+        return nodes[boneId];
+    };
+
+    for (let i = 0, l = bones.length; i < l; i++) {
+        evaluateNode(i);
+    }
+
+    // Like in the renderer, the vertices are stored in the bind pose, which the bind pose doesn't need to move.
+    let boneMatrices = [...header.boneLookup.getAll()].map((boneId) => {
+        if (sequenceId === -1 || !nodes[boneId]) {
+            return mat4.create();
+        }
+
+        return mat4.mul(mat4.create(), nodes[boneId].worldMatrix, initialReferences[boneId] || mat4.create());
+    });
+
+    return { nodes, boneMatrices };
+};
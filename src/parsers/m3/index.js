@@ -1,5 +1,10 @@
 import Model from './model';
+import evaluateModel, { evaluateAnimationReference } from './evaluate';
+import exportObj from './objexport';
 
 export default {
-    Model
+    Model,
+    evaluateModel,
+    evaluateAnimationReference,
+    exportObj
 };
@@ -0,0 +1,174 @@
+import { vec3, mat4 } from 'gl-matrix';
+import ObjWriter from '../../common/objwriter';
+import DdsImage from '../dds/image';
+import evaluateModel from './evaluate';
+
+// Heap allocations needed for this module.
+let matrixHeap = mat4.create(),
+    originHeap = vec3.create();
+
+/**
+ * Decodes a DDS texture to RGBA pixels, or returns null if it can't be decoded.
+ *
+ * @param {?ArrayBuffer} buffer
+ * @returns {?Object}
+ */
+function decodeTexture(buffer) {
+    if (!buffer) {
+        return null;
+    }
+
+    try {
+        return new DdsImage(buffer).getMipmap(0);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Exports a model at a frame of a sequence to Wavefront OBJ and MTL files, without needing a canvas or WebGL.
+ * The sequence -1 is the bind pose.
+ *
+ * The bones are evaluated on the CPU with evaluateModel(), and every region becomes a group with its skinned vertices, normals and first texture coordinates.
+ * Every standard material that a region is drawn with becomes an MTL material with the texture of its diffuse layer.
+ * DDS textures are decoded, and returned as PNG files that the MTL file references.
+ *
+ * The options are:
+ *     getTexture - A function that gets a texture path, and returns the texture file as an ArrayBuffer, or null if it doesn't exist.
+ *                  Without it, materials have no textures.
+ *     name - The name of the MTL file, without its extension, "model" by default.
+ *     zUp - Keep the positions Z up, rather than rotating them to be Y up.
+ *
+ * Returns an object of the form { obj, mtl, textures }, see ObjWriter.save().
+ *
+ * @param {Model} model
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function exportObj(model, sequenceId, frame, options) {
+    let getTexture = options && options.getTexture,
+        writer = new ObjWriter(options && options.zUp),
+        header = model.model,
+        division = header.divisions.get(),
+        regions = division.regions.getAll(),
+        triangles = division.triangles.getAll(),
+        materialReferences = header.materialReferences.getAll(),
+        standardMaterials = header.materials[0].getAll(),
+        vertexFlags = header.vertexFlags,
+        uvSetCount = 1,
+        { boneMatrices } = evaluateModel(model, sequenceId, frame);
+
+    // Like in the renderer.
+    if (vertexFlags & 0x40000) {
+        uvSetCount = 2;
+    } else if (vertexFlags & 0x80000) {
+        uvSetCount = 3;
+    } else if (vertexFlags & 0x100000) {
+        uvSetCount = 4;
+    }
+
+    // Every vertex is a position, 4 bone weights, 4 bone indices, a normal, the texture coordinates, and a tangent.
+    let vertexBytes = header.vertices.getAll(),
+        vertexView = new DataView(vertexBytes.buffer, vertexBytes.byteOffset, vertexBytes.byteLength),
+        vertexSize = (7 + uvSetCount) * 4;
+
+    // The standard material of every region, from the first batch that draws it.
+    let regionMaterials = [];
+
+    for (let batch of division.batches.getAll()) {
+        let materialReference = materialReferences[batch.materialReferenceIndex];
+
+        if (materialReference && materialReference.materialType === 1 && regionMaterials[batch.regionIndex] === undefined) {
+            regionMaterials[batch.regionIndex] = materialReference.materialIndex;
+        }
+    }
+
+    // Materials are added as they are used.
+    let materialNames = [];
+
+    let addMaterial = (materialId) => {
+        let name = `Material${materialId}`;
+
+        if (materialNames[materialId]) {
+            return name;
+        }
+
+        materialNames[materialId] = name;
+
+        let layer = standardMaterials[materialId].diffuseLayer.get(),
+            path = layer ? layer.imagePath.getAll().join('') : '',
+            textureName = null;
+
+        if (getTexture && path) {
+            let imageData = decodeTexture(getTexture(path));
+
+            if (imageData) {
+                textureName = writer.addTexture(path, imageData);
+            }
+        }
+
+        writer.addMaterial(name, 1, textureName);
+
+        return name;
+    };
+
+    for (let [regionId, region] of regions.entries()) {
+        let count = region.verticesCount,
+            vertices = new Float32Array(count * 3),
+            normals = new Float32Array(count * 3),
+            uvs = new Float32Array(count * 2),
+            faces = triangles.subarray(region.firstTriangleIndex, region.firstTriangleIndex + region.triangleIndicesCount),
+            bonesCount = region.boneWeightPairsCount,
+            firstBoneLookupIndex = region.firstBoneLookupIndex;
+
+        for (let i = 0; i < count; i++) {
+            let offset = (region.firstVertexIndex + i) * vertexSize,
+                vertex = vertices.subarray(i * 3, i * 3 + 3),
+                normal = normals.subarray(i * 3, i * 3 + 3),
+                matrix = null;
+
+            vec3.set(vertex, vertexView.getFloat32(offset, true), vertexView.getFloat32(offset + 4, true), vertexView.getFloat32(offset + 8, true));
+
+            // Normals are stored as bytes in the [-1, 1] range.
+            for (let j = 0; j < 3; j++) {
+                normal[j] = vertexBytes[offset + 20 + j] / 255 * 2 - 1;
+            }
+
+            // Texture coordinates are stored as shorts, in units of 1/2048.
+            uvs[i * 2] = vertexView.getInt16(offset + 24, true) / 2048;
+            uvs[i * 2 + 1] = vertexView.getInt16(offset + 26, true) / 2048;
+
+            // Like in the renderer, regions with one bone per vertex ignore the weights.
+            if (bonesCount === 1) {
+                matrix = boneMatrices[vertexBytes[offset + 16] + firstBoneLookupIndex];
+            } else if (bonesCount > 1) {
+                matrix = matrixHeap.fill(0);
+
+                for (let j = 0; j < 4; j++) {
+                    let weight = vertexBytes[offset + 12 + j],
+                        boneMatrix = boneMatrices[vertexBytes[offset + 16 + j] + firstBoneLookupIndex];
+
+                    if (weight && boneMatrix) {
+                        mat4.multiplyScalarAndAdd(matrix, matrix, boneMatrix, weight / 255);
+                    }
+                }
+            }
+
+            if (matrix) {
+                vec3.transformMat4(vertex, vertex, matrix);
+                vec3.transformMat4(normal, normal, matrix);
+                vec3.sub(normal, normal, vec3.transformMat4(originHeap, vec3.ZERO, matrix));
+            }
+
+            vec3.normalize(normal, normal);
+        }
+
+        let materialId = regionMaterials[regionId];
+
+        writer.addGroup(`Region${regionId}`, materialId === undefined ? null : addMaterial(materialId), vertices, normals, uvs, faces);
+    }
+
+    return writer.save(options && options.name || 'model');
+};
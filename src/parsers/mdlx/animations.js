@@ -1,3 +1,5 @@
+import { clamp } from '../../common/math';
+import Interpolator from '../../common/interpolator';
 import { UintTrack, FloatTrack, Vector3Track, Vector4Track } from './tracks';
 
 class Animation {
@@ -45,7 +47,7 @@ class Animation {
 
         let numberOfTracks = stream.readInt();
 
-        stream.read(); // {
+        stream.expect('{');
 
         let token = stream.read(),
             interpolationType = 0;
@@ -58,6 +60,8 @@ class Animation {
             interpolationType = 2;
         } else if (token === 'Bezier') {
             interpolationType = 3;
+        } else {
+            throw stream.error('Expected an interpolation type', 'DontInterp, Linear, Hermite or Bezier', token);
         }
 
         this.interpolationType = interpolationType;
@@ -72,12 +76,14 @@ class Animation {
         for (let i = 0; i < numberOfTracks; i++) {
             let track = this.newTrack();
 
+            stream.enterBlock(`keyframe ${i}`);
             track.readMdl(stream, interpolationType);
+            stream.leaveBlock();
 
             this.tracks[i] = track;
         }
 
-        stream.read(); // }
+        stream.expect('}');
     }
 
     writeMdl(stream, name) {
@@ -158,6 +164,10 @@ let animationMap = {
     // Layer
     KMTF: ['TextureId', UintAnimation],
     KMTA: ['Alpha', FloatAnimation],
+    KMTE: ['EmissiveGain', FloatAnimation],
+    KFC3: ['FresnelColor', Vector3Animation],
+    KFCA: ['FresnelOpacity', FloatAnimation],
+    KFTC: ['FresnelTeamColor', FloatAnimation],
     // TextureAnimation
     KTAT: ['Translation', Vector3Animation],
     KTAR: ['Rotation', Vector4Animation],
@@ -192,6 +202,13 @@ let animationMap = {
     KP2N: ['Length', FloatAnimation],
     KP2W: ['Width', FloatAnimation],
     KP2V: ['Visibility', FloatAnimation],
+    // ParticleEmitterPopcorn
+    KPPA: ['Alpha', FloatAnimation],
+    KPPC: ['Color', Vector3Animation],
+    KPPE: ['EmissionRate', FloatAnimation],
+    KPPL: ['LifeSpan', FloatAnimation],
+    KPPS: ['Speed', FloatAnimation],
+    KPPV: ['Visibility', FloatAnimation],
     // RibbonEmitter
     KRHA: ['HeightAbove', FloatAnimation],
     KRHB: ['HeightBelow', FloatAnimation],
@@ -209,6 +226,183 @@ let animationMap = {
     KGSC: ['Scaling', Vector3Animation]
 };
 
+// Visibility tracks are always used without interpolation, by the game and by the renderer.
+export let visibilityNames = new Set(['KLAV', 'KATV', 'KPEV', 'KP2V', 'KPPV', 'KRVS']);
+
+// The values that animations have in sequences without tracks, and when there is no sequence.
+export let defaultValues = {
+    // LAYS
+    KMTF: 0,
+    KMTA: 1,
+    KMTE: 1,
+    KFC3: new Float32Array([1, 1, 1]),
+    KFCA: 0,
+    KFTC: 0,
+    // TXAN
+    KTAT: new Float32Array([0, 0, 0]),
+    KTAR: new Float32Array([0, 0, 0, 1]),
+    KTAS: new Float32Array([1, 1, 1]),
+    // GEOA
+    KGAO: 1,
+    KGAC: new Float32Array([0, 0, 0]),
+    // LITE
+    KLAS: 0,
+    KLAE: 0,
+    KLAC: new Float32Array([0, 0, 0]),
+    KLAI: 0,
+    KLBI: 0,
+    KLBC: new Float32Array([0, 0, 0]),
+    KLAV: 1,
+    // ATCH
+    KATV: 1,
+    // PREM
+    KPEE: 0,
+    KPEG: 0,
+    KPLN: 0,
+    KPLT: 0,
+    KPEL: 0,
+    KPES: 0,
+    KPEV: 1,
+    // PRE2
+    KP2S: 0,
+    KP2R: 0,
+    KP2L: 0,
+    KP2G: 0,
+    KP2E: 0,
+    KP2N: 0,
+    KP2W: 0,
+    KP2V: 1,
+    // CORN
+    KPPA: 1,
+    KPPC: new Float32Array([1, 1, 1]),
+    KPPE: 0,
+    KPPL: 0,
+    KPPS: 0,
+    KPPV: 1,
+    // RIBB
+    KRHA: 0,
+    KRHB: 0,
+    KRAL: 1,
+    KRCO: new Float32Array([0, 0, 0]),
+    KRTX: 0,
+    KRVS: 1,
+    // CAMS
+    KCTR: new Float32Array([0, 0, 0]),
+    KTTR: new Float32Array([0, 0, 0]),
+    KCRL: 0,
+    // NODE
+    KGTR: new Float32Array([0, 0, 0]),
+    KGRT: new Float32Array([0, 0, 0, 1]),
+    KGSC: new Float32Array([1, 1, 1])
+};
+
+/**
+ * The tracks of an animation that are used for a range, e.g. a sequence or a global sequence (start <= frame <= end).
+ *
+ * When using a global sequence, where the first track is outside of the sequence's length, it becomes its constant value.
+ * When having one track in the sequence's range, and one track outside of it, results seem to be non-deterministic.
+ * Sometimes the second track is used too, sometimes not.
+ * It also differs depending where the model is viewed - the WE previewer, the WE itself, or the game.
+ * All three show different results, none of them make sense.
+ * Therefore, only the case where the first track is outside is handled.
+ * This fixes problems spread over many models, e.g. HeroMountainKing (compare in WE and in Magos).
+ *
+ * @param {Array<Track>} tracks
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} isGlobalSequence
+ * @returns {Array<Track>}
+ */
+export function getRangeTracks(tracks, start, end, isGlobalSequence) {
+    let rangeTracks = [];
+
+    if (isGlobalSequence && tracks.length && tracks[0].frame > end) {
+        rangeTracks.push(tracks[0]);
+    }
+
+    for (let track of tracks) {
+        if (track.frame >= start && track.frame <= end) {
+            rangeTracks.push(track);
+        }
+    }
+
+    return rangeTracks;
+}
+
+/**
+ * The keyframes that a range of an animation is sampled with, by the renderer and by evaluateAnimation().
+ * Ranges without tracks use the default value, and ranges whose tracks all have the same value use that value, without interpolating.
+ * Other ranges that don't start with a track get one with the default value, and ranges that don't end with a track get a copy of the first one.
+ *
+ * Returns an object of the form { constant, value, keyframes }, where the value is only set for constant ranges.
+ *
+ * @param {Array<Track>} tracks
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} isGlobalSequence
+ * @param {number|Float32Array} defval
+ * @returns {Object}
+ */
+export function getRangeKeyframes(tracks, start, end, isGlobalSequence, defval) {
+    let keyframes = getRangeTracks(tracks, start, end, isGlobalSequence);
+
+    if (!keyframes.length) {
+        return { constant: true, value: defval, keyframes };
+    }
+
+    let firstValue = keyframes[0].value;
+
+    if (keyframes.every((keyframe) => typeof firstValue === 'number' ? keyframe.value === firstValue : keyframe.value.every((value, i) => value === firstValue[i]))) {
+        return { constant: true, value: firstValue, keyframes };
+    }
+
+    if (keyframes[0].frame !== start) {
+        keyframes.unshift({ frame: start, value: defval, inTan: defval, outTan: defval });
+    }
+
+    if (keyframes[keyframes.length - 1].frame !== end) {
+        keyframes.push({ frame: end, value: keyframes[0].value, inTan: keyframes[0].outTan, outTan: keyframes[0].inTan });
+    }
+
+    return { constant: false, value: null, keyframes };
+}
+
+/**
+ * Samples the keyframes of a range that is not constant, as returned by getRangeKeyframes().
+ * NOTE: Interpolated values are not heap safe, see Interpolator.
+ *
+ * @param {Array<Track>} keyframes
+ * @param {number} frame
+ * @param {number} start
+ * @param {number} end
+ * @param {number} interpolationType
+ * @returns {number|Float32Array}
+ */
+export function sampleKeyframes(keyframes, frame, start, end, interpolationType) {
+    let l = keyframes.length;
+
+    if (frame <= start) {
+        return keyframes[0].value;
+    }
+
+    if (frame >= end) {
+        return keyframes[l - 1].value;
+    }
+
+    for (let i = 1; i < l; i++) {
+        let keyframe = keyframes[i];
+
+        if (keyframe.frame > frame) {
+            let lastKeyframe = keyframes[i - 1],
+                t = clamp((frame - lastKeyframe.frame) / (keyframe.frame - lastKeyframe.frame), 0, 1);
+
+            return Interpolator.interpolate(lastKeyframe.value, lastKeyframe.outTan, keyframe.inTan, keyframe.value, t, interpolationType);
+        }
+    }
+
+    return keyframes[l - 1].value;
+}
+
 // Read all animations of an object when reading MDX.
 export function* eachAnimation(stream, size) {
     while (size > 0) {
@@ -227,7 +421,9 @@ export function* eachAnimation(stream, size) {
 export function readAnimation(stream, name) {
     let animation = new animationMap[name][1]();
 
+    stream.enterBlock(animationMap[name][0]);
     animation.readMdl(stream, name);
+    stream.leaveBlock();
 
     return animation;
 };
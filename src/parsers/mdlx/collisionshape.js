@@ -56,7 +56,7 @@ export default class CollisionShape extends GenericObject {
             } else if (token === 'Vertices') {
                 let count = stream.readInt();
 
-                stream.read(); // {
+                stream.expect('{');
 
                 stream.readFloatArray(this.vertices[0]);
 
@@ -64,7 +64,7 @@ export default class CollisionShape extends GenericObject {
                     stream.readFloatArray(this.vertices[1]);
                 }
 
-                stream.read(); // }
+                stream.expect('}');
             } else if (token === 'BoundsRadius') {
                 this.boundsRadius = stream.readFloat();
             } else {
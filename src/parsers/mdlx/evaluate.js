@@ -0,0 +1,275 @@
+import { vec3, quat, mat4 } from 'gl-matrix';
+import '../../common/gl-matrix-addon';
+import { eachGenericObject } from './fixmodel';
+import { visibilityNames, defaultValues, getRangeKeyframes, sampleKeyframes } from './animations';
+
+// Heap allocations needed for this module.
+let vertexHeap = vec3.create(),
+    matrixHeap = mat4.create();
+
+function copyValue(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    return value.slice();
+}
+
+/**
+ * Samples an animation at a frame of a range, the same way the renderer does.
+ *
+ * @param {Animation} animation
+ * @param {number} frame
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} isGlobalSequence
+ * @param {number|Float32Array} defval
+ * @returns {number|Float32Array}
+ */
+function sampleTracks(animation, frame, start, end, isGlobalSequence, defval) {
+    let interpolationType = visibilityNames.has(animation.name) ? 0 : animation.interpolationType,
+        { constant, value, keyframes } = getRangeKeyframes(animation.tracks, start, end, isGlobalSequence, defval);
+
+    if (constant) {
+        return value;
+    }
+
+    return sampleKeyframes(keyframes, frame, start, end, interpolationType);
+}
+
+/**
+ * Evaluates an animation of a model, the same way the renderer does.
+ * Animations that use global sequences are evaluated at the given global sequence time, wrapped to their durations.
+ * Other animations are evaluated at the given frame of the sequence, and use their default values if the sequence is -1.
+ * The global sequence time defaults to the time since the start of the sequence, or to the frame if there is no sequence.
+ *
+ * The returned value is a copy, so it can be kept.
+ *
+ * @param {Model} model
+ * @param {Animation} animation
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @param {?number} globalSequenceTime
+ * @returns {number|Float32Array}
+ */
+export function evaluateAnimation(model, animation, sequenceId, frame, globalSequenceTime) {
+    let defval = defaultValues[animation.name],
+        sequence = model.sequences[sequenceId],
+        globalSequenceId = animation.globalSequenceId;
+
+    if (!animation.tracks.length) {
+        return copyValue(defval);
+    }
+
+    if (globalSequenceId !== -1) {
+        let duration = model.globalSequences[globalSequenceId];
+
+        if (duration === undefined) {
+            return copyValue(defval);
+        }
+
+        if (globalSequenceTime === undefined) {
+            globalSequenceTime = sequence ? frame - sequence.interval[0] : frame;
+        }
+
+        return copyValue(sampleTracks(animation, duration ? globalSequenceTime % duration : 0, 0, duration, true, defval));
+    }
+
+    if (!sequence) {
+        return copyValue(defval);
+    }
+
+    return copyValue(sampleTracks(animation, frame, sequence.interval[0], sequence.interval[1], false, defval));
+}
+
+/**
+ * Evaluates an animation of an object, or returns the given value if the object doesn't have it.
+ * Like the renderer, when an object has multiple animations with the same name, the last one is used.
+ *
+ * @param {Model} model
+ * @param {Object} object
+ * @param {string} name
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @param {?number} globalSequenceTime
+ * @param {number|Float32Array} defval
+ * @returns {number|Float32Array}
+ */
+export function evaluateObjectAnimation(model, object, name, sequenceId, frame, globalSequenceTime, defval) {
+    for (let i = object.animations.length - 1; i >= 0; i--) {
+        let animation = object.animations[i];
+
+        if (animation.name === name) {
+            return evaluateAnimation(model, animation, sequenceId, frame, globalSequenceTime);
+        }
+    }
+
+    return copyValue(defval);
+}
+
+/**
+ * Evaluates a model at a frame of a sequence on the CPU, with the same semantics as the renderer, and without needing WebGL.
+ * See evaluateAnimation() for the meaning of the sequence, frame and global sequence time.
+ *
+ * Returns an object of the form { nodes, geosets, layers }:
+ *     nodes - For every object ID, { translation, rotation, scale, worldMatrix }, where the first three are local to the pivot point.
+ *     geosets - For every geoset, { alpha, color }, where the color is RGB and clamped to 1 like in the renderer.
+ *     layers - For every material, for every layer, { alpha, textureId }.
+ *
+ * Node rotations are normalized, which the renderer skips for speed, so interpolated rotations don't scale their nodes.
+ * Like the renderer, node inheritance flags are ignored.
+ * Billboarding depends on the camera, so billboarded nodes are not billboarded.
+ *
+ * @param {Model} model
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @param {?number} globalSequenceTime
+ * @returns {Object}
+ */
+export default function evaluateModel(model, sequenceId, frame, globalSequenceTime) {
+    let objects = [],
+        nodes = [];
+
+    // The hierarchy uses object IDs.
+    for (let [path, object] of eachGenericObject(model)) {
+        if (!objects[object.objectId]) {
+            objects[object.objectId] = object;
+        }
+    }
+
+    let evaluateNode = (object) => {
+        let objectId = object.objectId;
+
+        if (!nodes[objectId]) {
+            let parent = objects[object.parentId],
+                translation = evaluateObjectAnimation(model, object, 'KGTR', sequenceId, frame, globalSequenceTime, vec3.ZERO),
+                rotation = quat.normalize(quat.create(), evaluateObjectAnimation(model, object, 'KGRT', sequenceId, frame, globalSequenceTime, quat.DEFAULT)),
+                scale = evaluateObjectAnimation(model, object, 'KGSC', sequenceId, frame, globalSequenceTime, vec3.ONE),
+                worldMatrix = mat4.create();
+
+            mat4.fromRotationTranslationScaleOrigin(worldMatrix, rotation, translation, scale, model.pivotPoints[objectId] || vec3.ZERO);
+
+            // Add the node before its parents, so broken hierarchies with cycles end.
+            nodes[objectId] = { translation, rotation, scale, worldMatrix };
+
+            if (parent && parent !== object) {
+                mat4.mul(worldMatrix, evaluateNode(parent).worldMatrix, worldMatrix);
+            }
+        }
+
+        return nodes[objectId];
+    };
+
+    for (let object of objects) {
+        if (object) {
+            evaluateNode(object);
+        }
+    }
+
+    let geosets = model.geosets.map((geoset, geosetId) => {
+        let geosetAnimation = null;
+
+        // Like the renderer, the last geoset animation of a geoset is used.
+        for (let object of model.geosetAnimations) {
+            if (object.geosetId === geosetId) {
+                geosetAnimation = object;
+            }
+        }
+
+        if (!geosetAnimation) {
+            return { alpha: 1, color: new Float32Array([1, 1, 1]) };
+        }
+
+        // Animated colors are stored as BGR, while the static color is stored as RGB.
+        let alpha = evaluateObjectAnimation(model, geosetAnimation, 'KGAO', sequenceId, frame, globalSequenceTime, 1),
+            color = evaluateObjectAnimation(model, geosetAnimation, 'KGAC', sequenceId, frame, globalSequenceTime, [...geosetAnimation.color].reverse());
+
+        return { alpha, color: new Float32Array([Math.min(color[2], 1), Math.min(color[1], 1), Math.min(color[0], 1)]) };
+    });
+
+    let layers = model.materials.map((material) => material.layers.map((layer) => {
+        return {
+            alpha: evaluateObjectAnimation(model, layer, 'KMTA', sequenceId, frame, globalSequenceTime, layer.alpha),
+            textureId: evaluateObjectAnimation(model, layer, 'KMTF', sequenceId, frame, globalSequenceTime, layer.textureId)
+        };
+    }));
+
+    return { nodes, geosets, layers };
+};
+
+/**
+ * Skins the vertices and normals of a geoset with the nodes returned by evaluateModel(), on the CPU.
+ * Vertices in matrix groups are transformed by the average of their matrices.
+ * Vertices with Reforged skin weights are transformed by the weighted sum of their matrices.
+ * Objects that don't exist don't transform their vertices.
+ *
+ * Returns an object of the form { vertices, normals }.
+ *
+ * @param {Geoset} geoset
+ * @param {Array<Object>} nodes
+ * @returns {Object}
+ */
+export function skinGeoset(geoset, nodes) {
+    let vertices = geoset.vertices,
+        normals = geoset.normals,
+        matrixIndices = geoset.matrixIndices,
+        skin = geoset.skin,
+        vertexCount = vertices.length / 3,
+        skinnedVertices = new Float32Array(vertexCount * 3),
+        skinnedNormals = new Float32Array(vertexCount * 3),
+        identity = mat4.create(),
+        groupMatrices = [];
+
+    let getMatrix = (objectId) => nodes[objectId] ? nodes[objectId].worldMatrix : identity;
+
+    if (!skin.length) {
+        for (let i = 0, l = geoset.matrixGroups.length, k = 0; i < l; i++) {
+            let size = geoset.matrixGroups[i],
+                matrix = mat4.create();
+
+            if (size) {
+                matrix.fill(0);
+
+                for (let j = 0; j < size; j++) {
+                    mat4.add(matrix, matrix, getMatrix(matrixIndices[k + j]));
+                }
+
+                mat4.multiplyScalar(matrix, matrix, 1 / size);
+            }
+
+            groupMatrices[i] = matrix;
+            k += size;
+        }
+    }
+
+    for (let i = 0; i < vertexCount; i++) {
+        let matrix;
+
+        if (skin.length) {
+            matrix = matrixHeap.fill(0);
+
+            for (let j = 0; j < 4; j++) {
+                let weight = skin[i * 8 + 4 + j];
+
+                if (weight) {
+                    mat4.multiplyScalarAndAdd(matrix, matrix, getMatrix(matrixIndices[skin[i * 8 + j]]), weight / 255);
+                }
+            }
+        } else {
+            matrix = groupMatrices[geoset.vertexGroups[i]] || identity;
+        }
+
+        vec3.transformMat4(skinnedVertices.subarray(i * 3, i * 3 + 3), vertices.subarray(i * 3, i * 3 + 3), matrix);
+
+        // Normals are directions, so they are not translated.
+        if (normals.length === vertices.length) {
+            let normal = skinnedNormals.subarray(i * 3, i * 3 + 3);
+
+            vec3.transformMat4(normal, normals.subarray(i * 3, i * 3 + 3), matrix);
+            vec3.sub(normal, normal, vec3.transformMat4(vertexHeap, vec3.ZERO, matrix));
+            vec3.normalize(normal, normal);
+        }
+    }
+
+    return { vertices: skinnedVertices, normals: skinnedNormals };
+}
@@ -0,0 +1,152 @@
+import { vec3 } from 'gl-matrix';
+import Extent from './extent';
+import { eachGenericObject } from './fixmodel';
+import evaluateModel, { skinGeoset } from './evaluate';
+
+/**
+ * A bounding box that grows as points are added to it.
+ */
+class Bounds {
+    constructor() {
+        this.min = vec3.fromValues(Infinity, Infinity, Infinity);
+        this.max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+    }
+
+    add(point) {
+        vec3.min(this.min, this.min, point);
+        vec3.max(this.max, this.max, point);
+    }
+
+    merge(bounds) {
+        vec3.min(this.min, this.min, bounds.min);
+        vec3.max(this.max, this.max, bounds.max);
+    }
+
+    isEmpty() {
+        return this.min[0] > this.max[0];
+    }
+
+    /**
+     * The bounds radius is of the sphere that is centered on the box, and contains it.
+     *
+     * @param {Extent} extent
+     */
+    write(extent) {
+        if (this.isEmpty()) {
+            extent.min.fill(0);
+            extent.max.fill(0);
+            extent.boundsRadius = 0;
+        } else {
+            extent.min.set(this.min);
+            extent.max.set(this.max);
+            extent.boundsRadius = vec3.distance(this.min, this.max) / 2;
+        }
+    }
+}
+
+/**
+ * The frames at which a sequence is sampled.
+ * Besides regular steps, every frame that has a node keyframe is sampled, so linear animations reach their extremes.
+ *
+ * @param {Model} model
+ * @param {Sequence} sequence
+ * @param {number} frameStep
+ * @returns {Array<number>}
+ */
+function getSampledFrames(model, sequence, frameStep) {
+    let [start, end] = sequence.interval,
+        frames = new Set([start, end]);
+
+    for (let frame = start + frameStep; frame < end; frame += frameStep) {
+        frames.add(frame);
+    }
+
+    for (let [path, object] of eachGenericObject(model)) {
+        for (let animation of object.animations) {
+            if (animation.globalSequenceId === -1) {
+                for (let track of animation.tracks) {
+                    if (track.frame >= start && track.frame <= end) {
+                        frames.add(track.frame);
+                    }
+                }
+            }
+        }
+    }
+
+    return [...frames].sort((a, b) => a - b);
+}
+
+/**
+ * Recomputes the extents of a model, its sequences and its geosets from its geometry, without needing WebGL.
+ *
+ * Geoset extents are of their vertices as they are stored.
+ * For every sequence, the skeleton is evaluated on the CPU at sampled frames, and the vertices are skinned through their matrix groups.
+ * Geoset sequence extents contain all of their skinned vertices in that sequence, and one is made for every sequence.
+ * Sequence extents contain the skinned vertices of the geosets that are visible in the sampled frames, or all of them if none are.
+ * The model extent contains all of the geoset extents and sequence extents.
+ *
+ * The frameStep option is the number of frames between samples, and defaults to 50.
+ *
+ * @param {Model} model
+ * @param {?Object} options
+ */
+export default function computeExtents(model, options) {
+    let frameStep = options && options.frameStep > 0 ? options.frameStep : 50,
+        modelBounds = new Bounds();
+
+    for (let geoset of model.geosets) {
+        let bounds = new Bounds();
+
+        for (let i = 0, l = geoset.vertices.length / 3; i < l; i++) {
+            bounds.add(geoset.vertices.subarray(i * 3, i * 3 + 3));
+        }
+
+        bounds.write(geoset.extent);
+        modelBounds.merge(bounds);
+
+        geoset.sequenceExtents.length = model.sequences.length;
+    }
+
+    for (let [sequenceId, sequence] of model.sequences.entries()) {
+        let geosetBounds = model.geosets.map(() => new Bounds()),
+            visibleBounds = new Bounds(),
+            allBounds = new Bounds();
+
+        for (let frame of getSampledFrames(model, sequence, frameStep)) {
+            let { nodes, geosets } = evaluateModel(model, sequenceId, frame);
+
+            for (let [geosetId, geoset] of model.geosets.entries()) {
+                let frameBounds = new Bounds(),
+                    vertices = skinGeoset(geoset, nodes).vertices;
+
+                for (let i = 0, l = vertices.length; i < l; i += 3) {
+                    frameBounds.add(vertices.subarray(i, i + 3));
+                }
+
+                geosetBounds[geosetId].merge(frameBounds);
+
+                if (geosets[geosetId].alpha > 0) {
+                    visibleBounds.merge(frameBounds);
+                }
+            }
+        }
+
+        for (let [geosetId, geoset] of model.geosets.entries()) {
+            let extent = geoset.sequenceExtents[sequenceId] || new Extent();
+
+            geosetBounds[geosetId].write(extent);
+            allBounds.merge(geosetBounds[geosetId]);
+
+            geoset.sequenceExtents[sequenceId] = extent;
+        }
+
+        if (visibleBounds.isEmpty()) {
+            visibleBounds = allBounds;
+        }
+
+        visibleBounds.write(sequence.extent);
+        modelBounds.merge(visibleBounds);
+    }
+
+    modelBounds.write(model.extent);
+};
@@ -0,0 +1,42 @@
+/**
+ * A Reforged facial animation, which is stored in an external FaceFX file.
+ * Only exists in versions above 800.
+ */
+export default class FaceEffect {
+    constructor() {
+        /** @member {string} */
+        this.type = '';
+        /** @member {string} */
+        this.path = '';
+    }
+
+    readMdx(stream) {
+        this.type = stream.read(80);
+        this.path = stream.read(260);
+    }
+
+    writeMdx(stream) {
+        stream.write(this.type);
+        stream.skip(80 - this.type.length);
+        stream.write(this.path);
+        stream.skip(260 - this.path.length);
+    }
+
+    readMdl(stream) {
+        this.type = stream.read();
+
+        for (let token of stream.readBlock()) {
+            if (token === 'Path') {
+                this.path = stream.read();
+            } else {
+                throw new Error(`Unknown token in FaceFX: "${token}"`);
+            }
+        }
+    }
+
+    writeMdl(stream) {
+        stream.startObjectBlock('FaceFX', this.type);
+        stream.writeStringAttrib('Path', this.path);
+        stream.endBlock();
+    }
+};
@@ -0,0 +1,498 @@
+import { visibilityNames } from './animations';
+
+// Is minVal <= x <= maxVal?
+function inRange(x, minVal, maxVal) {
+    return minVal <= x && x <= maxVal;
+}
+
+// The names of the arrays of generic objects, in the order of their object IDs.
+let genericObjectArrays = [
+    'bones',
+    'lights',
+    'helpers',
+    'attachments',
+    'particleEmitters',
+    'particleEmitters2',
+    'particleEmittersPopcorn',
+    'ribbonEmitters',
+    'eventObjects',
+    'collisionShapes'
+];
+
+/**
+ * Every object with animations in a model, along with its path, e.g. ['materials/0/layers/1', layer].
+ *
+ * @param {Model} model
+ */
+export function* eachAnimatedObject(model) {
+    for (let [i, material] of model.materials.entries()) {
+        for (let [j, layer] of material.layers.entries()) {
+            yield [`materials/${i}/layers/${j}`, layer];
+        }
+    }
+
+    for (let name of ['textureAnimations', 'geosetAnimations', ...genericObjectArrays, 'cameras']) {
+        for (let [i, object] of model[name].entries()) {
+            yield [`${name}/${i}`, object];
+        }
+    }
+}
+
+/**
+ * Every generic object in a model, along with its path, e.g. ['bones/3', bone].
+ *
+ * @param {Model} model
+ */
+export function* eachGenericObject(model) {
+    for (let name of genericObjectArrays) {
+        for (let [i, object] of model[name].entries()) {
+            yield [`${name}/${i}`, object];
+        }
+    }
+}
+
+/**
+ * Every animation in a model, along with its path, e.g. ['bones/3/animations/0', animation].
+ *
+ * @param {Model} model
+ */
+export function* eachAnimation(model) {
+    for (let [path, object] of eachAnimatedObject(model)) {
+        for (let [i, animation] of object.animations.entries()) {
+            yield [`${path}/animations/${i}`, animation];
+        }
+    }
+}
+
+/**
+ * Returns whether a frame is in any of the sequences, or in the global sequence if one is given.
+ *
+ * @param {Model} model
+ * @param {number} frame
+ * @param {number} globalSequenceId
+ * @returns {boolean}
+ */
+function isFrameUsed(model, frame, globalSequenceId) {
+    if (globalSequenceId !== -1) {
+        return inRange(frame, 0, model.globalSequences[globalSequenceId]);
+    }
+
+    for (let sequence of model.sequences) {
+        if (inRange(frame, sequence.interval[0], sequence.interval[1])) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Removes keyframes that are not in any sequence, which are never used.
+ * Like the sanity test, lone keyframes and keyframes at frame 0 are kept.
+ * Global sequences whose first keyframe is after their end use it as a constant value, so it's kept too.
+ * Tracks that would have no keyframes left are not changed.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function dropOutOfRangeKeyframes(model, log) {
+    for (let [path, animation] of eachAnimation(model)) {
+        let globalSequenceId = animation.globalSequenceId,
+            tracks = animation.tracks;
+
+        if (tracks.length < 2 || (globalSequenceId === -1 && !model.sequences.length)) {
+            continue;
+        }
+
+        let kept = tracks.filter((track, index) => track.frame === 0 || isFrameUsed(model, track.frame, globalSequenceId) || (index === 0 && globalSequenceId !== -1));
+
+        if (kept.length && kept.length < tracks.length) {
+            log.push({ fix: 'dropOutOfRangeKeyframes', path, message: `Removed ${tracks.length - kept.length} keyframes that are not in any sequence` });
+
+            animation.tracks = kept;
+        }
+    }
+
+    for (let [index, eventObject] of model.eventObjects.entries()) {
+        let globalSequenceId = eventObject.globalSequenceId,
+            tracks = eventObject.tracks,
+            kept = tracks.filter((frame) => isFrameUsed(model, frame, globalSequenceId));
+
+        if (kept.length && kept.length < tracks.length) {
+            log.push({ fix: 'dropOutOfRangeKeyframes', path: `eventObjects/${index}`, message: `Removed ${tracks.length - kept.length} event tracks that are not in any sequence` });
+
+            eventObject.tracks = kept;
+        }
+    }
+}
+
+/**
+ * Sorts keyframes by their frames.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function sortKeyframes(model, log) {
+    for (let [path, animation] of eachAnimation(model)) {
+        let tracks = animation.tracks;
+
+        if (tracks.some((track, index) => index && track.frame < tracks[index - 1].frame)) {
+            tracks.sort((a, b) => a.frame - b.frame);
+
+            log.push({ fix: 'sortKeyframes', path, message: 'Sorted the keyframes' });
+        }
+    }
+
+    for (let [index, eventObject] of model.eventObjects.entries()) {
+        let tracks = eventObject.tracks;
+
+        if (tracks.some((frame, index) => index && frame < tracks[index - 1])) {
+            tracks.sort();
+
+            log.push({ fix: 'sortKeyframes', path: `eventObjects/${index}`, message: 'Sorted the event tracks' });
+        }
+    }
+}
+
+/**
+ * Clamps interpolation types to the known ones, and sets visibility tracks to not interpolate.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function clampInterpolationTypes(model, log) {
+    for (let [path, animation] of eachAnimation(model)) {
+        let interpolationType = animation.interpolationType,
+            fixed = visibilityNames.has(animation.name) ? 0 : Math.min(Math.max(interpolationType, 0), 3);
+
+        if (fixed !== interpolationType) {
+            log.push({ fix: 'clampInterpolationTypes', path, message: `Changed the interpolation type from ${interpolationType} to ${fixed}` });
+
+            animation.interpolationType = fixed;
+        }
+    }
+}
+
+/**
+ * Changes references to objects that don't exist.
+ * Texture and material references are changed to the first texture or material, and all other references are removed.
+ * Geoset animations of geosets that don't exist are deleted.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function fixInvalidReferences(model, log) {
+    let textures = model.textures.length,
+        materials = model.materials.length,
+        globalSequences = model.globalSequences.length,
+        geosets = model.geosets.length,
+        objectIds = new Set();
+
+    let fix = (path, object, key, count, fallback, message) => {
+        let id = object[key];
+
+        if (!inRange(id, 0, count - 1) && id !== fallback && (fallback !== 0 || count)) {
+            log.push({ fix: 'fixInvalidReferences', path, message: `${message} ${id} changed to ${fallback}` });
+
+            object[key] = fallback;
+        }
+    };
+
+    for (let [i, material] of model.materials.entries()) {
+        for (let [j, layer] of material.layers.entries()) {
+            let path = `materials/${i}/layers/${j}`;
+
+            fix(path, layer, 'textureId', textures, 0, 'Invalid texture');
+            fix(path, layer, 'textureAnimationId', model.textureAnimations.length, -1, 'Invalid texture animation');
+
+            for (let [k, animation] of layer.animations.entries()) {
+                if (animation.name === 'KMTF') {
+                    for (let [l, track] of animation.tracks.entries()) {
+                        fix(`${path}/animations/${k}/tracks/${l}`, track, 'value', textures, 0, 'Invalid texture');
+                    }
+                }
+            }
+        }
+    }
+
+    for (let [i, geoset] of model.geosets.entries()) {
+        fix(`geosets/${i}`, geoset, 'materialId', materials, 0, 'Invalid material');
+    }
+
+    for (let [i, emitter] of model.particleEmitters2.entries()) {
+        fix(`particleEmitters2/${i}`, emitter, 'textureId', textures, 0, 'Invalid texture');
+    }
+
+    for (let [i, emitter] of model.ribbonEmitters.entries()) {
+        fix(`ribbonEmitters/${i}`, emitter, 'materialId', materials, 0, 'Invalid material');
+    }
+
+    for (let [path, animation] of eachAnimation(model)) {
+        fix(path, animation, 'globalSequenceId', globalSequences, -1, 'Invalid global sequence');
+    }
+
+    for (let [i, eventObject] of model.eventObjects.entries()) {
+        fix(`eventObjects/${i}`, eventObject, 'globalSequenceId', globalSequences, -1, 'Invalid global sequence');
+    }
+
+    // Geoset animations of geosets that don't exist do nothing.
+    for (let i = model.geosetAnimations.length - 1; i >= 0; i--) {
+        let geosetId = model.geosetAnimations[i].geosetId;
+
+        if (!inRange(geosetId, 0, geosets - 1)) {
+            removeGeosetAnimation(model, i);
+
+            log.push({ fix: 'fixInvalidReferences', path: `geosetAnimations/${i}`, message: `Removed a geoset animation of the invalid geoset ${geosetId}` });
+        }
+    }
+
+    for (let [i, bone] of model.bones.entries()) {
+        fix(`bones/${i}`, bone, 'geosetId', geosets, -1, 'Invalid geoset');
+        fix(`bones/${i}`, bone, 'geosetAnimationId', model.geosetAnimations.length, -1, 'Invalid geoset animation');
+    }
+
+    for (let [path, object] of eachGenericObject(model)) {
+        objectIds.add(object.objectId);
+    }
+
+    for (let [path, object] of eachGenericObject(model)) {
+        let parentId = object.parentId;
+
+        if (parentId !== -1 && (!objectIds.has(parentId) || parentId === object.objectId)) {
+            log.push({ fix: 'fixInvalidReferences', path, message: `Invalid parent ${parentId} changed to -1` });
+
+            object.parentId = -1;
+        }
+    }
+}
+
+/**
+ * Adds missing pivot points at the origin, and removes pivot points that have no objects.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function fixPivotPoints(model, log) {
+    let pivotPoints = model.pivotPoints,
+        count = [...eachGenericObject(model)].length;
+
+    if (pivotPoints.length < count) {
+        log.push({ fix: 'fixPivotPoints', path: 'pivotPoints', message: `Added ${count - pivotPoints.length} missing pivot points` });
+
+        while (pivotPoints.length < count) {
+            pivotPoints.push(new Float32Array(3));
+        }
+    } else if (pivotPoints.length > count) {
+        log.push({ fix: 'fixPivotPoints', path: 'pivotPoints', message: `Removed ${pivotPoints.length - count} pivot points that have no objects` });
+
+        pivotPoints.length = count;
+    }
+}
+
+/**
+ * Removes a geoset animation, and renumbers the references to the ones after it.
+ *
+ * @param {Model} model
+ * @param {number} index
+ */
+export function removeGeosetAnimation(model, index) {
+    model.geosetAnimations.splice(index, 1);
+
+    for (let bone of model.bones) {
+        if (bone.geosetAnimationId === index) {
+            bone.geosetAnimationId = -1;
+        } else if (bone.geosetAnimationId > index) {
+            bone.geosetAnimationId -= 1;
+        }
+    }
+}
+
+/**
+ * Removes the objects of one of the arrays of a model which are not used, and renumbers all of the references to the rest.
+ * The references are given as a function that calls its argument with an object and the key of a reference for every reference.
+ * Returns the indices of the removed objects.
+ *
+ * @param {Array} objects
+ * @param {function(function(Object, string))} eachReference
+ * @returns {Array<number>}
+ */
+export function removeUnused(objects, eachReference) {
+    let used = new Set(),
+        removed = [],
+        remap = [];
+
+    eachReference((object, key) => {
+        used.add(object[key]);
+    });
+
+    for (let i = 0, l = objects.length, next = 0; i < l; i++) {
+        if (used.has(i)) {
+            remap[i] = next++;
+        } else {
+            removed.push(i);
+        }
+    }
+
+    if (removed.length) {
+        for (let i = removed.length - 1; i >= 0; i--) {
+            objects.splice(removed[i], 1);
+        }
+
+        eachReference((object, key) => {
+            let index = object[key];
+
+            if (remap[index] !== undefined) {
+                object[key] = remap[index];
+            }
+        });
+    }
+
+    return removed;
+}
+
+/**
+ * Every reference to a texture.
+ *
+ * @param {Model} model
+ * @param {function(Object, string)} callback
+ */
+export function eachTextureReference(model, callback) {
+    for (let material of model.materials) {
+        for (let layer of material.layers) {
+            callback(layer, 'textureId');
+
+            for (let animation of layer.animations) {
+                if (animation.name === 'KMTF') {
+                    for (let track of animation.tracks) {
+                        callback(track, 'value');
+                    }
+                }
+            }
+        }
+    }
+
+    for (let emitter of model.particleEmitters2) {
+        callback(emitter, 'textureId');
+    }
+}
+
+/**
+ * Every reference to a material.
+ *
+ * @param {Model} model
+ * @param {function(Object, string)} callback
+ */
+export function eachMaterialReference(model, callback) {
+    for (let geoset of model.geosets) {
+        callback(geoset, 'materialId');
+    }
+
+    for (let emitter of model.ribbonEmitters) {
+        callback(emitter, 'materialId');
+    }
+}
+
+/**
+ * Every reference to a texture animation.
+ *
+ * @param {Model} model
+ * @param {function(Object, string)} callback
+ */
+export function eachTextureAnimationReference(model, callback) {
+    for (let material of model.materials) {
+        for (let layer of material.layers) {
+            callback(layer, 'textureAnimationId');
+        }
+    }
+}
+
+/**
+ * Every reference to a global sequence.
+ *
+ * @param {Model} model
+ * @param {function(Object, string)} callback
+ */
+export function eachGlobalSequenceReference(model, callback) {
+    for (let [path, animation] of eachAnimation(model)) {
+        callback(animation, 'globalSequenceId');
+    }
+
+    for (let eventObject of model.eventObjects) {
+        callback(eventObject, 'globalSequenceId');
+    }
+}
+
+/**
+ * @param {Array<Object>} log
+ * @param {string} fix
+ * @param {string} path
+ * @param {Array<number>} removed
+ * @param {string} name
+ */
+function logRemoved(log, fix, path, removed, name) {
+    for (let index of removed) {
+        log.push({ fix, path: `${path}/${index}`, message: `Removed an unused ${name}` });
+    }
+}
+
+/**
+ * Applies safe fixes to the problems that the sanity test finds.
+ * Every fix can be disabled by setting it to false in the options, e.g. { sortKeyframes: false }:
+ *     clampInterpolationTypes - Clamp interpolation types to the known ones, and don't interpolate visibility tracks.
+ *     fixInvalidReferences - Change references to textures, materials, and other objects that don't exist.
+ *     dropOutOfRangeKeyframes - Remove keyframes that are not in any sequence.
+ *     sortKeyframes - Sort keyframes by their frames.
+ *     fixPivotPoints - Add missing pivot points, and remove extra ones.
+ *     removeUnusedMaterials - Remove materials that no geoset or ribbon emitter uses.
+ *     removeUnusedTextures - Remove textures that no layer or particle emitter uses.
+ *     removeUnusedGlobalSequences - Remove global sequences that no animation uses.
+ *
+ * Returns a log of the changes, where each change is an object of the form { fix, path, message }.
+ * The paths are in the same form as the paths of the sanity test diagnostics, e.g. 'bones/0/animations/1'.
+ * Note that paths are of the objects as they were when the fix was applied, before any later objects were removed.
+ *
+ * @param {Model} model
+ * @param {?Object} options
+ * @returns {Array<Object>}
+ */
+export default function fixModel(model, options) {
+    let log = [],
+        enabled = (name) => !options || options[name] !== false;
+
+    if (enabled('clampInterpolationTypes')) {
+        clampInterpolationTypes(model, log);
+    }
+
+    // Keyframes are matched to their global sequences, so invalid global sequences are fixed first.
+    if (enabled('fixInvalidReferences')) {
+        fixInvalidReferences(model, log);
+    }
+
+    // The renderer only uses the first keyframe of a global sequence as a constant value if it's first before sorting, so drop keyframes before sorting.
+    if (enabled('dropOutOfRangeKeyframes')) {
+        dropOutOfRangeKeyframes(model, log);
+    }
+
+    if (enabled('sortKeyframes')) {
+        sortKeyframes(model, log);
+    }
+
+    if (enabled('fixPivotPoints')) {
+        fixPivotPoints(model, log);
+    }
+
+    // Materials go first, since the textures and global sequences of removed materials become unused.
+    if (enabled('removeUnusedMaterials')) {
+        logRemoved(log, 'removeUnusedMaterials', 'materials', removeUnused(model.materials, (callback) => eachMaterialReference(model, callback)), 'material');
+    }
+
+    if (enabled('removeUnusedTextures')) {
+        logRemoved(log, 'removeUnusedTextures', 'textures', removeUnused(model.textures, (callback) => eachTextureReference(model, callback)), 'texture');
+    }
+
+    if (enabled('removeUnusedGlobalSequences')) {
+        logRemoved(log, 'removeUnusedGlobalSequences', 'globalSequences', removeUnused(model.globalSequences, (callback) => eachGlobalSequenceReference(model, callback)), 'global sequence');
+    }
+
+    return log;
+};
@@ -30,9 +30,38 @@ export default class Geoset {
         this.sequenceExtents = [];
         /** @member {Array<Float32Array>} */
         this.textureCoordinateSets = [];
+        /**
+         * The level of detail of this geoset, where 0 is the most detailed.
+         * Only saved in versions above 800.
+         *
+         * @member {number}
+         */
+        this.lod = 0;
+        /**
+         * Only saved in versions above 800.
+         *
+         * @member {string}
+         */
+        this.lodName = '';
+        /**
+         * A tangent for every vertex, in the form [X, Y, Z, W].
+         * Only saved in versions above 800.
+         *
+         * @member {Float32Array}
+         */
+        this.tangents = new Float32Array(0);
+        /**
+         * The skin weights of every vertex, in the form [Bone0, Bone1, Bone2, Bone3, Weight0, Weight1, Weight2, Weight3].
+         * The bones are indices into the matrix indices, and the weights add up to 255.
+         * When they exist, they are used instead of the vertex groups.
+         * Only saved in versions above 800.
+         *
+         * @member {Uint8Array}
+         */
+        this.skin = new Uint8Array(0);
     }
 
-    readMdx(stream) {
+    readMdx(stream, version) {
         stream.readUint32(); // Don't care about the size.
         stream.skip(4); // VRTX
         this.vertices = stream.readFloat32Array(stream.readUint32() * 3);
@@ -53,6 +82,12 @@ export default class Geoset {
         this.materialId = stream.readUint32();
         this.selectionGroup = stream.readUint32();
         this.selectionFlags = stream.readUint32();
+
+        if (version > 800) {
+            this.lod = stream.readUint32();
+            this.lodName = stream.read(80);
+        }
+
         this.extent.readMdx(stream);
 
         for (let i = 0, l = stream.readUint32(); i < l; i++) {
@@ -63,6 +98,18 @@ export default class Geoset {
             this.sequenceExtents.push(extent);
         }
 
+        if (version > 800) {
+            if (stream.peek(4) === 'TANG') {
+                stream.skip(4);
+                this.tangents = stream.readFloat32Array(stream.readUint32() * 4);
+            }
+
+            if (stream.peek(4) === 'SKIN') {
+                stream.skip(4);
+                this.skin = stream.readUint8Array(stream.readUint32());
+            }
+        }
+
         stream.skip(4); // UVAS
 
         for (let i = 0, l = stream.readUint32(); i < l; i++) {
@@ -71,8 +118,8 @@ export default class Geoset {
         }
     }
 
-    writeMdx(stream) {
-        stream.writeUint32(this.getByteLength());
+    writeMdx(stream, version) {
+        stream.writeUint32(this.getByteLength(version));
         stream.write('VRTX');
         stream.writeUint32(this.vertices.length / 3);
         stream.writeFloat32Array(this.vertices);
@@ -100,6 +147,13 @@ export default class Geoset {
         stream.writeUint32(this.materialId);
         stream.writeUint32(this.selectionGroup);
         stream.writeUint32(this.selectionFlags);
+
+        if (version > 800) {
+            stream.writeUint32(this.lod);
+            stream.write(this.lodName);
+            stream.skip(80 - this.lodName.length);
+        }
+
         this.extent.writeMdx(stream);
         stream.writeUint32(this.sequenceExtents.length);
 
@@ -107,6 +161,20 @@ export default class Geoset {
             sequenceExtent.writeMdx(stream);
         }
 
+        if (version > 800) {
+            if (this.tangents.length) {
+                stream.write('TANG');
+                stream.writeUint32(this.tangents.length / 4);
+                stream.writeFloat32Array(this.tangents);
+            }
+
+            if (this.skin.length) {
+                stream.write('SKIN');
+                stream.writeUint32(this.skin.length);
+                stream.writeUint8Array(this.skin);
+            }
+        }
+
         stream.write('UVAS');
         stream.writeUint32(this.textureCoordinateSets.length);
 
@@ -123,6 +191,10 @@ export default class Geoset {
                 this.vertices = stream.readVectorArray(new Float32Array(stream.readInt() * 3), 3);
             } else if (token === 'Normals') {
                 this.normals = stream.readVectorArray(new Float32Array(stream.readInt() * 3), 3);
+            } else if (token === 'Tangents') {
+                this.tangents = stream.readVectorArray(new Float32Array(stream.readInt() * 4), 4);
+            } else if (token === 'SkinWeights') {
+                this.skin = stream.readIntArray(new Uint8Array(stream.readInt() * 8));
             } else if (token === 'TVertices') {
                 this.textureCoordinateSets.push(stream.readVectorArray(new Float32Array(stream.readInt() * 2), 2));
             } else if (token === 'VertexGroup') {
@@ -142,14 +214,14 @@ export default class Geoset {
 
                 let count = stream.readInt();
 
-                stream.read(); // {
-                stream.read(); // Triangles
-                stream.read(); // {
+                stream.expect('{');
+                stream.expect('Triangles');
+                stream.expect('{');
 
                 this.faces = stream.readIntArray(new Uint16Array(count));
 
-                stream.read(); // }
-                stream.read(); // }
+                stream.expect('}');
+                stream.expect('}');
             } else if (token === 'Groups') {
                 let indices = [],
                     groups = [];
@@ -196,18 +268,36 @@ export default class Geoset {
                 this.selectionGroup = stream.readInt();
             } else if (token === 'Unselectable') {
                 this.selectionFlags = 4;
+            } else if (token === 'LevelOfDetail') {
+                this.lod = stream.readInt();
+            } else if (token === 'Name') {
+                this.lodName = stream.read();
             } else {
                 throw new Error(`Unknown token in Geoset: "${token}"`);
             }
         }
     }
 
-    writeMdl(stream) {
+    writeMdl(stream, version) {
         stream.startBlock('Geoset');
 
         stream.writeVectorArray('Vertices', this.vertices, 3);
         stream.writeVectorArray('Normals', this.normals, 3);
 
+        if (version > 800) {
+            if (this.tangents.length) {
+                stream.writeVectorArray('Tangents', this.tangents, 4);
+            }
+
+            if (this.skin.length) {
+                stream.startBlock('SkinWeights', this.skin.length / 8);
+                for (let i = 0, l = this.skin.length; i < l; i += 8) {
+                    stream.writeLine(`${this.skin.subarray(i, i + 8).join(', ')},`);
+                }
+                stream.endBlock();
+            }
+        }
+
         for (let textureCoordinateSet of this.textureCoordinateSets) {
             stream.writeVectorArray('TVertices', textureCoordinateSet, 2);
         }
@@ -248,16 +338,36 @@ export default class Geoset {
             stream.writeFlag('Unselectable');
         }
 
+        if (version > 800) {
+            stream.writeAttrib('LevelOfDetail', this.lod);
+
+            if (this.lodName.length) {
+                stream.writeStringAttrib('Name', this.lodName);
+            }
+        }
+
         stream.endBlock();
     }
 
-    getByteLength() {
+    getByteLength(version) {
         let size = 120 + this.vertices.byteLength + this.normals.byteLength + this.faceTypeGroups.byteLength + this.faceGroups.byteLength + this.faces.byteLength + this.vertexGroups.byteLength + this.matrixGroups.byteLength + this.matrixIndices.byteLength + this.sequenceExtents.length * 28;
 
         for (let textureCoordinateSet of this.textureCoordinateSets) {
             size += 8 + textureCoordinateSet.byteLength;
         }
 
+        if (version > 800) {
+            size += 84;
+
+            if (this.tangents.length) {
+                size += 8 + this.tangents.byteLength;
+            }
+
+            if (this.skin.length) {
+                size += 8 + this.skin.byteLength;
+            }
+        }
+
         return size;
     }
 };
@@ -0,0 +1,560 @@
+import { vec3, quat, mat4 } from 'gl-matrix';
+import encodePng from '../../common/png';
+import BlpImage from '../blp/image';
+import { evaluateObjectAnimation } from './evaluate';
+import { eachGenericObject } from './fixmodel';
+
+// glTF accessor component types.
+let FLOAT = 5126,
+    UNSIGNED_BYTE = 5121,
+    UNSIGNED_SHORT = 5123,
+    UNSIGNED_INT = 5125;
+
+// glTF buffer view targets.
+let ARRAY_BUFFER = 34962,
+    ELEMENT_ARRAY_BUFFER = 34963;
+
+// glTF sampler wrap modes.
+let REPEAT = 10497,
+    CLAMP_TO_EDGE = 33071;
+
+let componentCounts = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT4: 16
+};
+
+// Warcraft 3 is Z up, while glTF is Y up.
+let zUpToYUp = quat.setAxisAngle(quat.create(), [1, 0, 0], -Math.PI / 2);
+
+/**
+ * Builds the JSON and binary chunks of a GLB file.
+ */
+class GlbBuilder {
+    constructor() {
+        this.json = {
+            asset: { version: '2.0', generator: 'mdx-m3-viewer' },
+            extensionsUsed: [],
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [],
+            meshes: [],
+            skins: [],
+            materials: [],
+            textures: [],
+            samplers: [],
+            images: [],
+            animations: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: [{ byteLength: 0 }]
+        };
+        /** @member {Array<Uint8Array>} */
+        this.chunks = [];
+        /** @member {number} */
+        this.byteLength = 0;
+    }
+
+    /**
+     * @param {TypedArray} typedArray
+     * @param {?number} target
+     * @returns {number}
+     */
+    addBufferView(typedArray, target) {
+        let bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength),
+            padding = (4 - this.byteLength % 4) % 4,
+            bufferView = { buffer: 0, byteOffset: this.byteLength + padding, byteLength: bytes.byteLength };
+
+        if (target) {
+            bufferView.target = target;
+        }
+
+        this.chunks.push(new Uint8Array(padding), bytes);
+        this.byteLength += padding + bytes.byteLength;
+
+        return this.json.bufferViews.push(bufferView) - 1;
+    }
+
+    /**
+     * @param {TypedArray} typedArray
+     * @param {string} type
+     * @param {?number} target
+     * @param {?boolean} withBounds
+     * @returns {number}
+     */
+    addAccessor(typedArray, type, target, withBounds) {
+        let componentCount = componentCounts[type],
+            count = typedArray.length / componentCount,
+            accessor = { bufferView: this.addBufferView(typedArray, target), componentType: FLOAT, count, type };
+
+        if (typedArray instanceof Uint8Array) {
+            accessor.componentType = UNSIGNED_BYTE;
+        } else if (typedArray instanceof Uint16Array) {
+            accessor.componentType = UNSIGNED_SHORT;
+        } else if (typedArray instanceof Uint32Array) {
+            accessor.componentType = UNSIGNED_INT;
+        }
+
+        if (withBounds) {
+            let min = new Array(componentCount).fill(Infinity),
+                max = new Array(componentCount).fill(-Infinity);
+
+            for (let i = 0; i < count; i++) {
+                for (let j = 0; j < componentCount; j++) {
+                    let value = typedArray[i * componentCount + j];
+
+                    min[j] = Math.min(min[j], value);
+                    max[j] = Math.max(max[j], value);
+                }
+            }
+
+            accessor.min = min;
+            accessor.max = max;
+        }
+
+        return this.json.accessors.push(accessor) - 1;
+    }
+
+    /**
+     * @returns {ArrayBuffer}
+     */
+    save() {
+        let json = this.json;
+
+        json.buffers[0].byteLength = this.byteLength;
+
+        // glTF doesn't allow empty arrays.
+        for (let key of Object.keys(json)) {
+            if (Array.isArray(json[key]) && !json[key].length) {
+                delete json[key];
+            }
+        }
+
+        let jsonBytes = new TextEncoder().encode(JSON.stringify(json)),
+            jsonLength = Math.ceil(jsonBytes.byteLength / 4) * 4,
+            binLength = Math.ceil(this.byteLength / 4) * 4,
+            buffer = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength),
+            bytes = new Uint8Array(buffer),
+            view = new DataView(buffer);
+
+        view.setUint32(0, 0x46546C67, true); // glTF
+        view.setUint32(4, 2, true);
+        view.setUint32(8, buffer.byteLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // JSON
+        bytes.fill(0x20, 20, 20 + jsonLength); // The JSON chunk is padded with spaces.
+        bytes.set(jsonBytes, 20);
+
+        let offset = 20 + jsonLength;
+
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, 0x004E4942, true); // BIN
+        offset += 8;
+
+        for (let chunk of this.chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+
+        return buffer;
+    }
+}
+
+/**
+ * The frames of a sequence at which an animation is sampled.
+ * Linear and non-interpolated animations only need their keyframes, and the start and end of the sequence.
+ * Other animations, and animations of global sequences, are also sampled at the frame rate.
+ *
+ * @param {Model} model
+ * @param {Animation} animation
+ * @param {Sequence} sequence
+ * @param {number} frameRate
+ * @returns {Array<number>}
+ */
+function getAnimationFrames(model, animation, sequence, frameRate) {
+    let [start, end] = sequence.interval,
+        frames = new Set([start, end]),
+        globalSequenceId = animation.globalSequenceId;
+
+    if (globalSequenceId !== -1 || animation.interpolationType > 1) {
+        let step = 1000 / frameRate;
+
+        for (let frame = start + step; frame < end; frame += step) {
+            frames.add(Math.round(frame));
+        }
+    }
+
+    if (globalSequenceId === -1) {
+        for (let track of animation.tracks) {
+            if (track.frame >= start && track.frame <= end) {
+                frames.add(track.frame);
+            }
+        }
+    } else {
+        let duration = model.globalSequences[globalSequenceId];
+
+        // The keyframes of global sequences repeat every duration.
+        if (duration) {
+            for (let loop = start; loop <= end; loop += duration) {
+                for (let track of animation.tracks) {
+                    if (track.frame <= duration && loop + track.frame <= end) {
+                        frames.add(loop + track.frame);
+                    }
+                }
+            }
+        }
+    }
+
+    return [...frames].sort((a, b) => a - b);
+}
+
+/**
+ * Exports a model to a binary glTF 2.0 file, without needing a canvas or WebGL.
+ *
+ * Every generic object becomes a node, and the nodes are the joints of one skin.
+ * Since glTF nodes rotate around their origins, every node is placed at its pivot point, and its inverse bind matrix moves it back.
+ * Geosets become meshes, where matrix groups and Reforged skin weights become up to 4 joints per vertex.
+ * Vertices that reference objects that don't exist are attached to the root node.
+ * Reforged geosets of other levels of detail than 0 are skipped, like in the renderer.
+ *
+ * Every sequence with node animations becomes an animation.
+ * Linear and non-interpolated tracks are mapped to their keyframes, while Hermite and Bezier tracks, and tracks of global sequences, are resampled.
+ * Like evaluateModel(), animations are evaluated with the same semantics as the renderer, and global sequences start with each sequence.
+ * Geoset and layer animations have no glTF equivalent, and are not exported.
+ *
+ * Materials use their first layers, where the filter mode chooses the alpha mode.
+ * BLP textures are decoded, and embedded as PNG images.
+ *
+ * The options are:
+ *     getTexture - A function that gets a texture path, and returns the texture file as an ArrayBuffer, or null if it doesn't exist.
+ *                  Without it, no textures are embedded.
+ *     frameRate - The number of samples per second of resampled tracks, 30 by default.
+ *
+ * @param {Model} model
+ * @param {?Object} options
+ * @returns {ArrayBuffer}
+ */
+export default function exportGltf(model, options) {
+    let getTexture = options && options.getTexture,
+        frameRate = options && options.frameRate > 0 ? options.frameRate : 30,
+        builder = new GlbBuilder(),
+        json = builder.json,
+        objects = [],
+        nodeIds = [],
+        jointIds = [],
+        rootChildren = [];
+
+    json.nodes.push({ name: model.name || 'Model', rotation: [...zUpToYUp], children: rootChildren });
+
+    // The hierarchy uses object IDs.
+    for (let [path, object] of eachGenericObject(model)) {
+        if (!objects[object.objectId]) {
+            objects[object.objectId] = object;
+        }
+    }
+
+    let getPivot = (object) => object ? model.pivotPoints[object.objectId] || vec3.ZERO : vec3.ZERO;
+
+    // Parents that would make a cycle are ignored, since glTF nodes must form trees.
+    let getParent = (object) => {
+        let parent = objects[object.parentId],
+            visited = new Set([object]);
+
+        for (let ancestor = parent; ancestor; ancestor = objects[ancestor.parentId]) {
+            if (visited.has(ancestor)) {
+                return null;
+            }
+
+            visited.add(ancestor);
+        }
+
+        return parent || null;
+    };
+
+    let parents = [];
+
+    for (let object of objects) {
+        if (object) {
+            let objectId = object.objectId,
+                parent = getParent(object),
+                translation = vec3.sub(vec3.create(), getPivot(object), getPivot(parent));
+
+            parents[objectId] = parent;
+            nodeIds[objectId] = json.nodes.push({ name: object.name, translation: [...translation] }) - 1;
+        }
+    }
+
+    for (let object of objects) {
+        if (object) {
+            let parent = parents[object.objectId];
+
+            if (parent) {
+                let node = json.nodes[nodeIds[parent.objectId]];
+
+                node.children = node.children || [];
+                node.children.push(nodeIds[object.objectId]);
+            } else {
+                rootChildren.push(nodeIds[object.objectId]);
+            }
+        }
+    }
+
+    // The skin. The root node is the first joint, and is used by vertices that reference objects that don't exist.
+    let joints = [0],
+        inverseBindMatrices = [...mat4.create()];
+
+    for (let object of objects) {
+        if (object) {
+            jointIds[object.objectId] = joints.push(nodeIds[object.objectId]) - 1;
+            inverseBindMatrices.push(...mat4.fromTranslation(mat4.create(), vec3.negate(vec3.create(), getPivot(object))));
+        }
+    }
+
+    json.skins.push({ joints, skeleton: 0, inverseBindMatrices: builder.addAccessor(new Float32Array(inverseBindMatrices), 'MAT4') });
+
+    // Textures and materials are added as they are used.
+    let textureIds = [],
+        materialIds = [];
+
+    let addTexture = (textureId) => {
+        let texture = model.textures[textureId];
+
+        if (!getTexture || !texture || !texture.path.toLowerCase().endsWith('.blp')) {
+            return -1;
+        }
+
+        if (textureIds[textureId] === undefined) {
+            textureIds[textureId] = -1;
+
+            let buffer = getTexture(texture.path);
+
+            if (buffer) {
+                let blpImage,
+                    mipmap;
+
+                try {
+                    blpImage = new BlpImage(buffer);
+                    mipmap = blpImage.getMipmap(0);
+                } catch (e) {
+                    return -1;
+                }
+
+                let pixels = mipmap.data,
+                    opaque = blpImage.alphaBits === 0;
+
+                // BLP pixels are BGRA.
+                // JPEG images without alpha bits still store an alpha component, which the game doesn't use, so the exported image is opaque.
+                for (let i = 0, l = pixels.length; i < l; i += 4) {
+                    let b = pixels[i];
+
+                    pixels[i] = pixels[i + 2];
+                    pixels[i + 2] = b;
+
+                    if (opaque) {
+                        pixels[i + 3] = 255;
+                    }
+                }
+
+                let image = json.images.push({ name: texture.path, mimeType: 'image/png', bufferView: builder.addBufferView(encodePng(mipmap)) }) - 1,
+                    sampler = json.samplers.push({ wrapS: texture.flags & 0x1 ? REPEAT : CLAMP_TO_EDGE, wrapT: texture.flags & 0x2 ? REPEAT : CLAMP_TO_EDGE }) - 1;
+
+                textureIds[textureId] = json.textures.push({ source: image, sampler }) - 1;
+            }
+        }
+
+        return textureIds[textureId];
+    };
+
+    let addMaterial = (materialId) => {
+        let material = model.materials[materialId];
+
+        if (!material) {
+            return -1;
+        }
+
+        if (materialIds[materialId] === undefined) {
+            let layer = material.layers[0],
+                gltfMaterial = { name: `Material ${materialId}`, pbrMetallicRoughness: { metallicFactor: 0, roughnessFactor: 1 } };
+
+            if (layer) {
+                let texture = addTexture(layer.textureId),
+                    filterMode = layer.filterMode;
+
+                gltfMaterial.pbrMetallicRoughness.baseColorFactor = [1, 1, 1, layer.alpha];
+
+                if (texture !== -1) {
+                    gltfMaterial.pbrMetallicRoughness.baseColorTexture = { index: texture };
+                }
+
+                if (filterMode === 1) {
+                    gltfMaterial.alphaMode = 'MASK';
+                    gltfMaterial.alphaCutoff = 0.75;
+                } else if (filterMode > 1) {
+                    gltfMaterial.alphaMode = 'BLEND';
+                }
+
+                if (layer.flags & 0x10) {
+                    gltfMaterial.doubleSided = true;
+                }
+
+                if (layer.flags & 0x1) {
+                    gltfMaterial.extensions = { KHR_materials_unlit: {} };
+
+                    if (!json.extensionsUsed.includes('KHR_materials_unlit')) {
+                        json.extensionsUsed.push('KHR_materials_unlit');
+                    }
+                }
+            }
+
+            materialIds[materialId] = json.materials.push(gltfMaterial) - 1;
+        }
+
+        return materialIds[materialId];
+    };
+
+    let getJoint = (objectId) => jointIds[objectId] === undefined ? 0 : jointIds[objectId];
+
+    for (let [geosetId, geoset] of model.geosets.entries()) {
+        let vertexCount = geoset.vertices.length / 3;
+
+        if (geoset.lod !== 0 || !vertexCount || !geoset.faces.length) {
+            continue;
+        }
+
+        let jointArray = joints.length > 256 ? new Uint16Array(vertexCount * 4) : new Uint8Array(vertexCount * 4),
+            weightArray = new Float32Array(vertexCount * 4),
+            matrixIndices = geoset.matrixIndices,
+            skin = geoset.skin;
+
+        if (skin.length) {
+            for (let i = 0; i < vertexCount; i++) {
+                let total = 0;
+
+                for (let j = 0; j < 4; j++) {
+                    let weight = skin[i * 8 + 4 + j];
+
+                    if (weight) {
+                        jointArray[i * 4 + j] = getJoint(matrixIndices[skin[i * 8 + j]]);
+                        weightArray[i * 4 + j] = weight;
+                        total += weight;
+                    }
+                }
+
+                if (total) {
+                    for (let j = 0; j < 4; j++) {
+                        weightArray[i * 4 + j] /= total;
+                    }
+                } else {
+                    weightArray[i * 4] = 1;
+                }
+            }
+        } else {
+            let groups = [];
+
+            for (let i = 0, l = geoset.matrixGroups.length, k = 0; i < l; i++) {
+                groups[i] = matrixIndices.subarray(k, k + geoset.matrixGroups[i]);
+                k += geoset.matrixGroups[i];
+            }
+
+            for (let i = 0; i < vertexCount; i++) {
+                let group = groups[geoset.vertexGroups[i]],
+                    count = group ? Math.min(group.length, 4) : 0; // Like the renderer, up to 4 objects are used.
+
+                if (count) {
+                    for (let j = 0; j < count; j++) {
+                        jointArray[i * 4 + j] = getJoint(group[j]);
+                        weightArray[i * 4 + j] = 1 / count;
+                    }
+                } else {
+                    weightArray[i * 4] = 1;
+                }
+            }
+        }
+
+        let attributes = {
+            POSITION: builder.addAccessor(geoset.vertices, 'VEC3', ARRAY_BUFFER, true),
+            JOINTS_0: builder.addAccessor(jointArray, 'VEC4', ARRAY_BUFFER),
+            WEIGHTS_0: builder.addAccessor(weightArray, 'VEC4', ARRAY_BUFFER)
+        };
+
+        if (geoset.normals.length === geoset.vertices.length) {
+            attributes.NORMAL = builder.addAccessor(geoset.normals, 'VEC3', ARRAY_BUFFER);
+        }
+
+        for (let [i, uvs] of geoset.textureCoordinateSets.entries()) {
+            if (uvs.length === vertexCount * 2) {
+                attributes[`TEXCOORD_${i}`] = builder.addAccessor(uvs, 'VEC2', ARRAY_BUFFER);
+            }
+        }
+
+        let primitive = { attributes, indices: builder.addAccessor(geoset.faces, 'SCALAR', ELEMENT_ARRAY_BUFFER) },
+            material = addMaterial(geoset.materialId);
+
+        if (material !== -1) {
+            primitive.material = material;
+        }
+
+        let mesh = json.meshes.push({ name: `Geoset ${geosetId}`, primitives: [primitive] }) - 1;
+
+        rootChildren.push(json.nodes.push({ name: `Geoset ${geosetId}`, mesh, skin: 0 }) - 1);
+    }
+
+    for (let [sequenceId, sequence] of model.sequences.entries()) {
+        let animation = { name: sequence.name, channels: [], samplers: [] };
+
+        for (let object of objects) {
+            if (object) {
+                let objectId = object.objectId,
+                    offset = vec3.sub(vec3.create(), getPivot(object), getPivot(parents[objectId]));
+
+                for (let [name, path, defval] of [['KGTR', 'translation', vec3.ZERO], ['KGRT', 'rotation', quat.DEFAULT], ['KGSC', 'scale', vec3.ONE]]) {
+                    let source = object.animations.filter((animation) => animation.name === name).pop();
+
+                    if (!source || !source.tracks.length) {
+                        continue;
+                    }
+
+                    let frames = getAnimationFrames(model, source, sequence, frameRate),
+                        values = new Float32Array(frames.length * defval.length),
+                        times = new Float32Array(frames.length);
+
+                    for (let [i, frame] of frames.entries()) {
+                        let value = evaluateObjectAnimation(model, object, name, sequenceId, frame, undefined, defval);
+
+                        if (path === 'translation') {
+                            vec3.add(value, value, offset);
+                        } else if (path === 'rotation') {
+                            quat.normalize(value, value);
+
+                            // Keep consecutive rotations in the same hemisphere, so they are interpolated the short way.
+                            if (i > 0 && quat.dot(value, values.subarray(i * 4 - 4, i * 4)) < 0) {
+                                quat.scale(value, value, -1);
+                            }
+                        }
+
+                        values.set(value, i * defval.length);
+                        times[i] = (frame - sequence.interval[0]) / 1000;
+                    }
+
+                    let sampler = animation.samplers.push({
+                        input: builder.addAccessor(times, 'SCALAR', null, true),
+                        output: builder.addAccessor(values, path === 'rotation' ? 'VEC4' : 'VEC3'),
+                        interpolation: source.globalSequenceId === -1 && source.interpolationType === 0 ? 'STEP' : 'LINEAR'
+                    }) - 1;
+
+                    animation.channels.push({ sampler, target: { node: nodeIds[objectId], path } });
+                }
+            }
+        }
+
+        // glTF animations must have channels.
+        if (animation.channels.length) {
+            json.animations.push(animation);
+        }
+    }
+
+    return builder.save();
+};
@@ -0,0 +1,1018 @@
+import { vec3, quat, mat3, mat4 } from 'gl-matrix';
+import '../../common/gl-matrix-addon';
+import { lerp, hermite } from '../../common/math';
+import Model from './model';
+import Sequence from './sequence';
+import Material from './material';
+import Layer from './layer';
+import Texture from './texture';
+import Geoset from './geoset';
+import Bone from './bone';
+import Helper from './helper';
+import { Vector3Animation, Vector4Animation } from './animations';
+import computeExtents from './extents';
+
+// glTF accessor component types, as [DataView getter, byte size, maximum value of normalized integers].
+let componentTypes = {
+    5120: ['getInt8', 1, 127],
+    5121: ['getUint8', 1, 255],
+    5122: ['getInt16', 2, 32767],
+    5123: ['getUint16', 2, 65535],
+    5125: ['getUint32', 4, 4294967295],
+    5126: ['getFloat32', 4, 1]
+};
+
+let componentCounts = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+// glTF primitive modes.
+let TRIANGLES = 4,
+    TRIANGLE_STRIP = 5,
+    TRIANGLE_FAN = 6;
+
+// glTF sampler wrap modes.
+let CLAMP_TO_EDGE = 33071;
+
+// The extensions that are imported.
+let supportedExtensions = new Set(['KHR_materials_unlit']);
+
+// Vertices whose quantized weights are further than this from their real weights are reported.
+let weightTolerance = 0.01;
+
+// Heap allocations needed for this module.
+let vectorHeap = vec3.create(),
+    matrixHeap = mat4.create(),
+    rotationHeap = mat3.create();
+
+/**
+ * Decodes the JSON and the binary chunk of a GLB file, or the JSON of a glTF file.
+ *
+ * @param {ArrayBuffer|string} buffer
+ * @returns {Object} An object of the form { json, binaryChunk }.
+ */
+function parseContainer(buffer) {
+    if (typeof buffer === 'string') {
+        return { json: JSON.parse(buffer), binaryChunk: null };
+    }
+
+    let bytes = new Uint8Array(buffer),
+        view = new DataView(buffer);
+
+    if (bytes.byteLength < 12 || view.getUint32(0, true) !== 0x46546C67) { // glTF
+        return { json: JSON.parse(new TextDecoder().decode(bytes)), binaryChunk: null };
+    }
+
+    if (view.getUint32(4, true) !== 2) {
+        throw new Error(`UnsupportedGlbVersion ${view.getUint32(4, true)}`);
+    }
+
+    let json = null,
+        binaryChunk = null;
+
+    for (let offset = 12, l = Math.min(view.getUint32(8, true), bytes.byteLength); offset + 8 <= l;) {
+        let chunkLength = view.getUint32(offset, true),
+            chunkType = view.getUint32(offset + 4, true),
+            chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+
+        if (chunkType === 0x4E4F534A) { // JSON
+            json = JSON.parse(new TextDecoder().decode(chunk));
+        } else if (chunkType === 0x004E4942) { // BIN
+            binaryChunk = chunk;
+        }
+
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('MissingJsonChunk');
+    }
+
+    return { json, binaryChunk };
+}
+
+/**
+ * @param {string} uri
+ * @returns {Uint8Array}
+ */
+function decodeDataUri(uri) {
+    let binary = atob(uri.slice(uri.indexOf(',') + 1)),
+        bytes = new Uint8Array(binary.length);
+
+    for (let i = 0, l = binary.length; i < l; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Reads the components of an accessor as floats.
+ * Normalized integers are converted to the [0, 1] or [-1, 1] range.
+ * Accessors without buffer views are zeros.
+ *
+ * @param {Object} json
+ * @param {Array<?Uint8Array>} buffers
+ * @param {number} index
+ * @param {function(string, string)} warn
+ * @returns {?Float32Array}
+ */
+function readAccessor(json, buffers, index, warn) {
+    let accessor = json.accessors[index],
+        componentCount = componentCounts[accessor.type],
+        [getter, byteSize, maxValue] = componentTypes[accessor.componentType],
+        values = new Float32Array(accessor.count * componentCount);
+
+    if (accessor.sparse) {
+        warn(`accessors/${index}`, 'Sparse accessors are not supported, and the sparse values were ignored');
+    }
+
+    if (accessor.bufferView === undefined) {
+        return values;
+    }
+
+    let bufferView = json.bufferViews[accessor.bufferView],
+        data = buffers[bufferView.buffer];
+
+    if (!data) {
+        return null;
+    }
+
+    let view = new DataView(data.buffer, data.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0)),
+        stride = bufferView.byteStride || componentCount * byteSize;
+
+    for (let i = 0, l = accessor.count; i < l; i++) {
+        for (let j = 0; j < componentCount; j++) {
+            values[i * componentCount + j] = view[getter](i * stride + j * byteSize, true);
+        }
+    }
+
+    if (accessor.normalized) {
+        for (let i = 0, l = values.length; i < l; i++) {
+            values[i] = Math.max(values[i] / maxValue, -1);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Converts the indices of a primitive to a triangle list.
+ *
+ * @param {Float32Array} indices
+ * @param {number} mode
+ * @returns {Uint16Array}
+ */
+function getTriangles(indices, mode) {
+    if (mode === TRIANGLES) {
+        return Uint16Array.from(indices.subarray(0, indices.length - indices.length % 3));
+    }
+
+    let triangles = [];
+
+    for (let i = 2, l = indices.length; i < l; i++) {
+        if (mode === TRIANGLE_FAN) {
+            triangles.push(indices[0], indices[i - 1], indices[i]);
+        } else if (i % 2) {
+            // Every other triangle of a strip is flipped, to keep the winding order.
+            triangles.push(indices[i - 1], indices[i - 2], indices[i]);
+        } else {
+            triangles.push(indices[i - 2], indices[i - 1], indices[i]);
+        }
+    }
+
+    return Uint16Array.from(triangles);
+}
+
+/**
+ * Computes vertex normals for geometry that doesn't have them, by summing the normals of the faces around every vertex.
+ *
+ * @param {Float32Array} vertices
+ * @param {Uint16Array} faces
+ * @returns {Float32Array}
+ */
+function computeNormals(vertices, faces) {
+    let normals = new Float32Array(vertices.length),
+        edgeA = vec3.create(),
+        edgeB = vec3.create();
+
+    for (let i = 0, l = faces.length; i < l; i += 3) {
+        let a = vertices.subarray(faces[i] * 3, faces[i] * 3 + 3),
+            b = vertices.subarray(faces[i + 1] * 3, faces[i + 1] * 3 + 3),
+            c = vertices.subarray(faces[i + 2] * 3, faces[i + 2] * 3 + 3);
+
+        // The length of the cross product is relative to the area of the face, so bigger faces have more weight.
+        vec3.cross(vectorHeap, vec3.sub(edgeA, b, a), vec3.sub(edgeB, c, a));
+
+        for (let j = 0; j < 3; j++) {
+            let normal = normals.subarray(faces[i + j] * 3, faces[i + j] * 3 + 3);
+
+            vec3.add(normal, normal, vectorHeap);
+        }
+    }
+
+    for (let i = 0, l = normals.length; i < l; i += 3) {
+        let normal = normals.subarray(i, i + 3);
+
+        vec3.normalize(normal, normal);
+    }
+
+    return normals;
+}
+
+/**
+ * Quantizes the influences of a vertex to the objects of a matrix group, which Warcraft 3 weighs equally.
+ * Out of the up to 4 heaviest influences, the count whose equal weights are the closest to the real weights is used.
+ *
+ * @param {Array<Array<number>>} influences Pairs of [node, weight], with the weights adding up to 1.
+ * @returns {Object} An object of the form { nodes, error }, where the error is the sum of the weight differences.
+ */
+function quantizeInfluences(influences) {
+    influences.sort((a, b) => b[1] - a[1]);
+
+    let bestCount = 1,
+        bestError = Infinity;
+
+    for (let count = 1, l = Math.min(influences.length, 4); count <= l; count++) {
+        let error = 0;
+
+        for (let [i, [node, weight]] of influences.entries()) {
+            error += Math.abs(weight - (i < count ? 1 / count : 0));
+        }
+
+        if (error < bestError - 1e-6) {
+            bestCount = count;
+            bestError = error;
+        }
+    }
+
+    return { nodes: influences.slice(0, bestCount).map(([node]) => node).sort((a, b) => a - b), error: bestError };
+}
+
+/**
+ * Samples an animation sampler at a time, in seconds.
+ *
+ * @param {Float32Array} input
+ * @param {Float32Array} output
+ * @param {string} interpolation
+ * @param {string} path
+ * @param {number} time
+ * @param {Float32Array} out
+ * @returns {Float32Array}
+ */
+function sampleChannel(input, output, interpolation, path, time, out) {
+    let size = out.length,
+        isCubic = interpolation === 'CUBICSPLINE',
+        last = input.length - 1;
+
+    // Cubic spline outputs are stored as [inTangent, value, outTangent] for every keyframe.
+    let getValue = (key, offset) => isCubic ? output.subarray((key * 3 + offset) * size, (key * 3 + offset + 1) * size) : output.subarray(key * size, (key + 1) * size);
+
+    if (time <= input[0] || last === 0) {
+        out.set(getValue(0, 1));
+    } else if (time >= input[last]) {
+        out.set(getValue(last, 1));
+    } else {
+        let key = 0;
+
+        while (input[key + 1] <= time) {
+            key += 1;
+        }
+
+        let delta = input[key + 1] - input[key],
+            t = (time - input[key]) / delta,
+            a = getValue(key, 1),
+            b = getValue(key + 1, 1);
+
+        if (interpolation === 'STEP') {
+            out.set(a);
+        } else if (isCubic) {
+            let outTan = getValue(key, 2),
+                inTan = getValue(key + 1, 0);
+
+            for (let i = 0; i < size; i++) {
+                out[i] = hermite(a[i], outTan[i] * delta, inTan[i] * delta, b[i], t);
+            }
+        } else if (path === 'rotation') {
+            quat.slerp(out, a, b, t);
+        } else {
+            for (let i = 0; i < size; i++) {
+                out[i] = lerp(a[i], b[i], t);
+            }
+        }
+    }
+
+    if (path === 'rotation') {
+        quat.normalize(out, out);
+    }
+
+    return out;
+}
+
+/**
+ * Decomposes a matrix to the translation, rotation and scale of a Warcraft 3 node with the given pivot point.
+ * Node matrices are made by translating the pivot point, and rotating and scaling around it.
+ *
+ * @param {mat4} matrix
+ * @param {vec3} pivot
+ * @param {vec3} translation
+ * @param {quat} rotation
+ * @param {vec3} scale
+ */
+function decomposeNodeMatrix(matrix, pivot, translation, rotation, scale) {
+    mat4.getScaling(scale, matrix);
+
+    // Mirroring is moved to the scale, so the rest is a rotation.
+    if (mat4.determinant(matrix) < 0) {
+        scale[0] = -scale[0];
+    }
+
+    mat3.fromMat4(rotationHeap, matrix);
+
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            rotationHeap[i * 3 + j] /= scale[i] || 1;
+        }
+    }
+
+    quat.normalize(rotation, quat.fromMat3(rotation, rotationHeap));
+
+    // The pivot point is where the matrix moves it, minus itself.
+    vec3.sub(translation, vec3.transformMat4(translation, pivot, matrix), pivot);
+}
+
+/**
+ * @param {Object} node
+ * @returns {Object} An object of the form { translation, rotation, scale }.
+ */
+function getRestTransform(node) {
+    let translation = vec3.create(),
+        rotation = quat.create(),
+        scale = vec3.fromValues(1, 1, 1);
+
+    if (node.matrix) {
+        let matrix = mat4.clone(node.matrix);
+
+        mat4.getTranslation(translation, matrix);
+        decomposeNodeMatrix(matrix, vec3.ZERO, vectorHeap, rotation, scale);
+    } else {
+        if (node.translation) {
+            vec3.copy(translation, node.translation);
+        }
+
+        if (node.rotation) {
+            quat.copy(rotation, node.rotation);
+        }
+
+        if (node.scale) {
+            vec3.copy(scale, node.scale);
+        }
+    }
+
+    return { translation, rotation, scale };
+}
+
+/**
+ * Adds the frames and values of a sequence to a node animation.
+ * When a sequence without interpolation is added to an interpolated animation, its values are held until the next frame.
+ *
+ * @param {Animation} animation
+ * @param {Array<Object>} keys
+ */
+function addKeys(animation, keys) {
+    for (let [i, { frame, value, isStep }] of keys.entries()) {
+        let next = keys[i + 1],
+            frames = [frame];
+
+        if (isStep && animation.interpolationType !== 0 && next && next.frame - frame > 1) {
+            frames.push(next.frame - 1);
+        }
+
+        for (let trackFrame of frames) {
+            let track = animation.newTrack();
+
+            track.frame = trackFrame;
+            track.value.set(value);
+            track.inTan.set(value);
+            track.outTan.set(value);
+
+            animation.tracks.push(track);
+        }
+    }
+}
+
+/**
+ * Converts a glTF 2.0 file to a model, without needing a canvas or WebGL.
+ *
+ * The nodes of the default scene become bones and helpers, which are placed at their rest positions as pivot points.
+ * Nodes that vertices are attached to become bones, and the rest become helpers.
+ * Nodes with skinned meshes and without children are only used for their meshes.
+ * Since glTF is Y up and Warcraft 3 is Z up, everything is rotated.
+ *
+ * Every triangle primitive becomes a geoset, whose vertices are moved to their rest positions.
+ * Skin weights are quantized to matrix groups of up to 4 objects, since Warcraft 3 weighs them equally.
+ * Vertices of meshes without skins are attached to the nodes of their meshes.
+ * Materials become materials with one layer, where the alpha mode chooses the filter mode.
+ * Images are not converted, and their textures get paths that the converted images are expected to be at.
+ *
+ * Every animation becomes a sequence, and the sequences are placed one after another, each starting at the next whole second.
+ * Node animations are sampled at their keyframes, with cubic splines resampled at the frame rate, and become linear tracks.
+ * Animations where all of the samplers of a node have no interpolation keep that.
+ * Finally, the extents are computed with computeExtents().
+ *
+ * The options are:
+ *     getBuffer - A function that gets the URI of an external buffer, and returns it as an ArrayBuffer, or null if it doesn't exist.
+ *     getTexturePath - A function that gets a glTF image and its index, and returns the texture path to use for it.
+ *                      By default, the image URI or name is used, with a .blp extension.
+ *     scale - The number of Warcraft 3 units in one glTF unit, 1 by default.
+ *     frameRate - The number of samples per second of resampled animations, 30 by default.
+ *
+ * Returns an object of the form { model, warnings }, where the warnings are of the form { path, message }, and list everything that could not be represented.
+ * The paths are into the glTF JSON, e.g. "meshes/0/primitives/1".
+ *
+ * @param {ArrayBuffer|string} buffer
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function importGltf(buffer, options) {
+    let getBuffer = options && options.getBuffer,
+        getTexturePath = options && options.getTexturePath,
+        unitScale = options && options.scale > 0 ? options.scale : 1,
+        frameRate = options && options.frameRate > 0 ? options.frameRate : 30,
+        { json, binaryChunk } = parseContainer(buffer),
+        model = new Model(),
+        warnings = [];
+
+    let warn = (path, message) => warnings.push({ path, message });
+
+    for (let [i, name] of (json.extensionsUsed || []).entries()) {
+        if (!supportedExtensions.has(name)) {
+            warn(`extensionsUsed/${i}`, `The ${name} extension is not supported, and was ignored`);
+        }
+    }
+
+    let buffers = (json.buffers || []).map((gltfBuffer, i) => {
+        let uri = gltfBuffer.uri;
+
+        if (uri === undefined) {
+            return binaryChunk;
+        } else if (uri.startsWith('data:')) {
+            return decodeDataUri(uri);
+        } else {
+            let external = getBuffer && getBuffer(uri);
+
+            if (external) {
+                return new Uint8Array(external);
+            }
+
+            warn(`buffers/${i}`, `The external buffer "${uri}" was not given, and everything that uses it was skipped`);
+
+            return null;
+        }
+    });
+
+    let getAccessor = (index) => readAccessor(json, buffers, index, warn);
+
+    // Converts glTF units to Warcraft 3 units, and Y up to Z up.
+    let conversion = mat4.fromRotationTranslationScale(mat4.create(), quat.setAxisAngle(quat.create(), [1, 0, 0], Math.PI / 2), vec3.ZERO, [unitScale, unitScale, unitScale]),
+        inverseConversion = mat4.invert(mat4.create(), conversion);
+
+    // The nodes of the scene, parents before their children, with their parents and rest world matrices.
+    let nodes = json.nodes || [],
+        scene = json.scenes && json.scenes[json.scene || 0],
+        sceneNodes = [],
+        parents = [],
+        worldMatrices = [],
+        restTransforms = [];
+
+    let roots = scene ? scene.nodes || [] : nodes.map((node, i) => i).filter((i) => !nodes.some((node) => (node.children || []).includes(i)));
+
+    let addNode = (nodeId, parentId) => {
+        let node = nodes[nodeId],
+            rest = getRestTransform(node),
+            matrix = mat4.fromRotationTranslationScale(mat4.create(), rest.rotation, rest.translation, rest.scale);
+
+        if (parentId !== -1) {
+            mat4.mul(matrix, worldMatrices[parentId], matrix);
+        }
+
+        sceneNodes.push(nodeId);
+        parents[nodeId] = parentId;
+        worldMatrices[nodeId] = matrix;
+        restTransforms[nodeId] = rest;
+
+        if (node.camera !== undefined) {
+            warn(`nodes/${nodeId}`, 'Cameras are not imported, and the node became a helper');
+        }
+
+        for (let childId of node.children || []) {
+            if (worldMatrices[childId]) {
+                warn(`nodes/${nodeId}`, `Node ${childId} has multiple parents, and only its first one was used`);
+            } else {
+                addNode(childId, nodeId);
+            }
+        }
+    };
+
+    for (let nodeId of roots) {
+        if (!worldMatrices[nodeId]) {
+            addNode(nodeId, -1);
+        }
+    }
+
+    // Skinned meshes without children only hold their meshes.
+    let isObjectNode = (nodeId) => !(nodes[nodeId].mesh !== undefined && nodes[nodeId].skin !== undefined && !(nodes[nodeId].children || []).length);
+
+    // Textures and materials are added as they are used.
+    let textureIds = new Map(),
+        materialIds = new Map();
+
+    let addTexture = (textureInfo) => {
+        let gltfTexture = json.textures[textureInfo.index],
+            imageId = gltfTexture.source,
+            sampler = json.samplers && json.samplers[gltfTexture.sampler] || {},
+            flags = (sampler.wrapS === CLAMP_TO_EDGE ? 0 : 0x1) | (sampler.wrapT === CLAMP_TO_EDGE ? 0 : 0x2),
+            key = `${imageId}:${flags}`;
+
+        if (!textureIds.has(key)) {
+            let image = json.images[imageId] || {},
+                texture = new Texture(),
+                path;
+
+            if (getTexturePath) {
+                path = getTexturePath(image, imageId);
+            } else if (image.uri && !image.uri.startsWith('data:')) {
+                path = decodeURIComponent(image.uri).replace(/\.[^./\\]*$/, '') + '.blp';
+            } else {
+                path = `${image.name || `Image${imageId}`}.blp`;
+            }
+
+            if (!path.toLowerCase().endsWith('.blp')) {
+                warn(`images/${imageId}`, `The texture path "${path}" is not a BLP, which Warcraft 3 may not load`);
+            } else if (!image.uri || !image.uri.toLowerCase().endsWith('.blp')) {
+                warn(`images/${imageId}`, `The image was not converted, and is expected to be converted to "${path}"`);
+            }
+
+            texture.path = path;
+            texture.flags = flags;
+
+            textureIds.set(key, model.textures.push(texture) - 1);
+        }
+
+        return textureIds.get(key);
+    };
+
+    // Primitives without materials, and materials without textures, use a white texture.
+    let getWhiteTexture = () => {
+        if (!textureIds.has('white')) {
+            let texture = new Texture();
+
+            texture.path = 'Textures\\white.blp';
+
+            textureIds.set('white', model.textures.push(texture) - 1);
+        }
+
+        return textureIds.get('white');
+    };
+
+    let addMaterial = (materialId) => {
+        if (!materialIds.has(materialId)) {
+            let gltfMaterial = materialId === undefined ? {} : json.materials[materialId],
+                path = `materials/${materialId}`,
+                pbr = gltfMaterial.pbrMetallicRoughness || {},
+                baseColorFactor = pbr.baseColorFactor || [1, 1, 1, 1],
+                material = new Material(),
+                layer = new Layer();
+
+            if (gltfMaterial.alphaMode === 'MASK') {
+                layer.filterMode = 1;
+            } else if (gltfMaterial.alphaMode === 'BLEND') {
+                layer.filterMode = 2;
+            }
+
+            if (gltfMaterial.doubleSided) {
+                layer.flags |= 0x10;
+            }
+
+            if (gltfMaterial.extensions && gltfMaterial.extensions.KHR_materials_unlit) {
+                layer.flags |= 0x1;
+            }
+
+            layer.alpha = baseColorFactor[3];
+
+            if (baseColorFactor[0] !== 1 || baseColorFactor[1] !== 1 || baseColorFactor[2] !== 1) {
+                warn(path, 'The base color factor is not white, and only its alpha was used');
+            }
+
+            if (pbr.baseColorTexture) {
+                layer.textureId = addTexture(pbr.baseColorTexture);
+                layer.coordId = pbr.baseColorTexture.texCoord || 0;
+            } else {
+                layer.textureId = getWhiteTexture();
+            }
+
+            for (let name of ['metallicRoughnessTexture', 'normalTexture', 'occlusionTexture', 'emissiveTexture']) {
+                if (pbr[name] || gltfMaterial[name]) {
+                    warn(path, `Only base color textures are supported, and the ${name} was ignored`);
+                }
+            }
+
+            material.layers.push(layer);
+
+            materialIds.set(materialId, model.materials.push(material) - 1);
+        }
+
+        return materialIds.get(materialId);
+    };
+
+    // Every geoset is kept with the nodes of its matrix groups, which become object IDs once the objects exist.
+    let geosetGroups = [],
+        skinnedNodes = new Set();
+
+    for (let nodeId of sceneNodes) {
+        let node = nodes[nodeId],
+            mesh = json.meshes && json.meshes[node.mesh];
+
+        if (!mesh) {
+            continue;
+        }
+
+        let skin = json.skins && json.skins[node.skin],
+            jointMatrices = [];
+
+        // Every joint moves the vertices to their rest positions with its inverse bind matrix and rest world matrix.
+        if (skin) {
+            let inverseBindMatrices = skin.inverseBindMatrices === undefined ? null : getAccessor(skin.inverseBindMatrices);
+
+            for (let [i, jointId] of skin.joints.entries()) {
+                let matrix = mat4.clone(worldMatrices[jointId] || mat4.create());
+
+                if (inverseBindMatrices) {
+                    mat4.mul(matrix, matrix, inverseBindMatrices.subarray(i * 16, i * 16 + 16));
+                }
+
+                jointMatrices[i] = matrix;
+
+                if (!worldMatrices[jointId]) {
+                    warn(`skins/${node.skin}`, `Joint ${jointId} is not in the scene, and its vertices were attached to the first object`);
+                }
+            }
+        }
+
+        for (let [primitiveId, primitive] of mesh.primitives.entries()) {
+            let path = `meshes/${node.mesh}/primitives/${primitiveId}`,
+                attributes = primitive.attributes,
+                mode = primitive.mode === undefined ? TRIANGLES : primitive.mode;
+
+            if (mode !== TRIANGLES && mode !== TRIANGLE_STRIP && mode !== TRIANGLE_FAN) {
+                warn(path, `Primitives of mode ${mode} are not triangles, and were skipped`);
+                continue;
+            }
+
+            if (attributes.POSITION === undefined) {
+                warn(path, 'The primitive has no positions, and was skipped');
+                continue;
+            }
+
+            let positions = getAccessor(attributes.POSITION);
+
+            if (!positions) {
+                continue;
+            }
+
+            let vertexCount = positions.length / 3;
+
+            if (vertexCount > 65536) {
+                warn(path, `The primitive has ${vertexCount} vertices, which is more than a geoset can have, and was skipped`);
+                continue;
+            }
+
+            if (primitive.targets) {
+                warn(path, 'Morph targets are not supported, and were ignored');
+            }
+
+            let indices = primitive.indices === undefined ? Float32Array.from({ length: vertexCount }, (value, i) => i) : getAccessor(primitive.indices);
+
+            if (!indices) {
+                continue;
+            }
+
+            let normals = attributes.NORMAL === undefined ? null : getAccessor(attributes.NORMAL),
+                geoset = new Geoset(),
+                vertices = new Float32Array(vertexCount * 3),
+                groups = [],
+                groupIds = new Map(),
+                vertexGroups = new Uint8Array(vertexCount),
+                quantized = 0,
+                overflowed = 0;
+
+            // The influences of every vertex, as pairs of [node, weight].
+            let influences = [];
+
+            if (skin) {
+                let weightSets = [];
+
+                for (let set = 0; attributes[`JOINTS_${set}`] !== undefined && attributes[`WEIGHTS_${set}`] !== undefined; set++) {
+                    weightSets.push([getAccessor(attributes[`JOINTS_${set}`]), getAccessor(attributes[`WEIGHTS_${set}`])]);
+                }
+
+                for (let i = 0; i < vertexCount; i++) {
+                    let weights = new Map(),
+                        total = 0;
+
+                    for (let [joints, jointWeights] of weightSets) {
+                        for (let j = 0; j < 4; j++) {
+                            let weight = jointWeights ? jointWeights[i * 4 + j] : 0;
+
+                            if (joints && weight > 0) {
+                                let joint = joints[i * 4 + j];
+
+                                weights.set(joint, (weights.get(joint) || 0) + weight);
+                                total += weight;
+                            }
+                        }
+                    }
+
+                    if (!total) {
+                        weights.set(0, 1);
+                        total = 1;
+                    }
+
+                    influences[i] = [...weights].map(([joint, weight]) => [joint, weight / total]);
+                }
+            }
+
+            for (let i = 0; i < vertexCount; i++) {
+                let matrix = matrixHeap,
+                    groupNodes;
+
+                if (skin) {
+                    matrix.fill(0);
+
+                    for (let [joint, weight] of influences[i]) {
+                        mat4.multiplyScalarAndAdd(matrix, matrix, jointMatrices[joint], weight);
+                    }
+
+                    let quantization = quantizeInfluences(influences[i].map(([joint, weight]) => [skin.joints[joint], weight]));
+
+                    if (quantization.error > weightTolerance) {
+                        quantized += 1;
+                    }
+
+                    groupNodes = quantization.nodes;
+                } else {
+                    mat4.copy(matrix, worldMatrices[nodeId]);
+
+                    groupNodes = [nodeId];
+                }
+
+                mat4.mul(matrix, conversion, matrix);
+
+                vec3.transformMat4(vertices.subarray(i * 3, i * 3 + 3), positions.subarray(i * 3, i * 3 + 3), matrix);
+
+                if (normals) {
+                    let normal = normals.subarray(i * 3, i * 3 + 3);
+
+                    // Matrices that can't be inverted flatten the vertices, and their normals are kept.
+                    if (mat3.normalFromMat4(rotationHeap, matrix)) {
+                        vec3.transformMat3(normal, normal, rotationHeap);
+                    }
+
+                    vec3.normalize(normal, normal);
+                }
+
+                let key = groupNodes.join(',');
+
+                if (!groupIds.has(key)) {
+                    // Vertex groups are bytes, so geosets can have up to 256 matrix groups.
+                    if (groups.length === 256) {
+                        overflowed += 1;
+                        key = groupIds.has(`${groupNodes[0]}`) ? `${groupNodes[0]}` : groupIds.keys().next().value;
+                    } else {
+                        groupIds.set(key, groups.push(groupNodes) - 1);
+                    }
+                }
+
+                vertexGroups[i] = groupIds.get(key);
+            }
+
+            if (quantized) {
+                warn(path, `${quantized} vertices have skin weights that matrix groups can't represent, and were quantized`);
+            }
+
+            if (overflowed) {
+                warn(path, `The primitive needs more than 256 matrix groups, and ${overflowed} vertices were moved to other groups`);
+            }
+
+            for (let groupNodes of groups) {
+                for (let groupNode of groupNodes) {
+                    skinnedNodes.add(groupNode);
+                }
+            }
+
+            geoset.vertices = vertices;
+            geoset.faces = getTriangles(indices, mode);
+            geoset.normals = normals || computeNormals(vertices, geoset.faces);
+            geoset.faceTypeGroups = new Uint32Array([4]);
+            geoset.faceGroups = new Uint32Array([geoset.faces.length]);
+            geoset.vertexGroups = vertexGroups;
+            geoset.materialId = addMaterial(primitive.material);
+
+            for (let set = 0; attributes[`TEXCOORD_${set}`] !== undefined; set++) {
+                let uvs = getAccessor(attributes[`TEXCOORD_${set}`]);
+
+                if (uvs) {
+                    geoset.textureCoordinateSets.push(uvs);
+                }
+            }
+
+            // The renderer always uses the first texture coordinate set.
+            if (!geoset.textureCoordinateSets.length) {
+                geoset.textureCoordinateSets.push(new Float32Array(vertexCount * 2));
+            }
+
+            geosetGroups.push([geoset, groups]);
+            model.geosets.push(geoset);
+        }
+    }
+
+    // Objects that vertices are attached to are bones, and are first, like in the object ID order of the renderer.
+    let objectIds = [],
+        objects = [];
+
+    for (let isBone of [true, false]) {
+        for (let nodeId of sceneNodes) {
+            if (isObjectNode(nodeId) && skinnedNodes.has(nodeId) === isBone) {
+                let node = nodes[nodeId],
+                    object = isBone ? new Bone() : new Helper();
+
+                object.name = (node.name || `Node ${nodeId}`).slice(0, 79);
+                object.objectId = objects.length;
+
+                objectIds[nodeId] = object.objectId;
+                objects[object.objectId] = nodeId;
+
+                model.pivotPoints[object.objectId] = vec3.transformMat4(vec3.create(), mat4.getTranslation(vectorHeap, worldMatrices[nodeId]), conversion);
+
+                if (isBone) {
+                    model.bones.push(object);
+                } else {
+                    model.helpers.push(object);
+                }
+            }
+        }
+    }
+
+    // Helpers can be the parents of bones, so parents are set once all of the objects exist.
+    for (let object of [...model.bones, ...model.helpers]) {
+        let parentId = parents[objects[object.objectId]];
+
+        object.parentId = parentId === -1 ? -1 : objectIds[parentId];
+    }
+
+    for (let [geoset, groups] of geosetGroups) {
+        geoset.matrixGroups = Uint32Array.from(groups, (groupNodes) => groupNodes.length);
+        geoset.matrixIndices = Uint32Array.from([].concat(...groups), (nodeId) => objectIds[nodeId]);
+    }
+
+    // Every node animation is made from sequences of keys, and is interpolated unless all of its keys are not.
+    let nodeKeys = new Map();
+
+    for (let [animationId, gltfAnimation] of (json.animations || []).entries()) {
+        let channels = new Map(),
+            duration = 0;
+
+        for (let [channelId, channel] of gltfAnimation.channels.entries()) {
+            let path = `animations/${animationId}/channels/${channelId}`,
+                target = channel.target,
+                sampler = gltfAnimation.samplers[channel.sampler];
+
+            if (target.path === 'weights') {
+                warn(path, 'Morph target weights are not supported, and were ignored');
+                continue;
+            }
+
+            if (objectIds[target.node] === undefined) {
+                warn(path, `Node ${target.node} is not an object, and its animation was ignored`);
+                continue;
+            }
+
+            let input = getAccessor(sampler.input),
+                output = getAccessor(sampler.output);
+
+            if (!input || !output || !input.length) {
+                continue;
+            }
+
+            duration = Math.max(duration, input[input.length - 1]);
+
+            if (!channels.has(target.node)) {
+                channels.set(target.node, []);
+            }
+
+            channels.get(target.node).push({ input, output, interpolation: sampler.interpolation || 'LINEAR', path: target.path });
+        }
+
+        let sequence = new Sequence(),
+            start = model.sequences.length ? Math.ceil((model.sequences[model.sequences.length - 1].interval[1] + 1) / 1000) * 1000 : 0;
+
+        sequence.name = (gltfAnimation.name || `Animation ${animationId}`).slice(0, 79);
+        sequence.interval[0] = start;
+        sequence.interval[1] = start + Math.round(duration * 1000);
+
+        model.sequences.push(sequence);
+
+        for (let [nodeId, nodeChannels] of channels) {
+            let isStep = nodeChannels.every((channel) => channel.interpolation === 'STEP'),
+                needsResampling = nodeChannels.some((channel) => channel.interpolation === 'CUBICSPLINE' || (channel.interpolation === 'STEP') !== isStep),
+                times = new Set([0, duration]);
+
+            for (let channel of nodeChannels) {
+                for (let time of channel.input) {
+                    times.add(Math.min(time, duration));
+                }
+            }
+
+            if (needsResampling) {
+                for (let time = 1 / frameRate; time < duration; time += 1 / frameRate) {
+                    times.add(time);
+                }
+            }
+
+            let rest = restTransforms[nodeId],
+                parentId = parents[nodeId],
+                pivot = model.pivotPoints[objectIds[nodeId]],
+                restInverse = mat4.invert(mat4.create(), mat4.fromRotationTranslationScale(mat4.create(), rest.rotation, rest.translation, rest.scale)),
+                parentMatrix = mat4.mul(mat4.create(), conversion, parentId === -1 ? mat4.create() : worldMatrices[parentId]),
+                parentInverse = mat4.invert(mat4.create(), parentMatrix),
+                frames = new Map();
+
+            for (let time of [...times].sort((a, b) => a - b)) {
+                let translation = vec3.clone(rest.translation),
+                    rotation = quat.clone(rest.rotation),
+                    scale = vec3.clone(rest.scale),
+                    matrix = mat4.create();
+
+                for (let channel of nodeChannels) {
+                    let value = channel.path === 'translation' ? translation : channel.path === 'rotation' ? rotation : scale;
+
+                    sampleChannel(channel.input, channel.output, channel.interpolation, channel.path, time, value);
+                }
+
+                // The change from the rest pose, in the space of the parent, converted to Warcraft 3 space.
+                mat4.fromRotationTranslationScale(matrix, rotation, translation, scale);
+                mat4.mul(matrix, matrix, restInverse);
+                mat4.mul(matrix, parentMatrix, matrix);
+                mat4.mul(matrix, matrix, parentInverse);
+
+                decomposeNodeMatrix(matrix, pivot, translation, rotation, scale);
+
+                frames.set(start + Math.round(time * 1000), { translation, rotation, scale });
+            }
+
+            if (!nodeKeys.has(nodeId)) {
+                nodeKeys.set(nodeId, { translation: [], rotation: [], scale: [] });
+            }
+
+            let keys = nodeKeys.get(nodeId);
+
+            for (let [name, defval] of [['translation', vec3.ZERO], ['rotation', quat.DEFAULT], ['scale', vec3.ONE]]) {
+                let values = [...frames.values()].map((value) => value[name]);
+
+                // Values that stay at the rest pose don't need tracks.
+                if (values.some((value) => value.some((component, i) => Math.abs(component - defval[i]) > 1e-6))) {
+                    for (let [frame, value] of frames) {
+                        keys[name].push({ frame, value: value[name], isStep });
+                    }
+                }
+            }
+        }
+    }
+
+    for (let [nodeId, keys] of nodeKeys) {
+        let object = model.bones.concat(model.helpers)[objectIds[nodeId]];
+
+        for (let [name, path, AnimationType] of [['KGTR', 'translation', Vector3Animation], ['KGRT', 'rotation', Vector4Animation], ['KGSC', 'scale', Vector3Animation]]) {
+            if (keys[path].length) {
+                let animation = new AnimationType();
+
+                animation.name = name;
+                animation.interpolationType = keys[path].every((key) => key.isStep) ? 0 : 1;
+
+                addKeys(animation, keys[path]);
+
+                object.animations.push(animation);
+            }
+        }
+    }
+
+    computeExtents(model);
+
+    return { model, warnings };
+};
@@ -1,7 +1,29 @@
 import Model from './model';
-import sanityTest from './sanitytest';
+import sanityTest, { sanityTestToJson } from './sanitytest';
+import fixModel from './fixmodel';
+import transplantAnimations from './transplant';
+import optimizeModel from './optimize';
+import computeExtents from './extents';
+import evaluateModel, { evaluateAnimation, evaluateObjectAnimation, skinGeoset } from './evaluate';
+import exportGltf from './gltfexport';
+import importGltf from './gltfimport';
+import exportObj from './objexport';
+import transformModel from './transform';
 
 export default {
     Model,
-    sanityTest
+    sanityTest,
+    sanityTestToJson,
+    fixModel,
+    transplantAnimations,
+    optimizeModel,
+    computeExtents,
+    evaluateModel,
+    evaluateAnimation,
+    evaluateObjectAnimation,
+    skinGeoset,
+    exportGltf,
+    importGltf,
+    exportObj,
+    transformModel
 };
@@ -36,9 +36,33 @@ export default class Layer extends AnimatedObject {
         this.coordId = 0;
         /** @member {number} */
         this.alpha = 1;
+        /**
+         * Only saved in versions above 800.
+         *
+         * @member {number}
+         */
+        this.emissiveGain = 1;
+        /**
+         * Only saved in versions above 900.
+         *
+         * @member {Float32Array}
+         */
+        this.fresnelColor = new Float32Array([1, 1, 1]);
+        /**
+         * Only saved in versions above 900.
+         *
+         * @member {number}
+         */
+        this.fresnelOpacity = 0;
+        /**
+         * Only saved in versions above 900.
+         *
+         * @member {number}
+         */
+        this.fresnelTeamColor = 0;
     }
 
-    readMdx(stream) {
+    readMdx(stream, version) {
         let size = stream.readUint32();
 
         this.filterMode = stream.readUint32();
@@ -48,11 +72,21 @@ export default class Layer extends AnimatedObject {
         this.coordId = stream.readUint32();
         this.alpha = stream.readFloat32();
 
-        this.readAnimations(stream, size - 28);
+        if (version > 800) {
+            this.emissiveGain = stream.readFloat32();
+        }
+
+        if (version > 900) {
+            stream.readFloat32Array(this.fresnelColor);
+            this.fresnelOpacity = stream.readFloat32();
+            this.fresnelTeamColor = stream.readFloat32();
+        }
+
+        this.readAnimations(stream, size - this.getByteLength(version));
     }
 
-    writeMdx(stream) {
-        stream.writeUint32(this.getByteLength());
+    writeMdx(stream, version) {
+        stream.writeUint32(this.getByteLength(version));
         stream.writeUint32(this.filterMode);
         stream.writeUint32(this.flags);
         stream.writeUint32(this.textureId);
@@ -60,6 +94,16 @@ export default class Layer extends AnimatedObject {
         stream.writeUint32(this.coordId);
         stream.writeFloat32(this.alpha);
 
+        if (version > 800) {
+            stream.writeFloat32(this.emissiveGain);
+        }
+
+        if (version > 900) {
+            stream.writeFloat32Array(this.fresnelColor);
+            stream.writeFloat32(this.fresnelOpacity);
+            stream.writeFloat32(this.fresnelTeamColor);
+        }
+
         this.writeAnimations(stream);
     }
 
@@ -91,13 +135,29 @@ export default class Layer extends AnimatedObject {
                 this.alpha = stream.readInt();
             } else if (token === 'Alpha') {
                 this.readAnimation(stream, 'KMTA');
+            } else if (token === 'static EmissiveGain') {
+                this.emissiveGain = stream.readFloat();
+            } else if (token === 'EmissiveGain') {
+                this.readAnimation(stream, 'KMTE');
+            } else if (token === 'static FresnelColor') {
+                stream.readFloatArray(this.fresnelColor);
+            } else if (token === 'FresnelColor') {
+                this.readAnimation(stream, 'KFC3');
+            } else if (token === 'static FresnelOpacity') {
+                this.fresnelOpacity = stream.readFloat();
+            } else if (token === 'FresnelOpacity') {
+                this.readAnimation(stream, 'KFCA');
+            } else if (token === 'static FresnelTeamColor') {
+                this.fresnelTeamColor = stream.readFloat();
+            } else if (token === 'FresnelTeamColor') {
+                this.readAnimation(stream, 'KFTC');
             } else {
                 throw new Error(`Unknown token in Layer: "${token}"`);
             }
         }
     }
 
-    writeMdl(stream) {
+    writeMdl(stream, version) {
         stream.startBlock('Layer');
 
         stream.writeAttrib('FilterMode', filterModeToMdl[this.filterMode]);
@@ -142,10 +202,38 @@ export default class Layer extends AnimatedObject {
             stream.writeAttrib('static Alpha', this.alpha);
         }
 
+        if (version > 800 && !this.writeAnimation(stream, 'KMTE')) {
+            stream.writeAttrib('static EmissiveGain', this.emissiveGain);
+        }
+
+        if (version > 900) {
+            if (!this.writeAnimation(stream, 'KFC3')) {
+                stream.writeArrayAttrib('static FresnelColor', this.fresnelColor);
+            }
+
+            if (!this.writeAnimation(stream, 'KFCA')) {
+                stream.writeAttrib('static FresnelOpacity', this.fresnelOpacity);
+            }
+
+            if (!this.writeAnimation(stream, 'KFTC')) {
+                stream.writeAttrib('static FresnelTeamColor', this.fresnelTeamColor);
+            }
+        }
+
         stream.endBlock();
     }
 
-    getByteLength() {
-        return 28 + super.getByteLength();
+    getByteLength(version) {
+        let size = 28 + super.getByteLength();
+
+        if (version > 800) {
+            size += 4;
+        }
+
+        if (version > 900) {
+            size += 20;
+        }
+
+        return size;
     }
 };
@@ -6,36 +6,53 @@ export default class Material {
         this.priorityPlane = 0;
         /** @member {number} */
         this.flags = 0;
+        /**
+         * The shader of Reforged materials, e.g. Shader_HD_DefaultUnit.
+         * Only saved in versions above 800.
+         *
+         * @member {string}
+         */
+        this.shader = '';
         /** @member {Array<Layer>} */
         this.layers = [];
     }
 
-    readMdx(stream) {
+    readMdx(stream, version) {
         stream.readUint32(); // Don't care about the size.
 
         this.priorityPlane = stream.readUint32();
         this.flags = stream.readUint32();
 
+        if (version > 800) {
+            this.shader = stream.read(80);
+        }
+
         stream.skip(4); // LAYS
 
         for (let i = 0, l = stream.readUint32(); i < l; i++) {
             let layer = new Layer();
 
-            layer.readMdx(stream);
+            layer.readMdx(stream, version);
 
             this.layers.push(layer);
         }
     }
 
-    writeMdx(stream) {
-        stream.writeUint32(this.getByteLength());
+    writeMdx(stream, version) {
+        stream.writeUint32(this.getByteLength(version));
         stream.writeUint32(this.priorityPlane);
         stream.writeUint32(this.flags);
+
+        if (version > 800) {
+            stream.write(this.shader);
+            stream.skip(80 - this.shader.length);
+        }
+
         stream.write('LAYS');
         stream.writeUint32(this.layers.length);
 
         for (let layer of this.layers) {
-            layer.writeMdx(stream);
+            layer.writeMdx(stream, version);
         }
     }
 
@@ -51,10 +68,14 @@ export default class Material {
                 this.flags |= 0x20;
             } else if (token === 'PriorityPlane') {
                 this.priorityPlane = stream.readInt();
+            } else if (token === 'Shader') {
+                this.shader = stream.read();
             } else if (token === 'Layer') {
                 let layer = new Layer();
 
+                stream.enterBlock(`Layer ${this.layers.length}`);
                 layer.readMdl(stream);
+                stream.leaveBlock();
 
                 this.layers.push(layer);
             } else {
@@ -63,9 +84,13 @@ export default class Material {
         }
     }
 
-    writeMdl(stream) {
+    writeMdl(stream, version) {
         stream.startBlock('Material');
 
+        if (version > 800) {
+            stream.writeStringAttrib('Shader', this.shader);
+        }
+
         if (this.flags & 0x1) {
             stream.writeFlag('ConstantColor');
         }
@@ -87,17 +112,21 @@ export default class Material {
         }
 
         for (let layer of this.layers) {
-            layer.writeMdl(stream);
+            layer.writeMdl(stream, version);
         }
 
         stream.endBlock();
     }
 
-    getByteLength() {
+    getByteLength(version) {
         let size = 20;
 
+        if (version > 800) {
+            size += 80;
+        }
+
         for (let layer of this.layers) {
-            size += layer.getByteLength();
+            size += layer.getByteLength(version);
         }
 
         return size;
@@ -1,5 +1,5 @@
 import BinaryStream from '../../common/binarystream';
-import TokenStream from '../../common/tokenstream';
+import TokenStream, { TokenStreamError } from '../../common/tokenstream';
 import Extent from './extent';
 import Sequence from './sequence';
 import Material from './material';
@@ -13,12 +13,37 @@ import Helper from './helper';
 import Attachment from './attachment';
 import ParticleEmitter from './particleemitter';
 import ParticleEmitter2 from './particleemitter2';
+import ParticleEmitterPopcorn from './particleemitterpopcorn';
 import RibbonEmitter from './ribbonemitter';
 import Camera from './camera';
 import EventObject from './eventobject';
 import CollisionShape from './collisionshape';
+import FaceEffect from './faceeffect';
 import UnknownChunk from './unknownchunk';
 
+/**
+ * Gets the name of a block for the paths of MDL errors.
+ * Blocks that have a name use it, e.g. Bone "Root", and others use their index if there is one, e.g. Material 2.
+ * 
+ * @param {TokenStream} stream
+ * @param {string} token
+ * @param {?number} index
+ * @returns {string}
+ */
+function getBlockName(stream, token, index) {
+    let name = stream.peek();
+
+    if (name === undefined || name === '{' || !isNaN(name)) {
+        if (index === undefined) {
+            return token;
+        }
+
+        return `${token} ${index}`;
+    }
+
+    return `${token} "${name}"`;
+}
+
 /**
  * A Warcraft 3 model.
  * Supports loading from and saving to both the binary MDX and text MDL file formats.
@@ -26,7 +51,8 @@ import UnknownChunk from './unknownchunk';
 export default class Model {
     constructor() {
         /** 
-         * Always 800 since Warcraft 3 released.
+         * 800 since Warcraft 3 released, and 900 or 1000 for Reforged models.
+         * Reforged models have more data, e.g. geoset LODs and skin weights, which is only saved in versions above 800.
          * 
          * @member {number}
          */
@@ -72,6 +98,8 @@ export default class Model {
         this.particleEmitters = [];
         /** @member {Array<ParticleEmitter2>} */
         this.particleEmitters2 = [];
+        /** @member {Array<ParticleEmitterPopcorn>} */
+        this.particleEmittersPopcorn = [];
         /** @member {Array<RibbonEmitter>} */
         this.ribbonEmitters = [];
         /** @member {Array<Camera>} */
@@ -80,6 +108,14 @@ export default class Model {
         this.eventObjects = [];
         /** @member {Array<CollisionShape>} */
         this.collisionShapes = [];
+        /** @member {Array<FaceEffect>} */
+        this.faceEffects = [];
+        /**
+         * The inverse bind pose matrices of the generic objects, each a 4x3 matrix.
+         *
+         * @member {Array<Float32Array>}
+         */
+        this.bindPose = [];
         /** 
          * The MDX format is chunk based, and Warcraft 3 does not mind there being unknown chunks in there.
          * Some 3rd party tools use this to attach metadata to models.
@@ -139,6 +175,8 @@ export default class Model {
                 this.loadDynamicObjects(this.particleEmitters, ParticleEmitter, stream, size);
             } else if (tag === 'PRE2') {
                 this.loadDynamicObjects(this.particleEmitters2, ParticleEmitter2, stream, size);
+            } else if (tag === 'CORN') {
+                this.loadDynamicObjects(this.particleEmittersPopcorn, ParticleEmitterPopcorn, stream, size);
             } else if (tag === 'RIBB') {
                 this.loadDynamicObjects(this.ribbonEmitters, RibbonEmitter, stream, size);
             } else if (tag === 'CAMS') {
@@ -147,6 +185,10 @@ export default class Model {
                 this.loadDynamicObjects(this.eventObjects, EventObject, stream, size);
             } else if (tag === 'CLID') {
                 this.loadDynamicObjects(this.collisionShapes, CollisionShape, stream, size);
+            } else if (tag === 'FAFX') {
+                this.loadStaticObjects(this.faceEffects, FaceEffect, stream, size / 340);
+            } else if (tag === 'BPOS') {
+                this.loadBindPoseChunk(stream);
             } else {
                 this.unknownChunks.push(new UnknownChunk(stream, size, tag));
             }
@@ -186,9 +228,9 @@ export default class Model {
         while (totalSize !== size) {
             let object = new constructor();
 
-            object.readMdx(stream);
+            object.readMdx(stream, this.version);
 
-            totalSize += object.getByteLength();
+            totalSize += object.getByteLength(this.version);
 
             out.push(object);
         }
@@ -200,6 +242,12 @@ export default class Model {
         }
     }
 
+    loadBindPoseChunk(stream) {
+        for (let i = 0, l = stream.readUint32(); i < l; i++) {
+            this.bindPose.push(stream.readFloat32Array(new Float32Array(12)));
+        }
+    }
+
     /**
      * Save the model as MDX.
      * 
@@ -226,11 +274,21 @@ export default class Model {
         this.savePivotPointChunk(stream);
         this.saveDynamicObjectChunk(stream, 'PREM', this.particleEmitters);
         this.saveDynamicObjectChunk(stream, 'PRE2', this.particleEmitters2);
+
+        if (this.version > 800) {
+            this.saveDynamicObjectChunk(stream, 'CORN', this.particleEmittersPopcorn);
+        }
+
         this.saveDynamicObjectChunk(stream, 'RIBB', this.ribbonEmitters);
         this.saveDynamicObjectChunk(stream, 'CAMS', this.cameras);
         this.saveDynamicObjectChunk(stream, 'EVTS', this.eventObjects);
         this.saveDynamicObjectChunk(stream, 'CLID', this.collisionShapes);
 
+        if (this.version > 800) {
+            this.saveStaticObjectChunk(stream, 'FAFX', this.faceEffects, 340);
+            this.saveBindPoseChunk(stream);
+        }
+
         return buffer;
     }
 
@@ -279,7 +337,7 @@ export default class Model {
             stream.writeUint32(this.getObjectsByteLength(objects));
 
             for (let object of objects) {
-                object.writeMdx(stream);
+                object.writeMdx(stream, this.version);
             }
         }
     }
@@ -295,61 +353,112 @@ export default class Model {
         }
     }
 
+    saveBindPoseChunk(stream) {
+        if (this.bindPose.length) {
+            stream.write('BPOS');
+            stream.writeUint32(4 + this.bindPose.length * 48);
+            stream.writeUint32(this.bindPose.length);
+
+            for (let matrix of this.bindPose) {
+                stream.writeFloat32Array(matrix);
+            }
+        }
+    }
+
     /**
      * Load the model from MDL.
      * 
+     * Errors, including unsupported blocks, are TokenStreamErrors, which have the line and column of the token that caused them, and the path of the blocks they were in.
+     * E.g.: Expected a number, but got "}" at line 30, column 9 in Bone "Root" > Rotation > keyframe 3
+     * 
+     * In recovery mode, top level blocks that fail to load are skipped, and loading continues from the next block.
+     * Objects that were loaded in a skipped block before the error are kept.
+     * The errors of the skipped blocks are returned, and if the array is empty, the whole model was loaded.
+     * 
      * @param {string} buffer
+     * @param {?boolean} recover
+     * @returns {Array<TokenStreamError>}
      */
-    loadMdl(buffer) {
-        let token,
-            stream = new TokenStream(buffer);
+    loadMdl(buffer, recover) {
+        let stream = new TokenStream(buffer),
+            errors = [],
+            start = stream.index,
+            token;
 
         while (token = stream.read()) {
-            if (token === 'Version') {
-                this.loadVersionBlock(stream);
-            } else if (token === 'Model') {
-                this.loadModelBlock(stream);
-            } else if (token === 'Sequences') {
-                this.loadNumberedObjectBlock(this.sequences, Sequence, 'Anim', stream);
-            } else if (token === 'GlobalSequences') {
-                this.loadGlobalSequenceBlock(stream);
-            } else if (token === 'Textures') {
-                this.loadNumberedObjectBlock(this.textures, Texture, 'Bitmap', stream);
-            } else if (token === 'Materials') {
-                this.loadNumberedObjectBlock(this.materials, Material, 'Material', stream);
-            } else if (token === 'TextureAnims') {
-                this.loadNumberedObjectBlock(this.textureAnimations, TextureAnimation, 'TVertexAnim', stream);
-            } else if (token === 'Geoset') {
-                this.loadObject(this.geosets, Geoset, stream);
-            } else if (token === 'GeosetAnim') {
-                this.loadObject(this.geosetAnimations, GeosetAnimation, stream);
-            } else if (token === 'Bone') {
-                this.loadObject(this.bones, Bone, stream);
-            } else if (token === 'Light') {
-                this.loadObject(this.lights, Light, stream);
-            } else if (token === 'Helper') {
-                this.loadObject(this.helpers, Helper, stream);
-            } else if (token === 'Attachment') {
-                this.loadObject(this.attachments, Attachment, stream);
-            } else if (token === 'PivotPoints') {
-                this.loadPivotPointBlock(stream);
-            } else if (token === 'ParticleEmitter') {
-                this.loadObject(this.particleEmitters, ParticleEmitter, stream);
-            } else if (token === 'ParticleEmitter2') {
-                this.loadObject(this.particleEmitters2, ParticleEmitter2, stream);
-            } else if (token === 'RibbonEmitter') {
-                this.loadObject(this.ribbonEmitters, RibbonEmitter, stream);
-            } else if (token === 'Camera') {
-                this.loadObject(this.cameras, Camera, stream);
-            } else if (token === 'EventObject') {
-                this.loadObject(this.eventObjects, EventObject, stream);
-            } else if (token === 'CollisionShape') {
-                this.loadObject(this.collisionShapes, CollisionShape, stream);
-            } else {
-                console.error(`Unsupported block: ${token}`);
-                return;
+            try {
+                stream.enterBlock(getBlockName(stream, token));
+
+                if (token === 'Version') {
+                    this.loadVersionBlock(stream);
+                } else if (token === 'Model') {
+                    this.loadModelBlock(stream);
+                } else if (token === 'Sequences') {
+                    this.loadNumberedObjectBlock(this.sequences, Sequence, 'Anim', stream);
+                } else if (token === 'GlobalSequences') {
+                    this.loadGlobalSequenceBlock(stream);
+                } else if (token === 'Textures') {
+                    this.loadNumberedObjectBlock(this.textures, Texture, 'Bitmap', stream);
+                } else if (token === 'Materials') {
+                    this.loadNumberedObjectBlock(this.materials, Material, 'Material', stream);
+                } else if (token === 'TextureAnims') {
+                    this.loadNumberedObjectBlock(this.textureAnimations, TextureAnimation, 'TVertexAnim', stream);
+                } else if (token === 'Geoset') {
+                    this.loadObject(this.geosets, Geoset, stream);
+                } else if (token === 'GeosetAnim') {
+                    this.loadObject(this.geosetAnimations, GeosetAnimation, stream);
+                } else if (token === 'Bone') {
+                    this.loadObject(this.bones, Bone, stream);
+                } else if (token === 'Light') {
+                    this.loadObject(this.lights, Light, stream);
+                } else if (token === 'Helper') {
+                    this.loadObject(this.helpers, Helper, stream);
+                } else if (token === 'Attachment') {
+                    this.loadObject(this.attachments, Attachment, stream);
+                } else if (token === 'PivotPoints') {
+                    this.loadPivotPointBlock(stream);
+                } else if (token === 'ParticleEmitter') {
+                    this.loadObject(this.particleEmitters, ParticleEmitter, stream);
+                } else if (token === 'ParticleEmitter2') {
+                    this.loadObject(this.particleEmitters2, ParticleEmitter2, stream);
+                } else if (token === 'ParticleEmitterPopcorn') {
+                    this.loadObject(this.particleEmittersPopcorn, ParticleEmitterPopcorn, stream);
+                } else if (token === 'RibbonEmitter') {
+                    this.loadObject(this.ribbonEmitters, RibbonEmitter, stream);
+                } else if (token === 'Camera') {
+                    this.loadObject(this.cameras, Camera, stream);
+                } else if (token === 'EventObject') {
+                    this.loadObject(this.eventObjects, EventObject, stream);
+                } else if (token === 'CollisionShape') {
+                    this.loadObject(this.collisionShapes, CollisionShape, stream);
+                } else if (token === 'FaceFX') {
+                    this.loadObject(this.faceEffects, FaceEffect, stream);
+                } else if (token === 'BindPose') {
+                    this.loadBindPoseBlock(stream);
+                } else {
+                    throw stream.error(`Unsupported block "${token}"`);
+                }
+
+                stream.leaveBlock();
+            } catch (e) {
+                // Errors that were not thrown by the stream itself, e.g. unknown tokens, are at the last read token.
+                let error = e instanceof TokenStreamError ? e : stream.error(e.message);
+
+                if (!recover) {
+                    throw error;
+                }
+
+                errors.push(error);
+
+                stream.blocks.length = 0;
+                stream.index = start;
+                stream.skipBlock();
             }
+
+            start = stream.index;
         }
+
+        return errors;
     }
 
     loadVersionBlock(stream) {
@@ -401,7 +510,9 @@ export default class Model {
             if (token === name) {
                 let object = new constructor();
 
+                stream.enterBlock(getBlockName(stream, token, out.length));
                 object.readMdl(stream);
+                stream.leaveBlock();
 
                 out.push(object);
             } else {
@@ -433,13 +544,31 @@ export default class Model {
     loadPivotPointBlock(stream) {
         let count = stream.readInt();
 
-        stream.read(); // {
+        stream.expect('{');
 
         for (let i = 0; i < count; i++) {
             this.pivotPoints.push(stream.readFloatArray(new Float32Array(3)));
         }
 
-        stream.read(); // }
+        stream.expect('}');
+    }
+
+    loadBindPoseBlock(stream) {
+        for (let token of stream.readBlock()) {
+            if (token === 'Matrices') {
+                let count = stream.readInt();
+
+                stream.expect('{');
+
+                for (let i = 0; i < count; i++) {
+                    this.bindPose.push(stream.readFloatArray(new Float32Array(12)));
+                }
+
+                stream.expect('}');
+            } else {
+                throw new Error(`Unknown token in BindPose: "${token}"`);
+            }
+        }
     }
 
     /**
@@ -466,11 +595,21 @@ export default class Model {
         this.savePivotPointBlock(stream);
         this.saveObjects(stream, this.particleEmitters);
         this.saveObjects(stream, this.particleEmitters2);
+
+        if (this.version > 800) {
+            this.saveObjects(stream, this.particleEmittersPopcorn);
+        }
+
         this.saveObjects(stream, this.ribbonEmitters);
         this.saveObjects(stream, this.cameras);
         this.saveObjects(stream, this.eventObjects);
         this.saveObjects(stream, this.collisionShapes);
 
+        if (this.version > 800) {
+            this.saveObjects(stream, this.faceEffects);
+            this.saveBindPoseBlock(stream);
+        }
+
         return stream.buffer;
     }
 
@@ -492,7 +631,7 @@ export default class Model {
             stream.startBlock(name, objects.length);
 
             for (let object of objects) {
-                object.writeMdl(stream);
+                object.writeMdl(stream, this.version);
             }
 
             stream.endBlock();
@@ -513,7 +652,7 @@ export default class Model {
 
     saveObjects(stream, objects) {
         for (let object of objects) {
-            object.writeMdl(stream);
+            object.writeMdl(stream, this.version);
         }
     }
 
@@ -529,6 +668,20 @@ export default class Model {
         }
     }
 
+    saveBindPoseBlock(stream) {
+        if (this.bindPose.length) {
+            stream.startBlock('BindPose');
+            stream.startBlock('Matrices', this.bindPose.length);
+
+            for (let matrix of this.bindPose) {
+                stream.writeArray(matrix);
+            }
+
+            stream.endBlock();
+            stream.endBlock();
+        }
+    }
+
     /**
      * Calculate the size of the model as MDX.
      * 
@@ -555,6 +708,15 @@ export default class Model {
         size += this.getDynamicObjectsChunkByteLength(this.cameras);
         size += this.getDynamicObjectsChunkByteLength(this.eventObjects);
         size += this.getDynamicObjectsChunkByteLength(this.collisionShapes);
+
+        if (this.version > 800) {
+            size += this.getDynamicObjectsChunkByteLength(this.particleEmittersPopcorn);
+            size += this.getStaticObjectsChunkByteLength(this.faceEffects, 340);
+
+            if (this.bindPose.length) {
+                size += 12 + this.bindPose.length * 48;
+            }
+        }
         size += 8 * this.unknownChunks.length + this.getDynamicObjectsChunkByteLength(this.unknownChunks);
 
         return size;
@@ -564,7 +726,7 @@ export default class Model {
         let size = 0;
 
         for (let object of objects) {
-            size += object.getByteLength();
+            size += object.getByteLength(this.version);
         }
 
         return size;
@@ -0,0 +1,120 @@
+import ObjWriter from '../../common/objwriter';
+import BlpImage from '../blp/image';
+import evaluateModel, { skinGeoset } from './evaluate';
+
+/**
+ * Decodes a BLP texture to RGBA pixels, or returns null if it can't be decoded.
+ *
+ * @param {?ArrayBuffer} buffer
+ * @returns {?Object}
+ */
+function decodeTexture(buffer) {
+    if (!buffer) {
+        return null;
+    }
+
+    let blpImage,
+        mipmap;
+
+    try {
+        blpImage = new BlpImage(buffer);
+        mipmap = blpImage.getMipmap(0);
+    } catch (e) {
+        return null;
+    }
+
+    let pixels = mipmap.data,
+        opaque = blpImage.alphaBits === 0;
+
+    // BLP pixels are BGRA.
+    // JPEG images without alpha bits still store an alpha component, which the game doesn't use, so the exported image is opaque.
+    for (let i = 0, l = pixels.length; i < l; i += 4) {
+        let b = pixels[i];
+
+        pixels[i] = pixels[i + 2];
+        pixels[i + 2] = b;
+
+        if (opaque) {
+            pixels[i + 3] = 255;
+        }
+    }
+
+    return mipmap;
+}
+
+/**
+ * Exports a model at a frame of a sequence to Wavefront OBJ and MTL files, without needing a canvas or WebGL.
+ * See evaluateModel() for the meaning of the sequence and frame, where the sequence -1 is the bind pose.
+ *
+ * The skeleton is evaluated on the CPU, and every geoset becomes a group with its skinned vertices, normals and texture coordinates.
+ * Geosets that are invisible at that frame, and Reforged geosets of other levels of detail than 0, are skipped, like in the renderer.
+ * Every material becomes an MTL material with the texture and alpha of its first layer at that frame.
+ * BLP textures are decoded, and returned as PNG files that the MTL file references.
+ *
+ * The options are:
+ *     getTexture - A function that gets a texture path, and returns the texture file as an ArrayBuffer, or null if it doesn't exist.
+ *                  Without it, materials have no textures.
+ *     name - The name of the MTL file, without its extension, "model" by default.
+ *     zUp - Keep the positions Z up, rather than rotating them to be Y up.
+ *
+ * Returns an object of the form { obj, mtl, textures }, see ObjWriter.save().
+ *
+ * @param {Model} model
+ * @param {number} sequenceId
+ * @param {number} frame
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function exportObj(model, sequenceId, frame, options) {
+    let getTexture = options && options.getTexture,
+        writer = new ObjWriter(options && options.zUp),
+        { nodes, geosets, layers } = evaluateModel(model, sequenceId, frame),
+        materialNames = [];
+
+    // Materials are added as they are used.
+    let addMaterial = (materialId) => {
+        let layer = model.materials[materialId].layers[0],
+            name = `Material${materialId}`;
+
+        if (materialNames[materialId]) {
+            return name;
+        }
+
+        materialNames[materialId] = name;
+
+        if (!layer) {
+            writer.addMaterial(name, 1, null);
+        } else {
+            let { alpha, textureId } = layers[materialId][0],
+                texture = model.textures[textureId],
+                textureName = null;
+
+            if (getTexture && texture && texture.path) {
+                let imageData = decodeTexture(getTexture(texture.path));
+
+                if (imageData) {
+                    textureName = writer.addTexture(texture.path, imageData);
+                }
+            }
+
+            writer.addMaterial(name, alpha, textureName);
+        }
+
+        return name;
+    };
+
+    for (let [geosetId, geoset] of model.geosets.entries()) {
+        if (geoset.lod !== 0 || geosets[geosetId].alpha <= 0) {
+            continue;
+        }
+
+        let material = model.materials[geoset.materialId],
+            layer = material && material.layers[0],
+            uvs = geoset.textureCoordinateSets[layer ? layer.coordId : 0] || geoset.textureCoordinateSets[0] || new Float32Array(geoset.vertices.length / 3 * 2),
+            { vertices, normals } = skinGeoset(geoset, nodes);
+
+        writer.addGroup(`Geoset${geosetId}`, material ? addMaterial(geoset.materialId) : null, vertices, normals, uvs, geoset.faces);
+    }
+
+    return writer.save(options && options.name || 'model');
+};
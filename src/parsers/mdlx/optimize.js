@@ -0,0 +1,569 @@
+import '../../common/gl-matrix-addon';
+import Interpolator from '../../common/interpolator';
+import { visibilityNames, defaultValues, getRangeTracks } from './animations';
+import { eachAnimatedObject, eachGenericObject, removeGeosetAnimation, removeUnused, eachMaterialReference, eachTextureReference, eachTextureAnimationReference, eachGlobalSequenceReference } from './fixmodel';
+
+// Animations that have a static value on their object which is used when they don't exist, and the names of the values.
+// Sequences that have no keyframes use the default value of the animation.
+let staticProperties = {
+    KMTF: 'textureId',
+    KMTA: 'alpha',
+    KMTE: 'emissiveGain',
+    KFC3: 'fresnelColor',
+    KFCA: 'fresnelOpacity',
+    KFTC: 'fresnelTeamColor',
+    KLAI: 'intensity',
+    KLBI: 'ambientIntensity',
+    KPEE: 'emissionRate',
+    KPEG: 'gravity',
+    KPLN: 'longitude',
+    KPLT: 'latitude',
+    KPEL: 'lifeSpan',
+    KPES: 'speed',
+    KP2S: 'speed',
+    KP2R: 'variation',
+    KP2L: 'latitude',
+    KP2G: 'gravity',
+    KP2E: 'emissionRate',
+    KP2N: 'length',
+    KP2W: 'width',
+    KPPA: 'alpha',
+    KPPE: 'emissionRate',
+    KPPL: 'lifeSpan',
+    KPPS: 'speed',
+    KRHA: 'heightAbove',
+    KRHB: 'heightBelow',
+    KRAL: 'alpha'
+};
+
+// Animations that have no static value, and use their default value both when they don't exist, and in sequences that have no keyframes.
+// Colors are missing, since their static values are swizzled differently than their keyframes.
+// Camera translations are missing too, since the game adds them to the static positions, while the renderer replaces them.
+let fallbackNames = new Set(['KGTR', 'KGRT', 'KGSC', 'KTAT', 'KTAR', 'KTAS', 'KGAO', 'KLAV', 'KATV', 'KPEV', 'KP2V', 'KPPV', 'KRVS', 'KRTX', 'KCRL']);
+
+// Values are numbers for scalar tracks, and typed arrays for vector tracks.
+function isClose(a, b, tolerance) {
+    if (typeof a === 'number') {
+        return Math.abs(a - b) <= tolerance;
+    }
+
+    for (let i = 0, l = a.length; i < l; i++) {
+        if (Math.abs(a[i] - b[i]) > tolerance) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function isEqual(a, b) {
+    return isClose(a, b, 0);
+}
+
+function copyValue(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    return value.slice();
+}
+
+/**
+ * The frame ranges in which an animation is used, in the form [start, end, isGlobalSequence].
+ * Returns null if they are not known.
+ *
+ * @param {Model} model
+ * @param {Animation} animation
+ * @returns {?Array<Array<number>>}
+ */
+function getRanges(model, animation) {
+    let globalSequenceId = animation.globalSequenceId;
+
+    if (globalSequenceId !== -1) {
+        if (globalSequenceId < 0 || globalSequenceId >= model.globalSequences.length) {
+            return null;
+        }
+
+        return [[0, model.globalSequences[globalSequenceId], true]];
+    }
+
+    if (!model.sequences.length) {
+        return null;
+    }
+
+    return model.sequences.map((sequence) => [sequence.interval[0], sequence.interval[1], false]);
+}
+
+/**
+ * Whether the renderer uses a range as a constant value, rather than interpolating it.
+ *
+ * @param {Array<Track>} rangeTracks
+ * @returns {boolean}
+ */
+function isConstantRange(rangeTracks) {
+    return rangeTracks.every((track) => isEqual(track.value, rangeTracks[0].value));
+}
+
+/**
+ * @param {Animation} animation
+ * @returns {boolean}
+ */
+function isSorted(animation) {
+    let tracks = animation.tracks;
+
+    for (let i = 1, l = tracks.length; i < l; i++) {
+        if (tracks[i].frame < tracks[i - 1].frame) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Removes tracks that are interpolated from their neighbors anyway, up to the tolerance.
+ * Only linear and non-interpolated animations are handled.
+ * The first and last tracks of every range are kept, so the renderer never adds its own tracks where it didn't before.
+ *
+ * @param {Model} model
+ * @param {Animation} animation
+ * @param {number} tolerance
+ * @returns {number} The number of removed tracks.
+ */
+function reduceTracks(model, animation, tolerance) {
+    let ranges = getRanges(model, animation),
+        interpolationType = visibilityNames.has(animation.name) ? 0 : animation.interpolationType,
+        tracks = animation.tracks;
+
+    if (!ranges || interpolationType > 1 || tracks.length < 3 || !isSorted(animation)) {
+        return 0;
+    }
+
+    let inRange = (track, range) => track.frame >= range[0] && track.frame <= range[1],
+        kept = [tracks[0]],
+        pending = [];
+
+    for (let i = 1, l = tracks.length; i < l - 1; i++) {
+        let a = kept[kept.length - 1],
+            track = tracks[i],
+            next = tracks[i + 1],
+            candidates = [...pending, track],
+            removable = true;
+
+        for (let candidate of candidates) {
+            let used = false;
+
+            if (candidate.frame <= a.frame || candidate.frame >= next.frame) {
+                removable = false;
+                break;
+            }
+
+            for (let range of ranges) {
+                if (inRange(candidate, range)) {
+                    used = true;
+
+                    if (!inRange(a, range) || !inRange(next, range)) {
+                        removable = false;
+                        break;
+                    }
+                }
+            }
+
+            if (!used || !removable) {
+                removable = false;
+                break;
+            }
+
+            let t = (candidate.frame - a.frame) / (next.frame - a.frame),
+                value = Interpolator.interpolate(a.value, a.outTan, next.inTan, next.value, t, interpolationType);
+
+            if (!isClose(candidate.value, value, tolerance)) {
+                removable = false;
+                break;
+            }
+        }
+
+        // Otherwise, the pending tracks are still interpolated between the last kept track and this one.
+        if (removable) {
+            pending.push(track);
+        } else {
+            kept.push(track);
+            pending.length = 0;
+        }
+    }
+
+    kept.push(tracks[tracks.length - 1]);
+
+    let removed = tracks.length - kept.length;
+
+    if (removed) {
+        // If the remaining tracks of a range became equal, the renderer would stop interpolating it.
+        for (let range of ranges) {
+            if (isConstantRange(getRangeTracks(tracks, ...range)) !== isConstantRange(getRangeTracks(kept, ...range))) {
+                return 0;
+            }
+        }
+
+        animation.tracks = kept;
+    }
+
+    return removed;
+}
+
+/**
+ * Collapses an animation that has one value, up to the tolerance.
+ * Animations that have a static value are removed in favor of it, if it can show the same value in every range.
+ * Animations that have a fallback value are removed if they only show it.
+ * Otherwise, only one track is kept per range that has tracks.
+ *
+ * @param {Model} model
+ * @param {Object} object
+ * @param {Animation} animation
+ * @param {number} tolerance
+ * @returns {?string} A description of the change, or null if there was none.
+ */
+function collapseTracks(model, object, animation, tolerance) {
+    let ranges = getRanges(model, animation),
+        tracks = animation.tracks,
+        name = animation.name;
+
+    if (!ranges || !tracks.length || !isSorted(animation)) {
+        return null;
+    }
+
+    let value = tracks[0].value,
+        covered = [],
+        uncovered = 0;
+
+    if (!tracks.every((track) => isClose(track.value, value, tolerance))) {
+        return null;
+    }
+
+    for (let range of ranges) {
+        let rangeTracks = getRangeTracks(tracks, ...range);
+
+        if (rangeTracks.length) {
+            // A range that doesn't start with a track, and isn't constant, is interpolated from the default value.
+            if (!isConstantRange(rangeTracks) && rangeTracks[0].frame !== range[0]) {
+                return null;
+            }
+
+            covered.push(rangeTracks);
+        } else {
+            uncovered += 1;
+        }
+    }
+
+    let key = staticProperties[name],
+        defaultValue = defaultValues[name];
+
+    if (key && object[key] !== undefined) {
+        // Sequences without tracks use the default value, so the static value can only replace them all if they agree.
+        if (!covered.length || !uncovered || isClose(value, defaultValue, tolerance)) {
+            let staticValue = covered.length ? value : defaultValue;
+
+            if (typeof object[key] === 'number') {
+                object[key] = staticValue;
+            } else {
+                object[key].set(staticValue);
+            }
+
+            object.animations.splice(object.animations.indexOf(animation), 1);
+
+            return `Replaced a constant ${name} animation with a static value`;
+        }
+    } else if (fallbackNames.has(name) && (!covered.length || isClose(value, defaultValue, tolerance))) {
+        object.animations.splice(object.animations.indexOf(animation), 1);
+
+        return `Removed a ${name} animation that only has its default value`;
+    }
+
+    let kept;
+
+    if (ranges[0][2] && tracks[0].frame > ranges[0][1]) {
+        kept = [tracks[0]];
+    } else {
+        kept = [...new Set(covered.map((rangeTracks) => rangeTracks[0]))];
+    }
+
+    if (!kept.length || kept.length === tracks.length && tracks.every((track) => isEqual(track.value, value))) {
+        return null;
+    }
+
+    for (let track of kept) {
+        track.value = copyValue(value);
+    }
+
+    animation.tracks = kept;
+
+    return `Collapsed a constant ${name} animation from ${tracks.length} to ${kept.length} keyframes`;
+}
+
+/**
+ * @param {Model} model
+ * @param {Array<Object>} log
+ * @param {number} tolerance
+ */
+function reduceKeyframes(model, log, tolerance) {
+    for (let [path, object] of eachAnimatedObject(model)) {
+        for (let [i, animation] of object.animations.entries()) {
+            let removed = reduceTracks(model, animation, tolerance);
+
+            if (removed) {
+                log.push({ optimization: 'reduceKeyframes', path: `${path}/animations/${i}`, message: `Removed ${removed} redundant ${animation.name} keyframes` });
+            }
+        }
+    }
+}
+
+/**
+ * @param {Model} model
+ * @param {Array<Object>} log
+ * @param {number} tolerance
+ */
+function collapseConstantTracks(model, log, tolerance) {
+    for (let [path, object] of eachAnimatedObject(model)) {
+        // Iterate over a copy, since animations may be removed.
+        for (let [i, animation] of [...object.animations].entries()) {
+            let message = collapseTracks(model, object, animation, tolerance);
+
+            if (message) {
+                log.push({ optimization: 'collapseConstantTracks', path: `${path}/animations/${i}`, message });
+            }
+        }
+    }
+}
+
+/**
+ * Removes geosets that have no vertices or no faces, since they render nothing.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function removeEmptyGeosets(model, log) {
+    let geosets = model.geosets,
+        remap = [];
+
+    for (let i = 0, l = geosets.length, next = 0; i < l; i++) {
+        let geoset = geosets[i];
+
+        if (geoset.vertices.length && geoset.faces.length) {
+            remap[i] = next++;
+        } else {
+            log.push({ optimization: 'removeEmptyGeosets', path: `geosets/${i}`, message: 'Removed an empty geoset' });
+        }
+    }
+
+    if (remap.length === geosets.length && remap.every((index, i) => index === i)) {
+        return;
+    }
+
+    model.geosets = geosets.filter((geoset, i) => remap[i] !== undefined);
+
+    for (let i = model.geosetAnimations.length - 1; i >= 0; i--) {
+        let geosetAnimation = model.geosetAnimations[i],
+            geosetId = geosetAnimation.geosetId;
+
+        if (geosetId >= 0 && geosetId < geosets.length) {
+            if (remap[geosetId] === undefined) {
+                removeGeosetAnimation(model, i);
+            } else {
+                geosetAnimation.geosetId = remap[geosetId];
+            }
+        }
+    }
+
+    for (let bone of model.bones) {
+        let geosetId = bone.geosetId;
+
+        if (geosetId >= 0 && geosetId < geosets.length) {
+            bone.geosetId = remap[geosetId] === undefined ? -1 : remap[geosetId];
+        }
+    }
+}
+
+/**
+ * Removes geoset animations that have no geosets, and ones that don't change anything.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function removeUnusedGeosetAnimations(model, log) {
+    for (let i = model.geosetAnimations.length - 1; i >= 0; i--) {
+        let geosetAnimation = model.geosetAnimations[i],
+            geosetId = geosetAnimation.geosetId;
+
+        if (geosetId < 0 || geosetId >= model.geosets.length) {
+            removeGeosetAnimation(model, i);
+
+            log.push({ optimization: 'removeUnusedGeosetAnimations', path: `geosetAnimations/${i}`, message: `Removed a geoset animation of geoset ${geosetId} which doesn't exist` });
+        } else if (!geosetAnimation.animations.length && geosetAnimation.alpha === 1 && isEqual(geosetAnimation.color, [1, 1, 1])) {
+            removeGeosetAnimation(model, i);
+
+            log.push({ optimization: 'removeUnusedGeosetAnimations', path: `geosetAnimations/${i}`, message: 'Removed a geoset animation that changes nothing' });
+        }
+    }
+}
+
+/**
+ * Removes bones and helpers that have no children and no vertices, repeatedly, so whole unused chains are removed.
+ * Object IDs are renumbered, so this is only done when every object ID is the position of its object, and the model has no bind pose.
+ *
+ * @param {Model} model
+ * @param {Array<Object>} log
+ */
+function removeLeafBones(model, log) {
+    let objects = [...eachGenericObject(model)];
+
+    if (model.bindPose.length || !objects.every(([path, object], i) => object.objectId === i)) {
+        return;
+    }
+
+    let referenced = new Set();
+
+    for (let geoset of model.geosets) {
+        for (let index of geoset.matrixIndices) {
+            referenced.add(index);
+        }
+    }
+
+    let removed = new Set(),
+        changed = true;
+
+    while (changed) {
+        let parents = new Set();
+
+        changed = false;
+
+        for (let [path, object] of objects) {
+            if (!removed.has(object.objectId)) {
+                parents.add(object.parentId);
+            }
+        }
+
+        for (let [path, object] of objects) {
+            let objectId = object.objectId;
+
+            if (!removed.has(objectId) && (path.startsWith('bones/') || path.startsWith('helpers/')) && !referenced.has(objectId) && !parents.has(objectId)) {
+                removed.add(objectId);
+                changed = true;
+
+                log.push({ optimization: 'removeLeafBones', path, message: `Removed "${object.name}", which has no children and no vertices` });
+            }
+        }
+    }
+
+    if (!removed.size) {
+        return;
+    }
+
+    let remap = [];
+
+    for (let i = 0, l = objects.length, next = 0; i < l; i++) {
+        if (!removed.has(i)) {
+            remap[i] = next++;
+        }
+    }
+
+    model.bones = model.bones.filter((bone) => !removed.has(bone.objectId));
+    model.helpers = model.helpers.filter((helper) => !removed.has(helper.objectId));
+    model.pivotPoints = model.pivotPoints.filter((pivotPoint, i) => !removed.has(i));
+
+    for (let [path, object] of eachGenericObject(model)) {
+        object.objectId = remap[object.objectId];
+
+        if (object.parentId !== -1 && remap[object.parentId] !== undefined) {
+            object.parentId = remap[object.parentId];
+        }
+    }
+
+    for (let geoset of model.geosets) {
+        geoset.matrixIndices = geoset.matrixIndices.map((index) => remap[index] === undefined ? index : remap[index]);
+    }
+}
+
+/**
+ * @param {Array<Object>} log
+ * @param {string} optimization
+ * @param {string} path
+ * @param {Array<number>} removed
+ * @param {string} name
+ */
+function logRemoved(log, optimization, path, removed, name) {
+    for (let index of removed) {
+        log.push({ optimization, path: `${path}/${index}`, message: `Removed an unused ${name}` });
+    }
+}
+
+/**
+ * Optimizes a model for distribution, by removing keyframes and data that don't change how it looks.
+ * Every optimization can be disabled by setting it to false in the options, e.g. { removeLeafBones: false }:
+ *     removeEmptyGeosets - Remove geosets that have no vertices or no faces.
+ *     removeUnusedGeosetAnimations - Remove geoset animations of geosets that don't exist, and ones that change nothing.
+ *     removeLeafBones - Remove bones and helpers that have no children and no vertices.
+ *     reduceKeyframes - Remove linear and non-interpolated keyframes that their neighbors interpolate to anyway.
+ *     collapseConstantTracks - Replace animations that have one value with static values, or with one keyframe per sequence.
+ *     removeUnusedMaterials - Remove materials that no geoset or ribbon emitter uses.
+ *     removeUnusedTextures - Remove textures that no layer or particle emitter uses.
+ *     removeUnusedTextureAnimations - Remove texture animations that no layer uses.
+ *     removeUnusedGlobalSequences - Remove global sequences that no animation uses.
+ *
+ * The tolerance option is the largest difference between values that are considered equal, and defaults to 0.0001.
+ * Keyframes should be sorted beforehand with fixModel(), since animations with unsorted keyframes are not changed.
+ *
+ * Returns the byte lengths of the model before and after, and a log of the changes, where each change is an object of the form { optimization, path, message }.
+ * Like fixModel(), paths are of the objects as they were when the optimization was applied.
+ *
+ * @param {Model} model
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function optimizeModel(model, options) {
+    let log = [],
+        enabled = (name) => !options || options[name] !== false,
+        tolerance = options && options.tolerance !== undefined ? options.tolerance : 0.0001,
+        byteLengthBefore = model.getByteLength();
+
+    // Removing geosets can leave their geoset animations, materials and bones unused, so it goes first.
+    if (enabled('removeEmptyGeosets')) {
+        removeEmptyGeosets(model, log);
+    }
+
+    if (enabled('removeUnusedGeosetAnimations')) {
+        removeUnusedGeosetAnimations(model, log);
+    }
+
+    if (enabled('removeLeafBones')) {
+        removeLeafBones(model, log);
+    }
+
+    if (enabled('reduceKeyframes')) {
+        reduceKeyframes(model, log, tolerance);
+    }
+
+    // Collapsing animations can leave textures and global sequences unused, so it goes before removing them.
+    if (enabled('collapseConstantTracks')) {
+        collapseConstantTracks(model, log, tolerance);
+    }
+
+    // Materials go first, since the textures and texture animations of removed materials become unused.
+    if (enabled('removeUnusedMaterials')) {
+        logRemoved(log, 'removeUnusedMaterials', 'materials', removeUnused(model.materials, (callback) => eachMaterialReference(model, callback)), 'material');
+    }
+
+    if (enabled('removeUnusedTextures')) {
+        logRemoved(log, 'removeUnusedTextures', 'textures', removeUnused(model.textures, (callback) => eachTextureReference(model, callback)), 'texture');
+    }
+
+    if (enabled('removeUnusedTextureAnimations')) {
+        logRemoved(log, 'removeUnusedTextureAnimations', 'textureAnimations', removeUnused(model.textureAnimations, (callback) => eachTextureAnimationReference(model, callback)), 'texture animation');
+    }
+
+    if (enabled('removeUnusedGlobalSequences')) {
+        logRemoved(log, 'removeUnusedGlobalSequences', 'globalSequences', removeUnused(model.globalSequences, (callback) => eachGlobalSequenceReference(model, callback)), 'global sequence');
+    }
+
+    let byteLengthAfter = model.getByteLength();
+
+    return { byteLengthBefore, byteLengthAfter, savings: byteLengthBefore - byteLengthAfter, log };
+};
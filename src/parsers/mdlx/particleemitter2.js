@@ -197,14 +197,14 @@ export default class ParticleEmitter2 extends GenericObject {
             } else if (token === 'Time') {
                 this.timeMiddle = stream.readFloat();
             } else if (token === 'SegmentColor') {
-                stream.read(); // {
+                stream.expect('{');
 
                 for (let i = 0; i < 3; i++) {
-                    stream.read(); // Color
+                    stream.expect('Color');
                     stream.readColor(this.segmentColors[i]);
                 }
 
-                stream.read(); // }
+                stream.expect('}');
             } else if (token === 'Alpha') {
                 stream.readIntArray(this.segmentAlphas);
             } else if (token === 'ParticleScaling') {
@@ -0,0 +1,159 @@
+import GenericObject from './genericobject';
+
+/**
+ * A Reforged particle emitter, which emits Popcorn FX particles.
+ * Only exists in versions above 800.
+ */
+export default class ParticleEmitterPopcorn extends GenericObject {
+    constructor() {
+        super();
+
+        /** @member {number} */
+        this.lifeSpan = 0;
+        /** @member {number} */
+        this.emissionRate = 0;
+        /** @member {number} */
+        this.speed = 0;
+        /** @member {Float32Array} */
+        this.color = new Float32Array([1, 1, 1]);
+        /** @member {number} */
+        this.alpha = 1;
+        /** @member {number} */
+        this.replaceableId = 0;
+        /** @member {string} */
+        this.path = '';
+        /** @member {string} */
+        this.animationVisibilityGuide = '';
+    }
+
+    readMdx(stream) {
+        let size = stream.readUint32();
+
+        super.readMdx(stream);
+
+        this.lifeSpan = stream.readFloat32();
+        this.emissionRate = stream.readFloat32();
+        this.speed = stream.readFloat32();
+        stream.readFloat32Array(this.color);
+        this.alpha = stream.readFloat32();
+        this.replaceableId = stream.readUint32();
+        this.path = stream.read(260);
+        this.animationVisibilityGuide = stream.read(260);
+
+        this.readAnimations(stream, size - this.getByteLength());
+    }
+
+    writeMdx(stream) {
+        stream.writeUint32(this.getByteLength());
+
+        super.writeMdx(stream);
+
+        stream.writeFloat32(this.lifeSpan);
+        stream.writeFloat32(this.emissionRate);
+        stream.writeFloat32(this.speed);
+        stream.writeFloat32Array(this.color);
+        stream.writeFloat32(this.alpha);
+        stream.writeUint32(this.replaceableId);
+        stream.write(this.path);
+        stream.skip(260 - this.path.length);
+        stream.write(this.animationVisibilityGuide);
+        stream.skip(260 - this.animationVisibilityGuide.length);
+
+        this.writeNonGenericAnimationChunks(stream);
+    }
+
+    readMdl(stream) {
+        for (let token of super.readMdl(stream)) {
+            if (token === 'SortPrimsFarZ') {
+                this.flags |= 0x10000;
+            } else if (token === 'Unshaded') {
+                this.flags |= 0x8000;
+            } else if (token === 'Unfogged') {
+                this.flags |= 0x40000;
+            } else if (token === 'static LifeSpan') {
+                this.lifeSpan = stream.readFloat();
+            } else if (token === 'LifeSpan') {
+                this.readAnimation(stream, 'KPPL');
+            } else if (token === 'static EmissionRate') {
+                this.emissionRate = stream.readFloat();
+            } else if (token === 'EmissionRate') {
+                this.readAnimation(stream, 'KPPE');
+            } else if (token === 'static Speed') {
+                this.speed = stream.readFloat();
+            } else if (token === 'Speed') {
+                this.readAnimation(stream, 'KPPS');
+            } else if (token === 'static Color') {
+                stream.readColor(this.color);
+            } else if (token === 'Color') {
+                this.readAnimation(stream, 'KPPC');
+            } else if (token === 'static Alpha') {
+                this.alpha = stream.readFloat();
+            } else if (token === 'Alpha') {
+                this.readAnimation(stream, 'KPPA');
+            } else if (token === 'Visibility') {
+                this.readAnimation(stream, 'KPPV');
+            } else if (token === 'ReplaceableId') {
+                this.replaceableId = stream.readInt();
+            } else if (token === 'Path') {
+                this.path = stream.read();
+            } else if (token === 'AnimVisibilityGuide') {
+                this.animationVisibilityGuide = stream.read();
+            } else {
+                throw new Error(`Unknown token in ParticleEmitterPopcorn: "${token}"`);
+            }
+        }
+    }
+
+    writeMdl(stream) {
+        stream.startObjectBlock('ParticleEmitterPopcorn', this.name);
+        this.writeGenericHeader(stream);
+
+        if (this.flags & 0x10000) {
+            stream.writeFlag('SortPrimsFarZ');
+        }
+
+        if (this.flags & 0x8000) {
+            stream.writeFlag('Unshaded');
+        }
+
+        if (this.flags & 0x40000) {
+            stream.writeFlag('Unfogged');
+        }
+
+        if (!this.writeAnimation(stream, 'KPPL')) {
+            stream.writeAttrib('static LifeSpan', this.lifeSpan);
+        }
+
+        if (!this.writeAnimation(stream, 'KPPE')) {
+            stream.writeAttrib('static EmissionRate', this.emissionRate);
+        }
+
+        if (!this.writeAnimation(stream, 'KPPS')) {
+            stream.writeAttrib('static Speed', this.speed);
+        }
+
+        if (!this.writeAnimation(stream, 'KPPC')) {
+            stream.writeColor('static Color', this.color);
+        }
+
+        if (!this.writeAnimation(stream, 'KPPA')) {
+            stream.writeAttrib('static Alpha', this.alpha);
+        }
+
+        this.writeAnimation(stream, 'KPPV');
+
+        if (this.replaceableId !== 0) {
+            stream.writeAttrib('ReplaceableId', this.replaceableId);
+        }
+
+        stream.writeStringAttrib('Path', this.path);
+        stream.writeStringAttrib('AnimVisibilityGuide', this.animationVisibilityGuide);
+
+        this.writeGenericAnimations(stream);
+        stream.endBlock();
+    }
+
+    getByteLength() {
+        return 556 + super.getByteLength();
+    }
+};
@@ -9,7 +9,7 @@ function inRange(x, minVal, maxVal) {
 function testVersion(state) {
     let version = state.model.version;
 
-    state.assertWarning(version === 800, `Unknown version ${version}`);
+    state.assertWarning(version === 800 || version === 900 || version === 1000, 'unknown-version', `Unknown version ${version}`, { version });
 }
 
 function testSequences(state) {
@@ -43,19 +43,19 @@ function testSequences(state) {
             if (sequenceNames.has(token)) {
                 state.addReference();
             } else {
-                state.addWarning(`Not used due to an invalid name: "${token}"`);
+                state.addWarning('invalid-sequence-name', `Not used due to an invalid name: "${token}"`, { name: token });
             }
 
-            state.assertWarning(length !== 0, 'Zero length');
-            state.assertWarning(length > -1, `Negative length ${length}`);
+            state.assertWarning(length !== 0, 'zero-length-sequence', 'Zero length');
+            state.assertWarning(length > -1, 'negative-length-sequence', `Negative length ${length}`, { length });
 
             state.pop();
         }
 
-        state.assertWarning(foundStand, 'Missing "Stand" sequence');
-        state.assertWarning(foundDeath, 'Missing "Death" sequence');
+        state.assertWarning(foundStand, 'missing-stand-sequence', 'Missing "Stand" sequence');
+        state.assertWarning(foundDeath, 'missing-death-sequence', 'Missing "Death" sequence');
     } else {
-        state.addWarning('No sequences');
+        state.addWarning('no-sequences', 'No sequences');
     }
 }
 
@@ -63,8 +63,8 @@ function testGlobalSequences(state) {
     for (let [index, sequence] of state.model.globalSequences.entries()) {
         state.push('GlobalSequence', index);
 
-        state.assertWarning(sequence !== 0, 'Zero length');
-        state.assertWarning(sequence > 0, `Negative length ${sequence}`);
+        state.assertWarning(sequence !== 0, 'zero-length-global-sequence', 'Zero length');
+        state.assertWarning(sequence > 0, 'negative-length-global-sequence', `Negative length ${sequence}`, { length: sequence });
 
         state.pop();
     }
@@ -80,14 +80,14 @@ function testTextures(state) {
             let replaceableId = texture.replaceableId,
                 path = texture.path.toLowerCase();
 
-            state.assertError(path === '' || path.endsWith('.blp') || path.endsWith('.tga'), `Corrupted path "${path}"`);
-            state.assertError(replaceableId === 0 || replaceableIds.has(replaceableId), `Unknown replaceable ID ${replaceableId}`);
-            state.assertWarning(path === '' || replaceableId === 0, `Path "${path}" and replaceable ID ${replaceableId} used together`);
+            state.assertError(path === '' || path.endsWith('.blp') || path.endsWith('.tga'), 'corrupted-texture-path', `Corrupted path "${path}"`, { path });
+            state.assertError(replaceableId === 0 || replaceableIds.has(replaceableId), 'unknown-replaceable-id', `Unknown replaceable ID ${replaceableId}`, { replaceableId });
+            state.assertWarning(path === '' || replaceableId === 0, 'path-and-replaceable-id', `Path "${path}" and replaceable ID ${replaceableId} used together`, { path, replaceableId });
 
             state.pop();
         }
     } else {
-        state.addWarning('No textures');
+        state.addWarning('no-textures', 'No textures');
     }
 }
 
@@ -103,7 +103,7 @@ function testMaterials(state) {
             state.pop();
         }
     } else {
-        state.addWarning('No materials');
+        state.addWarning('no-materials', 'No materials');
     }
 }
 
@@ -119,7 +119,7 @@ function testMaterial(state, material) {
             state.pop();
         }
     } else {
-        state.addWarning('No layers');
+        state.addWarning('no-layers', 'No layers');
     }
 }
 
@@ -149,7 +149,7 @@ function testLayer(state, layer) {
         if (inRange(textureId, 0, textures.length - 1)) {
             state.addReference('Texture', textureId);
         } else {
-            state.addError(`Invalid texture ${textureId}`);
+            state.addError('invalid-texture-id', `Invalid texture ${textureId}`, { textureId });
         }
     }
 
@@ -159,11 +159,11 @@ function testLayer(state, layer) {
         if (inRange(textureAnimationId, 0, textureAnimations.length - 1)) {
             state.addReference('TextureAnimation', textureAnimationId);
         } else {
-            state.addWarning(`Invalid texture animation ${textureAnimationId}`);
+            state.addWarning('invalid-texture-animation-id', `Invalid texture animation ${textureAnimationId}`, { textureAnimationId });
         }
     }
 
-    state.assertWarning(inRange(layer.filterMode, 0, 6), `Invalid filter mode ${layer.filterMode}`);
+    state.assertWarning(inRange(layer.filterMode, 0, 6), 'invalid-filter-mode', `Invalid filter mode ${layer.filterMode}`, { filterMode: layer.filterMode });
 
     testAnimations(state, layer);
 }
@@ -191,24 +191,48 @@ function testGeosetSkinning(state, geoset) {
     }
 
     for (let i = 0, l = vertexGroups.length; i < l; i++) {
-        let slice = slices[vertexGroups[i]];
+        let vertexGroup = vertexGroups[i],
+            slice = slices[vertexGroup];
 
         if (slice) {
             for (let bone of slice) {
                 let object = objects[bone];
 
                 if (object) {
-                    state.assertWarning(object instanceof Bone, `Vertex ${i}: Attached to generic object "${object.name}" which is not a bone`);
+                    state.assertWarning(object instanceof Bone, 'vertex-attached-to-non-bone', `Vertex ${i}: Attached to generic object "${object.name}" which is not a bone`, { vertex: i, objectId: bone, name: object.name }, `matrixGroups/${vertexGroup}`);
                 } else {
-                    state.addError(`Vertex ${i}: Attached to generic object ${bone} which does not exist`);
+                    state.addError('vertex-attached-to-missing-object', `Vertex ${i}: Attached to generic object ${bone} which does not exist`, { vertex: i, objectId: bone }, `matrixGroups/${vertexGroup}`);
                 }
             }
         } else {
-            state.addWarning(`Vertex ${i}: Attached to vertex group ${i} which does not exist`);
+            state.addWarning('invalid-vertex-group', `Vertex ${i}: Attached to vertex group ${vertexGroup} which does not exist`, { vertex: i, vertexGroup }, `vertexGroups/${i}`);
         }
     }
 }
 
+function testGeosetSkinWeights(state, geoset) {
+    let skin = geoset.skin,
+        matrixIndices = geoset.matrixIndices;
+
+    for (let i = 0, l = skin.length / 8; i < l; i++) {
+        let offset = i * 8,
+            weightsSum = 0;
+
+        for (let j = 0; j < 4; j++) {
+            let bone = skin[offset + j],
+                weight = skin[offset + 4 + j];
+
+            if (weight) {
+                state.assertError(bone < matrixIndices.length, 'invalid-skin-bone', `Vertex ${i}: Attached to matrix index ${bone} which does not exist`, { vertex: i, bone }, `skin/${i}`);
+            }
+
+            weightsSum += weight;
+        }
+
+        state.assertWarning(weightsSum === 255, 'skin-weights-sum', `Vertex ${i}: The skin weights add up to ${weightsSum} instead of 255`, { vertex: i, sum: weightsSum }, `skin/${i}`);
+    }
+}
+
 function testGeosets(state) {
     let geosets = state.model.geosets,
         geosetAnimations = state.model.geosetAnimations;
@@ -220,6 +244,7 @@ function testGeosets(state) {
             materialId = geoset.materialId;
 
         testGeosetSkinning(state, geoset);
+        testGeosetSkinWeights(state, geoset);
         /// TODO: ADD THIS
         ///testGeosetNormals(state, geoset);
 
@@ -232,25 +257,25 @@ function testGeosets(state) {
                 }
             }
 
-            state.assertWarning(references.length <= 1, `Referenced by ${references.length} geoset animations (${references.join(', ')})`);
+            state.assertWarning(references.length <= 1, 'multiple-geoset-animations', `Referenced by ${references.length} geoset animations (${references.join(', ')})`, { geosetAnimationIds: references });
         }
 
         if (inRange(materialId, 0, state.model.materials.length - 1)) {
             state.addReference('Material', materialId);
         } else {
-            state.addError(`Invalid material ${materialId}`);
+            state.addError('invalid-material-id', `Invalid material ${materialId}`, { materialId });
         }
 
         if (geoset.faces.length) {
             state.addReference();
         } else {
             // The game and my code have no issue with geosets containing no faces, but Magos crashes, so add a warning in addition to it being useless.
-            state.addWarning('Zero faces');
+            state.addWarning('zero-faces', 'Zero faces');
         }
 
         // The game and my code have no issue with geosets having any number of sequence extents, but Magos fails to parse, so add a warning.
         if (geoset.sequenceExtents.length !== state.model.sequences.length) {
-            state.addWarning(`Number of sequence extents (${geoset.sequenceExtents.length}) does not match the number of sequences (${state.model.sequences.length})`);
+            state.addWarning('sequence-extents-mismatch', `Number of sequence extents (${geoset.sequenceExtents.length}) does not match the number of sequences (${state.model.sequences.length})`, { count: geoset.sequenceExtents.length, expected: state.model.sequences.length });
         }
 
         state.pop();
@@ -268,7 +293,7 @@ function testGeosetAnimations(state) {
         if (inRange(geosetId, 0, geosets.length - 1)) {
             state.addReference();
         } else {
-            state.addError(`Invalid geoset ${geosetId}`);
+            state.addError('invalid-geoset-id', `Invalid geoset ${geosetId}`, { geosetId });
         }
 
         testAnimations(state, geosetAnimation);
@@ -289,15 +314,15 @@ function testBones(state) {
             let geosetId = bone.geosetId,
                 geosetAnimationId = bone.geosetAnimationId;
 
-            state.assertError(geosetId === -1 || geosetId < geosets.length, `Invalid geoset ${geosetId}`);
-            state.assertError(geosetAnimationId === -1 || geosetAnimationId < geosetAnimations.length, `Invalid geoset animation ${geosetAnimationId}`);
+            state.assertError(geosetId === -1 || inRange(geosetId, 0, geosets.length - 1), 'invalid-geoset-id', `Invalid geoset ${geosetId}`, { geosetId });
+            state.assertError(geosetAnimationId === -1 || inRange(geosetAnimationId, 0, geosetAnimations.length - 1), 'invalid-geoset-animation-id', `Invalid geoset animation ${geosetAnimationId}`, { geosetAnimationId });
 
             testGenericObject(state, bone);
 
             state.pop();
         }
     } else {
-        state.addWarning('No bones');
+        state.addWarning('no-bones', 'No bones');
     }
 }
 
@@ -307,7 +332,7 @@ function testLights(state) {
 
         let attenuation = light.attenuation;
 
-        state.assertWarning(attenuation[0] >= 80 && attenuation[1] <= 200 && attenuation[1] - attenuation[0] > 0, `Attenuation min=${attenuation[0]} max=${attenuation[1]}`);
+        state.assertWarning(attenuation[0] >= 80 && attenuation[1] <= 200 && attenuation[1] - attenuation[0] > 0, 'light-attenuation', `Attenuation min=${attenuation[0]} max=${attenuation[1]}`, { min: attenuation[0], max: attenuation[1] });
 
         testGenericObject(state, light);
 
@@ -381,14 +406,14 @@ function testPivotPoints(state) {
     let pivotPoints = state.model.pivotPoints,
         objects = state.objects;
 
-    state.assertWarning(pivotPoints.length === objects.length, `Expected ${objects.length} pivot points, got ${pivotPoints.length}`);
+    state.assertWarning(pivotPoints.length === objects.length, 'pivot-point-count', `Expected ${objects.length} pivot points, got ${pivotPoints.length}`, { count: pivotPoints.length, expected: objects.length }, 'pivotPoints');
 }
 
 function testParticleEmitters(state) {
     for (let [index, emitter] of state.model.particleEmitters.entries()) {
         state.push('ParticleEmitter', index);
 
-        state.assertError(emitter.path.toLowerCase().endsWith('.mdl'), 'Invalid path');
+        state.assertError(emitter.path.toLowerCase().endsWith('.mdl'), 'invalid-emitter-path', 'Invalid path', { path: emitter.path });
 
         testGenericObject(state, emitter);
 
@@ -405,11 +430,25 @@ function testParticleEmitters2(state) {
         if (inRange(emitter.textureId, 0, state.model.textures.length - 1)) {
             state.addReference('Texture', emitter.textureId);
         } else {
-            state.addError(`Invalid texture ${emitter.textureId}`);
+            state.addError('invalid-texture-id', `Invalid texture ${emitter.textureId}`, { textureId: emitter.textureId });
         }
 
-        state.assertWarning(inRange(emitter.filterMode, 0, 4), `Invalid filter mode ${emitter.filterMode}`);
-        state.assertError(replaceableId === 0 || replaceableIds.has(replaceableId), `Invalid replaceable ID ${replaceableId}`);
+        state.assertWarning(inRange(emitter.filterMode, 0, 4), 'invalid-filter-mode', `Invalid filter mode ${emitter.filterMode}`, { filterMode: emitter.filterMode });
+        state.assertError(replaceableId === 0 || replaceableIds.has(replaceableId), 'unknown-replaceable-id', `Invalid replaceable ID ${replaceableId}`, { replaceableId });
+
+        testGenericObject(state, emitter);
+
+        state.pop();
+    }
+}
+
+function testParticleEmittersPopcorn(state) {
+    for (let [index, emitter] of state.model.particleEmittersPopcorn.entries()) {
+        state.push('ParticleEmitterPopcorn', index);
+
+        let replaceableId = emitter.replaceableId;
+
+        state.assertError(replaceableId === 0 || replaceableIds.has(replaceableId), 'unknown-replaceable-id', `Invalid replaceable ID ${replaceableId}`, { replaceableId });
 
         testGenericObject(state, emitter);
 
@@ -424,7 +463,7 @@ function testRibbonEmitters(state) {
         if (inRange(emitter.materialId, 0, state.model.materials.length - 1)) {
             state.addReference('Material', emitter.materialId);
         } else {
-            state.addError(`Invalid material ${emitter.materialId}`);
+            state.addError('invalid-material-id', `Invalid material ${emitter.materialId}`, { materialId: emitter.materialId });
         }
 
         testGenericObject(state, emitter);
@@ -444,7 +483,7 @@ function testEventObjects(state) {
             if (inRange(globalSequenceId, 0, state.model.globalSequences.length - 1)) {
                 state.addReference('GlobalSequence', globalSequenceId);
             } else {
-                state.addError(`Invalid global sequence ${globalSequenceId}`);
+                state.addError('invalid-global-sequence-id', `Invalid global sequence ${globalSequenceId}`, { globalSequenceId });
             }
         }
 
@@ -452,10 +491,10 @@ function testEventObjects(state) {
             for (let j = 0, k = tracks.length; j < k; j++) {
                 let track = tracks[j];
 
-                state.assertWarning(getSequenceInfoFromFrame(state, track, globalSequenceId)[0] !== -1, `Track ${j}: Frame ${track} is not in any sequence`);
+                state.assertWarning(getSequenceInfoFromFrame(state, track, globalSequenceId)[0] !== -1, 'frame-outside-sequences', `Track ${j}: Frame ${track} is not in any sequence`, { track: j, frame: track }, `tracks/${j}`);
             }
         } else {
-            state.addError('Zero keys');
+            state.addError('event-object-zero-tracks', 'Zero keys');
         }
 
         testGenericObject(state, eventObject);
@@ -488,8 +527,8 @@ function testGenericObject(state, object) {
     let objectId = object.objectId,
         parentId = object.parentId;
 
-    state.assertError(parentId === -1 || hasGenericObject(state, parentId), `Invalid parent ${parentId}`);
-    state.assertError(objectId !== parentId, 'Same object and parent');
+    state.assertError(parentId === -1 || hasGenericObject(state, parentId), 'invalid-parent-id', `Invalid parent ${parentId}`, { parentId });
+    state.assertError(objectId !== parentId, 'self-parent', 'Same object and parent', { objectId });
 
     testAnimations(state, object);
 }
@@ -505,10 +544,8 @@ function hasGenericObject(state, id) {
 }
 
 function testAnimations(state, object) {
-    let i = 0;
-
-    for (let animation of object.animations) {
-        state.push(animatedTypeNames.get(animation.name));
+    for (let [index, animation] of object.animations.entries()) {
+        state.push(animatedTypeNames.get(animation.name), undefined, `animations/${index}`);
 
         testAnimation(state, object, animation);
 
@@ -523,7 +560,7 @@ function testAnimation(state, object, animation) {
         if (inRange(globalSequenceId, 0, state.model.globalSequences.length - 1)) {
             state.addReference('GlobalSequence', globalSequenceId);
         } else {
-            state.addError(`Invalid global sequence ${globalSequenceId}`);
+            state.addError('invalid-global-sequence-id', `Invalid global sequence ${globalSequenceId}`, { globalSequenceId });
         }
     }
 
@@ -535,8 +572,8 @@ function testTracks(state, tracks, globalSequenceId) {
     let sequences = state.model.sequences,
         usageMap = {};
 
-    state.assertWarning(tracks.length, 'Zero tracks');
-    state.assertWarning(globalSequenceId !== -1 || tracks.length === 0 || sequences.length !== 0, 'Tracks used without sequences');
+    state.assertWarning(tracks.length, 'zero-tracks', 'Zero tracks');
+    state.assertWarning(globalSequenceId !== -1 || tracks.length === 0 || sequences.length !== 0, 'tracks-without-sequences', 'Tracks used without sequences');
 
     for (let i = 0, l = tracks.length; i < l; i++) {
         let track = tracks[i],
@@ -545,8 +582,8 @@ function testTracks(state, tracks, globalSequenceId) {
             isBeginning = sequenceInfo[1],
             isEnding = sequenceInfo[2];
 
-        state.assertWarning(tracks.length === 1 || sequenceId !== -1 || track.frame === 0, `Track ${i}: Frame ${track.frame} is not in any sequence`);
-        state.assertWarning(track.frame >= 0, `Track ${i}: Negative frame`);
+        state.assertWarning(tracks.length === 1 || sequenceId !== -1 || track.frame === 0, 'frame-outside-sequences', `Track ${i}: Frame ${track.frame} is not in any sequence`, { track: i, frame: track.frame }, `tracks/${i}`);
+        state.assertWarning(track.frame >= 0, 'negative-frame', `Track ${i}: Negative frame`, { track: i, frame: track.frame }, `tracks/${i}`);
 
         if (sequenceId !== -1) {
             if (!usageMap[sequenceId]) {
@@ -571,15 +608,15 @@ function testTracks(state, tracks, globalSequenceId) {
         if (globalSequenceId === -1) {
             let sequence = sequences[sequenceId];
 
-            state.assertWarning(sequenceInfo[0] || sequenceInfo[2] === 1, `No opening track for "${sequence.name}" at frame ${sequence.interval[0]}`);
-            state.assertWarning(sequenceInfo[1] || sequenceInfo[2] === 1, `No closing track for "${sequence.name}" at frame ${sequence.interval[1]}`);
+            state.assertWarning(sequenceInfo[0] || sequenceInfo[2] === 1, 'missing-opening-track', `No opening track for "${sequence.name}" at frame ${sequence.interval[0]}`, { sequenceId: Number(sequenceId), frame: sequence.interval[0] });
+            state.assertWarning(sequenceInfo[1] || sequenceInfo[2] === 1, 'missing-closing-track', `No closing track for "${sequence.name}" at frame ${sequence.interval[1]}`, { sequenceId: Number(sequenceId), frame: sequence.interval[1] });
         }
     }
 }
 
 function testInterpolationType(state, animation) {
     if (animatedTypeNames.get(animation.name) === 'Visibility' && animation.interpolationType !== 0) {
-        state.addWarning('Interpolation type not set to None');
+        state.addWarning('visibility-interpolation', 'Interpolation type not set to None', { interpolationType: animation.interpolationType });
     }
 }
 
@@ -624,6 +661,10 @@ function getSequenceInfoFromFrame(state, frame, globalSequenceId) {
 let animatedTypeNames = new Map([
     ['KMTF', 'Texture ID'],
     ['KMTA', 'Alpha'],
+    ['KMTE', 'Emissive Gain'],
+    ['KFC3', 'Fresnel Color'],
+    ['KFCA', 'Fresnel Opacity'],
+    ['KFTC', 'Fresnel Team Color'],
     ['KTAT', 'Translation'],
     ['KTAR', 'Rotation'],
     ['KTAS', 'Scaling'],
@@ -652,6 +693,12 @@ let animatedTypeNames = new Map([
     ['KP2W', 'Width'],
     ['KP2S', 'Speed'],
     ['KP2V', 'Visibility'],
+    ['KPPA', 'Alpha'],
+    ['KPPC', 'Color'],
+    ['KPPE', 'Emission Rate'],
+    ['KPPL', 'Lifespan'],
+    ['KPPS', 'Speed'],
+    ['KPPV', 'Visibility'],
     ['KRHA', 'Height Above'],
     ['KRHB', 'Height Below'],
     ['KRAL', 'Alpha'],
@@ -728,13 +775,50 @@ let replaceableIds = new Set([
     37
 ]);
 
+// The names of the arrays that hold each object type, used for the paths of diagnostics.
+let objectPaths = new Map([
+    ['Sequence', 'sequences'],
+    ['GlobalSequence', 'globalSequences'],
+    ['Texture', 'textures'],
+    ['Material', 'materials'],
+    ['Layer', 'layers'],
+    ['TextureAnimation', 'textureAnimations'],
+    ['Geoset', 'geosets'],
+    ['GeosetAnimation', 'geosetAnimations'],
+    ['Bone', 'bones'],
+    ['Light', 'lights'],
+    ['Helper', 'helpers'],
+    ['Attachment', 'attachments'],
+    ['ParticleEmitter', 'particleEmitters'],
+    ['ParticleEmitter2', 'particleEmitters2'],
+    ['ParticleEmitterPopcorn', 'particleEmittersPopcorn'],
+    ['RibbonEmitter', 'ribbonEmitters'],
+    ['Camera', 'cameras'],
+    ['EventObject', 'eventObjects'],
+    ['CollisionShape', 'collisionShapes']
+]);
+
+// The codes of the diagnostics of objects that nothing uses, for the object types that are referenced by others.
+let unusedCodes = new Map([
+    ['Sequence', 'unused-sequence'],
+    ['GlobalSequence', 'unused-global-sequence'],
+    ['Texture', 'unused-texture'],
+    ['Material', 'unused-material'],
+    ['TextureAnimation', 'unused-texture-animation'],
+    ['Geoset', 'unused-geoset'],
+    ['GeosetAnimation', 'unused-geoset-animation']
+]);
+
 class State {
-    constructor(model) {
+    constructor(model, options) {
         this.model = model;
         this.objects = [];
         this.current = { children: [] };
         this.stack = [this.current];
+        this.paths = [];
         this.map = {};
+        this.diagnostics = [];
+        this.suppress = new Set(options.suppress || []);
 
         this.addObjects(model.sequences, 'Sequence', );
         this.addObjects(model.globalSequences, 'GlobalSequence');
@@ -749,6 +833,7 @@ class State {
         this.addObjects(model.attachments, 'Attachment', true);
         this.addObjects(model.particleEmitters, 'ParticleEmitter', true);
         this.addObjects(model.particleEmitters2, 'ParticleEmitter2', true);
+        this.addObjects(model.particleEmittersPopcorn, 'ParticleEmitterPopcorn', true);
         this.addObjects(model.ribbonEmitters, 'RibbonEmitter', true);
         this.addObjects(model.cameras, 'Camera');
         this.addObjects(model.eventObjects, 'EventObject', true);
@@ -766,7 +851,7 @@ class State {
                 data.name = name;
             }
 
-            if (!areGeneric) {
+            if (unusedCodes.has(objectType)) {
                 data.uses = 0;
             }
 
@@ -780,10 +865,12 @@ class State {
         }
     }
 
-    push(objectType, index) {
+    push(objectType, index, path) {
         let nodes = this.map[objectType],
             node;
 
+        this.paths.push(path || `${objectPaths.get(objectType)}/${index}`);
+
         // Internal objects like material layers are not added at initialization, but rather added as internal nodes here when needed.
         if (nodes) {
             node = nodes[index];
@@ -806,37 +893,54 @@ class State {
     pop() {
         this.stack.shift();
         this.current = this.stack[0];
+        this.paths.pop();
     }
 
-    add(type, message) {
-        this.current.children.push({ type, message });
-    }
+    add(severity, code, message, details, path) {
+        if (this.suppress.has(code)) {
+            return false;
+        }
 
-    addWarning(message) {
-        this.add('warning', message);
+        let paths = this.paths;
 
-        for (let node of this.stack) {
-            node.warnings += 1;
+        if (path) {
+            paths = [...paths, path];
         }
+
+        path = paths.join('/');
+        details = details || {};
+
+        this.current.children.push({ type: severity, code, message, path, details });
+        this.diagnostics.push({ code, severity, path, message, details });
+
+        return true;
     }
 
-    addError(message) {
-        this.add('error', message);
+    addWarning(code, message, details, path) {
+        if (this.add('warning', code, message, details, path)) {
+            for (let node of this.stack) {
+                node.warnings += 1;
+            }
+        }
+    }
 
-        for (let node of this.stack) {
-            node.errors += 1;
+    addError(code, message, details, path) {
+        if (this.add('error', code, message, details, path)) {
+            for (let node of this.stack) {
+                node.errors += 1;
+            }
         }
     }
 
-    assertWarning(condition, message) {
+    assertWarning(condition, code, message, details, path) {
         if (!condition) {
-            this.addWarning(message);
+            this.addWarning(code, message, details, path);
         }
     }
 
-    assertError(condition, message) {
+    assertError(condition, code, message, details, path) {
         if (!condition) {
-            this.addError(message);
+            this.addError(code, message, details, path);
         }
     }
 
@@ -847,10 +951,45 @@ class State {
             this.current.uses += 1;
         }
     }
+
+    // Called after all of the tests, when all of the references are known.
+    addUnusedWarnings() {
+        for (let [objectType, code] of unusedCodes) {
+            for (let node of this.map[objectType]) {
+                if (node.uses === 0) {
+                    this.stack.unshift(node);
+                    this.current = node;
+                    this.paths.push(`${objectPaths.get(objectType)}/${node.index}`);
+
+                    this.addWarning(code, 'Not used by anything');
+
+                    this.pop();
+                }
+            }
+        }
+    }
 }
 
-export default function sanityTest(model) {
-    let state = new State(model);
+/**
+ * Tests a model for anything that is invalid, or that the game or common tools can't handle.
+ *
+ * The results have a tree of nodes, one for every object, with the warnings and errors of each object in its children.
+ * They also have a flat list of diagnostics, each one of the form { code, severity, path, message, details }, where:
+ *     code is a stable identifier of the kind of problem, e.g. 'invalid-texture-id'.
+ *     severity is 'warning' or 'error'.
+ *     path points to the offending object in the model, e.g. 'geosets/3/matrixGroups/2' or 'bones/0/animations/1/tracks/4'.
+ *     details has the values that caused the problem, e.g. { textureId: 5 }.
+ * Objects that nothing uses, e.g. textures that no layer or emitter references, get warnings like 'unused-texture', which are counted in unused rather than in warnings.
+ *
+ * The options are optional:
+ *     suppress - Codes of diagnostics to ignore. They are not added to the results, nor counted.
+ *
+ * @param {Model} model
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function sanityTest(model, options) {
+    let state = new State(model, options || {});
 
     testVersion(state);
     testSequences(state);
@@ -867,29 +1006,42 @@ export default function sanityTest(model) {
     testPivotPoints(state);
     testParticleEmitters(state);
     testParticleEmitters2(state);
+    testParticleEmittersPopcorn(state);
     testRibbonEmitters(state);
     testEventObjects(state);
     testCameras(state);
     testCollisionShapes(state);
+    state.addUnusedWarnings();
 
     let nodes = state.stack[0].children,
         warnings = 0,
         errors = 0,
         unused = 0;
 
-    for (let node of nodes) {
-        if (node.warnings) {
-            warnings += node.warnings;
-        }
-
-        if (node.errors) {
-            errors += node.errors;
-        }
-
-        if (node.uses === 0) {
+    // The counts include diagnostics of the model itself, and unused objects are counted separately from the other warnings.
+    for (let diagnostic of state.diagnostics) {
+        if (diagnostic.code.startsWith('unused-')) {
             unused += 1;
+        } else if (diagnostic.severity === 'error') {
+            errors += 1;
+        } else {
+            warnings += 1;
         }
     }
 
-    return { nodes, warnings, errors, unused };
+    return { nodes, warnings, errors, unused, diagnostics: state.diagnostics };
 };
+
+/**
+ * Converts the results of sanityTest() to JSON, for tools that check models automatically.
+ * Only the counts and the flat list of diagnostics are included.
+ *
+ * @param {Object} results
+ * @param {?number} space Passed to JSON.stringify().
+ * @returns {string}
+ */
+export function sanityTestToJson(results, space) {
+    let { warnings, errors, unused, diagnostics } = results;
+
+    return JSON.stringify({ warnings, errors, unused, diagnostics }, null, space);
+}
@@ -38,9 +38,9 @@ export class NumberTrack extends Track {
         this.value = this.readMdlValue(stream);
 
         if (interpolationType > 1) {
-            stream.read(); // InTan
+            stream.expect('InTan');
             this.inTan = this.readMdlValue(stream);
-            stream.read(); // OutTan
+            stream.expect('OutTan');
             this.outTan = this.readMdlValue(stream);
         }
     }
@@ -93,9 +93,9 @@ class VectorTrack extends Track {
         stream.readFloatArray(this.value);
 
         if (interpolationType > 1) {
-            stream.read(); // InTan
+            stream.expect('InTan');
             stream.readFloatArray(this.inTan);
-            stream.read(); // OutTan
+            stream.expect('OutTan');
             stream.readFloatArray(this.outTan);
         }
     }
@@ -0,0 +1,380 @@
+import { vec3, quat, mat3, mat4 } from 'gl-matrix';
+import { eachGenericObject } from './fixmodel';
+
+// Animations of distances, which are scaled.
+let distanceNames = new Set(['KLAS', 'KLAE', 'KPEG', 'KPES', 'KP2S', 'KP2G', 'KP2N', 'KP2W', 'KPPS', 'KRHA', 'KRHB']);
+
+// Animations of positions that are relative to their object, which are transformed without translation.
+let translationNames = new Set(['KGTR', 'KCTR', 'KTTR']);
+
+// Heap allocations needed for this module.
+let quatHeap = quat.create(),
+    cornerHeap = vec3.create(),
+    matrixHeap = mat4.create();
+
+/**
+ * The parts of a transform that the different kinds of data need.
+ */
+class Transform {
+    /**
+     * @param {mat4} matrix
+     */
+    constructor(matrix) {
+        let columnScales = new Float32Array(3),
+            rotation = mat3.create();
+
+        mat3.fromMat4(rotation, matrix);
+
+        for (let i = 0; i < 3; i++) {
+            columnScales[i] = vec3.length(rotation.subarray(i * 3, i * 3 + 3)) || 1;
+
+            for (let j = 0; j < 3; j++) {
+                rotation[i * 3 + j] /= columnScales[i];
+            }
+        }
+
+        let determinant = mat3.determinant(rotation);
+
+        /** @member {mat4} */
+        this.matrix = matrix;
+        /** @member {mat4} */
+        this.inverse = mat4.invert(mat4.create(), matrix);
+        /**
+         * The inverse transpose, for normals.
+         *
+         * @member {mat3}
+         */
+        this.normalMatrix = mat3.normalFromMat4(mat3.create(), matrix);
+        /**
+         * The rotation part, without scale or mirroring.
+         *
+         * @member {mat3}
+         */
+        this.rotation = rotation;
+        /**
+         * The rotation part as a quaternion.
+         * A mirrored rotation is negated, which keeps it a rotation, and which keeps the same result when rotations are conjugated by it.
+         *
+         * @member {quat}
+         */
+        this.quaternion = quat.fromMat3(quat.create(), mat3.multiplyScalar(mat3.create(), rotation, determinant < 0 ? -1 : 1));
+        /**
+         * Scalar distances are scaled by the average scale.
+         *
+         * @member {number}
+         */
+        this.scale = Math.cbrt(Math.abs(mat4.determinant(matrix)));
+        /** @member {number} */
+        this.maxScale = Math.max(...columnScales);
+        /** @member {boolean} */
+        this.isMirrored = mat4.determinant(matrix) < 0;
+    }
+
+    /**
+     * @param {vec3} out
+     * @param {vec3} point
+     * @returns {vec3}
+     */
+    transformPoint(out, point) {
+        return vec3.transformMat4(out, point, this.matrix);
+    }
+
+    /**
+     * @param {vec3} out
+     * @param {vec3} vector
+     * @returns {vec3}
+     */
+    transformVector(out, vector) {
+        let m = this.matrix,
+            x = vector[0],
+            y = vector[1],
+            z = vector[2];
+
+        out[0] = m[0] * x + m[4] * y + m[8] * z;
+        out[1] = m[1] * x + m[5] * y + m[9] * z;
+        out[2] = m[2] * x + m[6] * y + m[10] * z;
+
+        return out;
+    }
+
+    /**
+     * @param {vec3} out
+     * @param {vec3} normal
+     * @returns {vec3}
+     */
+    transformNormal(out, normal) {
+        return vec3.normalize(out, vec3.transformMat3(out, normal, this.normalMatrix));
+    }
+
+    /**
+     * Rotations are conjugated by the rotation part.
+     *
+     * @param {quat} out
+     * @param {quat} rotation
+     * @returns {quat}
+     */
+    transformRotation(out, rotation) {
+        let q = this.quaternion;
+
+        quat.mul(out, q, rotation);
+
+        return quat.mul(out, out, quat.conjugate(quatHeap, q));
+    }
+
+    /**
+     * Node scales are along the axes of the node, so they are moved to the axes that the rotation part moves them to.
+     * This is exact for rotations that swap axes, and for uniform scales.
+     *
+     * @param {vec3} out
+     * @param {vec3} scale
+     * @returns {vec3}
+     */
+    transformScale(out, scale) {
+        let r = this.rotation,
+            x = scale[0],
+            y = scale[1],
+            z = scale[2];
+
+        for (let i = 0; i < 3; i++) {
+            out[i] = r[i] * r[i] * x + r[3 + i] * r[3 + i] * y + r[6 + i] * r[6 + i] * z;
+        }
+
+        return out;
+    }
+
+    /**
+     * @param {Extent} extent
+     */
+    transformExtent(extent) {
+        let { min, max } = extent;
+
+        // Empty extents stay empty.
+        if (extent.boundsRadius === 0 && min.every((value) => value === 0) && max.every((value) => value === 0)) {
+            return;
+        }
+
+        let newMin = vec3.fromValues(Infinity, Infinity, Infinity),
+            newMax = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+
+        for (let i = 0; i < 8; i++) {
+            vec3.set(cornerHeap, i & 1 ? max[0] : min[0], i & 2 ? max[1] : min[1], i & 4 ? max[2] : min[2]);
+            this.transformPoint(cornerHeap, cornerHeap);
+
+            vec3.min(newMin, newMin, cornerHeap);
+            vec3.max(newMax, newMax, cornerHeap);
+        }
+
+        min.set(newMin);
+        max.set(newMax);
+
+        extent.boundsRadius *= this.maxScale;
+    }
+}
+
+/**
+ * Transforms every track of an animation, including its tangents.
+ *
+ * @param {Animation} animation
+ * @param {function(*): *} callback Gets a value, and returns the transformed value. Vectors can be changed in place.
+ */
+function transformTracks(animation, callback) {
+    for (let track of animation.tracks) {
+        track.value = callback(track.value);
+
+        if (animation.interpolationType > 1) {
+            track.inTan = callback(track.inTan);
+            track.outTan = callback(track.outTan);
+        }
+    }
+}
+
+/**
+ * @param {Transform} transform
+ * @param {Object} object
+ */
+function transformAnimations(transform, object) {
+    for (let animation of object.animations) {
+        let name = animation.name;
+
+        if (translationNames.has(name)) {
+            transformTracks(animation, (value) => transform.transformVector(value, value));
+        } else if (name === 'KGRT') {
+            transformTracks(animation, (value) => transform.transformRotation(value, value));
+        } else if (name === 'KGSC') {
+            transformTracks(animation, (value) => transform.transformScale(value, value));
+        } else if (distanceNames.has(name)) {
+            transformTracks(animation, (value) => value * transform.scale);
+        }
+    }
+}
+
+/**
+ * @param {Transform} transform
+ * @param {Geoset} geoset
+ */
+function transformGeoset(transform, geoset) {
+    let { vertices, normals, tangents, faces } = geoset;
+
+    for (let i = 0, l = vertices.length; i < l; i += 3) {
+        let vertex = vertices.subarray(i, i + 3);
+
+        transform.transformPoint(vertex, vertex);
+    }
+
+    for (let i = 0, l = normals.length; i < l; i += 3) {
+        let normal = normals.subarray(i, i + 3);
+
+        transform.transformNormal(normal, normal);
+    }
+
+    // Tangents are directions, and their fourth component is the handedness of the bitangent, which mirroring flips.
+    for (let i = 0, l = tangents.length; i < l; i += 4) {
+        let tangent = tangents.subarray(i, i + 3);
+
+        vec3.normalize(tangent, transform.transformVector(tangent, tangent));
+
+        if (transform.isMirrored) {
+            tangents[i + 3] *= -1;
+        }
+    }
+
+    // Mirroring turns the triangles inside out, unless their winding is flipped too.
+    if (transform.isMirrored) {
+        for (let i = 0, l = faces.length - faces.length % 3; i < l; i += 3) {
+            let b = faces[i + 1];
+
+            faces[i + 1] = faces[i + 2];
+            faces[i + 2] = b;
+        }
+    }
+
+    transform.transformExtent(geoset.extent);
+
+    for (let extent of geoset.sequenceExtents) {
+        transform.transformExtent(extent);
+    }
+}
+
+/**
+ * @param {Transform} transform
+ * @param {CollisionShape} shape
+ */
+function transformCollisionShape(transform, shape) {
+    let [a, b] = shape.vertices;
+
+    if (shape.type === 0) {
+        // Boxes are stored as their corners, and stay aligned to the axes, so they become the box around the transformed box.
+        let extent = { min: vec3.min(vec3.create(), a, b), max: vec3.max(vec3.create(), a, b), boundsRadius: 1 };
+
+        transform.transformExtent(extent);
+
+        a.set(extent.min);
+        b.set(extent.max);
+    } else {
+        transform.transformPoint(a, a);
+
+        if (shape.type !== 2) {
+            transform.transformPoint(b, b);
+        }
+    }
+
+    shape.boundsRadius *= transform.maxScale;
+}
+
+/**
+ * Applies an affine transform to a whole model in place, e.g. to scale, rotate, move or mirror it.
+ * Transforms can be made with gl-matrix, e.g. mat4.fromScaling(mat4.create(), [-1, 1, 1]) mirrors a model along the X axis.
+ *
+ * Geoset vertices, normals and tangents, pivot points, collision shapes, camera positions and targets, and all of the extents are transformed.
+ * Node translations are transformed without the translation part, and node rotations are rotated by the rotation part, so animations move the same way as the model.
+ * Distances, i.e. particle emitter speeds, gravities, lengths, widths and particle sizes, ribbon heights, light attenuations, camera clipping planes and sequence move speeds, are scaled by the average scale.
+ * Mirroring also flips the winding of faces, so they keep facing out.
+ *
+ * Nodes are only able to rotate, and to scale along their own axes.
+ * Therefore, non-uniform scales, and rotations that don't swap axes, are only exact for nodes that don't also rotate or scale non-uniformly themselves.
+ * Extents that are not aligned to the axes after the transform become the boxes around them.
+ * Particle emitters that emit models don't scale the models they emit.
+ *
+ * @param {Model} model
+ * @param {mat4} matrix
+ */
+export default function transformModel(model, matrix) {
+    let transform = new Transform(matrix),
+        scale = transform.scale;
+
+    for (let geoset of model.geosets) {
+        transformGeoset(transform, geoset);
+    }
+
+    for (let pivotPoint of model.pivotPoints) {
+        transform.transformPoint(pivotPoint, pivotPoint);
+    }
+
+    for (let [path, object] of eachGenericObject(model)) {
+        transformAnimations(transform, object);
+    }
+
+    for (let emitter of model.particleEmitters) {
+        emitter.speed *= scale;
+        emitter.gravity *= scale;
+    }
+
+    for (let emitter of model.particleEmitters2) {
+        emitter.speed *= scale;
+        emitter.gravity *= scale;
+        emitter.length *= scale;
+        emitter.width *= scale;
+
+        for (let i = 0; i < 3; i++) {
+            emitter.segmentScaling[i] *= scale;
+        }
+    }
+
+    for (let emitter of model.particleEmittersPopcorn) {
+        emitter.speed *= scale;
+    }
+
+    for (let emitter of model.ribbonEmitters) {
+        emitter.heightAbove *= scale;
+        emitter.heightBelow *= scale;
+        emitter.gravity *= scale;
+    }
+
+    for (let light of model.lights) {
+        light.attenuation[0] *= scale;
+        light.attenuation[1] *= scale;
+    }
+
+    for (let shape of model.collisionShapes) {
+        transformCollisionShape(transform, shape);
+    }
+
+    for (let camera of model.cameras) {
+        transform.transformPoint(camera.position, camera.position);
+        transform.transformPoint(camera.targetPosition, camera.targetPosition);
+
+        camera.nearClippingPlane *= scale;
+        camera.farClippingPlane *= scale;
+
+        transformAnimations(transform, camera);
+    }
+
+    // The bind pose matrices are 4x3, and are transformed like the nodes they belong to.
+    for (let bindPose of model.bindPose) {
+        mat4.set(matrixHeap, ...bindPose.subarray(0, 3), 0, ...bindPose.subarray(3, 6), 0, ...bindPose.subarray(6, 9), 0, ...bindPose.subarray(9, 12), 1);
+        mat4.mul(matrixHeap, matrix, matrixHeap);
+        mat4.mul(matrixHeap, matrixHeap, transform.inverse);
+
+        for (let i = 0; i < 4; i++) {
+            bindPose.set(matrixHeap.subarray(i * 4, i * 4 + 3), i * 3);
+        }
+    }
+
+    for (let sequence of model.sequences) {
+        sequence.moveSpeed *= scale;
+
+        transform.transformExtent(sequence.extent);
+    }
+
+    transform.transformExtent(model.extent);
+};
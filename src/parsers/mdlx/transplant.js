@@ -0,0 +1,519 @@
+import Sequence from './sequence';
+import Extent from './extent';
+import GeosetAnimation from './geosetanimation';
+import { eachGenericObject, eachAnimation } from './fixmodel';
+
+// The animations that are copied for each kind of object.
+let genericObjectNames = ['KGTR', 'KGRT', 'KGSC'];
+let geosetAnimationNames = ['KGAO', 'KGAC'];
+let layerNames = ['KMTA'];
+
+/**
+ * @param {Extent} extent
+ * @returns {Extent}
+ */
+function copyExtent(extent) {
+    let copy = new Extent();
+
+    copy.boundsRadius = extent.boundsRadius;
+    copy.min.set(extent.min);
+    copy.max.set(extent.max);
+
+    return copy;
+}
+
+/**
+ * @param {Sequence} sequence
+ * @returns {Sequence}
+ */
+function copySequence(sequence) {
+    let copy = new Sequence();
+
+    copy.name = sequence.name;
+    copy.interval.set(sequence.interval);
+    copy.moveSpeed = sequence.moveSpeed;
+    copy.flags = sequence.flags;
+    copy.rarity = sequence.rarity;
+    copy.syncPoint = sequence.syncPoint;
+    copy.extent = copyExtent(sequence.extent);
+
+    return copy;
+}
+
+// Values are numbers for scalar tracks, and typed arrays for vector tracks.
+function copyValue(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    return value.slice();
+}
+
+/**
+ * Copies a track into a new track of the given animation, at the given frame.
+ * Tangents are only copied when both animations have them. Otherwise, an animation that needs them gets the value as its tangents.
+ *
+ * @param {Animation} source
+ * @param {Track} track
+ * @param {Animation} target
+ * @param {number} frame
+ * @returns {Track}
+ */
+function copyTrack(source, track, target, frame) {
+    let copy = target.newTrack();
+
+    copy.frame = frame;
+    copy.value = copyValue(track.value);
+
+    if (source.interpolationType > 1) {
+        copy.inTan = copyValue(track.inTan);
+        copy.outTan = copyValue(track.outTan);
+    } else {
+        copy.inTan = copyValue(track.value);
+        copy.outTan = copyValue(track.value);
+    }
+
+    return copy;
+}
+
+/**
+ * @param {AnimatedObject} object
+ * @param {string} name
+ * @returns {?Animation}
+ */
+function getAnimation(object, name) {
+    for (let animation of object.animations) {
+        if (animation.name === name) {
+            return animation;
+        }
+    }
+}
+
+/**
+ * The indices of the selected sequences.
+ * Sequences can be selected by their names or indices.
+ *
+ * @param {Model} model
+ * @param {?Array<string|number>} selection
+ * @returns {Array<number>}
+ */
+function getSequenceIndices(model, selection) {
+    let sequences = model.sequences;
+
+    if (!selection) {
+        return sequences.map((sequence, index) => index);
+    }
+
+    let indices = [];
+
+    for (let item of selection) {
+        let index = typeof item === 'number' ? item : sequences.findIndex((sequence) => sequence.name === item);
+
+        if (sequences[index] && !indices.includes(index)) {
+            indices.push(index);
+        }
+    }
+
+    return indices;
+}
+
+/**
+ * The last frame used by the sequences or keyframes of a model, or -1 if nothing is used.
+ *
+ * @param {Model} model
+ * @returns {number}
+ */
+function getLastUsedFrame(model) {
+    let last = -1;
+
+    for (let sequence of model.sequences) {
+        last = Math.max(last, sequence.interval[1]);
+    }
+
+    for (let [path, animation] of eachAnimation(model)) {
+        if (animation.globalSequenceId === -1) {
+            for (let track of animation.tracks) {
+                last = Math.max(last, track.frame);
+            }
+        }
+    }
+
+    for (let eventObject of model.eventObjects) {
+        if (eventObject.globalSequenceId === -1) {
+            for (let frame of eventObject.tracks) {
+                last = Math.max(last, frame);
+            }
+        }
+    }
+
+    return last;
+}
+
+/**
+ * Pairs of indices from a mapping table, or every index that exists in both arrays if there is no table.
+ *
+ * @param {Array<?>} sources
+ * @param {Array<?>} targets
+ * @param {?Object} table
+ * @returns {Array<Array<number>>}
+ */
+function getIndexPairs(sources, targets, table) {
+    let pairs = [];
+
+    if (table) {
+        for (let key of Object.keys(table)) {
+            let sourceIndex = parseInt(key),
+                targetIndex = table[key];
+
+            if (sources[sourceIndex] && targets[targetIndex]) {
+                pairs.push([sourceIndex, targetIndex]);
+            }
+        }
+    } else {
+        for (let i = 0, l = Math.min(sources.length, targets.length); i < l; i++) {
+            pairs.push([i, i]);
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Holds what is needed while transplanting, and the report.
+ */
+class Transplant {
+    /**
+     * @param {Model} source
+     * @param {Model} target
+     */
+    constructor(source, target) {
+        this.source = source;
+        this.target = target;
+        /**
+         * The copied sequences, as pairs of a source sequence and the offset added to its frames.
+         *
+         * @member {Array<Array<?>>}
+         */
+        this.sequences = [];
+        /**
+         * The start frames of the sequences that the target had before anything was copied.
+         *
+         * @member {Array<number>}
+         */
+        this.targetStarts = target.sequences.map((sequence) => sequence.interval[0]);
+        /**
+         * Source global sequence IDs to target global sequence IDs.
+         *
+         * @member {Map<number, number>}
+         */
+        this.globalSequences = new Map();
+        this.report = {
+            sequences: [],
+            globalSequences: [],
+            unmatched: [],
+            warnings: []
+        };
+    }
+
+    /**
+     * Copies the given sequences to free frames after everything the target already uses.
+     *
+     * @param {Array<number>} indices
+     * @param {number} gap
+     */
+    addSequences(indices, gap) {
+        let target = this.target,
+            last = getLastUsedFrame(target),
+            next = last === -1 ? 0 : last + gap;
+
+        for (let index of indices) {
+            let source = this.source.sequences[index],
+                copy = copySequence(source),
+                offset = next - source.interval[0];
+
+            copy.interval[0] = next;
+            copy.interval[1] = source.interval[1] + offset;
+
+            this.sequences.push([source, offset]);
+            this.report.sequences.push(target.sequences.length);
+
+            target.sequences.push(copy);
+
+            next = copy.interval[1] + gap;
+        }
+    }
+
+    /**
+     * Gets the target global sequence of a source global sequence, and adds it if needed.
+     *
+     * @param {number} globalSequenceId
+     * @returns {number}
+     */
+    getGlobalSequence(globalSequenceId) {
+        let globalSequences = this.globalSequences;
+
+        if (!globalSequences.has(globalSequenceId)) {
+            let target = this.target;
+
+            globalSequences.set(globalSequenceId, target.globalSequences.length);
+            this.report.globalSequences.push(target.globalSequences.length);
+
+            target.globalSequences.push(this.source.globalSequences[globalSequenceId]);
+        }
+
+        return globalSequences.get(globalSequenceId);
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} message
+     */
+    addWarning(path, message) {
+        this.report.warnings.push({ path, message });
+    }
+
+    /**
+     * Merges the keyframes of one animation of a source object into the same animation of a target object.
+     * Animations using global sequences are copied whole, but only if the target object has no such animation.
+     * If the target object gets a new animation, and it has a static value, the value is kept for the existing sequences with keyframes at their starts.
+     *
+     * @param {AnimatedObject} sourceObject
+     * @param {AnimatedObject} targetObject
+     * @param {string} name
+     * @param {string} path
+     * @param {?number|Float32Array} staticValue
+     */
+    mergeAnimation(sourceObject, targetObject, name, path, staticValue) {
+        let source = getAnimation(sourceObject, name);
+
+        if (!source) {
+            return;
+        }
+
+        let target = getAnimation(targetObject, name);
+
+        if (source.globalSequenceId !== -1) {
+            if (target) {
+                this.addWarning(path, `${name} uses a global sequence, and the target object already has it`);
+            } else {
+                target = new source.constructor();
+                target.name = name;
+                target.interpolationType = source.interpolationType;
+                target.globalSequenceId = this.getGlobalSequence(source.globalSequenceId);
+
+                for (let track of source.tracks) {
+                    target.tracks.push(copyTrack(source, track, target, track.frame));
+                }
+
+                targetObject.animations.push(target);
+            }
+
+            return;
+        }
+
+        let tracks = [];
+
+        for (let [sequence, offset] of this.sequences) {
+            let [start, end] = sequence.interval;
+
+            for (let track of source.tracks) {
+                if (track.frame >= start && track.frame <= end) {
+                    tracks.push(track.frame + offset, track);
+                }
+            }
+        }
+
+        if (!tracks.length) {
+            return;
+        }
+
+        if (!target) {
+            target = new source.constructor();
+            target.name = name;
+            target.interpolationType = source.interpolationType;
+
+            if (staticValue !== undefined) {
+                for (let start of this.targetStarts) {
+                    let track = target.newTrack();
+
+                    track.frame = start;
+                    track.value = copyValue(staticValue);
+                    track.inTan = copyValue(staticValue);
+                    track.outTan = copyValue(staticValue);
+
+                    target.tracks.push(track);
+                }
+            }
+
+            targetObject.animations.push(target);
+        } else if (target.globalSequenceId !== -1) {
+            this.addWarning(path, `${name} uses a global sequence in the target object, the keyframes were not copied`);
+            return;
+        } else if (target.interpolationType !== source.interpolationType) {
+            this.addWarning(path, `${name} has interpolation type ${source.interpolationType}, and was merged into interpolation type ${target.interpolationType}`);
+        }
+
+        for (let i = 0, l = tracks.length; i < l; i += 2) {
+            target.tracks.push(copyTrack(source, tracks[i + 1], target, tracks[i]));
+        }
+
+        target.tracks.sort((a, b) => a.frame - b.frame);
+    }
+
+    /**
+     * Merges the animations of generic objects that have the same names, or names given by the mapping table.
+     * Names are first compared exactly, and then case insensitively.
+     *
+     * @param {?Object} mapping
+     */
+    mergeGenericObjects(mapping) {
+        let byName = new Map(),
+            byLowerName = new Map();
+
+        for (let [path, object] of eachGenericObject(this.target)) {
+            let lowerName = object.name.toLowerCase();
+
+            if (!byName.has(object.name)) {
+                byName.set(object.name, object);
+            }
+
+            if (!byLowerName.has(lowerName)) {
+                byLowerName.set(lowerName, object);
+            }
+        }
+
+        for (let [path, object] of eachGenericObject(this.source)) {
+            let name = object.name;
+
+            if (mapping && mapping[name] !== undefined) {
+                name = mapping[name];
+
+                // Objects mapped to null are skipped on purpose.
+                if (name === null) {
+                    continue;
+                }
+            }
+
+            let targetObject = byName.get(name) || byLowerName.get(name.toLowerCase());
+
+            if (targetObject) {
+                for (let animationName of genericObjectNames) {
+                    this.mergeAnimation(object, targetObject, animationName, path);
+                }
+            } else {
+                this.report.unmatched.push({ name: object.name, path });
+            }
+        }
+    }
+
+    /**
+     * Merges the geoset animations of mapped geosets.
+     * A target geoset with no geoset animation gets a new one if the source geoset has one.
+     * The target geosets also get the sequence extents of the new sequences.
+     *
+     * @param {?Object} table
+     */
+    mergeGeosets(table) {
+        let source = this.source,
+            target = this.target,
+            pairs = getIndexPairs(source.geosets, target.geosets, table),
+            oldSequenceCount = target.sequences.length - this.sequences.length;
+
+        for (let [sourceIndex, targetIndex] of pairs) {
+            let sourceGeoset = source.geosets[sourceIndex],
+                targetGeoset = target.geosets[targetIndex],
+                sourceGeosetAnimation = source.geosetAnimations.find((geosetAnimation) => geosetAnimation.geosetId === sourceIndex),
+                targetGeosetAnimation = target.geosetAnimations.find((geosetAnimation) => geosetAnimation.geosetId === targetIndex);
+
+            if (sourceGeosetAnimation) {
+                if (!targetGeosetAnimation) {
+                    targetGeosetAnimation = new GeosetAnimation();
+                    targetGeosetAnimation.geosetId = targetIndex;
+                    targetGeosetAnimation.flags = sourceGeosetAnimation.flags;
+
+                    target.geosetAnimations.push(targetGeosetAnimation);
+                }
+
+                let path = `geosetAnimations/${source.geosetAnimations.indexOf(sourceGeosetAnimation)}`;
+
+                for (let name of geosetAnimationNames) {
+                    this.mergeAnimation(sourceGeosetAnimation, targetGeosetAnimation, name, path, name === 'KGAO' ? targetGeosetAnimation.alpha : targetGeosetAnimation.color);
+                }
+            }
+
+            // Only add sequence extents when they match the sequences, otherwise they would be for the wrong sequences.
+            if (targetGeoset.sequenceExtents.length === oldSequenceCount) {
+                for (let [sequence] of this.sequences) {
+                    let sequenceExtent = sourceGeoset.sequenceExtents[source.sequences.indexOf(sequence)] || sourceGeoset.extent;
+
+                    targetGeoset.sequenceExtents.push(copyExtent(sequenceExtent));
+                }
+            }
+        }
+    }
+
+    /**
+     * Merges the layer animations of mapped materials.
+     * The layers of mapped materials are mapped by their indices.
+     *
+     * @param {?Object} table
+     */
+    mergeMaterials(table) {
+        let source = this.source,
+            target = this.target;
+
+        for (let [sourceIndex, targetIndex] of getIndexPairs(source.materials, target.materials, table)) {
+            let sourceLayers = source.materials[sourceIndex].layers,
+                targetLayers = target.materials[targetIndex].layers;
+
+            for (let i = 0, l = Math.min(sourceLayers.length, targetLayers.length); i < l; i++) {
+                for (let name of layerNames) {
+                    this.mergeAnimation(sourceLayers[i], targetLayers[i], name, `materials/${sourceIndex}/layers/${i}`, targetLayers[i].alpha);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Copies sequences from one model to another, along with the keyframes that animate them.
+ * This is meant for models that share a rig, e.g. giving a hero the attack animations of another hero.
+ *
+ * The sequences get intervals after all of the frames the target already uses.
+ * Keyframes are copied between generic objects with the same names (KGTR, KGRT, KGSC), geoset animations (KGAO, KGAC), and layers (KMTA).
+ * Animations that use global sequences are copied whole, along with their global sequences.
+ *
+ * The options are optional:
+ *     sequences - The names or indices of the source sequences to copy. Defaults to all of them.
+ *     mapping - Source generic object names to target generic object names, for objects that are named differently. Map a name to null to skip the object.
+ *     geosets - Source geoset indices to target geoset indices. Defaults to geosets with the same indices.
+ *     materials - Source material indices to target material indices. Defaults to materials with the same indices.
+ *     gap - The number of frames between sequences, at least 1. Defaults to 100.
+ *
+ * The returned report has the indices of the new sequences and global sequences in the target, the source generic objects that had no target objects, and warnings about animations that could not be merged as is.
+ *
+ * Throws if the gap is not a whole number, or is less than 1.
+ *
+ * @param {Model} source
+ * @param {Model} target
+ * @param {?Object} options
+ * @returns {Object}
+ */
+export default function transplantAnimations(source, target, options) {
+    options = options || {};
+
+    let transplant = new Transplant(source, target),
+        gap = typeof options.gap === 'number' ? options.gap : 100;
+
+    // Sequence intervals include both of their ends, so sequences that share a frame would use each other's keyframes.
+    if (!Number.isInteger(gap) || gap < 1) {
+        throw new Error(`Invalid gap ${gap}, it must be a whole number of frames, and at least 1`);
+    }
+
+    transplant.addSequences(getSequenceIndices(source, options.sequences), gap);
+    transplant.mergeGenericObjects(options.mapping);
+    transplant.mergeGeosets(options.geosets);
+    transplant.mergeMaterials(options.materials);
+
+    return transplant.report;
+};
@@ -0,0 +1,231 @@
+// The IMA ADPCM variant used by MPQ archives to lossily compress 16 bit PCM sound.
+// The stream starts with a zero byte, the bit shift, and the first sample of every channel.
+// After that every byte is either an encoded sample, or a command that changes the step index of the current channel.
+
+// The step index every channel starts with.
+let INITIAL_STEP_INDEX = 0x2C;
+
+// Step index changes, indexed by the low 5 bits of an encoded sample.
+let NEXT_STEP_TABLE = [
+    -1, 0, -1, 4, -1, 2, -1, 6,
+    -1, 1, -1, 5, -1, 3, -1, 7,
+    -1, 1, -1, 5, -1, 3, -1, 7,
+    -1, 2, -1, 4, -1, 6, -1, 8
+];
+
+let STEP_SIZE_TABLE = [
+    7, 8, 9, 10, 11, 12, 13, 14,
+    16, 17, 19, 21, 23, 25, 28, 31,
+    34, 37, 41, 45, 50, 55, 60, 66,
+    73, 80, 88, 97, 107, 118, 130, 143,
+    157, 173, 190, 209, 230, 253, 279, 307,
+    337, 371, 408, 449, 494, 544, 598, 658,
+    724, 796, 876, 963, 1060, 1166, 1282, 1411,
+    1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024,
+    3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484,
+    7132, 7845, 8630, 9493, 10442, 11487, 12635, 13899,
+    15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794,
+    32767
+];
+
+let MAX_STEP_INDEX = STEP_SIZE_TABLE.length - 1;
+
+/**
+ * @param {number} stepIndex
+ * @param {number} encodedSample
+ * @returns {number}
+ */
+function nextStepIndex(stepIndex, encodedSample) {
+    return Math.min(Math.max(stepIndex + NEXT_STEP_TABLE[encodedSample & 0x1F], 0), MAX_STEP_INDEX);
+}
+
+/**
+ * @param {number} predictedSample
+ * @param {number} encodedSample
+ * @param {number} difference
+ * @returns {number}
+ */
+function updateSample(predictedSample, encodedSample, difference) {
+    if (encodedSample & 0x40) {
+        return Math.max(predictedSample - difference, -32768);
+    }
+
+    return Math.min(predictedSample + difference, 32767);
+}
+
+/**
+ * Decompresses ADPCM compressed sound.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} decompressedSize
+ * @param {number} channelCount 1 for mono, 2 for stereo.
+ * @returns {Uint8Array}
+ */
+export function decompressAdpcm(typedArray, decompressedSize, channelCount) {
+    let input = new DataView(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength),
+        inputSize = typedArray.byteLength,
+        output = new Uint8Array(decompressedSize),
+        outputView = new DataView(output.buffer),
+        offset = 0,
+        inputOffset = 2,
+        bitShift = typedArray[1],
+        predictedSamples = [0, 0],
+        stepIndices = [INITIAL_STEP_INDEX, INITIAL_STEP_INDEX],
+        writeSample = (sample) => {
+            if (offset + 2 > decompressedSize) {
+                return false;
+            }
+
+            outputView.setInt16(offset, sample, true);
+            offset += 2;
+
+            return true;
+        };
+
+    for (let i = 0; i < channelCount; i++) {
+        if (inputOffset + 2 > inputSize) {
+            return output.subarray(0, offset);
+        }
+
+        predictedSamples[i] = input.getInt16(inputOffset, true);
+        inputOffset += 2;
+
+        if (!writeSample(predictedSamples[i])) {
+            return output.subarray(0, offset);
+        }
+    }
+
+    let channel = channelCount - 1;
+
+    while (inputOffset < inputSize) {
+        let encodedSample = typedArray[inputOffset++];
+
+        channel = (channel + 1) % channelCount;
+
+        if (encodedSample & 0x80) {
+            let command = encodedSample & 0x7F;
+
+            if (command === 0) {
+                // A small difference, decrease the step index, and repeat the previous sample.
+                if (stepIndices[channel] !== 0) {
+                    stepIndices[channel] -= 1;
+                }
+
+                if (!writeSample(predictedSamples[channel])) {
+                    break;
+                }
+            } else {
+                if (command === 1) {
+                    stepIndices[channel] = Math.min(stepIndices[channel] + 8, MAX_STEP_INDEX);
+                } else if (command !== 2) {
+                    stepIndices[channel] = Math.max(stepIndices[channel] - 8, 0);
+                }
+
+                // Commands that don't output a sample don't consume the channel.
+                channel = (channel + 1) % channelCount;
+            }
+        } else {
+            let stepSize = STEP_SIZE_TABLE[stepIndices[channel]],
+                difference = stepSize >> bitShift;
+
+            for (let bit = 0; bit < 6; bit++) {
+                if (encodedSample & (1 << bit)) {
+                    difference += stepSize >> bit;
+                }
+            }
+
+            predictedSamples[channel] = updateSample(predictedSamples[channel], encodedSample, difference);
+
+            if (!writeSample(predictedSamples[channel])) {
+                break;
+            }
+
+            stepIndices[channel] = nextStepIndex(stepIndices[channel], encodedSample);
+        }
+    }
+
+    return output.subarray(0, offset);
+};
+
+/**
+ * Compresses 16 bit PCM sound with ADPCM.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} channelCount 1 for mono, 2 for stereo.
+ * @param {number} compressionLevel Higher levels keep more precision.
+ * @returns {Uint8Array}
+ */
+export function compressAdpcm(typedArray, channelCount, compressionLevel) {
+    let input = new DataView(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength),
+        sampleCount = typedArray.byteLength >> 1,
+        output = [],
+        bitShift = compressionLevel - 1,
+        maxBitMask = Math.min(1 << (bitShift - 1), 0x20),
+        predictedSamples = [0, 0],
+        stepIndices = [INITIAL_STEP_INDEX, INITIAL_STEP_INDEX],
+        sampleIndex = 0;
+
+    output.push(0, bitShift);
+
+    for (let i = 0; i < channelCount && sampleIndex < sampleCount; i++) {
+        let sample = input.getInt16(sampleIndex++ * 2, true);
+
+        predictedSamples[i] = sample;
+
+        output.push(sample & 0xFF, (sample >> 8) & 0xFF);
+    }
+
+    let channel = channelCount - 1;
+
+    while (sampleIndex < sampleCount) {
+        let sample = input.getInt16(sampleIndex++ * 2, true),
+            encodedSample = 0;
+
+        channel = (channel + 1) % channelCount;
+
+        let difference = sample - predictedSamples[channel];
+
+        if (difference < 0) {
+            difference = -difference;
+            encodedSample |= 0x40;
+        }
+
+        let stepSize = STEP_SIZE_TABLE[stepIndices[channel]];
+
+        if (difference < (stepSize >> compressionLevel)) {
+            if (stepIndices[channel] !== 0) {
+                stepIndices[channel] -= 1;
+            }
+
+            output.push(0x80);
+        } else {
+            // While the difference is too big, increase the step size.
+            while (difference > (stepSize << 1) && stepIndices[channel] < MAX_STEP_INDEX) {
+                stepIndices[channel] = Math.min(stepIndices[channel] + 8, MAX_STEP_INDEX);
+                stepSize = STEP_SIZE_TABLE[stepIndices[channel]];
+
+                output.push(0x81);
+            }
+
+            let base = stepSize >> bitShift,
+                total = 0;
+
+            for (let bit = 1; bit <= maxBitMask; bit <<= 1) {
+                if (total + stepSize <= difference) {
+                    total += stepSize;
+                    encodedSample |= bit;
+                }
+
+                stepSize >>= 1;
+            }
+
+            predictedSamples[channel] = updateSample(predictedSamples[channel], encodedSample, base + total);
+
+            output.push(encodedSample);
+
+            stepIndices[channel] = nextStepIndex(stepIndices[channel], encodedSample);
+        }
+    }
+
+    return new Uint8Array(output);
+};
@@ -1,25 +1,69 @@
+import BinaryStream from '../../common/binarystream';
+import md5 from '../../common/md5';
 import { powerOfTwo } from '../../common/math';
 import { stringToBuffer } from '../../common/stringtobuffer';
 import { numberToUint32 } from '../../common/typecast';
 import MpqCrypto from './crypto';
 import MpqHashTable from './hashtable';
 import MpqBlockTable from './blocktable';
+import MpqHetTable from './hettable';
+import MpqBetTable from './bettable';
 import MpqHash from './hash';
 import MpqFile from './file';
-import { MAGIC, HASH_ENTRY_DELETED, HASH_ENTRY_EMPTY, FILE_EXISTS } from './constants';
+import MpqAttributes from './attributes';
+import MpqSignatures from './signature';
+import { decompress } from './compression';
+import { MAGIC, HET_TABLE_MAGIC, BET_TABLE_MAGIC, HEADER_SIZES, HASH_TABLE_KEY, BLOCK_TABLE_KEY, HASH_ENTRY_DELETED, FILE_ENCRYPTED, FILE_COMPRESSED, FILE_IMPLODE, FILE_SINGLE_UNIT, FILE_DELETE_MARKER, FILE_PATCH_FILE, FILE_EXISTS, COMPRESSION_DEFLATE, COMPRESSION_BZIP2, COMPRESSION_ADPCM_MONO, COMPRESSION_ADPCM_STEREO } from './constants';
+
+// When opening an archive with a reader, the header is searched for in chunks of this size.
+let HEADER_SEARCH_CHUNK_SIZE = 0x10000;
+
+// Limits used by tolerant loading, so that bogus header values don't allocate huge tables and sectors.
+let MAX_HASH_TABLE_SIZE = 0x80000;
+let MAX_SECTOR_SIZE_SHIFT = 15;
+
+/**
+ * Reads a 64 bit unsigned integer.
+ * Values above 2^53 lose precision, but these are offsets and sizes within an ArrayBuffer, so that can't happen in practice.
+ * 
+ * @param {BinaryStream} stream
+ * @returns {number}
+ */
+function readUint64(stream) {
+    let low = stream.readUint32();
+
+    return stream.readUint32() * 0x100000000 + low;
+}
 
 /**
- * MoPaQ archive (MPQ) version 0.
+ * @param {BinaryStream} stream
+ * @param {number} value
+ */
+function writeUint64(stream, value) {
+    stream.writeUint32(value % 0x100000000);
+    stream.writeUint32(Math.floor(value / 0x100000000));
+}
+
+/**
+ * MoPaQ archive (MPQ) format versions 0 to 3.
+ * 
+ * Version 0 is the original format used by Warcraft 3.
+ * Version 1 adds the hi-block table, which allows archives bigger than 4GB.
+ * Version 2 adds 64 bit archive sizes, and the HET and BET tables.
+ * Version 3 adds the sizes of all of the tables, and MD5 checksums for them.
  */
 export default class MpqArchive {
     /**
      * @param {?ArrayBuffer} buffer If given an ArrayBuffer, load() will be called immediately
      * @param {?boolean} readonly If true, disables editing and saving the archive, allowing to optimize other things
+     * @param {?boolean} tolerant If true, enables tolerant loading, see tolerant
      */
-    constructor(buffer, readonly) {
+    constructor(buffer, readonly, tolerant) {
         /** @member {number} */
         this.headerOffset = 0;
         /** @member {number} */
+        this.formatVersion = 0;
+        /** @member {number} */
         this.sectorSize = 4096;
         /** @member {MpqCrypto} */
         this.c = new MpqCrypto();
@@ -27,10 +71,68 @@ export default class MpqArchive {
         this.hashTable = new MpqHashTable(this.c);
         /** @member {MpqBlockTable} */
         this.blockTable = new MpqBlockTable(this.c);
+        /** @member {MpqHetTable} */
+        this.hetTable = new MpqHetTable(this.c);
         /** @member {Array<MpqFile>} */
         this.files = [];
+        /**
+         * The parsed (attributes) file, or null if the archive has none.
+         * When saving, the entries of files that changed are recomputed, and the file is rewritten.
+         * Set to null to remove the (attributes) file when saving, or to a new MpqAttributes to add one.
+         * 
+         * @member {?MpqAttributes}
+         */
+        this.attributes = null;
+        /**
+         * The statuses of the weak and strong digital signatures of the loaded archive.
+         * They are checked against Blizzard's keys when loading, and can be checked against other keys with signatures.verify().
+         * Signed Warcraft 3 maps also need their file names, e.g. signatures.verify(null, null, '(2)Map.w3x').
+         * 
+         * @member {MpqSignatures}
+         */
+        this.signatures = new MpqSignatures();
+        /** @member {Array<string>} */
+        this.invalidTableChecksums = [];
+        /**
+         * The preferred locale of files, as a Windows language ID (e.g. 0x407 for German, or 0x412 for Korean).
+         * get() prefers files in this locale and falls back to neutral files, and set() adds files in this locale.
+         * 0 is neutral.
+         * 
+         * @member {number}
+         */
+        this.locale = 0;
+        /**
+         * If true, files with sector checksums are checked against them when decoded.
+         * Files with corrupted sectors then fail to decode, and list the sectors in their corruptSectors.
+         * 
+         * @member {boolean}
+         */
+        this.checkSectorCrcs = false;
+        /**
+         * The reader of an archive that was opened with open(), which its files are read from when they are needed.
+         * 
+         * @member {?Object}
+         */
+        this.reader = null;
         /** @member {boolean} */
         this.readonly = !!readonly;
+        /**
+         * If true, load() and open() don't trust the header, and validate every table and block instead.
+         * This is needed for many maps that were deliberately malformed by map protectors, with fake headers, bogus sizes, and blocks outside of the archive.
+         * Headers that don't make sense are skipped, tables that go outside of the archive are clamped, and blocks that can't be read are skipped along with their hashes.
+         * Everything that was repaired is added to warnings.
+         * 
+         * @member {boolean}
+         */
+        this.tolerant = !!tolerant;
+        /**
+         * What was repaired by the last tolerant load.
+         * Every warning is an object with a type and a message, and depending on the type, the offset of a header, the name of a table, or the index of a block.
+         * For example { type: 'blockOutOfBounds', message: 'Block 5 is outside of the archive, and was skipped', blockIndex: 5 }.
+         * 
+         * @member {Array<Object>}
+         */
+        this.warnings = [];
 
         if (buffer instanceof ArrayBuffer) {
             this.load(buffer);
@@ -41,69 +143,683 @@ export default class MpqArchive {
      * Load an existing archive.
      * Note that this clears the archive from whatever it had in it before.
      * 
+     * For format version 3 archives, the MD5 checksums of the tables are checked.
+     * The names of tables with mismatching checksums (e.g. 'hashTable') are added to invalidTableChecksums.
+     * 
+     * If the archive is tolerant, what was repaired while loading is added to warnings.
+     * 
      * @param {ArrayBuffer} buffer
      * @returns {boolean}
      */
     load(buffer) {
-        let fileSize = buffer.byteLength,
-            typedArray = new Uint8Array(buffer),
-            headerOffset = this.searchHeader(typedArray);
+        let typedArray = new Uint8Array(buffer),
+            candidates = [];
+
+        this.warnings.length = 0;
+
+        for (let headerOffset of this.searchHeaders(typedArray)) {
+            candidates.push([headerOffset, typedArray.subarray(headerOffset, headerOffset + HEADER_SIZES[HEADER_SIZES.length - 1])]);
+        }
+
+        let header = this.selectHeader(candidates, typedArray.byteLength, this.isWarcraft3Map(typedArray));
+
+        if (!header) {
+            return false;
+        }
+
+        let tables = {};
+
+        for (let [name, offset, size] of this.getTableRanges(header, typedArray.byteLength)) {
+            tables[name] = typedArray.subarray(offset, offset + size);
+        }
+
+        this.reader = null;
+
+        this.loadTables(header, tables);
+        this.loadFiles(typedArray, typedArray.byteLength);
+
+        // Calculate the digests of the digital signatures, and check them against Blizzard's keys.
+        this.signatures.load(typedArray, header.headerOffset, header.headerOffset + header.archiveSize, this.get('(signature)'));
+        this.signatures.verify();
+
+        this.loadInternalFiles();
+
+        return true;
+    }
 
-        if (headerOffset === -1) {
+    /**
+     * Opens an existing archive lazily.
+     * Only the header and the tables are read, and every file is read from the reader when it is needed.
+     * Note that this clears the archive from whatever it had in it before.
+     * 
+     * A reader is any object with these methods:
+     *     size() returns a promise to the size of the archive in bytes.
+     *     read(offset, size) returns a promise to an ArrayBuffer with the given bytes.
+     *     readSync(offset, size) is optional, and returns the ArrayBuffer directly.
+     * See MpqBufferReader, MpqBlobReader, MpqFileHandleReader, and MpqHttpReader.
+     * 
+     * With a reader that can read synchronously, the archive can be used exactly like a loaded one.
+     * Otherwise, files must be fetched before they are used, either with fetch() or with MpqFile.fetch(), and the archive must be fetched with fetchAll() before it can be saved.
+     * 
+     * The digital signatures are not checked, since that needs all of the archive's data.
+     * 
+     * If the archive is tolerant, what was repaired while opening is added to warnings.
+     * 
+     * @param {Object} reader
+     * @returns {Promise<boolean>}
+     */
+    async open(reader) {
+        let fileSize = await reader.size(),
+            header = null,
+            start = null;
+
+        this.warnings.length = 0;
+
+        // Search the header a chunk at a time, rather than reading the whole archive.
+        for (let offset = 0; offset < fileSize; offset += HEADER_SEARCH_CHUNK_SIZE) {
+            let chunk = new Uint8Array(await reader.read(offset, Math.min(HEADER_SEARCH_CHUNK_SIZE, fileSize - offset))),
+                candidates = [];
+
+            if (!start) {
+                start = chunk;
+            }
+
+            for (let chunkHeaderOffset of this.searchHeaders(chunk)) {
+                let headerOffset = offset + chunkHeaderOffset;
+
+                candidates.push([headerOffset, new Uint8Array(await reader.read(headerOffset, Math.min(HEADER_SIZES[HEADER_SIZES.length - 1], fileSize - headerOffset)))]);
+            }
+
+            // Tolerant archives keep searching if none of the headers in this chunk are valid.
+            if (candidates.length) {
+                header = this.selectHeader(candidates, fileSize, this.isWarcraft3Map(start));
+
+                if (header || !this.tolerant) {
+                    break;
+                }
+            }
+        }
+
+        if (!header) {
             return false;
         }
 
-        // Read the header.
-        let uint32array = new Uint32Array(buffer, headerOffset, 8),
-            headerSize = uint32array[1],
-            archiveSize = uint32array[2],
-            formatVersionSectorSize = uint32array[3],
-            formatVersion = formatVersionSectorSize & 0x0000FFFF,
-            hashPos = numberToUint32(uint32array[4] + headerOffset), // Whoever thought of MoonLight, clever!
-            blockPos = numberToUint32(uint32array[5] + headerOffset),
-            hashSize = uint32array[6],
-            blockSize = uint32array[7];
+        let tables = {};
+
+        for (let [name, offset, size] of this.getTableRanges(header, fileSize)) {
+            tables[name] = new Uint8Array(await reader.read(offset, size));
+        }
+
+        this.reader = reader;
+
+        this.loadTables(header, tables);
+        this.loadFiles(null, fileSize);
+
+        this.signatures.clear();
+
+        // The internal files are needed right away.
+        for (let name of ['(listfile)', '(attributes)']) {
+            let file = this.get(name, 0);
+
+            if (file) {
+                await file.fetch();
+            }
+        }
+
+        this.loadInternalFiles();
+
+        return true;
+    }
+
+    /**
+     * Gets a file from this archive like get(), after reading its data from the reader if needed.
+     * If the file doesn't exist or failed to be read, null is returned.
+     * 
+     * @param {string} name
+     * @param {?number} locale
+     * @returns {Promise<?MpqFile>}
+     */
+    async fetch(name, locale) {
+        let file = this.get(name, locale);
+
+        if (file && await file.fetch()) {
+            return file;
+        }
+
+        return null;
+    }
+
+    /**
+     * Reads the data of all of the files in this archive from the reader.
+     * Afterwards, the archive no longer needs the reader.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async fetchAll() {
+        let ok = true;
+
+        for (let file of this.files) {
+            if (file && !await file.fetch()) {
+                ok = false;
+            }
+        }
+
+        return ok;
+    }
+
+    /**
+     * Warcraft 3 maps start with their own header - HM3W.
+     * 
+     * @param {Uint8Array} typedArray The start of the archive file.
+     * @returns {boolean}
+     */
+    isWarcraft3Map(typedArray) {
+        return typedArray[0] === 72 && typedArray[1] === 77 && typedArray[2] === 51 && typedArray[3] === 87;
+    }
+
+    /**
+     * Reads the header.
+     * All of the positions are absolute, rather than relative to the header.
+     * 
+     * @param {Uint8Array} typedArray The header data.
+     * @param {number} headerOffset
+     * @param {number} fileSize
+     * @param {boolean} isWarcraft3Map
+     * @returns {Object}
+     */
+    readHeader(typedArray, headerOffset, fileSize, isWarcraft3Map) {
+        let stream = new BinaryStream(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+
+        stream.skip(4);
+
+        let headerSize = stream.readUint32(),
+            archiveSize = stream.readUint32(),
+            formatVersion = stream.readUint16(),
+            sectorSizeShift = stream.readUint16(),
+            hashPos = numberToUint32(stream.readUint32() + headerOffset), // Whoever thought of MoonLight, clever!
+            blockPos = numberToUint32(stream.readUint32() + headerOffset),
+            hashSize = stream.readUint32(),
+            blockSize = stream.readUint32(),
+            hiBlockPos = 0,
+            betPos = 0,
+            hetPos = 0,
+            hashTableSize = hashSize * 16,
+            blockTableSize = blockSize * 16,
+            hiBlockTableSize = blockSize * 2,
+            hetTableSize = 0,
+            betTableSize = 0,
+            checksums = null;
+
+        // Warcraft 3 ignores the format version, and map protectors like to put garbage in it, and in the header size.
+        // Other than that, only trust the version if the header is big enough to hold it.
+        if (isWarcraft3Map) {
+            formatVersion = 0;
+        } else if (formatVersion >= HEADER_SIZES.length || headerSize < HEADER_SIZES[formatVersion] || typedArray.byteLength < HEADER_SIZES[formatVersion]) {
+            formatVersion = 0;
+        }
+
+        if (formatVersion >= 1) {
+            let hiBlockPos64 = readUint64(stream);
+
+            hashPos += stream.readUint16() * 0x100000000;
+            blockPos += stream.readUint16() * 0x100000000;
+
+            if (hiBlockPos64) {
+                hiBlockPos = hiBlockPos64 + headerOffset;
+            }
+        }
+
+        if (formatVersion >= 2) {
+            let betPos64,
+                hetPos64;
+
+            archiveSize = readUint64(stream);
+            betPos64 = readUint64(stream);
+            hetPos64 = readUint64(stream);
+
+            if (betPos64) {
+                betPos = betPos64 + headerOffset;
+            }
+
+            if (hetPos64) {
+                hetPos = hetPos64 + headerOffset;
+            }
+        }
+
+        if (formatVersion >= 3) {
+            hashTableSize = readUint64(stream);
+            blockTableSize = readUint64(stream);
+            hiBlockTableSize = readUint64(stream);
+            hetTableSize = readUint64(stream);
+            betTableSize = readUint64(stream);
+
+            // The raw chunk size, used for MD5 checksums of the file data, which are not checked.
+            stream.readUint32();
+
+            checksums = {
+                blockTable: stream.readUint8Array(16),
+                hashTable: stream.readUint8Array(16),
+                hiBlockTable: stream.readUint8Array(16),
+                betTable: stream.readUint8Array(16),
+                hetTable: stream.readUint8Array(16),
+                header: stream.readUint8Array(16)
+            };
+        } else if (formatVersion === 2) {
+            // Version 2 doesn't store the sizes of the extended tables, so assume each one goes until the next thing in the archive.
+            let positions = [hashPos, blockPos, hiBlockPos, hetPos, betPos, headerOffset + archiveSize, fileSize];
+
+            hetTableSize = this.distanceToNext(hetPos, positions);
+            betTableSize = this.distanceToNext(betPos, positions);
+        }
 
         // There can only be as many or less blocks as there are hashes.
         // Therefore, if the file is reporting too many blocks, cap the actual blocks read to the amount of hashes.
-        if (blockSize > hashSize) {
+        // Archives with only a HET table might not have a hash table at all.
+        if (hashSize && blockSize > hashSize) {
             blockSize = hashSize;
+            blockTableSize = Math.min(blockTableSize, blockSize * 16);
+        }
+
+        return {
+            headerOffset,
+            archiveSize,
+            formatVersion,
+            sectorSizeShift,
+            hashPos,
+            blockPos,
+            hiBlockPos,
+            hetPos,
+            betPos,
+            hashSize,
+            blockSize,
+            hashTableSize,
+            blockTableSize,
+            hiBlockTableSize,
+            hetTableSize,
+            betTableSize,
+            checksums
+        };
+    }
+
+    /**
+     * Selects the header to load from the headers that were found, given as arrays of the form [headerOffset, headerData].
+     * Normally the last header is used, since map protectors tend to put fake headers before the real one.
+     * Tolerant archives use the last header that is valid, and repair it.
+     * Returns null if there is no header to use.
+     * 
+     * @param {Array<Array>} candidates
+     * @param {number} fileSize
+     * @param {boolean} isWarcraft3Map
+     * @returns {?Object}
+     */
+    selectHeader(candidates, fileSize, isWarcraft3Map) {
+        if (!candidates.length) {
+            return null;
+        }
+
+        if (!this.tolerant) {
+            let [headerOffset, headerData] = candidates[candidates.length - 1];
+
+            return this.readHeader(headerData, headerOffset, fileSize, isWarcraft3Map);
+        }
+
+        let selected = null;
+
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            let [headerOffset, headerData] = candidates[i],
+                problem = 'a valid header follows it';
+
+            if (!selected) {
+                let header = null;
+
+                if (headerData.byteLength < HEADER_SIZES[0]) {
+                    problem = 'it is truncated';
+                } else {
+                    header = this.readHeader(headerData, headerOffset, fileSize, isWarcraft3Map);
+                    problem = this.getHeaderProblem(header, fileSize);
+                }
+
+                if (!problem) {
+                    this.repairHeader(header, fileSize);
+
+                    selected = header;
+
+                    continue;
+                }
+            }
+
+            this.addWarning('ignoredHeader', `The header at ${headerOffset} was ignored, because ${problem}`, { headerOffset });
+        }
+
+        return selected;
+    }
+
+    /**
+     * Checks whether a header can be used to load the archive.
+     * Returns the problem with it, or an empty string if there is none.
+     * 
+     * @param {Object} header
+     * @param {number} fileSize
+     * @returns {string}
+     */
+    getHeaderProblem(header, fileSize) {
+        if (!header.hashSize && !header.hetPos) {
+            return 'it has no hash table';
+        }
+
+        if (header.hashSize && header.hashPos >= fileSize) {
+            return 'its hash table is outside of the file';
+        }
+
+        if (header.blockSize && header.blockPos >= fileSize) {
+            return 'its block table is outside of the file';
+        }
+
+        if (!header.hashSize && header.hetPos >= fileSize) {
+            return 'its HET table is outside of the file';
         }
 
-        this.headerOffset = headerOffset;
-        this.sectorSize = 512 * (1 << (formatVersionSectorSize >>> 16)); // Generally 4096
+        return '';
+    }
+
+    /**
+     * Clamps the values of a header that can't be right, so that they don't allocate huge tables and sectors.
+     * The tables themselves are checked while loading them.
+     * 
+     * @param {Object} header
+     * @param {number} fileSize
+     */
+    repairHeader(header, fileSize) {
+        let headerOffset = header.headerOffset,
+            archiveSize = fileSize - headerOffset;
+
+        // The archive can be smaller than the file, for example when it's followed by a strong signature, but it can't be bigger.
+        if (header.archiveSize > archiveSize || header.archiveSize < HEADER_SIZES[0]) {
+            this.addWarning('archiveSize', `The archive size ${header.archiveSize} doesn't fit the file, and was changed to ${archiveSize}`, { headerOffset });
+
+            header.archiveSize = archiveSize;
+        }
+
+        if (header.sectorSizeShift > MAX_SECTOR_SIZE_SHIFT) {
+            this.addWarning('sectorSize', `The sector size shift ${header.sectorSizeShift} is too big, and was changed to 3`, { headerOffset });
+
+            header.sectorSizeShift = 3;
+        }
+
+        if (header.hashSize > MAX_HASH_TABLE_SIZE) {
+            let hashSize = MAX_HASH_TABLE_SIZE;
+
+            // Use the biggest power of two that fits in the file.
+            while (hashSize > 1 && header.hashPos + hashSize * 16 > fileSize) {
+                hashSize /= 2;
+            }
+
+            this.addWarning('tableSize', `The hash table size ${header.hashSize} is too big, and was changed to ${hashSize}`, { table: 'hashTable' });
+
+            header.hashSize = hashSize;
+            header.hashTableSize = Math.min(header.hashTableSize, hashSize * 16);
+        }
+
+        // The block table is already capped to the hash table, unless there is no hash table.
+        if (header.blockSize > MAX_HASH_TABLE_SIZE) {
+            this.addWarning('tableSize', `The block table size ${header.blockSize} is too big, and was changed to ${MAX_HASH_TABLE_SIZE}`, { table: 'blockTable' });
+
+            header.blockSize = MAX_HASH_TABLE_SIZE;
+            header.blockTableSize = Math.min(header.blockTableSize, MAX_HASH_TABLE_SIZE * 16);
+            header.hiBlockTableSize = Math.min(header.hiBlockTableSize, MAX_HASH_TABLE_SIZE * 2);
+        }
+    }
+
+    /**
+     * Adds a warning about something that was repaired while loading.
+     * 
+     * @param {string} type
+     * @param {string} message
+     * @param {?Object} details
+     */
+    addWarning(type, message, details) {
+        this.warnings.push(Object.assign({ type, message }, details));
+    }
+
+    /**
+     * Gets the ranges of bytes that hold the header and the tables, as they are stored in the archive.
+     * Missing tables, and the parts of tables that are outside of the archive file, get empty ranges.
+     * 
+     * @param {Object} header
+     * @param {number} fileSize
+     * @returns {Array<Array>} Arrays of the form [name, offset, size]
+     */
+    getTableRanges(header, fileSize) {
+        let ranges = [
+            ['header', header.headerOffset, 192],
+            ['hashTable', header.hashPos, header.hashTableSize],
+            ['blockTable', header.blockPos, header.blockTableSize],
+            ['hiBlockTable', header.hiBlockPos, header.hiBlockTableSize],
+            ['hetTable', header.hetPos, header.hetTableSize],
+            ['betTable', header.betPos, header.betTableSize]
+        ];
+
+        for (let range of ranges) {
+            let offset = range[1];
+
+            if (!offset || offset >= fileSize) {
+                range[1] = 0;
+                range[2] = 0;
+            } else {
+                range[2] = Math.min(range[2], fileSize - offset);
+            }
+        }
+
+        // Only format version 3 archives have a checksum of the header.
+        if (!header.checksums) {
+            ranges[0][2] = 0;
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Loads the tables, given the bytes of each one.
+     * 
+     * @param {Object} header
+     * @param {Object} tables The bytes of each table, as given by getTableRanges().
+     */
+    loadTables(header, tables) {
+        let checksums = header.checksums,
+            blockSize = header.blockSize;
+
+        this.headerOffset = header.headerOffset;
+        this.formatVersion = header.formatVersion;
+        this.sectorSize = 512 * (1 << header.sectorSizeShift); // Generally 4096
+
+        // Check the table checksums before anything is decrypted.
+        this.invalidTableChecksums.length = 0;
+
+        if (checksums) {
+            for (let name of ['blockTable', 'hashTable', 'hiBlockTable', 'betTable', 'hetTable', 'header']) {
+                this.checkTableChecksum(name, checksums[name], tables[name]);
+            }
+        }
+
+        // Tables can overlap each other, which map protectors like to do, but since every table is read on its own, that's fine.
+        // Tables that go outside of the file are not, and the entries that are missing are added back as empty ones.
+        if (this.tolerant) {
+            for (let [name, size] of [['hashTable', header.hashSize ? header.hashTableSize : 0], ['blockTable', blockSize ? header.blockTableSize : 0], ['hiBlockTable', header.hiBlockPos ? header.hiBlockTableSize : 0]]) {
+                if (tables[name].byteLength < size) {
+                    this.addWarning('tableTruncated', `The ${name} is truncated to ${tables[name].byteLength} of its ${size} bytes`, { table: name });
+                }
+            }
+        }
+
+        // Read the BET table, if there is one.
+        let betTable = null;
+
+        if (tables.betTable.byteLength) {
+            let data = this.readExtTable(tables.betTable, BET_TABLE_MAGIC, BLOCK_TABLE_KEY);
+
+            if (data) {
+                betTable = new MpqBetTable();
+                betTable.load(data);
+            } else if (this.tolerant) {
+                this.addWarning('invalidTable', 'The BET table is invalid, and was skipped', { table: 'betTable' });
+            }
+        }
+
+        // Read the HET table, if there is one.
+        // It depends on the BET table for the full name hashes.
+        this.hetTable.clear();
+
+        if (tables.hetTable.byteLength && betTable) {
+            let data = this.readExtTable(tables.hetTable, HET_TABLE_MAGIC, HASH_TABLE_KEY);
+
+            if (data) {
+                this.hetTable.load(data, betTable);
+            } else if (this.tolerant) {
+                this.addWarning('invalidTable', 'The HET table is invalid, and was skipped', { table: 'hetTable' });
+            }
+        }
 
         // Read the hash table.
         // Also clears any existing entries.
-        // Have to copy the data, because hashPos is not guaranteed to be a multiple of 4.
-        this.hashTable.load(typedArray.slice(hashPos, hashPos + hashSize * 16));
+        // Empty hashes are all ones.
+        this.hashTable.load(this.readTolerantTable(tables.hashTable, header.hashSize * 16, header.hashTableSize, HASH_TABLE_KEY, 0xFF));
 
         // Read the block table.
         // Also clears any existing entries.
-        // Have to copy the data, because blockPos is not guaranteed to be a multiple of 4.
-        this.blockTable.load(typedArray.slice(blockPos, blockPos + blockSize * 16));
+        // If there is no block table, but there is a BET table, use its blocks.
+        if (blockSize === 0 && betTable) {
+            this.blockTable.clear();
+            this.blockTable.entries.push(...betTable.entries);
+        } else {
+            this.blockTable.load(this.readTolerantTable(tables.blockTable, blockSize * 16, header.blockTableSize, BLOCK_TABLE_KEY, 0));
+        }
+
+        // Read the hi-block table, which holds the upper 16 bits of every block offset.
+        if (tables.hiBlockTable.byteLength && blockSize) {
+            let data = this.readTable(tables.hiBlockTable, blockSize * 2, header.hiBlockTableSize, 0),
+                hiBlockTable = new Uint16Array(data.buffer, 0, data.byteLength >>> 1),
+                blocks = this.blockTable.entries;
+
+            for (let i = 0, l = Math.min(blocks.length, hiBlockTable.length); i < l; i++) {
+                blocks[i].offset += hiBlockTable[i] * 0x100000000;
+            }
+        }
+    }
 
+    /**
+     * Creates the files of the loaded tables.
+     * If the archive is tolerant, files with blocks that can't be read are skipped, and their hashes are deleted.
+     * 
+     * @param {?Uint8Array} typedArray The archive data, or null if the files are read from the reader when needed.
+     * @param {number} fileSize
+     */
+    loadFiles(typedArray, fileSize) {
         // Clear any existing files.
         this.files.length = 0;
 
         // Read the files.
+        let blocks = this.blockTable.entries,
+            blockProblems = new Map();
+
         for (let hash of this.hashTable.entries) {
             let blockIndex = hash.blockIndex;
 
             // If the file wasn't deleted, load it.
             if (blockIndex < HASH_ENTRY_DELETED) {
+                if (this.tolerant && this.getBlockProblem(blockIndex, fileSize, blockProblems)) {
+                    hash.delete();
+                    continue;
+                }
+
+                let file = new MpqFile(this);
+
+                file.load(hash, blocks[blockIndex], typedArray, blockIndex);
+
+                this.files[blockIndex] = file;
+            }
+        }
+
+        // Files that are only in the HET table have no hash.
+        for (let blockIndex of this.hetTable.blockIndices) {
+            if (blockIndex < blocks.length && !this.files[blockIndex] && !(this.tolerant && this.getBlockProblem(blockIndex, fileSize, blockProblems))) {
                 let file = new MpqFile(this);
 
-                file.load(hash, this.blockTable.entries[blockIndex], typedArray);
+                file.load(null, blocks[blockIndex], typedArray, blockIndex);
 
                 this.files[blockIndex] = file;
             }
         }
+    }
 
-        // Get internal files to fill the file names.
-        let listfile = this.get('(listfile)'),
-            attributes = this.get('(attributes)'),
-            signature = this.get('(signature)');
+    /**
+     * Checks whether the block of a file can be read.
+     * Returns the type of the problem with it, or an empty string if there is none.
+     * Every block is checked once, and a warning is added for every block with a problem.
+     * 
+     * @param {number} blockIndex
+     * @param {number} fileSize
+     * @param {Map<number, string>} blockProblems The blocks that were already checked.
+     * @returns {string}
+     */
+    getBlockProblem(blockIndex, fileSize, blockProblems) {
+        if (blockProblems.has(blockIndex)) {
+            return blockProblems.get(blockIndex);
+        }
+
+        let block = this.blockTable.entries[blockIndex],
+            type = '',
+            message = '';
+
+        if (!block) {
+            type = 'blockIndexOutOfRange';
+            message = `Block ${blockIndex} doesn't exist, and its hashes were deleted`;
+        } else {
+            let flags = block.flags,
+                compressed = flags & (FILE_COMPRESSED | FILE_IMPLODE);
+
+            if (!(flags & FILE_EXISTS)) {
+                type = 'blockNotExists';
+                message = `Block ${blockIndex} is not marked as existing, and was skipped`;
+            } else if (this.headerOffset + block.offset + block.compressedSize > fileSize) {
+                type = 'blockOutOfBounds';
+                message = `Block ${blockIndex} is outside of the archive, and was skipped`;
+            } else if (!(flags & FILE_PATCH_FILE) && ((!compressed && block.compressedSize < block.normalSize) || (compressed && !(flags & FILE_SINGLE_UNIT) && block.normalSize && (Math.ceil(block.normalSize / this.sectorSize) + 1) * 4 > block.compressedSize))) {
+                // Uncompressed files must hold all of their data, and sectored compressed files must at least hold their sector offsets.
+                type = 'blockSize';
+                message = `Block ${blockIndex} has sizes that don't make sense, and was skipped`;
+            }
+        }
+
+        if (type) {
+            this.addWarning(type, message, { blockIndex });
+        }
+
+        blockProblems.set(blockIndex, type);
+
+        return type;
+    }
+
+    /**
+     * Parses the (attributes) file, and uses the (listfile) file to fill the file names.
+     * Internal files are always neutral, regardless of the archive's locale.
+     */
+    loadInternalFiles() {
+        let listfile = this.get('(listfile)', 0),
+            attributes = this.get('(attributes)', 0);
+
+        this.attributes = null;
+
+        if (attributes) {
+            let buffer = attributes.arrayBuffer();
+
+            if (buffer) {
+                let parsed = new MpqAttributes();
+
+                if (parsed.load(buffer, this.blockTable.entries.length)) {
+                    this.attributes = parsed;
+                }
+            }
+        }
 
         // If there is a listfile, use all of the file names in it.
         if (listfile) {
@@ -111,39 +827,51 @@ export default class MpqArchive {
 
             if (list) {
                 for (let name of list.split('\r\n')) {
-                    // get() internally also sets the file's name to the given one.
-                    this.get(name);
+                    // getVariants() internally also sets the names of the files to the given one.
+                    this.getVariants(name);
                 }
             }
         }
-
-        return true;
     }
 
     /**
      * Save this archive.
+     * The archive is saved with its format version, which can be changed before saving.
      * Returns null when...
      *     1) The archive is in readonly mode.
-     *     2) The offset of a file encrypted with FILE_OFFSET_ADJUSTED_KEY changed, and the file name is unknown.
+     *     2) The offset of a file encrypted with FILE_OFFSET_ADJUSTED_KEY changed, and neither the file name nor its key are known.
+     *     3) The format version is lower than 2, and there is a file that is only in the HET table.
+     *     4) The archive was opened with a reader that can't read synchronously, and not all of the files were fetched.
      * 
+     * The options are optional:
+     *     optimize - Recompress every file that can be decoded, using the smallest of the compressions for every sector.
+     *                Files that are stored with the lossy ADPCM compression, patch files, and delete markers, are kept as they are.
+     *     compressions - The compressions that optimize tries, deflate and bzip2 by default.
+     *                    Note that older games, such as the original Warcraft 3, can't read bzip2.
+     * 
+     * @param {?Object} options
      * @returns {?ArrayBuffer}
      */
-    save() {
+    save(options) {
         if (this.readonly) {
             return null;
         }
 
-        let headerSize = 32;
+        // Every file needs its data to be saved.
+        for (let file of this.files) {
+            if (file && !file.fetchSync()) {
+                return null;
+            }
+        }
+
+        let formatVersion = this.formatVersion,
+            headerSize = HEADER_SIZES[formatVersion];
 
-        // Delete the internal attributes file.
-        // The attributes might (and do in the case of World Editor generated maps) contain CRC checksums for the internal files.
-        // If any of these files is edited in any way, the map will be considered corrupted.
-        // Therefore, delete the file, and nothing will be corrupted.
-        // As far as I can tell, there is no real reason to keep (and update) any of the file attributes.
-        // It's not like Warcraft 3 has some database of checksums that it checks against.
-        // I assume it does have a database for the Battle.net ladder maps.
-        // If at any point it becomes known to me that it is indeed needed, I will add support for (attributes).
-        this.delete('(attributes)');
+        // Without parsed attributes, an existing (attributes) file can't be updated.
+        // Since it might contain checksums of files that were edited, which would make the archive look corrupted, delete it.
+        if (!this.attributes) {
+            this.delete('(attributes)', 0);
+        }
 
         // Some archives have empty blocks in them.
         // That is, blocks that take up memory, but have no actual valid data in them (as far as the archive is concerned).
@@ -151,13 +879,31 @@ export default class MpqArchive {
         // This removes such blocks of memory from the archive.
         this.saveMemory();
 
+        options = options || {};
+
+        let compressions = null;
+
+        if (options.optimize) {
+            compressions = options.compressions || [COMPRESSION_DEFLATE, COMPRESSION_BZIP2];
+
+            this.setAllForOptimization();
+        }
+
         // Set the listfile.
         this.setListFile();
 
+        // Update the attributes of changed files.
+        this.setAttributesFile();
+
         // Reset the file offsets.
         let offset = headerSize;
 
         for (let file of this.files) {
+            // Files without a hash can only be found through the HET table.
+            if (!file.hash && formatVersion < 2) {
+                return null;
+            }
+
             // If the file's offset changed, and it is encrypted with a key that depends on its offset,
             // it needs to be decryped with it's current key, and encryped with the new key.
             if (!file.offsetChanged(offset)) {
@@ -165,32 +911,55 @@ export default class MpqArchive {
             }
 
             // If the file needs to be encoded, do it.
-            file.encode();
+            file.encode(compressions);
 
             offset += file.block.compressedSize;
         }
 
         let hashTable = this.hashTable,
             blockTable = this.blockTable,
+            hetTable = this.hetTable,
+            betTable = new MpqBetTable(),
             hashes = hashTable.entries.length,
             blocks = blockTable.entries.length,
-            filesSize = offset - headerSize;
+            filesEnd = offset,
+            hetTableSize = 0,
+            betTableSize = 0,
+            hiBlockTableSize = 0;
+
+        // Rebuild the HET and BET tables.
+        if (formatVersion >= 2) {
+            let blockHashes = [];
+
+            for (let i = 0; i < blocks; i++) {
+                let file = this.files[i];
+
+                if (file.nameResolved) {
+                    blockHashes[i] = hetTable.hashName(file.name);
+                } else {
+                    blockHashes[i] = hetTable.getBlockHash(i);
+                }
+            }
 
-        let archiveSize = headerSize + filesSize + hashes * 16 + blocks * 16,
-            hashPos = headerSize + filesSize,
-            blockPos = hashPos + hashes * 16,
-            typedArray = new Uint8Array(archiveSize),
-            uint32array = new Uint32Array(typedArray.buffer, 0, 8);
+            hetTable.set(blockHashes);
+            betTable.set(blockTable.entries, blockHashes, hetTable.nameHashBits);
 
-        // Write the header.
-        uint32array[0] = MAGIC;
-        uint32array[1] = headerSize;
-        uint32array[2] = archiveSize;
-        uint32array[3] = Math.log2(this.sectorSize / 512) << 16; // The version is always 0, so ignore it.
-        uint32array[4] = hashPos;
-        uint32array[5] = blockPos;
-        uint32array[6] = hashes;
-        uint32array[7] = blocks;
+            hetTableSize = 12 + hetTable.getByteLength();
+            betTableSize = 12 + betTable.getByteLength();
+        }
+
+        // The hi-block table is only needed if there are offsets that don't fit in 32 bits.
+        if (formatVersion >= 1 && filesEnd > 0xFFFFFFFF) {
+            hiBlockTableSize = blocks * 2;
+        }
+
+        let hetPos = filesEnd,
+            betPos = hetPos + hetTableSize,
+            hashPos = betPos + betTableSize,
+            blockPos = hashPos + hashes * 16,
+            hiBlockPos = blockPos + blocks * 16,
+            archiveSize = hiBlockPos + hiBlockTableSize,
+            typedArray = new Uint8Array(archiveSize);
 
         offset = headerSize;
 
@@ -201,17 +970,262 @@ export default class MpqArchive {
             offset += file.block.compressedSize;
         }
 
+        // Write the HET and BET tables.
+        if (formatVersion >= 2) {
+            this.writeExtTable(typedArray.subarray(hetPos, hetPos + hetTableSize), hetTable, HET_TABLE_MAGIC, HASH_TABLE_KEY);
+            this.writeExtTable(typedArray.subarray(betPos, betPos + betTableSize), betTable, BET_TABLE_MAGIC, BLOCK_TABLE_KEY);
+        }
+
         // Write the hash table.
-        hashTable.save(typedArray.subarray(offset, offset + hashTable.entries.length * 16));
+        let hashTableData = typedArray.subarray(hashPos, blockPos);
 
-        offset += hashTable.entries.length * 16;
+        hashTable.save(hashTableData);
+        this.c.encryptBlock(hashTableData, HASH_TABLE_KEY);
 
         // Write the block table.
-        blockTable.save(typedArray.subarray(offset, offset + blockTable.entries.length * 16));
+        let blockTableData = typedArray.subarray(blockPos, hiBlockPos);
+
+        blockTable.save(blockTableData);
+        this.c.encryptBlock(blockTableData, BLOCK_TABLE_KEY);
+
+        // Write the hi-block table.
+        let hiBlockTableData = typedArray.subarray(hiBlockPos, archiveSize);
+
+        if (hiBlockTableSize) {
+            let hiBlockTableStream = new BinaryStream(typedArray.buffer, hiBlockPos, hiBlockTableSize);
+
+            for (let block of blockTable.entries) {
+                hiBlockTableStream.writeUint16(Math.floor(block.offset / 0x100000000));
+            }
+        }
+
+        // Write the header.
+        let header = new BinaryStream(typedArray.buffer, 0, headerSize);
+
+        header.writeUint32(MAGIC);
+        header.writeUint32(headerSize);
+        header.writeUint32(Math.min(archiveSize, 0xFFFFFFFF));
+        header.writeUint16(formatVersion);
+        header.writeUint16(Math.log2(this.sectorSize / 512));
+        header.writeUint32(hashPos % 0x100000000);
+        header.writeUint32(blockPos % 0x100000000);
+        header.writeUint32(hashes);
+        header.writeUint32(blocks);
+
+        if (formatVersion >= 1) {
+            writeUint64(header, hiBlockTableSize ? hiBlockPos : 0);
+            header.writeUint16(Math.floor(hashPos / 0x100000000));
+            header.writeUint16(Math.floor(blockPos / 0x100000000));
+        }
+
+        if (formatVersion >= 2) {
+            writeUint64(header, archiveSize);
+            writeUint64(header, betPos);
+            writeUint64(header, hetPos);
+        }
+
+        if (formatVersion >= 3) {
+            writeUint64(header, hashes * 16);
+            writeUint64(header, blocks * 16);
+            writeUint64(header, hiBlockTableSize);
+            writeUint64(header, hetTableSize);
+            writeUint64(header, betTableSize);
+            header.writeUint32(0); // No raw chunk checksums.
+
+            header.writeUint8Array(md5(blockTableData));
+            header.writeUint8Array(md5(hashTableData));
+            header.writeUint8Array(hiBlockTableSize ? md5(hiBlockTableData) : new Uint8Array(16));
+            header.writeUint8Array(md5(typedArray.subarray(betPos, betPos + betTableSize)));
+            header.writeUint8Array(md5(typedArray.subarray(hetPos, hetPos + hetTableSize)));
+            header.writeUint8Array(md5(typedArray.subarray(0, 192)));
+        }
 
         return typedArray.buffer;
     }
 
+    /**
+     * Reads a hash, block, or hi-block table.
+     * The table is decrypted if a key is given, and decompressed if its stored size is smaller than its real size.
+     * 
+     * @param {Uint8Array} typedArray The table as stored in the archive
+     * @param {number} size The real size of the table
+     * @param {number} storedSize The size of the table in the archive
+     * @param {number} key
+     * @returns {Uint8Array}
+     */
+    readTable(typedArray, size, storedSize, key) {
+        // Have to copy the data, because the offset is not guaranteed to be a multiple of 4.
+        let data = typedArray.slice(0, Math.min(size, storedSize));
+
+        if (key) {
+            this.c.decryptBlock(data, key);
+        }
+
+        if (storedSize < size) {
+            try {
+                data = decompress(data, size);
+            } catch (e) {
+                console.warn(`Failed to decompress a table: ${e.message}`);
+
+                return new Uint8Array(0);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Like readTable(), but if the archive is tolerant, a table that is missing entries is padded with empty ones.
+     * 
+     * @param {Uint8Array} typedArray The table as stored in the archive
+     * @param {number} size The real size of the table
+     * @param {number} storedSize The size of the table in the archive
+     * @param {number} key
+     * @param {number} emptyValue The value of every byte of an empty entry
+     * @returns {Uint8Array}
+     */
+    readTolerantTable(typedArray, size, storedSize, key, emptyValue) {
+        let data = this.readTable(typedArray, size, storedSize, key);
+
+        if (this.tolerant && data.byteLength < size) {
+            let padded = new Uint8Array(size);
+
+            padded.fill(emptyValue);
+            padded.set(data.subarray(0, data.byteLength - data.byteLength % 16));
+
+            return padded;
+        }
+
+        return data;
+    }
+
+    /**
+     * Reads a HET or BET table.
+     * Returns the decrypted and decompressed table data following the extended table header, or null if the table is invalid.
+     * 
+     * @param {Uint8Array} typedArray The table as stored in the archive
+     * @param {number} magic
+     * @param {number} key
+     * @returns {?Uint8Array}
+     */
+    readExtTable(typedArray, magic, key) {
+        if (typedArray.byteLength < 12) {
+            return null;
+        }
+
+        let stream = new BinaryStream(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+
+        if (stream.readUint32() !== magic) {
+            return null;
+        }
+
+        let version = stream.readUint32(),
+            dataSize = stream.readUint32(),
+            data = typedArray.slice(12, 12 + dataSize);
+
+        this.c.decryptBlock(data, key);
+
+        if (data.byteLength < dataSize) {
+            try {
+                data = decompress(data, dataSize);
+            } catch (e) {
+                console.warn(`Failed to decompress a HET or BET table: ${e.message}`);
+
+                return null;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Writes a HET or BET table, along with its extended table header.
+     * 
+     * @param {Uint8Array} typedArray
+     * @param {MpqHetTable|MpqBetTable} table
+     * @param {number} magic
+     * @param {number} key
+     */
+    writeExtTable(typedArray, table, magic, key) {
+        let stream = new BinaryStream(typedArray.buffer, typedArray.byteOffset, 12),
+            data = typedArray.subarray(12);
+
+        stream.writeUint32(magic);
+        stream.writeUint32(1);
+        stream.writeUint32(data.byteLength);
+
+        table.save(data);
+
+        this.c.encryptBlock(data, key);
+    }
+
+    /**
+     * Checks the MD5 checksum of a table, as given in the header of format version 3 archives.
+     * Missing tables are skipped.
+     * 
+     * @param {string} name
+     * @param {Uint8Array} checksum
+     * @param {Uint8Array} typedArray The table as stored in the archive
+     */
+    checkTableChecksum(name, checksum, typedArray) {
+        if (typedArray.byteLength) {
+            let digest = md5(typedArray);
+
+            for (let i = 0; i < 16; i++) {
+                if (digest[i] !== checksum[i]) {
+                    this.invalidTableChecksums.push(name);
+
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets the distance from a position to the closest position after it.
+     * 
+     * @param {number} position
+     * @param {Array<number>} positions
+     * @returns {number}
+     */
+    distanceToNext(position, positions) {
+        let distance = Infinity;
+
+        if (position) {
+            for (let other of positions) {
+                if (other > position) {
+                    distance = Math.min(distance, other - position);
+                }
+            }
+        }
+
+        if (distance === Infinity) {
+            return 0;
+        }
+
+        return distance;
+    }
+
+    /**
+     * Sets every file that can be recompressed to its own data, so that save() encodes it again.
+     * Files that are stored with ADPCM are skipped, since recompressing them loses more of their quality.
+     */
+    setAllForOptimization() {
+        for (let file of this.files) {
+            let flags = file.block.flags;
+
+            // Encrypted files with unknown names and keys can't be decoded correctly.
+            if (!(flags & (FILE_DELETE_MARKER | FILE_PATCH_FILE)) && file.rawBuffer !== null && (!(flags & FILE_ENCRYPTED) || file.nameResolved || file.nameKey !== null)) {
+                let buffer = file.arrayBuffer();
+
+                if (buffer && !(file.compression & (COMPRESSION_ADPCM_MONO | COMPRESSION_ADPCM_STEREO))) {
+                    // Compress with the best level, since that is the whole point.
+                    file.set(buffer, { compressionLevel: 9 });
+                }
+            }
+        }
+    }
+
     /**
      * Some MPQs have empty memory chunks in them, left over from files that were deleted.
      * This function searches for such chunks, and removes them.
@@ -235,12 +1249,14 @@ export default class MpqArchive {
             let block = blocks[i];
 
             // Remove blocks with no data.
-            if (block.normalSize === 0) {
+            // Delete markers have no data, but they are needed to delete files in patch archives.
+            if (block.normalSize === 0 && !(block.flags & FILE_DELETE_MARKER)) {
                 this.removeBlock(i)
 
                 saved += block.compressedSize;
             } else {
-                let used = false;
+                // Files that are only in the HET table have no hash.
+                let used = files[i] && !files[i].hash && this.hetTable.blockIndices.indexOf(i) !== -1;
 
                 for (let hash of hashes) {
                     if (hash.blockIndex === i) {
@@ -260,15 +1276,31 @@ export default class MpqArchive {
         return saved;
     }
 
+    /**
+     * Removes a block, and its file and attributes, from the archive.
+     * All of the references to the blocks after it are shifted.
+     * 
+     * @param {number} blockIndex
+     */
     removeBlock(blockIndex) {
         for (let hash of this.hashTable.entries) {
-            if (hash.blockIndex < HASH_ENTRY_DELETED && hash.blockIndex > blockIndex) {
-                hash.blockIndex -= 1;
+            if (hash.blockIndex < HASH_ENTRY_DELETED) {
+                // Hashes of the removed block would otherwise point to the block after it.
+                if (hash.blockIndex === blockIndex) {
+                    hash.delete();
+                } else if (hash.blockIndex > blockIndex) {
+                    hash.blockIndex -= 1;
+                }
             }
         }
 
+        this.hetTable.removeBlock(blockIndex);
         this.blockTable.entries.splice(blockIndex, 1);
-        this.hashTable.entries.splice(blockIndex, 1);
+        this.files.splice(blockIndex, 1);
+
+        if (this.attributes) {
+            this.attributes.removeEntry(blockIndex);
+        }
     }
 
     /**
@@ -278,19 +1310,21 @@ export default class MpqArchive {
      * @returns {Array<string>}
      */
     getFileNames() {
-        let names = [];
+        // Files that exist in multiple locales share their name.
+        let names = new Set();
 
         for (let file of this.files) {
             if (file && file.name !== '') {
-                names.push(file.name);
+                names.add(file.name);
             }
         }
 
-        return names;
+        return [...names];
     }
 
     /**
      * Sets the list file with all of the resolved file names.
+     * The list file is neutral, regardless of the archive's locale.
      * Does nothing if the archive is in readonly mode.
      * 
      * @returns {boolean}
@@ -301,36 +1335,152 @@ export default class MpqArchive {
         }
 
         // Add the listfile, possibly overriding an existing one.
-        return this.set('(listfile)', stringToBuffer(this.getFileNames().join('\r\n')));
+        return this.set('(listfile)', stringToBuffer(this.getFileNames().join('\r\n')), { locale: 0 });
+    }
+
+    /**
+     * Recomputes the attributes of all of the files that changed since they were loaded, and of files with no attributes.
+     * Then sets the (attributes) file with them.
+     * The entry of the (attributes) file itself stays zeroed, since it can't contain its own checksums.
+     * The (attributes) file is neutral, regardless of the archive's locale.
+     * Does nothing if...
+     *     1) The archive is in readonly mode.
+     *     2) The archive has no attributes.
+     * 
+     * @returns {boolean}
+     */
+    setAttributesFile() {
+        if (this.readonly || !this.attributes) {
+            return false;
+        }
+
+        let attributes = this.attributes,
+            count = attributes.crc32s.length;
+
+        // Add the file first, so it has a block with an entry like all of the other files.
+        if (!this.has('(attributes)', 0)) {
+            this.set('(attributes)', new ArrayBuffer(0), { locale: 0 });
+        }
+
+        let attributesFile = this.get('(attributes)', 0),
+            files = this.files,
+            date = new Date();
+
+        attributes.resize(files.length);
+
+        for (let i = 0, l = files.length; i < l; i++) {
+            let file = files[i];
+
+            if (file === attributesFile) {
+                attributes.clearEntry(i);
+            } else if (file.rawBuffer === null || i >= count) {
+                let buffer = file.arrayBuffer();
+
+                if (buffer) {
+                    attributes.setEntry(i, buffer, date);
+                } else {
+                    attributes.clearEntry(i);
+                }
+            }
+        }
+
+        return this.set('(attributes)', attributes.save(), { locale: 0 });
+    }
+
+    /**
+     * Checks the files in this archive against the CRC32 and MD5 checksums in the attributes.
+     * Files with no checksums, like the (attributes) file itself, are skipped.
+     * Returns the files that don't match, each with the names of the mismatching checksums.
+     * Files that fail to decode are reported with 'decode'.
+     * If the archive has no attributes, an empty array is returned.
+     * 
+     * @returns {Array<Object>} Objects of the form { file, mismatches }
+     */
+    verify() {
+        let attributes = this.attributes,
+            results = [];
+
+        if (!attributes) {
+            return results;
+        }
+
+        let files = this.files;
+
+        // Files added after the attributes were loaded have no entries yet.
+        for (let i = 0, l = Math.min(files.length, attributes.crc32s.length); i < l; i++) {
+            let file = files[i];
+
+            if (!file || !attributes.crc32s[i] && !attributes.md5s[i].some((value) => value !== 0)) {
+                continue;
+            }
+
+            let buffer = file.arrayBuffer(),
+                mismatches;
+
+            if (buffer) {
+                mismatches = attributes.check(i, buffer);
+            } else {
+                mismatches = ['decode'];
+            }
+
+            if (mismatches.length) {
+                results.push({ file, mismatches });
+            }
+        }
+
+        return results;
     }
 
     /**
      * Adds a file to this archive.
-     * If the file already exists, its buffer will be set.
+     * If the file already exists in the given locale, its buffer will be set.
+     * Otherwise it's added in that locale, even if it exists in other locales.
      * Does nothing if the archive is in readonly mode.
      * 
+     * The options select the way the file is stored, and are all optional:
+     *     locale - The locale of the file, the archive's locale by default.
+     *     compression - The compression mask, or 0 to store the file uncompressed. Readers only accept some combinations, so it must be one of:
+     *                   COMPRESSION_DEFLATE, COMPRESSION_IMPLODE, COMPRESSION_BZIP2,
+     *                   COMPRESSION_ADPCM_MONO | COMPRESSION_HUFFMAN or COMPRESSION_ADPCM_STEREO | COMPRESSION_HUFFMAN for 16 bit PCM sounds.
+     *     compressionLevel - The zlib compression level, from 1 (fastest) to 9 (smallest).
+     *     singleUnit - Store the file as one unit, rather than in sectors.
+     *     sectorCrc - Add checksums of the sectors.
+     *     encrypted - Encrypt the file with the key of its name.
+     *     offsetAdjustedKey - Adjust the key with the offset and size of the file (FILE_OFFSET_ADJUSTED_KEY).
+     * Options that are not given keep the way an existing file was stored, or the defaults of MpqFile for a new file.
+     * Throws if the compression is not supported.
+     * 
      * @param {string} name
      * @param {ArrayBuffer} buffer
+     * @param {?Object} options
      * @returns {boolean}
      */
-    set(name, buffer) {
+    set(name, buffer, options) {
         if (this.readonly) {
             return false;
         }
 
-        let file = this.get(name);
+        options = options || {};
+
+        let locale = options.locale === undefined ? this.locale : options.locale;
+
+        // Files that are only in the HET table have no hash, and are neutral.
+        let file = this.getVariants(name).find((file) => (file.hash ? file.hash.locale : 0) === locale);
 
         // If the file already exists, change the data.
         if (file) {
-            file.set(buffer);
+            file.set(buffer, options);
         } else {
             let blockIndex = this.blockTable.entries.length;
 
             file = new MpqFile(this);
 
+            // Set the options first, so a file with an unsupported compression is not added.
+            file.setOptions(options);
+
             file.name = name;
             file.nameResolved = true;
-            file.hash = this.hashTable.add(name, blockIndex);
+            file.hash = this.hashTable.add(name, blockIndex, locale);
             file.block = this.blockTable.add(buffer);
             file.buffer = buffer;
 
@@ -342,28 +1492,69 @@ export default class MpqArchive {
 
     /**
      * Gets a file from this archive.
+     * If the file exists in multiple locales, the one in the given locale is preferred, then the neutral one, and then whichever is found first.
      * If the file doesn't exist, null is returned.
      * 
      * @param {string} name
+     * @param {?number} locale Defaults to the archive's locale.
      * @returns {?MpqFile}
      */
-    get(name) {
-        let hash = this.hashTable.get(name);
+    get(name, locale) {
+        let hash = this.hashTable.get(name, locale === undefined ? this.locale : locale);
 
         if (hash) {
-            let blockIndex = hash.blockIndex;
+            return this.getFileOfBlock(name, hash.blockIndex);
+        }
 
-            // Check if the block exists.
-            if (blockIndex < HASH_ENTRY_DELETED) {
-                let file = this.files[blockIndex];
+        // Archives of format version 2 and above might have files that are only in the HET table.
+        return this.getFileOfBlock(name, this.hetTable.get(name));
+    }
 
-                if (file) {
-                    // Save the name in case it wasn't already resolved.
-                    file.name = name.toLowerCase();
-                    file.nameResolved = true;
+    /**
+     * Gets all of the variants of a file, one for every locale and platform it exists in.
+     * The locale and platform of each one are in its hash.
+     * 
+     * @param {string} name
+     * @returns {Array<MpqFile>}
+     */
+    getVariants(name) {
+        let files = [];
 
-                    return file;
-                }
+        for (let hash of this.hashTable.getAll(name)) {
+            let file = this.getFileOfBlock(name, hash.blockIndex);
+
+            if (file) {
+                files.push(file);
+            }
+        }
+
+        if (!files.length) {
+            let file = this.getFileOfBlock(name, this.hetTable.get(name));
+
+            if (file) {
+                files.push(file);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} blockIndex
+     * @returns {?MpqFile}
+     */
+    getFileOfBlock(name, blockIndex) {
+        // Check if the block exists.
+        if (blockIndex >= 0 && blockIndex < HASH_ENTRY_DELETED) {
+            let file = this.files[blockIndex];
+
+            if (file) {
+                // Save the name in case it wasn't already resolved.
+                file.name = name.toLowerCase();
+                file.nameResolved = true;
+
+                return file;
             }
         }
 
@@ -375,10 +1566,11 @@ export default class MpqArchive {
      * Prefer to use get() if you are going to use get() afterwards anyway.
      * 
      * @param {string} name
+     * @param {?number} locale Defaults to the archive's locale, see get().
      * @returns {boolean}
      */
-    has(name) {
-        return !!this.get(name);
+    has(name, locale) {
+        return !!this.get(name, locale);
     }
 
     /**
@@ -388,14 +1580,15 @@ export default class MpqArchive {
      *     2) The file doesn't exist.
      * 
      * @param {string} name
+     * @param {?number} locale Defaults to the archive's locale, see get().
      * @returns {boolean}
      */
-    delete(name) {
+    delete(name, locale) {
         if (this.readonly) {
             return false;
         }
 
-        let file = this.get(name);
+        let file = this.get(name, locale);
 
         if (!file) {
             return false;
@@ -479,31 +1672,45 @@ export default class MpqArchive {
 
         // Go over all of the old entries, and copy them into the new entries.
         for (let hash of oldEntries) {
-            if (hash.blockIndex !== HASH_ENTRY_EMPTY) {
+            if (hash.blockIndex < HASH_ENTRY_DELETED) {
                 let file = files[hash.blockIndex],
-                    insertionIndex = hashTable.getInsertionIndex(file.name);
+                    newHash = entries[hashTable.getInsertionIndex(file.name)];
+
+                newHash.copy(hash);
 
-                entries[insertionIndex].copy(hash);
+                file.hash = newHash;
             }
         }
 
         return true;
     }
 
-    // Search for the MPQ header - MPQ\x1A.
-    // The header can be on any 512 bytes boundry offset.
-    searchHeader(typedArray) {
-        let offset = -1;
+    // Search for the MPQ headers - MPQ\x1A.
+    // A header can be on any 512 bytes boundry offset, and there can be more than one, since map protectors like to add fake ones.
+    // Starcraft 2 archives may instead start with a user data header - MPQ\x1B - that points to the real header.
+    // Returns the offsets of all of the headers, in order.
+    searchHeaders(typedArray) {
+        let offsets = [];
 
         for (let i = 0, l = Math.ceil(typedArray.byteLength / 512); i < l; i++) {
             let base = i * 512;
 
-            // Test 'MPQ\x1A'.
-            if (typedArray[base] === 77 && typedArray[base + 1] === 80 && typedArray[base + 2] === 81 && typedArray[base + 3] === 26) {
-                offset = base;;
+            if (typedArray[base] === 77 && typedArray[base + 1] === 80 && typedArray[base + 2] === 81) {
+                // Test 'MPQ\x1A'.
+                if (typedArray[base + 3] === 26) {
+                    offsets.push(base);
+                // Test 'MPQ\x1B'.
+                } else if (typedArray[base + 3] === 27) {
+                    let target = base + (typedArray[base + 8] | (typedArray[base + 9] << 8) | (typedArray[base + 10] << 16) | (typedArray[base + 11] << 24));
+
+                    if (typedArray[target] === 77 && typedArray[target + 1] === 80 && typedArray[target + 2] === 81 && typedArray[target + 3] === 26) {
+                        offsets.push(target);
+                    }
+                }
             }
         }
 
-        return offset;
+        // The header a user data header points to might also be found on its own.
+        return [...new Set(offsets)].sort((a, b) => a - b);
     }
 };
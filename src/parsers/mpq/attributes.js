@@ -0,0 +1,291 @@
+import BinaryStream from '../../common/binarystream';
+import crc32 from '../../common/crc32';
+import md5 from '../../common/md5';
+import { ATTRIBUTES_VERSION, ATTRIBUTES_CRC32, ATTRIBUTES_FILETIME, ATTRIBUTES_MD5, ATTRIBUTES_PATCH_BIT } from './constants';
+
+// Milliseconds between the FILETIME epoch (January 1st 1601) and the Unix epoch.
+let FILETIME_EPOCH_OFFSET = 11644473600000;
+
+/**
+ * Converts a date to a FILETIME, which is the number of 100 nanosecond intervals since January 1st 1601.
+ * It is returned as its low and high 32 bits, since it doesn't fit in a number.
+ *
+ * @param {Date} date
+ * @returns {Uint32Array}
+ */
+export function dateToFileTime(date) {
+    let time = date.getTime() + FILETIME_EPOCH_OFFSET,
+        // Multiply by 10000 in two 16 bit parts, to not lose precision.
+        high = Math.floor(time / 0x10000) * 10000,
+        low = (time % 0x10000) * 10000,
+        combined = high + Math.floor(low / 0x10000);
+
+    return new Uint32Array([(combined % 0x10000) * 0x10000 + low % 0x10000, Math.floor(combined / 0x10000)]);
+};
+
+/**
+ * Converts a FILETIME to a date.
+ *
+ * @param {Uint32Array} fileTime
+ * @returns {Date}
+ */
+export function fileTimeToDate(fileTime) {
+    return new Date((fileTime[1] * 0x100000000 + fileTime[0]) / 10000 - FILETIME_EPOCH_OFFSET);
+};
+
+/**
+ * The (attributes) file.
+ * It holds columns of extra information about the blocks in the archive, with an entry for every block.
+ * The flags select which columns are stored.
+ */
+export default class MpqAttributes {
+    constructor() {
+        /** @member {number} */
+        this.version = ATTRIBUTES_VERSION;
+        /** @member {number} */
+        this.flags = ATTRIBUTES_CRC32 | ATTRIBUTES_FILETIME | ATTRIBUTES_MD5;
+        /** @member {Array<number>} */
+        this.crc32s = [];
+        /** @member {Array<Uint32Array>} */
+        this.fileTimes = [];
+        /** @member {Array<Uint8Array>} */
+        this.md5s = [];
+        /** @member {Array<number>} */
+        this.patchBits = [];
+    }
+
+    clear() {
+        this.crc32s.length = 0;
+        this.fileTimes.length = 0;
+        this.md5s.length = 0;
+        this.patchBits.length = 0;
+    }
+
+    /**
+     * Some archives have attributes with less entries than there are blocks.
+     * Only the entries that are in the file are read, and the rest are zeroed.
+     *
+     * @param {ArrayBuffer} buffer
+     * @param {number} blockCount
+     * @returns {boolean}
+     */
+    load(buffer, blockCount) {
+        if (buffer.byteLength < 8) {
+            return false;
+        }
+
+        let stream = new BinaryStream(buffer),
+            version = stream.readUint32(),
+            flags = stream.readUint32(),
+            count = (size) => Math.min(blockCount, Math.floor(stream.remaining() / size));
+
+        if (version !== ATTRIBUTES_VERSION) {
+            return false;
+        }
+
+        this.clear();
+        this.version = version;
+        this.flags = flags;
+
+        if (flags & ATTRIBUTES_CRC32) {
+            for (let i = 0, l = count(4); i < l; i++) {
+                this.crc32s[i] = stream.readUint32();
+            }
+        }
+
+        if (flags & ATTRIBUTES_FILETIME) {
+            for (let i = 0, l = count(8); i < l; i++) {
+                this.fileTimes[i] = stream.readUint32Array(2);
+            }
+        }
+
+        if (flags & ATTRIBUTES_MD5) {
+            for (let i = 0, l = count(16); i < l; i++) {
+                this.md5s[i] = stream.readUint8Array(16);
+            }
+        }
+
+        // One bit per block, most significant bit first.
+        if (flags & ATTRIBUTES_PATCH_BIT) {
+            let bits = stream.readUint8Array(Math.min(Math.ceil(blockCount / 8), stream.remaining()));
+
+            for (let i = 0, l = Math.min(blockCount, bits.length * 8); i < l; i++) {
+                this.patchBits[i] = (bits[i >>> 3] >>> (7 - (i & 7))) & 1;
+            }
+        }
+
+        this.resize(blockCount);
+
+        return true;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getByteLength() {
+        let flags = this.flags,
+            entries = this.crc32s.length,
+            size = 8;
+
+        if (flags & ATTRIBUTES_CRC32) {
+            size += entries * 4;
+        }
+
+        if (flags & ATTRIBUTES_FILETIME) {
+            size += entries * 8;
+        }
+
+        if (flags & ATTRIBUTES_MD5) {
+            size += entries * 16;
+        }
+
+        if (flags & ATTRIBUTES_PATCH_BIT) {
+            size += Math.ceil(entries / 8);
+        }
+
+        return size;
+    }
+
+    /**
+     * @returns {ArrayBuffer}
+     */
+    save() {
+        let flags = this.flags,
+            entries = this.crc32s.length,
+            buffer = new ArrayBuffer(this.getByteLength()),
+            stream = new BinaryStream(buffer);
+
+        stream.writeUint32(this.version);
+        stream.writeUint32(flags);
+
+        if (flags & ATTRIBUTES_CRC32) {
+            stream.writeUint32Array(new Uint32Array(this.crc32s));
+        }
+
+        if (flags & ATTRIBUTES_FILETIME) {
+            for (let fileTime of this.fileTimes) {
+                stream.writeUint32Array(fileTime);
+            }
+        }
+
+        if (flags & ATTRIBUTES_MD5) {
+            for (let digest of this.md5s) {
+                stream.writeUint8Array(digest);
+            }
+        }
+
+        if (flags & ATTRIBUTES_PATCH_BIT) {
+            let bits = new Uint8Array(Math.ceil(entries / 8));
+
+            for (let i = 0; i < entries; i++) {
+                bits[i >>> 3] |= this.patchBits[i] << (7 - (i & 7));
+            }
+
+            stream.writeUint8Array(bits);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Sets the number of entries, adding zeroed entries or removing entries from the end as needed.
+     *
+     * @param {number} count
+     */
+    resize(count) {
+        this.crc32s.length = count;
+        this.fileTimes.length = count;
+        this.md5s.length = count;
+        this.patchBits.length = count;
+
+        // Fill new entries, and columns that were not in the file.
+        for (let i = 0; i < count; i++) {
+            if (this.crc32s[i] === undefined) {
+                this.crc32s[i] = 0;
+            }
+
+            if (!this.fileTimes[i]) {
+                this.fileTimes[i] = new Uint32Array(2);
+            }
+
+            if (!this.md5s[i]) {
+                this.md5s[i] = new Uint8Array(16);
+            }
+
+            if (this.patchBits[i] === undefined) {
+                this.patchBits[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * Computes the entry of a block from its decoded data.
+     * The patch bit is kept.
+     *
+     * @param {number} index
+     * @param {ArrayBuffer} buffer
+     * @param {Date} date
+     */
+    setEntry(index, buffer, date) {
+        this.crc32s[index] = crc32(buffer);
+        this.fileTimes[index] = dateToFileTime(date);
+        this.md5s[index] = md5(buffer);
+
+        if (this.patchBits[index] === undefined) {
+            this.patchBits[index] = 0;
+        }
+    }
+
+    /**
+     * Zeroes the entry of a block.
+     *
+     * @param {number} index
+     */
+    clearEntry(index) {
+        this.crc32s[index] = 0;
+        this.fileTimes[index] = new Uint32Array(2);
+        this.md5s[index] = new Uint8Array(16);
+        this.patchBits[index] = 0;
+    }
+
+    /**
+     * A block was removed from the archive, so remove its entry, which shifts all of the entries after it.
+     *
+     * @param {number} index
+     */
+    removeEntry(index) {
+        this.crc32s.splice(index, 1);
+        this.fileTimes.splice(index, 1);
+        this.md5s.splice(index, 1);
+        this.patchBits.splice(index, 1);
+    }
+
+    /**
+     * Checks the decoded data of a block against its entry.
+     * Zeroed checksums mean there is nothing recorded, and are not checked.
+     * Returns the names of the mismatching columns, 'crc32' and/or 'md5'.
+     *
+     * @param {number} index
+     * @param {ArrayBuffer} buffer
+     * @returns {Array<string>}
+     */
+    check(index, buffer) {
+        let flags = this.flags,
+            mismatches = [];
+
+        if ((flags & ATTRIBUTES_CRC32) && this.crc32s[index] && this.crc32s[index] !== crc32(buffer)) {
+            mismatches.push('crc32');
+        }
+
+        if ((flags & ATTRIBUTES_MD5) && this.md5s[index] && this.md5s[index].some((value) => value !== 0)) {
+            let expected = this.md5s[index],
+                digest = md5(buffer);
+
+            if (digest.some((value, i) => value !== expected[i])) {
+                mismatches.push('md5');
+            }
+        }
+
+        return mismatches;
+    }
+};
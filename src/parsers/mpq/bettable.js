@@ -0,0 +1,188 @@
+import BinaryStream from '../../common/binarystream';
+import { getBits, setBits, copyBits, bitsNeeded } from './bitarray';
+import MpqBlock from './block';
+
+/**
+ * The BET table, added in archive format version 2 (MPQ v3).
+ * It is a bit-packed version of the block table, together with the lower bits of every file's HET name hash.
+ */
+export default class MpqBetTable {
+    constructor() {
+        /** @member {Array<MpqBlock>} */
+        this.entries = [];
+        /** @member {Array<Uint8Array>} */
+        this.nameHashes = [];
+        /** @member {number} */
+        this.nameHashBits = 56;
+    }
+
+    clear() {
+        this.entries.length = 0;
+        this.nameHashes.length = 0;
+    }
+
+    /**
+     * @param {Uint8Array} typedArray The decrypted and decompressed table data, following the extended table header.
+     */
+    load(typedArray) {
+        let stream = new BinaryStream(typedArray.buffer),
+            tableSize = stream.readUint32(),
+            entryCount = stream.readUint32(),
+            unknown08 = stream.readUint32(),
+            tableEntrySize = stream.readUint32(),
+            bitIndexFilePos = stream.readUint32(),
+            bitIndexFileSize = stream.readUint32(),
+            bitIndexCmpSize = stream.readUint32(),
+            bitIndexFlagIndex = stream.readUint32(),
+            bitIndexUnknown = stream.readUint32(),
+            bitCountFilePos = stream.readUint32(),
+            bitCountFileSize = stream.readUint32(),
+            bitCountCmpSize = stream.readUint32(),
+            bitCountFlagIndex = stream.readUint32(),
+            bitCountUnknown = stream.readUint32(),
+            bitTotalNameHash2 = stream.readUint32(),
+            bitExtraNameHash2 = stream.readUint32(),
+            bitCountNameHash2 = stream.readUint32(),
+            nameHashArraySize = stream.readUint32(),
+            flagCount = stream.readUint32(),
+            flags = stream.readUint32Array(flagCount),
+            fileTable = stream.readUint8Array(Math.ceil(tableEntrySize * entryCount / 8)),
+            nameHashTable = stream.readUint8Array(nameHashArraySize);
+
+        this.clear();
+        this.nameHashBits = bitCountNameHash2;
+
+        for (let i = 0; i < entryCount; i++) {
+            let block = new MpqBlock(),
+                base = i * tableEntrySize,
+                nameHash = new Uint8Array(8);
+
+            block.offset = getBits(fileTable, base + bitIndexFilePos, bitCountFilePos);
+            block.normalSize = getBits(fileTable, base + bitIndexFileSize, bitCountFileSize);
+            block.compressedSize = getBits(fileTable, base + bitIndexCmpSize, bitCountCmpSize);
+            block.flags = flags[getBits(fileTable, base + bitIndexFlagIndex, bitCountFlagIndex)] >>> 0;
+
+            copyBits(nameHash, 0, nameHashTable, i * bitTotalNameHash2, bitCountNameHash2);
+
+            this.entries[i] = block;
+            this.nameHashes[i] = nameHash;
+        }
+    }
+
+    /**
+     * Rebuilds the table from the blocks of an archive.
+     *
+     * @param {Array<MpqBlock>} blocks
+     * @param {Array<?Uint8Array>} blockHashes Masked HET name hashes, indexed by block index.
+     * @param {number} nameHashBits The HET name hash bit size.
+     */
+    set(blocks, blockHashes, nameHashBits) {
+        this.clear();
+        this.nameHashBits = nameHashBits - 8;
+
+        for (let i = 0, l = blocks.length; i < l; i++) {
+            this.entries[i] = blocks[i];
+            this.nameHashes[i] = blockHashes[i] || new Uint8Array(8);
+        }
+    }
+
+    /**
+     * Gets the bit layout of the file table.
+     *
+     * @returns {Object}
+     */
+    getLayout() {
+        let flags = [],
+            maxOffset = 0,
+            maxNormalSize = 0,
+            maxCompressedSize = 0;
+
+        for (let block of this.entries) {
+            if (flags.indexOf(block.flags) === -1) {
+                flags.push(block.flags);
+            }
+
+            maxOffset = Math.max(maxOffset, block.offset);
+            maxNormalSize = Math.max(maxNormalSize, block.normalSize);
+            maxCompressedSize = Math.max(maxCompressedSize, block.compressedSize);
+        }
+
+        let filePos = bitsNeeded(maxOffset),
+            fileSize = bitsNeeded(maxNormalSize),
+            cmpSize = bitsNeeded(maxCompressedSize),
+            flagIndex = bitsNeeded(flags.length);
+
+        return {
+            flags,
+            filePos,
+            fileSize,
+            cmpSize,
+            flagIndex,
+            entrySize: filePos + fileSize + cmpSize + flagIndex
+        };
+    }
+
+    /**
+     * The size of the table data, not including the extended table header.
+     *
+     * @returns {number}
+     */
+    getByteLength() {
+        let layout = this.getLayout(),
+            entryCount = this.entries.length;
+
+        return 76 + layout.flags.length * 4 + Math.ceil(layout.entrySize * entryCount / 8) + Math.ceil(this.nameHashBits * entryCount / 8);
+    }
+
+    /**
+     * @param {Uint8Array} typedArray
+     */
+    save(typedArray) {
+        let layout = this.getLayout(),
+            flags = layout.flags,
+            entryCount = this.entries.length,
+            nameHashBits = this.nameHashBits,
+            byteLength = this.getByteLength(),
+            stream = new BinaryStream(typedArray.buffer, typedArray.byteOffset, byteLength),
+            fileTable = new Uint8Array(Math.ceil(layout.entrySize * entryCount / 8)),
+            nameHashTable = new Uint8Array(Math.ceil(nameHashBits * entryCount / 8)),
+            bitIndexFileSize = layout.filePos,
+            bitIndexCmpSize = bitIndexFileSize + layout.fileSize,
+            bitIndexFlagIndex = bitIndexCmpSize + layout.cmpSize;
+
+        for (let i = 0; i < entryCount; i++) {
+            let block = this.entries[i],
+                base = i * layout.entrySize;
+
+            setBits(fileTable, base, layout.filePos, block.offset);
+            setBits(fileTable, base + bitIndexFileSize, layout.fileSize, block.normalSize);
+            setBits(fileTable, base + bitIndexCmpSize, layout.cmpSize, block.compressedSize);
+            setBits(fileTable, base + bitIndexFlagIndex, layout.flagIndex, flags.indexOf(block.flags));
+
+            copyBits(nameHashTable, i * nameHashBits, this.nameHashes[i], 0, nameHashBits);
+        }
+
+        stream.writeUint32(byteLength);
+        stream.writeUint32(entryCount);
+        stream.writeUint32(0x10);
+        stream.writeUint32(layout.entrySize);
+        stream.writeUint32(0);
+        stream.writeUint32(bitIndexFileSize);
+        stream.writeUint32(bitIndexCmpSize);
+        stream.writeUint32(bitIndexFlagIndex);
+        stream.writeUint32(bitIndexFlagIndex + layout.flagIndex);
+        stream.writeUint32(layout.filePos);
+        stream.writeUint32(layout.fileSize);
+        stream.writeUint32(layout.cmpSize);
+        stream.writeUint32(layout.flagIndex);
+        stream.writeUint32(0);
+        stream.writeUint32(nameHashBits);
+        stream.writeUint32(0);
+        stream.writeUint32(nameHashBits);
+        stream.writeUint32(nameHashTable.byteLength);
+        stream.writeUint32(flags.length);
+        stream.writeUint32Array(new Uint32Array(flags));
+        stream.writeUint8Array(fileTable);
+        stream.writeUint8Array(nameHashTable);
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Reads an unsigned integer of up to 53 bits from a little endian bit array.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} bitOffset
+ * @param {number} bitCount
+ * @returns {number}
+ */
+export function getBits(typedArray, bitOffset, bitCount) {
+    let value = 0,
+        multiplier = 1;
+
+    for (let i = 0; i < bitCount; i++) {
+        let bit = bitOffset + i;
+
+        if (typedArray[bit >>> 3] & (1 << (bit & 7))) {
+            value += multiplier;
+        }
+
+        multiplier *= 2;
+    }
+
+    return value;
+};
+
+/**
+ * Writes an unsigned integer of up to 53 bits to a little endian bit array.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} bitOffset
+ * @param {number} bitCount
+ * @param {number} value
+ */
+export function setBits(typedArray, bitOffset, bitCount, value) {
+    for (let i = 0; i < bitCount; i++) {
+        let bit = bitOffset + i,
+            mask = 1 << (bit & 7);
+
+        if (value % 2) {
+            typedArray[bit >>> 3] |= mask;
+        } else {
+            typedArray[bit >>> 3] &= ~mask;
+        }
+
+        value = Math.floor(value / 2);
+    }
+};
+
+/**
+ * Copies bits between two little endian bit arrays.
+ * Used for values that may be wider than what a number can hold, like 64 bit hashes.
+ *
+ * @param {Uint8Array} dst
+ * @param {number} dstOffset
+ * @param {Uint8Array} src
+ * @param {number} srcOffset
+ * @param {number} bitCount
+ */
+export function copyBits(dst, dstOffset, src, srcOffset, bitCount) {
+    for (let i = 0; i < bitCount; i += 32) {
+        let count = Math.min(32, bitCount - i);
+
+        setBits(dst, dstOffset + i, count, getBits(src, srcOffset + i, count));
+    }
+};
+
+/**
+ * Gets the amount of bits needed to store the given unsigned integer.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+export function bitsNeeded(value) {
+    let bits = 0;
+
+    while (value > 0) {
+        value = Math.floor(value / 2);
+        bits += 1;
+    }
+
+    return bits;
+};
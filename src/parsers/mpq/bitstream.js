@@ -0,0 +1,98 @@
+/**
+ * Reads bits least significant bit first.
+ * Used by the PKWARE DCL and Huffman decompressors.
+ */
+export class BitReader {
+    /**
+     * @param {Uint8Array} typedArray
+     */
+    constructor(typedArray) {
+        this.typedArray = typedArray;
+        this.index = 0;
+        this.bitBuffer = 0;
+        this.bits = 0;
+    }
+
+    /**
+     * @param {number} count At most 24.
+     * @returns {number}
+     */
+    read(count) {
+        while (this.bits < count) {
+            if (this.index >= this.typedArray.byteLength) {
+                throw new Error('unexpected end of data');
+            }
+
+            this.bitBuffer |= this.typedArray[this.index++] << this.bits;
+            this.bits += 8;
+        }
+
+        let value = this.bitBuffer & ((1 << count) - 1);
+
+        this.bitBuffer >>>= count;
+        this.bits -= count;
+
+        return value;
+    }
+};
+
+/**
+ * Writes bits least significant bit first.
+ * Used by the PKWARE DCL and Huffman compressors.
+ */
+export class BitWriter {
+    /**
+     * @param {number} capacity The initial capacity, the buffer grows as needed.
+     */
+    constructor(capacity) {
+        this.typedArray = new Uint8Array(capacity);
+        this.index = 0;
+        this.bitBuffer = 0;
+        this.bits = 0;
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} count At most 24.
+     */
+    write(value, count) {
+        this.bitBuffer |= value << this.bits;
+        this.bits += count;
+
+        while (this.bits >= 8) {
+            this.push(this.bitBuffer & 0xFF);
+            this.bitBuffer >>>= 8;
+            this.bits -= 8;
+        }
+    }
+
+    /**
+     * @param {number} byte
+     */
+    push(byte) {
+        if (this.index === this.typedArray.byteLength) {
+            let typedArray = new Uint8Array(this.typedArray.byteLength * 2);
+
+            typedArray.set(this.typedArray);
+
+            this.typedArray = typedArray;
+        }
+
+        this.typedArray[this.index++] = byte;
+    }
+
+    /**
+     * Flushes the remaining bits, padded with zeroes, and returns the written data.
+     *
+     * @returns {Uint8Array}
+     */
+    finish() {
+        if (this.bits > 0) {
+            this.push(this.bitBuffer & 0xFF);
+            this.bitBuffer = 0;
+            this.bits = 0;
+        }
+
+        return this.typedArray.subarray(0, this.index);
+    }
+};
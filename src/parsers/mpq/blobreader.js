@@ -0,0 +1,28 @@
+/**
+ * A reader over a Blob, such as a File selected by the user or dropped on the page.
+ */
+export default class MpqBlobReader {
+    /**
+     * @param {Blob} blob
+     */
+    constructor(blob) {
+        /** @member {Blob} */
+        this.blob = blob;
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async size() {
+        return this.blob.size;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async read(offset, size) {
+        return await this.blob.slice(offset, offset + size).arrayBuffer();
+    }
+};
@@ -1,5 +1,4 @@
 import MpqBlock from './block';
-import { BLOCK_TABLE_KEY, FILE_COMPRESSED, FILE_SINGLE_UNIT, FILE_EXISTS } from './constants';
 
 export default class MpqBlockTable {
     /**
@@ -32,9 +31,12 @@ export default class MpqBlockTable {
         }
     }
 
+    /**
+     * @param {Uint8Array} typedArray The decrypted and decompressed table.
+     */
     load(typedArray) {
         let entriesCount = typedArray.byteLength / 16,
-            uint32array = new Uint32Array(this.c.decryptBlock(typedArray, BLOCK_TABLE_KEY).buffer),
+            uint32array = new Uint32Array(typedArray.buffer),
             offset = 0;
 
         // Clear the table and add the needed empties.
@@ -49,6 +51,8 @@ export default class MpqBlockTable {
     }
 
     /**
+     * Note that the table is saved decrypted, encryption is done by the archive.
+     * 
      * @param {Uint8Array} typedArray 
      */
     save(typedArray) {
@@ -61,10 +65,6 @@ export default class MpqBlockTable {
             offset += 4;
         }
 
-        let uint8array = new Uint8Array(uint32array.buffer);
-
-        this.c.encryptBlock(uint8array, BLOCK_TABLE_KEY);
-
-        typedArray.set(uint8array);
+        typedArray.set(new Uint8Array(uint32array.buffer));
     }
 };
@@ -0,0 +1,38 @@
+/**
+ * A reader over an archive that is already in memory.
+ * Unlike the other readers, it can also read synchronously, so archives opened with it keep the synchronous API.
+ */
+export default class MpqBufferReader {
+    /**
+     * @param {ArrayBuffer|TypedArray} buffer
+     */
+    constructor(buffer) {
+        /** @member {Uint8Array} */
+        this.typedArray = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async size() {
+        return this.typedArray.byteLength;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async read(offset, size) {
+        return this.readSync(offset, size);
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {ArrayBuffer}
+     */
+    readSync(offset, size) {
+        return this.typedArray.slice(offset, offset + size).buffer;
+    }
+};
@@ -0,0 +1,958 @@
+// BZip2 compression and decompression.
+// A stream is a header, followed by blocks, each one run-length encoded, Burrows-Wheeler transformed, move-to-front transformed, and Huffman coded.
+// Unlike the other compressions used by MPQ archives, bits are packed most significant bit first.
+
+// The magic numbers of blocks and of the end of the stream, in 24 bit halves.
+let BLOCK_MAGIC_HI = 0x314159;
+let BLOCK_MAGIC_LO = 0x265359;
+let END_MAGIC_HI = 0x177245;
+let END_MAGIC_LO = 0x385090;
+
+// The run symbols of the move-to-front output.
+let RUNA = 0;
+let RUNB = 1;
+
+// Symbols are coded in groups of this size, each group selecting one of the Huffman tables.
+let GROUP_SIZE = 50;
+
+let MAX_CODE_LENGTH = 20;
+
+// The longest code length the encoder generates, same as the reference implementation.
+let MAX_ENCODED_CODE_LENGTH = 17;
+
+// The block size used by the encoder, in units of 100000 bytes.
+let BLOCK_SIZE_LEVEL = 9;
+
+let CRC_TABLE = new Uint32Array(256);
+
+for (let i = 0; i < 256; i++) {
+    let c = i << 24;
+
+    for (let j = 0; j < 8; j++) {
+        c = (c & 0x80000000) ? (c << 1) ^ 0x04C11DB7 : c << 1;
+    }
+
+    CRC_TABLE[i] = c >>> 0;
+}
+
+/**
+ * @param {number} crc
+ * @param {number} byte
+ * @returns {number}
+ */
+function updateCrc(crc, byte) {
+    return ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+}
+
+/**
+ * Reads bits most significant bit first.
+ */
+class BitReader {
+    /**
+     * @param {Uint8Array} typedArray
+     */
+    constructor(typedArray) {
+        this.typedArray = typedArray;
+        this.index = 0;
+        this.bitBuffer = 0;
+        this.bits = 0;
+    }
+
+    /**
+     * @param {number} count At most 24.
+     * @returns {number}
+     */
+    read(count) {
+        while (this.bits < count) {
+            if (this.index >= this.typedArray.byteLength) {
+                throw new Error('unexpected end of data');
+            }
+
+            this.bitBuffer = (this.bitBuffer << 8) | this.typedArray[this.index++];
+            this.bits += 8;
+        }
+
+        this.bits -= count;
+
+        return (this.bitBuffer >>> this.bits) & ((1 << count) - 1);
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint32() {
+        return ((this.read(16) << 16) | this.read(16)) >>> 0;
+    }
+}
+
+/**
+ * Writes bits most significant bit first.
+ */
+class BitWriter {
+    /**
+     * @param {number} capacity The initial capacity, the buffer grows as needed.
+     */
+    constructor(capacity) {
+        this.typedArray = new Uint8Array(capacity);
+        this.index = 0;
+        this.bitBuffer = 0;
+        this.bits = 0;
+    }
+
+    /**
+     * @param {number} count At most 24.
+     * @param {number} value
+     */
+    write(count, value) {
+        this.bitBuffer = (this.bitBuffer << count) | value;
+        this.bits += count;
+
+        while (this.bits >= 8) {
+            this.bits -= 8;
+            this.push((this.bitBuffer >>> this.bits) & 0xFF);
+        }
+
+        this.bitBuffer &= (1 << this.bits) - 1;
+    }
+
+    /**
+     * @param {number} value
+     */
+    writeUint32(value) {
+        this.write(16, value >>> 16);
+        this.write(16, value & 0xFFFF);
+    }
+
+    /**
+     * @param {number} byte
+     */
+    push(byte) {
+        if (this.index === this.typedArray.byteLength) {
+            let typedArray = new Uint8Array(this.typedArray.byteLength * 2);
+
+            typedArray.set(this.typedArray);
+
+            this.typedArray = typedArray;
+        }
+
+        this.typedArray[this.index++] = byte;
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    finish() {
+        if (this.bits > 0) {
+            this.push((this.bitBuffer << (8 - this.bits)) & 0xFF);
+        }
+
+        return this.typedArray.subarray(0, this.index);
+    }
+}
+
+/**
+ * Builds a canonical Huffman decoding table from code lengths.
+ *
+ * @param {Uint8Array} lengths
+ * @param {number} alphaSize
+ * @returns {Object}
+ */
+function buildDecodeTable(lengths, alphaSize) {
+    let counts = new Uint16Array(MAX_CODE_LENGTH + 1),
+        symbols = new Uint16Array(alphaSize),
+        index = 0;
+
+    for (let i = 0; i < alphaSize; i++) {
+        counts[lengths[i]] += 1;
+    }
+
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        for (let i = 0; i < alphaSize; i++) {
+            if (lengths[i] === length) {
+                symbols[index++] = i;
+            }
+        }
+    }
+
+    return { counts, symbols };
+}
+
+/**
+ * @param {BitReader} reader
+ * @param {Object} table
+ * @returns {number}
+ */
+function decodeSymbol(reader, table) {
+    let counts = table.counts,
+        code = 0,
+        first = 0,
+        index = 0;
+
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        code |= reader.read(1);
+
+        let count = counts[length];
+
+        if (code - first < count) {
+            return table.symbols[index + code - first];
+        }
+
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+
+    throw new Error('invalid code');
+}
+
+/**
+ * Decodes one block, and returns its Burrows-Wheeler transformed data, and the original pointer.
+ *
+ * @param {BitReader} reader
+ * @param {number} maxBlockSize
+ * @returns {Object}
+ */
+function readBlock(reader, maxBlockSize) {
+    if (reader.read(1)) {
+        throw new Error('randomized blocks are not supported');
+    }
+
+    let origPtr = reader.read(24),
+        inUse16 = reader.read(16),
+        seqToUnseq = [];
+
+    for (let i = 0; i < 16; i++) {
+        if (inUse16 & (0x8000 >> i)) {
+            let inUse = reader.read(16);
+
+            for (let j = 0; j < 16; j++) {
+                if (inUse & (0x8000 >> j)) {
+                    seqToUnseq.push(i * 16 + j);
+                }
+            }
+        }
+    }
+
+    if (seqToUnseq.length === 0) {
+        throw new Error('no symbols in use');
+    }
+
+    let alphaSize = seqToUnseq.length + 2,
+        endOfBlock = alphaSize - 1,
+        groupCount = reader.read(3),
+        selectorCount = reader.read(15);
+
+    if (groupCount < 2 || groupCount > 6 || selectorCount === 0) {
+        throw new Error('invalid block header');
+    }
+
+    // The selectors are move-to-front coded, with every index in unary.
+    let selectors = new Uint8Array(selectorCount),
+        positions = [0, 1, 2, 3, 4, 5];
+
+    for (let i = 0; i < selectorCount; i++) {
+        let j = 0;
+
+        while (reader.read(1)) {
+            j += 1;
+
+            if (j >= groupCount) {
+                throw new Error('invalid selector');
+            }
+        }
+
+        let selector = positions[j];
+
+        positions.splice(j, 1);
+        positions.unshift(selector);
+
+        selectors[i] = selector;
+    }
+
+    // The code lengths are delta coded.
+    let tables = [];
+
+    for (let t = 0; t < groupCount; t++) {
+        let lengths = new Uint8Array(alphaSize),
+            current = reader.read(5);
+
+        for (let i = 0; i < alphaSize; i++) {
+            while (true) {
+                if (current < 1 || current > MAX_CODE_LENGTH) {
+                    throw new Error('invalid code length');
+                }
+
+                if (!reader.read(1)) {
+                    break;
+                }
+
+                current += reader.read(1) ? -1 : 1;
+            }
+
+            lengths[i] = current;
+        }
+
+        tables[t] = buildDecodeTable(lengths, alphaSize);
+    }
+
+    // Decode the symbols, and undo the move-to-front and the runs of the first symbol.
+    let block = new Uint8Array(maxBlockSize),
+        blockSize = 0,
+        mtf = seqToUnseq.slice(),
+        run = 0,
+        runWeight = 1,
+        groupIndex = 0,
+        groupLeft = 0,
+        table = null;
+
+    while (true) {
+        if (groupLeft === 0) {
+            if (groupIndex >= selectorCount) {
+                throw new Error('too many symbols');
+            }
+
+            table = tables[selectors[groupIndex++]];
+            groupLeft = GROUP_SIZE;
+        }
+
+        let symbol = decodeSymbol(reader, table);
+
+        groupLeft -= 1;
+
+        if (symbol === RUNA || symbol === RUNB) {
+            run += runWeight << symbol;
+            runWeight <<= 1;
+
+            if (run > maxBlockSize) {
+                throw new Error('run too long');
+            }
+
+            continue;
+        }
+
+        if (run) {
+            if (blockSize + run > maxBlockSize) {
+                throw new Error('block too big');
+            }
+
+            block.fill(mtf[0], blockSize, blockSize + run);
+            blockSize += run;
+
+            run = 0;
+            runWeight = 1;
+        }
+
+        if (symbol === endOfBlock) {
+            break;
+        }
+
+        if (blockSize >= maxBlockSize) {
+            throw new Error('block too big');
+        }
+
+        let byte = mtf[symbol - 1];
+
+        mtf.splice(symbol - 1, 1);
+        mtf.unshift(byte);
+
+        block[blockSize++] = byte;
+    }
+
+    if (origPtr >= blockSize) {
+        throw new Error('invalid original pointer');
+    }
+
+    return { block: block.subarray(0, blockSize), origPtr };
+}
+
+/**
+ * Decompresses a BZip2 stream.
+ * Throws if the data is corrupted.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} maxSize The size of the output buffer, decompressing more than that is an error.
+ * @returns {Uint8Array}
+ */
+export function decompressBzip2(typedArray, maxSize) {
+    let reader = new BitReader(typedArray);
+
+    if (reader.read(8) !== 0x42 || reader.read(8) !== 0x5A || reader.read(8) !== 0x68) {
+        throw new Error('invalid header');
+    }
+
+    let level = reader.read(8) - 0x30;
+
+    if (level < 1 || level > 9) {
+        throw new Error(`invalid block size ${level}`);
+    }
+
+    let maxBlockSize = level * 100000,
+        output = new Uint8Array(maxSize),
+        offset = 0,
+        combinedCrc = 0;
+
+    while (true) {
+        let magicHi = reader.read(24),
+            magicLo = reader.read(24),
+            crc = reader.readUint32();
+
+        if (magicHi === END_MAGIC_HI && magicLo === END_MAGIC_LO) {
+            if (crc !== combinedCrc) {
+                throw new Error('stream CRC mismatch');
+            }
+
+            break;
+        }
+
+        if (magicHi !== BLOCK_MAGIC_HI || magicLo !== BLOCK_MAGIC_LO) {
+            throw new Error('invalid block magic');
+        }
+
+        let { block, origPtr } = readBlock(reader, maxBlockSize),
+            blockSize = block.byteLength,
+            counts = new Uint32Array(256),
+            next = new Uint32Array(blockSize),
+            blockCrc = 0xFFFFFFFF,
+            last = -1,
+            repeats = 0;
+
+        // Undo the Burrows-Wheeler transform.
+        for (let i = 0; i < blockSize; i++) {
+            counts[block[i]] += 1;
+        }
+
+        for (let i = 0, sum = 0; i < 256; i++) {
+            let count = counts[i];
+
+            counts[i] = sum;
+            sum += count;
+        }
+
+        for (let i = 0; i < blockSize; i++) {
+            next[counts[block[i]]++] = i;
+        }
+
+        // Undo the initial run-length encoding, where four equal bytes are followed by a count of more repeats.
+        for (let i = 0, position = next[origPtr]; i < blockSize; i++) {
+            let byte = block[position],
+                count = 1;
+
+            position = next[position];
+
+            if (repeats === 4) {
+                count = byte;
+                byte = last;
+                repeats = 0;
+            } else if (byte === last) {
+                repeats += 1;
+            } else {
+                last = byte;
+                repeats = 1;
+            }
+
+            if (offset + count > maxSize) {
+                throw new Error('data is bigger than expected');
+            }
+
+            for (let j = 0; j < count; j++) {
+                output[offset++] = byte;
+                blockCrc = updateCrc(blockCrc, byte);
+            }
+        }
+
+        blockCrc = ~blockCrc >>> 0;
+
+        if (blockCrc !== crc) {
+            throw new Error('block CRC mismatch');
+        }
+
+        combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ blockCrc) >>> 0;
+    }
+
+    return output.subarray(0, offset);
+};
+
+/**
+ * Sorts all of the rotations of a block, using prefix doubling.
+ *
+ * @param {Uint8Array} block
+ * @returns {Int32Array} The start indices of the sorted rotations.
+ */
+function sortRotations(block) {
+    let n = block.byteLength,
+        sorted = new Int32Array(n),
+        temp = new Int32Array(n),
+        ranks = new Int32Array(n),
+        nextRanks = new Int32Array(n),
+        counts = new Int32Array(Math.max(256, n) + 1);
+
+    // Sort by the first byte.
+    for (let i = 0; i < n; i++) {
+        counts[block[i] + 1] += 1;
+    }
+
+    for (let i = 1; i <= 256; i++) {
+        counts[i] += counts[i - 1];
+    }
+
+    for (let i = 0; i < n; i++) {
+        sorted[counts[block[i]]++] = i;
+    }
+
+    // The ranks are the indices of the distinct bytes, so they are always smaller than the block size.
+    for (let i = 1; i < n; i++) {
+        ranks[sorted[i]] = ranks[sorted[i - 1]] + (block[sorted[i]] !== block[sorted[i - 1]] ? 1 : 0);
+    }
+
+    for (let k = 1; k < n; k <<= 1) {
+        // Order by the rank k positions ahead, which is the current order shifted back by k.
+        for (let i = 0; i < n; i++) {
+            temp[i] = (sorted[i] - k + n) % n;
+        }
+
+        // Stable counting sort by the rank of the position itself.
+        counts.fill(0);
+
+        for (let i = 0; i < n; i++) {
+            counts[ranks[i] + 1] += 1;
+        }
+
+        for (let i = 1; i <= n; i++) {
+            counts[i] += counts[i - 1];
+        }
+
+        for (let i = 0; i < n; i++) {
+            let position = temp[i];
+
+            sorted[counts[ranks[position]]++] = position;
+        }
+
+        // Assign the new ranks.
+        let rank = 0;
+
+        nextRanks[sorted[0]] = 0;
+
+        for (let i = 1; i < n; i++) {
+            let a = sorted[i - 1],
+                b = sorted[i];
+
+            if (ranks[a] !== ranks[b] || ranks[(a + k) % n] !== ranks[(b + k) % n]) {
+                rank += 1;
+            }
+
+            nextRanks[b] = rank;
+        }
+
+        ranks.set(nextRanks);
+
+        if (rank === n - 1) {
+            break;
+        }
+    }
+
+    return sorted;
+}
+
+/**
+ * Computes Huffman code lengths that are not longer than the given maximum.
+ * Symbols that are not used still get codes, since every symbol in the alphabet needs one.
+ *
+ * @param {Uint32Array} frequencies
+ * @param {number} alphaSize
+ * @param {number} maxLength
+ * @returns {Uint8Array}
+ */
+function makeCodeLengths(frequencies, alphaSize, maxLength) {
+    let weights = [],
+        lengths = new Uint8Array(alphaSize);
+
+    for (let i = 0; i < alphaSize; i++) {
+        weights[i] = Math.max(frequencies[i], 1);
+    }
+
+    while (true) {
+        // Two queues, the sorted leaves, and the internal nodes, which are created in non-decreasing weight order.
+        let leaves = [],
+            nodes = [],
+            parents = [],
+            leafIndex = 0,
+            nodeIndex = 0;
+
+        for (let i = 0; i < alphaSize; i++) {
+            leaves[i] = i;
+        }
+
+        leaves.sort((a, b) => weights[a] - weights[b]);
+
+        let take = () => {
+            if (leafIndex < alphaSize && (nodeIndex >= nodes.length || weights[leaves[leafIndex]] <= nodes[nodeIndex].weight)) {
+                return { leaf: leaves[leafIndex++], weight: weights[leaves[leafIndex - 1]] };
+            }
+
+            return { node: nodeIndex, weight: nodes[nodeIndex++].weight };
+        };
+
+        for (let i = 0; i < alphaSize - 1; i++) {
+            let a = take(),
+                b = take(),
+                index = nodes.length;
+
+            nodes.push({ weight: a.weight + b.weight, parent: -1 });
+
+            for (let child of [a, b]) {
+                if (child.leaf !== undefined) {
+                    parents[child.leaf] = index;
+                } else {
+                    nodes[child.node].parent = index;
+                }
+            }
+        }
+
+        let longest = 0;
+
+        for (let i = 0; i < alphaSize; i++) {
+            let length = 0;
+
+            for (let node = parents[i]; node !== -1; node = nodes[node].parent) {
+                length += 1;
+            }
+
+            lengths[i] = length;
+            longest = Math.max(longest, length);
+        }
+
+        if (longest <= maxLength) {
+            return lengths;
+        }
+
+        // Flatten the weights and try again.
+        for (let i = 0; i < alphaSize; i++) {
+            weights[i] = 1 + (weights[i] >> 1);
+        }
+    }
+}
+
+/**
+ * Encodes one block of run-length encoded data.
+ *
+ * @param {BitWriter} writer
+ * @param {Uint8Array} block
+ * @param {number} crc
+ */
+function writeBlock(writer, block, crc) {
+    let n = block.byteLength,
+        sorted = sortRotations(block),
+        origPtr = 0,
+        inUse = new Uint8Array(256),
+        unseqToSeq = new Uint8Array(256),
+        seqCount = 0;
+
+    for (let i = 0; i < n; i++) {
+        inUse[block[i]] = 1;
+    }
+
+    for (let i = 0; i < 256; i++) {
+        if (inUse[i]) {
+            unseqToSeq[i] = seqCount++;
+        }
+    }
+
+    // Move-to-front transform the last column of the sorted rotations, with runs of the first symbol coded by RUNA and RUNB.
+    let alphaSize = seqCount + 2,
+        symbols = [],
+        frequencies = new Uint32Array(alphaSize),
+        mtf = [],
+        run = 0,
+        flushRun = () => {
+            if (run > 0) {
+                run -= 1;
+
+                while (true) {
+                    let symbol = (run & 1) ? RUNB : RUNA;
+
+                    symbols.push(symbol);
+                    frequencies[symbol] += 1;
+
+                    if (run < 2) {
+                        break;
+                    }
+
+                    run = (run - 2) >> 1;
+                }
+
+                run = 0;
+            }
+        };
+
+    for (let i = 0; i < seqCount; i++) {
+        mtf[i] = i;
+    }
+
+    for (let i = 0; i < n; i++) {
+        let start = sorted[i];
+
+        if (start === 0) {
+            origPtr = i;
+        }
+
+        let value = unseqToSeq[block[(start + n - 1) % n]];
+
+        if (mtf[0] === value) {
+            run += 1;
+        } else {
+            flushRun();
+
+            let j = mtf.indexOf(value);
+
+            mtf.splice(j, 1);
+            mtf.unshift(value);
+
+            symbols.push(j + 1);
+            frequencies[j + 1] += 1;
+        }
+    }
+
+    flushRun();
+
+    symbols.push(alphaSize - 1);
+    frequencies[alphaSize - 1] += 1;
+
+    // Choose the Huffman tables, and which one every group of symbols uses, same as the reference implementation.
+    let symbolCount = symbols.length,
+        groupCount = symbolCount < 200 ? 2 : symbolCount < 600 ? 3 : symbolCount < 1200 ? 4 : symbolCount < 2400 ? 5 : 6,
+        lengths = [],
+        selectors = [];
+
+    // Initially every table covers a range of symbols with a similar share of the frequencies.
+    for (let part = groupCount, remaining = symbolCount, start = 0; part > 0; part--) {
+        let target = Math.floor(remaining / part),
+            end = start - 1,
+            sum = 0;
+
+        while (sum < target && end < alphaSize - 1) {
+            end += 1;
+            sum += frequencies[end];
+        }
+
+        if (end > start && part !== groupCount && part !== 1 && (groupCount - part) % 2 === 1) {
+            sum -= frequencies[end];
+            end -= 1;
+        }
+
+        let table = new Uint8Array(alphaSize);
+
+        for (let i = 0; i < alphaSize; i++) {
+            table[i] = (i >= start && i <= end) ? 0 : 15;
+        }
+
+        lengths[part - 1] = table;
+
+        start = end + 1;
+        remaining -= sum;
+    }
+
+    // Refine the tables by assigning every group to its cheapest table, and recomputing the tables from the groups they got.
+    for (let iteration = 0; iteration < 4; iteration++) {
+        let tableFrequencies = [];
+
+        for (let t = 0; t < groupCount; t++) {
+            tableFrequencies[t] = new Uint32Array(alphaSize);
+        }
+
+        selectors.length = 0;
+
+        for (let start = 0; start < symbolCount; start += GROUP_SIZE) {
+            let end = Math.min(start + GROUP_SIZE, symbolCount),
+                best = 0,
+                bestCost = Infinity;
+
+            for (let t = 0; t < groupCount; t++) {
+                let table = lengths[t],
+                    cost = 0;
+
+                for (let i = start; i < end; i++) {
+                    cost += table[symbols[i]];
+                }
+
+                if (cost < bestCost) {
+                    best = t;
+                    bestCost = cost;
+                }
+            }
+
+            selectors.push(best);
+
+            for (let i = start; i < end; i++) {
+                tableFrequencies[best][symbols[i]] += 1;
+            }
+        }
+
+        for (let t = 0; t < groupCount; t++) {
+            lengths[t] = makeCodeLengths(tableFrequencies[t], alphaSize, MAX_ENCODED_CODE_LENGTH);
+        }
+    }
+
+    // Canonical codes, assigned by length and then by symbol.
+    let codes = lengths.map((table) => {
+        let tableCodes = new Uint32Array(alphaSize),
+            code = 0;
+
+        for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+            for (let i = 0; i < alphaSize; i++) {
+                if (table[i] === length) {
+                    tableCodes[i] = code++;
+                }
+            }
+
+            code <<= 1;
+        }
+
+        return tableCodes;
+    });
+
+    writer.write(24, BLOCK_MAGIC_HI);
+    writer.write(24, BLOCK_MAGIC_LO);
+    writer.writeUint32(crc);
+    writer.write(1, 0);
+    writer.write(24, origPtr);
+
+    let inUse16 = 0;
+
+    for (let i = 0; i < 16; i++) {
+        for (let j = 0; j < 16; j++) {
+            if (inUse[i * 16 + j]) {
+                inUse16 |= 0x8000 >> i;
+            }
+        }
+    }
+
+    writer.write(16, inUse16);
+
+    for (let i = 0; i < 16; i++) {
+        if (inUse16 & (0x8000 >> i)) {
+            let bits = 0;
+
+            for (let j = 0; j < 16; j++) {
+                if (inUse[i * 16 + j]) {
+                    bits |= 0x8000 >> j;
+                }
+            }
+
+            writer.write(16, bits);
+        }
+    }
+
+    writer.write(3, groupCount);
+    writer.write(15, selectors.length);
+
+    let positions = [0, 1, 2, 3, 4, 5].slice(0, groupCount);
+
+    for (let selector of selectors) {
+        let j = positions.indexOf(selector);
+
+        positions.splice(j, 1);
+        positions.unshift(selector);
+
+        for (let i = 0; i < j; i++) {
+            writer.write(1, 1);
+        }
+
+        writer.write(1, 0);
+    }
+
+    for (let table of lengths) {
+        let current = table[0];
+
+        writer.write(5, current);
+
+        for (let i = 0; i < alphaSize; i++) {
+            while (current < table[i]) {
+                writer.write(2, 2);
+                current += 1;
+            }
+
+            while (current > table[i]) {
+                writer.write(2, 3);
+                current -= 1;
+            }
+
+            writer.write(1, 0);
+        }
+    }
+
+    for (let i = 0; i < symbolCount; i++) {
+        let t = selectors[Math.floor(i / GROUP_SIZE)],
+            symbol = symbols[i];
+
+        writer.write(lengths[t][symbol], codes[t][symbol]);
+    }
+}
+
+/**
+ * Compresses data to a BZip2 stream.
+ *
+ * @param {Uint8Array} typedArray
+ * @returns {Uint8Array}
+ */
+export function compressBzip2(typedArray) {
+    let writer = new BitWriter(Math.max(64, typedArray.byteLength >> 1)),
+        maxBlockSize = BLOCK_SIZE_LEVEL * 100000 - 19,
+        // The run-length encoding can make the data a quarter bigger.
+        block = new Uint8Array(Math.min(maxBlockSize, typedArray.byteLength + (typedArray.byteLength >> 2) + 5)),
+        blockSize = 0,
+        blockCrc = 0xFFFFFFFF,
+        combinedCrc = 0,
+        length = typedArray.byteLength,
+        endBlock = () => {
+            blockCrc = ~blockCrc >>> 0;
+
+            writeBlock(writer, block.subarray(0, blockSize), blockCrc);
+
+            combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ blockCrc) >>> 0;
+            blockSize = 0;
+            blockCrc = 0xFFFFFFFF;
+        };
+
+    writer.write(8, 0x42);
+    writer.write(8, 0x5A);
+    writer.write(8, 0x68);
+    writer.write(8, 0x30 + BLOCK_SIZE_LEVEL);
+
+    // Run-length encode the data, where runs of four to 255 equal bytes are stored as four bytes and a count of more repeats.
+    for (let i = 0; i < length;) {
+        let byte = typedArray[i],
+            run = 1;
+
+        while (i + run < length && run < 255 && typedArray[i + run] === byte) {
+            run += 1;
+        }
+
+        if (blockSize + 5 > maxBlockSize) {
+            endBlock();
+        }
+
+        for (let j = 0; j < Math.min(run, 4); j++) {
+            block[blockSize++] = byte;
+        }
+
+        if (run >= 4) {
+            block[blockSize++] = run - 4;
+        }
+
+        for (let j = 0; j < run; j++) {
+            blockCrc = updateCrc(blockCrc, byte);
+        }
+
+        i += run;
+    }
+
+    if (blockSize > 0) {
+        endBlock();
+    }
+
+    writer.write(24, END_MAGIC_HI);
+    writer.write(24, END_MAGIC_LO);
+    writer.writeUint32(combinedCrc);
+
+    return writer.finish();
+};
@@ -0,0 +1,136 @@
+import { inflate, deflate } from 'pako';
+import { explode, implode } from './implode';
+import { decompressHuffman, compressHuffman } from './huffman';
+import { decompressAdpcm, compressAdpcm } from './adpcm';
+import { decompressBzip2, compressBzip2 } from './bzip2';
+import { COMPRESSION_HUFFMAN, COMPRESSION_DEFLATE, COMPRESSION_IMPLODE, COMPRESSION_BZIP2, COMPRESSION_ADPCM_MONO, COMPRESSION_ADPCM_STEREO } from './constants';
+
+// The compression level used for ADPCM, and the Huffman weight table that goes with it.
+let ADPCM_COMPRESSION_LEVEL = 5;
+let ADPCM_HUFFMAN_TYPE = 7;
+
+// The compression masks that files can be written with.
+// Readers don't accept every combination, e.g. StormLib rejects Huffman alone, and ADPCM without Huffman, in archives of format version 1 and above.
+// Deflate followed by bzip2 is also read as LZMA, which has the same mask.
+export let supportedCompressions = new Set([
+    COMPRESSION_DEFLATE,
+    COMPRESSION_IMPLODE,
+    COMPRESSION_BZIP2,
+    COMPRESSION_ADPCM_MONO | COMPRESSION_HUFFMAN,
+    COMPRESSION_ADPCM_STEREO | COMPRESSION_HUFFMAN
+]);
+
+/**
+ * Decompresses a chunk of data that starts with a compression mask byte.
+ * This is the format used by file sectors, and by compressed tables.
+ * If the size of the data is the same as its decompressed size, it's not compressed, and is returned as-is.
+ * The mask can combine multiple compressions, which are undone in the reverse order of the compression.
+ * Throws if the data uses an unsupported compression, or is corrupted.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} decompressedSize
+ * @returns {Uint8Array}
+ */
+export function decompress(typedArray, decompressedSize) {
+    if (typedArray.byteLength === decompressedSize) {
+        return typedArray;
+    }
+
+    let compressionMask = typedArray[0];
+
+    typedArray = typedArray.subarray(1);
+
+    if (compressionMask & COMPRESSION_BZIP2) {
+        try {
+            typedArray = decompressBzip2(typedArray, decompressedSize);
+        } catch (e) {
+            throw new Error(`failed to decompress with 'bzip2': ${e.message}`);
+        }
+    }
+
+    if (compressionMask & COMPRESSION_IMPLODE) {
+        try {
+            typedArray = explode(typedArray, decompressedSize);
+        } catch (e) {
+            throw new Error(`failed to decompress with 'implode': ${e.message}`);
+        }
+    }
+
+    if (compressionMask & COMPRESSION_DEFLATE) {
+        try {
+            typedArray = inflate(typedArray);
+        } catch (e) {
+            throw new Error(`failed to decompress with 'zlib': ${e}`);
+        }
+    }
+
+    if (compressionMask & COMPRESSION_HUFFMAN) {
+        try {
+            typedArray = decompressHuffman(typedArray, decompressedSize);
+        } catch (e) {
+            throw new Error(`failed to decompress with 'huffman': ${e.message}`);
+        }
+    }
+
+    if (compressionMask & COMPRESSION_ADPCM_STEREO) {
+        typedArray = decompressAdpcm(typedArray, decompressedSize, 2);
+    }
+
+    if (compressionMask & COMPRESSION_ADPCM_MONO) {
+        typedArray = decompressAdpcm(typedArray, decompressedSize, 1);
+    }
+
+    return typedArray;
+};
+
+/**
+ * Compresses a chunk of data, and prepends the compression mask byte to it.
+ * The mask is one of supportedCompressions, i.e. deflate, implode, bzip2, or ADPCM followed by Huffman.
+ * ADPCM expects 16 bit PCM samples.
+ * Throws if the compression is not supported.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} compressionMask
+ * @param {?number} level The zlib compression level, from 1 (fastest) to 9 (smallest). Defaults to 6.
+ * @returns {Uint8Array}
+ */
+export function compress(typedArray, compressionMask, level) {
+    let huffmanType = 0;
+
+    if (!supportedCompressions.has(compressionMask)) {
+        throw new Error(`compression mask ${compressionMask} not supported`);
+    }
+
+    if (compressionMask & COMPRESSION_ADPCM_MONO) {
+        typedArray = compressAdpcm(typedArray, 1, ADPCM_COMPRESSION_LEVEL);
+        huffmanType = ADPCM_HUFFMAN_TYPE;
+    }
+
+    if (compressionMask & COMPRESSION_ADPCM_STEREO) {
+        typedArray = compressAdpcm(typedArray, 2, ADPCM_COMPRESSION_LEVEL);
+        huffmanType = ADPCM_HUFFMAN_TYPE;
+    }
+
+    if (compressionMask & COMPRESSION_HUFFMAN) {
+        typedArray = compressHuffman(typedArray, huffmanType);
+    }
+
+    if (compressionMask & COMPRESSION_DEFLATE) {
+        typedArray = deflate(typedArray, { level: level || 6 });
+    }
+
+    if (compressionMask & COMPRESSION_IMPLODE) {
+        typedArray = implode(typedArray);
+    }
+
+    if (compressionMask & COMPRESSION_BZIP2) {
+        typedArray = compressBzip2(typedArray);
+    }
+
+    let result = new Uint8Array(typedArray.byteLength + 1);
+
+    result[0] = compressionMask;
+    result.set(typedArray, 1);
+
+    return result;
+};
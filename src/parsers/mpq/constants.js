@@ -1,4 +1,8 @@
 let MAGIC = 0x1A51504D, // MPQ\x1A reversed
+    USER_DATA_MAGIC = 0x1B51504D, // MPQ\x1B reversed
+    HET_TABLE_MAGIC = 0x1A544548, // HET\x1A reversed
+    BET_TABLE_MAGIC = 0x1A544542, // BET\x1A reversed
+    HEADER_SIZES = [32, 44, 68, 208], // Indexed by the format version
     HASH_TABLE_KEY = 0xC3AF3770, // Hash of (hashtable)
     HASH_TABLE_INDEX = 0,
     HASH_NAME_A = 1,
@@ -21,10 +25,19 @@ let MAGIC = 0x1A51504D, // MPQ\x1A reversed
     COMPRESSION_IMPLODE = 0x08,
     COMPRESSION_BZIP2 = 0x10,
     COMPRESSION_ADPCM_MONO = 0x40,
-    COMPRESSION_ADPCM_STEREO = 0x80;
+    COMPRESSION_ADPCM_STEREO = 0x80,
+    ATTRIBUTES_VERSION = 100,
+    ATTRIBUTES_CRC32 = 0x01,
+    ATTRIBUTES_FILETIME = 0x02,
+    ATTRIBUTES_MD5 = 0x04,
+    ATTRIBUTES_PATCH_BIT = 0x08;
 
 export {
     MAGIC,
+    USER_DATA_MAGIC,
+    HET_TABLE_MAGIC,
+    BET_TABLE_MAGIC,
+    HEADER_SIZES,
     HASH_TABLE_KEY,
     HASH_TABLE_INDEX,
     HASH_NAME_A,
@@ -47,5 +60,10 @@ export {
     COMPRESSION_IMPLODE,
     COMPRESSION_BZIP2,
     COMPRESSION_ADPCM_MONO,
-    COMPRESSION_ADPCM_STEREO
+    COMPRESSION_ADPCM_STEREO,
+    ATTRIBUTES_VERSION,
+    ATTRIBUTES_CRC32,
+    ATTRIBUTES_FILETIME,
+    ATTRIBUTES_MD5,
+    ATTRIBUTES_PATCH_BIT
 };
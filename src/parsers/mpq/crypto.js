@@ -50,6 +50,75 @@ export default class MpqCrypto {
         return seed1 >>> 0;
     }
 
+    /**
+     * The 64 bit Jenkins hash (hashlittle2 from lookup3) used by the HET table.
+     * The name is normalized to lower case with backslashes before hashing.
+     * The result is a little endian 64 bit integer as 8 bytes.
+     *
+     * @param {string} name
+     * @returns {Uint8Array}
+     */
+    jenkinsHash(name) {
+        let normalized = name.toLowerCase().replace(/\//g, '\\'),
+            length = normalized.length,
+            a = (0xDEADBEEF + length + 2) | 0,
+            b = a,
+            c = (a + 1) | 0,
+            k = 0,
+            bytes = new Uint8Array(8),
+            rot = (x, n) => (x << n) | (x >>> (32 - n)),
+            byte = (i) => normalized.charCodeAt(i) & 0xFF;
+
+        while (length > 12) {
+            a = (a + (byte(k) | (byte(k + 1) << 8) | (byte(k + 2) << 16) | (byte(k + 3) << 24))) | 0;
+            b = (b + (byte(k + 4) | (byte(k + 5) << 8) | (byte(k + 6) << 16) | (byte(k + 7) << 24))) | 0;
+            c = (c + (byte(k + 8) | (byte(k + 9) << 8) | (byte(k + 10) << 16) | (byte(k + 11) << 24))) | 0;
+
+            // mix(a, b, c)
+            a = (a - c) | 0; a ^= rot(c, 4); c = (c + b) | 0;
+            b = (b - a) | 0; b ^= rot(a, 6); a = (a + c) | 0;
+            c = (c - b) | 0; c ^= rot(b, 8); b = (b + a) | 0;
+            a = (a - c) | 0; a ^= rot(c, 16); c = (c + b) | 0;
+            b = (b - a) | 0; b ^= rot(a, 19); a = (a + c) | 0;
+            c = (c - b) | 0; c ^= rot(b, 4); b = (b + a) | 0;
+
+            length -= 12;
+            k += 12;
+        }
+
+        if (length > 0) {
+            // The tail bytes are added without masking, in the same order as the reference switch statement.
+            for (let i = length - 1; i >= 0; i--) {
+                let value = byte(k + i) << ((i & 3) * 8);
+
+                if (i >= 8) {
+                    c = (c + value) | 0;
+                } else if (i >= 4) {
+                    b = (b + value) | 0;
+                } else {
+                    a = (a + value) | 0;
+                }
+            }
+
+            // final(a, b, c)
+            c ^= b; c = (c - rot(b, 14)) | 0;
+            a ^= c; a = (a - rot(c, 11)) | 0;
+            b ^= a; b = (b - rot(a, 25)) | 0;
+            c ^= b; c = (c - rot(b, 16)) | 0;
+            a ^= c; a = (a - rot(c, 4)) | 0;
+            b ^= a; b = (b - rot(a, 14)) | 0;
+            c ^= b; c = (c - rot(b, 24)) | 0;
+        }
+
+        // The primary hash (b) is the high 32 bits, and the secondary hash (c) the low 32 bits.
+        for (let i = 0; i < 4; i++) {
+            bytes[i] = (c >>> (i * 8)) & 0xFF;
+            bytes[i + 4] = (b >>> (i * 8)) & 0xFF;
+        }
+
+        return bytes;
+    }
+
     /**
      * @param {ArrayBuffer|TypedArray} data
      * @param {number} key
@@ -146,13 +215,47 @@ export default class MpqCrypto {
      */
     computeFileKey(name, block) {
         let sepIndex = name.lastIndexOf('\\'),
-            pathlessName = name.substring(sepIndex + 1),
-            encryptionKey = this.hash(pathlessName, HASH_FILE_KEY);
+            pathlessName = name.substring(sepIndex + 1);
 
+        return this.adjustFileKey(this.hash(pathlessName, HASH_FILE_KEY), block);
+    }
+
+    /**
+     * Adjusts the key of a file name to the offset and size of the file, if the file uses FILE_OFFSET_ADJUSTED_KEY.
+     * 
+     * @param {number} key
+     * @param {MpqBlock} block
+     * @returns {number}
+     */
+    adjustFileKey(key, block) {
         if (block.flags & FILE_OFFSET_ADJUSTED_KEY) {
-            encryptionKey = (encryptionKey + block.offset) ^ block.normalSize;
+            key = ((key + block.offset) ^ block.normalSize) >>> 0;
+        }
+
+        return key;
+    }
+
+    /**
+     * Gets all of the keys that encrypt the given first value of a block to the given encrypted value.
+     * The low byte of the key selects the seed, so there is at most one key for every low byte.
+     * 
+     * @param {number} encrypted
+     * @param {number} decrypted
+     * @returns {Array<number>}
+     */
+    getKeysByValue(encrypted, decrypted) {
+        let cryptTable = this.cryptTable,
+            keys = [];
+
+        for (let i = 0; i < 0x100; i++) {
+            let seed = 0xEEEEEEEE + cryptTable[0x400 + i],
+                key = (((encrypted ^ decrypted) >>> 0) - seed) >>> 0;
+
+            if ((key & 0xFF) === i) {
+                keys.push(key);
+            }
         }
 
-        return encryptionKey;
+        return keys;
     }
 };
@@ -1,6 +1,8 @@
-import { inflate, deflate } from 'pako';
 import { bufferToString } from '../../common/stringtobuffer';
-import { HASH_ENTRY_DELETED, FILE_COMPRESSED, FILE_ENCRYPTED, FILE_OFFSET_ADJUSTED_KEY, FILE_SINGLE_UNIT, FILE_EXISTS, COMPRESSION_HUFFMAN, COMPRESSION_DEFLATE, COMPRESSION_IMPLODE, COMPRESSION_BZIP2, COMPRESSION_ADPCM_MONO, COMPRESSION_ADPCM_STEREO } from './constants';
+import adler32 from '../../common/adler32';
+import { decompress, compress, supportedCompressions } from './compression';
+import { explode } from './implode';
+import { FILE_IMPLODE, FILE_COMPRESSED, FILE_ENCRYPTED, FILE_OFFSET_ADJUSTED_KEY, FILE_PATCH_FILE, FILE_SINGLE_UNIT, FILE_SECTOR_CRC, FILE_EXISTS, COMPRESSION_DEFLATE, COMPRESSION_IMPLODE, COMPRESSION_ADPCM_MONO, COMPRESSION_ADPCM_STEREO } from './constants';
 
 export default class MpqFile {
     /**
@@ -15,6 +17,13 @@ export default class MpqFile {
         this.name = '';
         /** @member {boolean} */
         this.nameResolved = false;
+        /**
+         * The encryption key of the file name, for encrypted files whose names are unknown.
+         * It's found by MpqNameRecovery, and used instead of the name until the name is resolved.
+         * 
+         * @member {?number}
+         */
+        this.nameKey = null;
         /** @member {MpqHash|null} */
         this.hash = null;
         /** @member {MpqBlock|null} */
@@ -23,6 +32,54 @@ export default class MpqFile {
         this.rawBuffer = null;
         /** @member {ArrayBuffer|null} */
         this.buffer = null;
+        /**
+         * The compression mask encode() uses.
+         * When a file is decoded, this is set to the compression it was stored with.
+         * 
+         * @member {number}
+         */
+        this.compression = COMPRESSION_DEFLATE;
+        /**
+         * If true, encode() adds a table of Adler-32 checksums of the sectors.
+         * When a file is decoded, this is set to whether it was stored with one.
+         * 
+         * @member {boolean}
+         */
+        this.sectorCrc = false;
+        /**
+         * The zlib compression level encode() uses, from 1 (fastest) to 9 (smallest).
+         * 
+         * @member {number}
+         */
+        this.compressionLevel = 6;
+        /**
+         * If true, encode() stores the file as one unit, rather than in sectors.
+         * When a file is decoded, this is set to whether it was stored as one.
+         * 
+         * @member {boolean}
+         */
+        this.singleUnit = false;
+        /**
+         * If true, encode() encrypts the file with the key of its name.
+         * When a file is decoded, this is set to whether it was encrypted.
+         * 
+         * @member {boolean}
+         */
+        this.encrypted = false;
+        /**
+         * If true, and the file is encrypted, the key is adjusted with the offset and size of the file (FILE_OFFSET_ADJUSTED_KEY).
+         * When a file is decoded, this is set to whether its key was adjusted.
+         * 
+         * @member {boolean}
+         */
+        this.offsetAdjustedKey = false;
+        /**
+         * The indices of the sectors that failed their checksums in the last decode.
+         * Only filled when the archive's checkSectorCrcs is true.
+         * 
+         * @member {Array<number>}
+         */
+        this.corruptSectors = [];
     }
 
     /**
@@ -58,13 +115,79 @@ export default class MpqFile {
         return null;
     }
 
-    load(hash, block, typedArray) {
+    /**
+     * @param {?MpqHash} hash The hash of this file, which can be null for archives that only have a HET table.
+     * @param {MpqBlock} block
+     * @param {?Uint8Array} typedArray The archive data, or null if the data is read from the archive's reader when needed.
+     * @param {number} blockIndex
+     */
+    load(hash, block, typedArray, blockIndex) {
         let headerOffset = this.archive.headerOffset;
 
-        this.name = `File${`${hash.blockIndex}`.padStart(8, '0')}`;
+        this.name = `File${`${blockIndex}`.padStart(8, '0')}`;
         this.hash = hash;
         this.block = block;
-        this.rawBuffer = typedArray.slice(headerOffset + block.offset, headerOffset + block.offset + block.compressedSize).buffer;
+
+        if (typedArray) {
+            this.rawBuffer = typedArray.slice(headerOffset + block.offset, headerOffset + block.offset + block.compressedSize).buffer;
+        }
+    }
+
+    /**
+     * Reads the raw data of this file from the archive's reader, if it wasn't read yet.
+     * This is needed for archives that were opened with a reader, unless it can read synchronously.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async fetch() {
+        if (this.isFetched()) {
+            return true;
+        }
+
+        let reader = this.archive.reader;
+
+        if (!reader) {
+            return false;
+        }
+
+        try {
+            this.rawBuffer = await reader.read(this.archive.headerOffset + this.block.offset, this.block.compressedSize);
+        } catch (e) {
+            console.warn(`File ${this.name}, failed to read: ${e.message}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Like fetch(), but only works with readers that can read synchronously.
+     * 
+     * @returns {boolean}
+     */
+    fetchSync() {
+        if (this.isFetched()) {
+            return true;
+        }
+
+        let reader = this.archive.reader;
+
+        if (!reader || !reader.readSync) {
+            return false;
+        }
+
+        this.rawBuffer = reader.readSync(this.archive.headerOffset + this.block.offset, this.block.compressedSize);
+
+        return true;
+    }
+
+    /**
+     * Files of archives that were opened with a reader have no data until they are fetched.
+     * 
+     * @returns {boolean}
+     */
+    isFetched() {
+        return this.rawBuffer !== null || this.buffer !== null;
     }
 
     /**
@@ -76,21 +199,27 @@ export default class MpqFile {
 
     /**
      * Changes the buffer of this file.
+     * The new data is saved the same way the file was stored, other than the given options.
+     * See MpqArchive.set() for the options.
      * Does nothing if the archive is in readonly mode.
      * 
      * @param {ArrayBuffer} buffer
+     * @param {?Object} options
      * @returns {boolean}
      */
-    set(buffer) {
+    set(buffer, options) {
         if (this.archive.readonly) {
             return false;
         }
 
-        // Reset the hash.
-        let hash = this.hash;
+        // If the file was never decoded, decode it to know the way it was stored, so the new data keeps it.
+        if (this.buffer === null && this.fetchSync() && (this.block.flags & (FILE_COMPRESSED | FILE_IMPLODE | FILE_ENCRYPTED | FILE_SINGLE_UNIT))) {
+            this.decode();
+        }
 
-        hash.locale = 0;
-        hash.platform = 0;
+        if (options) {
+            this.setOptions(options);
+        }
 
         // Reset the block.
         let block = this.block;
@@ -104,6 +233,26 @@ export default class MpqFile {
         return true;
     }
 
+    /**
+     * Sets the way this file is stored when it's encoded.
+     * Only the given options are changed.
+     * See MpqArchive.set() for the options.
+     * Throws if the compression is not supported.
+     * 
+     * @param {Object} options
+     */
+    setOptions(options) {
+        if (options.compression && !supportedCompressions.has(options.compression)) {
+            throw new Error(`compression mask ${options.compression} not supported`);
+        }
+
+        for (let key of ['compression', 'compressionLevel', 'singleUnit', 'sectorCrc', 'encrypted', 'offsetAdjustedKey']) {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        }
+    }
+
     /**
      * Deletes this file.
      * Using the file after it was deleted will result in undefined behavior.
@@ -118,18 +267,13 @@ export default class MpqFile {
 
         let archive = this.archive,
             hash = this.hash,
-            blockIndex = hash.blockIndex;
-
-        hash.delete();
+            blockIndex = archive.files.indexOf(this);
 
-        for (let hash of archive.hashTable.entries) {
-            if (hash.blockIndex < HASH_ENTRY_DELETED && hash.blockIndex > blockIndex) {
-                hash.blockIndex -= 1;
-            }
+        if (hash) {
+            hash.delete();
         }
 
-        archive.blockTable.entries.splice(blockIndex, 1);
-        archive.files.splice(blockIndex, 1);
+        archive.removeBlock(blockIndex);
 
         return true;
     }
@@ -148,19 +292,25 @@ export default class MpqFile {
             return false;
         }
 
-        let hash = this.hash,
-            locale = hash.locale,
-            platform = hash.platform,
-            blockIndex = hash.blockIndex;
+        let archive = this.archive,
+            hash = this.hash,
+            locale = 0,
+            platform = 0,
+            blockIndex = archive.files.indexOf(this);
 
         // First delete the current hash.
         // This will allow its entry to be reused in case it's the only empty/deleted entry in the hashtable.
-        hash.delete();
+        if (hash) {
+            locale = hash.locale;
+            platform = hash.platform;
+
+            hash.delete();
+        }
 
-        let newHash = this.archive.hashTable.add(newName, blockIndex);
+        // The old name must not resolve through the HET table either.
+        archive.hetTable.delete(blockIndex);
 
-        newHash.locale = locale;
-        newHash.platform = platform;
+        let newHash = archive.hashTable.add(newName, blockIndex, locale, platform);
 
         this.name = newName;
         this.nameResolved = true;
@@ -169,24 +319,155 @@ export default class MpqFile {
         return true;
     }
 
+    /**
+     * Gets the offsets of the sectors of a sectored file.
+     * Compressed files start with a table of the offsets, which is encrypted like the sectors, with the key minus one.
+     * Files with sector checksums have one more offset, for the end of the checksum table.
+     * Uncompressed files have no table, and their sectors simply follow each other.
+     * Returns null if the sectors don't fit in the data, which happens with corrupted or deliberately malformed archives.
+     * 
+     * @param {Uint8Array} data
+     * @param {number} sectorCount
+     * @param {number} normalSize
+     * @param {number} encryptionKey
+     * @returns {?Uint32Array}
+     */
+    getSectorOffsets(data, sectorCount, normalSize, encryptionKey) {
+        let flags = this.block.flags;
+
+        if (flags & (FILE_COMPRESSED | FILE_IMPLODE)) {
+            let offsetCount = sectorCount + ((flags & FILE_SECTOR_CRC) ? 2 : 1);
+
+            if (data.byteLength < offsetCount * 4) {
+                return null;
+            }
+
+            let sectorOffsets = new Uint32Array(data.buffer, data.byteOffset, offsetCount);
+
+            // If this file is encrypted, copy the sector offsets and decrypt them.
+            if (flags & FILE_ENCRYPTED) {
+                sectorOffsets = this.c.decryptBlock(sectorOffsets.slice(), encryptionKey - 1);
+            }
+
+            for (let i = 1; i < offsetCount; i++) {
+                if (sectorOffsets[i] < sectorOffsets[i - 1] || sectorOffsets[i] > data.byteLength) {
+                    return null;
+                }
+            }
+
+            return sectorOffsets;
+        }
+
+        if (data.byteLength < normalSize) {
+            return null;
+        }
+
+        let sectorSize = this.archive.sectorSize,
+            sectorOffsets = new Uint32Array(sectorCount + 1);
+
+        for (let i = 0; i <= sectorCount; i++) {
+            sectorOffsets[i] = Math.min(i * sectorSize, normalSize);
+        }
+
+        return sectorOffsets;
+    }
+
+    /**
+     * Reads the sector checksums table, which follows the sectors.
+     * The table is compressed if it's smaller than its decompressed size.
+     * Returns null if the table is missing or can't be decompressed.
+     * 
+     * @param {Uint8Array} data
+     * @param {Uint32Array} sectorOffsets
+     * @param {number} sectorCount
+     * @returns {?Uint32Array}
+     */
+    readSectorCrcs(data, sectorOffsets, sectorCount) {
+        let start = sectorOffsets[sectorCount],
+            end = sectorOffsets[sectorCount + 1],
+            size = sectorCount * 4;
+
+        if (end <= start || end > data.byteLength) {
+            return null;
+        }
+
+        let table = data.subarray(start, end);
+
+        if (table.byteLength < size) {
+            try {
+                table = decompress(table, size);
+            } catch (e) {
+                console.warn(`File ${this.name}, failed to read the sector checksums: ${e.message}`);
+                return null;
+            }
+        }
+
+        if (table.byteLength < size) {
+            return null;
+        }
+
+        return new Uint32Array(table.slice(0, size).buffer);
+    }
+
+    /**
+     * Computes the encryption key of this file, from its name or its recovered name key.
+     * 
+     * @returns {number}
+     */
+    computeKey() {
+        if (!this.nameResolved && this.nameKey !== null) {
+            return this.c.adjustFileKey(this.nameKey, this.block);
+        }
+
+        return this.c.computeFileKey(this.name, this.block);
+    }
+
     /**
      * Decode this file.
      * 
      * @returns {boolean}
      */
     decode() {
+        if (!this.fetchSync()) {
+            return false;
+        }
+
         let archive = this.archive,
             block = this.block,
             c = archive.c,
-            encryptionKey = c.computeFileKey(this.name, block),
+            encryptionKey = this.computeKey(),
             data = new Uint8Array(this.rawBuffer),
-            flags = block.flags;
+            flags = block.flags,
+            normalSize = block.normalSize,
+            compressedSize = block.compressedSize;
+
+        this.sectorCrc = !!(flags & FILE_SECTOR_CRC);
+        this.singleUnit = !!(flags & FILE_SINGLE_UNIT);
+        this.encrypted = !!(flags & FILE_ENCRYPTED);
+        this.offsetAdjustedKey = !!(flags & FILE_OFFSET_ADJUSTED_KEY);
+        this.corruptSectors = [];
+
+        // Files in incremental patch archives start with a header that has the size of the patch data.
+        // The data that follows it is stored like any other file, and is applied by MpqFileSystem.
+        if (flags & FILE_PATCH_FILE) {
+            let patchInfo = new DataView(this.rawBuffer),
+                patchInfoLength = patchInfo.getUint32(0, true);
+
+            normalSize = patchInfo.getUint32(8, true);
+            compressedSize -= patchInfoLength;
+            data = data.subarray(patchInfoLength);
+        }
 
         // One buffer of raw data.
         // I don't know why having no flags means it's a chunk of memory rather than sectors.
         // After all, there is no flag to say there are indeed sectors.
-        if (flags === FILE_EXISTS) {
-            this.buffer = data.slice(0, block.normalSize).buffer;
+        if (((flags & ~FILE_PATCH_FILE) >>> 0) === FILE_EXISTS) {
+            if (data.byteLength < normalSize) {
+                console.warn(`File ${this.name}, truncated data`);
+                return false;
+            }
+
+            this.buffer = data.slice(0, normalSize).buffer;
             // One buffer of possibly encrypted and/or compressed data.
         } else if (flags & FILE_SINGLE_UNIT) {
             // Read the sector
@@ -194,33 +475,42 @@ export default class MpqFile {
 
             // If this block is encrypted, decrypt the sector.
             if (flags & FILE_ENCRYPTED) {
-                sector = c.decryptBlock(data.slice(0, block.compressedSize), encryptionKey);
+                sector = c.decryptBlock(data.slice(0, compressedSize), encryptionKey);
             } else {
-                sector = data.subarray(0, block.compressedSize);
+                sector = data.subarray(0, compressedSize);
             }
 
             // If this block is compressed, decompress the sector.
             // Otherwise, copy the sector as-is.
-            if (flags & FILE_COMPRESSED) {
-                sector = this.decompressSector(sector, block.normalSize);
+            if (flags & (FILE_COMPRESSED | FILE_IMPLODE)) {
+                sector = this.decompressSector(sector, normalSize);
             } else {
                 sector = sector.slice();
             }
 
+            // If failed to decompress the sector, stop.
+            if (!sector) {
+                return false;
+            }
+
             this.buffer = sector.buffer;
             // One or more sectors of possibly encrypted and/or compressed data.
         } else {
-            let sectorCount = Math.ceil(block.normalSize / archive.sectorSize);
+            let sectorCount = Math.ceil(normalSize / archive.sectorSize);
 
             // Alocate a buffer for the uncompressed block size
-            let buffer = new Uint8Array(block.normalSize)
+            let buffer = new Uint8Array(normalSize)
 
-            // Get the sector offsets
-            let sectorOffsets = new Uint32Array(data.buffer, 0, sectorCount + 1);
+            let sectorOffsets = this.getSectorOffsets(data, sectorCount, normalSize, encryptionKey),
+                sectorCrcs = null;
 
-            // If this file is encrypted, copy the sector offsets and decrypt them.
-            if (flags & FILE_ENCRYPTED) {
-                sectorOffsets = c.decryptBlock(sectorOffsets.slice(), encryptionKey - 1);
+            if (!sectorOffsets) {
+                console.warn(`File ${this.name}, invalid sector offsets`);
+                return false;
+            }
+
+            if (this.sectorCrc && archive.checkSectorCrcs && (flags & (FILE_COMPRESSED | FILE_IMPLODE))) {
+                sectorCrcs = this.readSectorCrcs(data, sectorOffsets, sectorCount);
             }
 
             let start = sectorOffsets[0],
@@ -238,13 +528,18 @@ export default class MpqFile {
                     sector = data.subarray(start, end);
                 }
 
-                // Decompress the sector
-                if (flags & FILE_COMPRESSED) {
+                // Check the raw sector against its checksum, and don't try to decompress it if it's corrupted.
+                // Zero and 0xFFFFFFFF mean the sector has no checksum.
+                if (sectorCrcs && sectorCrcs[i] !== 0 && sectorCrcs[i] !== 0xFFFFFFFF && adler32(sector, 0) !== sectorCrcs[i]) {
+                    this.corruptSectors.push(i);
+
+                    sector = new Uint8Array(Math.min(archive.sectorSize, normalSize - offset));
+                } else if (flags & (FILE_COMPRESSED | FILE_IMPLODE)) {
                     let uncompressedSize = archive.sectorSize;
 
                     // If this is the last sector, its uncompressed size might not be the size of a sector.
-                    if (block.normalSize - offset < uncompressedSize) {
-                        uncompressedSize = block.normalSize - offset;
+                    if (normalSize - offset < uncompressedSize) {
+                        uncompressedSize = normalSize - offset;
                     }
 
                     sector = this.decompressSector(sector, uncompressedSize);
@@ -266,6 +561,12 @@ export default class MpqFile {
                 }
             }
 
+            // Don't return corrupted data.
+            if (this.corruptSectors.length) {
+                console.warn(`File ${this.name}, corrupted sectors: ${this.corruptSectors.join(', ')}`);
+                return false;
+            }
+
             this.buffer = buffer.buffer;
         }
 
@@ -278,116 +579,222 @@ export default class MpqFile {
     }
 
     decompressSector(typedArray, decompressedSize) {
-        // If the size of the data is the same as its decompressed size, it's not compressed.
-        if (typedArray.byteLength === decompressedSize) {
-            return typedArray;
-        } else {
-            let compressionMask = typedArray[0];
+        try {
+            // Files with FILE_IMPLODE predate compression masks, and all of their compressed sectors are imploded.
+            if (this.block.flags & FILE_IMPLODE) {
+                if (typedArray.byteLength === decompressedSize) {
+                    return typedArray;
+                }
 
-            if (compressionMask & COMPRESSION_BZIP2) {
-                console.warn(`File ${this.name}, compression type 'bzip2' not supported`);
-                return null;
+                this.compression = COMPRESSION_IMPLODE;
+
+                return explode(typedArray, decompressedSize);
             }
 
-            if (compressionMask & COMPRESSION_IMPLODE) {
-                console.warn(`File ${this.name}, compression type 'implode' not supported`);
-                return null;
+            // Compressions that can't be written keep the default.
+            if (typedArray.byteLength !== decompressedSize && supportedCompressions.has(typedArray[0])) {
+                this.compression = typedArray[0];
             }
 
-            if (compressionMask & COMPRESSION_DEFLATE) {
-                try {
-                    typedArray = inflate(typedArray.subarray(1));
-                } catch (e) {
-                    console.warn(`File ${this.name}, failed to decompress with 'zlib': ${e}`);
-                    return null;
+            return decompress(typedArray, decompressedSize);
+        } catch (e) {
+            console.warn(`File ${this.name}, ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Encode this file.
+     * The way the file is stored is selected by the compression, compressionLevel, singleUnit, sectorCrc, encrypted, and offsetAdjustedKey members.
+     * The compression is zlib by default, and can also be a combination, like ADPCM followed by Huffman for sound files, or 0 to store the file uncompressed.
+     * Chunks that don't get smaller when compressed are saved uncompressed.
+     * If the resulting compressed data is bigger than the uncompressed data, the uncompressed data will be saved.
+     * 
+     * Files can only be encrypted if their names or keys are known.
+     * Encrypted files with adjusted keys must be encoded after their offsets are set.
+     * 
+     * @param {?Array<number>} compressions If given, every chunk is compressed with each of these compressions, and the smallest result is used.
+     * @returns {boolean}
+     */
+    encode(compressions) {
+        if (this.buffer !== null && this.rawBuffer === null) {
+            let data = new Uint8Array(this.buffer),
+                block = this.block,
+                flags = FILE_EXISTS,
+                rawBuffer = null;
+
+            // Sounds keep the lossy ADPCM compression they were given.
+            if (!compressions || (this.compression & (COMPRESSION_ADPCM_MONO | COMPRESSION_ADPCM_STEREO))) {
+                compressions = this.compression ? [this.compression] : [];
+            }
+
+            if (compressions.length) {
+                if (this.singleUnit) {
+                    let chunk = this.compressChunk(data, compressions, false);
+
+                    if (chunk.byteLength < data.byteLength) {
+                        rawBuffer = chunk.slice();
+                        flags |= FILE_SINGLE_UNIT | FILE_COMPRESSED;
+                    }
+                } else {
+                    rawBuffer = this.compressSectors(data, compressions);
+
+                    if (rawBuffer.byteLength < data.byteLength) {
+                        flags |= FILE_COMPRESSED | (this.sectorCrc ? FILE_SECTOR_CRC : 0);
+                    } else {
+                        rawBuffer = null;
+                    }
                 }
             }
 
-            if (compressionMask & COMPRESSION_HUFFMAN) {
-                console.warn(`File ${this.name}, compression type 'huffman' not supported`);
-                return null;
+            // Store the file uncompressed.
+            if (!rawBuffer) {
+                rawBuffer = data.slice();
+
+                if (this.singleUnit) {
+                    flags |= FILE_SINGLE_UNIT;
+                }
             }
 
-            if (compressionMask & COMPRESSION_ADPCM_STEREO) {
-                console.warn(`File ${this.name}, compression type 'adpcm stereo' not supported`);
-                return null;
+            if (this.encrypted && (this.nameResolved || this.nameKey !== null)) {
+                flags |= FILE_ENCRYPTED | (this.offsetAdjustedKey ? FILE_OFFSET_ADJUSTED_KEY : 0);
             }
 
-            if (compressionMask & COMPRESSION_ADPCM_MONO) {
-                console.warn(`File ${this.name}, compression type 'adpcm mono' not supported`);
-                return null;
+            block.compressedSize = rawBuffer.byteLength;
+            block.flags = flags >>> 0;
+
+            if (flags & FILE_ENCRYPTED) {
+                this.encrypt(rawBuffer);
             }
 
-            return typedArray;
+            this.rawBuffer = rawBuffer.buffer;
         }
+
+        return true;
     }
 
     /**
-     * Encode this file.
-     * For now it is hardcoded to zlib compression.
-     * If the resulting compressed data is bigger than the uncompressed data, the uncompressed data will be saved.
+     * Compresses a chunk with the smallest of the given compressions.
+     * If none of them make the chunk smaller, the chunk is returned as-is.
      * 
-     * @returns {boolean}
+     * @param {Uint8Array} chunk
+     * @param {Array<number>} compressions
+     * @param {boolean} firstSector
+     * @returns {Uint8Array}
      */
-    encode() {
-        if (this.buffer !== null && this.rawBuffer === null) {
-            let sectorSize = this.archive.sectorSize,
-                data = new Uint8Array(this.buffer),
-                sectorCount = Math.ceil(data.byteLength / sectorSize),
-                offsets = new Uint32Array(sectorCount + 1),
-                offset = offsets.byteLength,
-                chunks = [];
+    compressChunk(chunk, compressions, firstSector) {
+        let best = chunk;
 
-            // First offset is right after the offsets list.
-            offsets[0] = offsets.byteLength;
+        for (let compression of compressions) {
+            // The first sector of a sound file holds the WAV header, which must not go through the lossy ADPCM compression.
+            if (firstSector && (compression & (COMPRESSION_ADPCM_MONO | COMPRESSION_ADPCM_STEREO))) {
+                compression = COMPRESSION_IMPLODE;
+            }
 
-            for (let i = 0; i < sectorCount; i++) {
-                let sectorOffset = i * sectorSize,
-                    uncompressed = data.subarray(sectorOffset, sectorOffset + sectorSize),
-                    chunk = deflate(uncompressed),
-                    compressedSectorSize = chunk.byteLength + 1;
-
-                // If the sector is going to take more than the archive's sector size, don't compress it.
-                if (compressedSectorSize > sectorSize) {
-                    chunk = uncompressed;
-                }
+            let compressed = compress(chunk, compression, this.compressionLevel);
 
-                offset += compressedSectorSize;
+            if (compressed.byteLength < best.byteLength) {
+                best = compressed;
+            }
+        }
 
-                offsets[i + 1] = offset;
+        return best;
+    }
 
-                chunks[i] = chunk;
-            }
+    /**
+     * Compresses data in sectors, along with the sector offsets, and the sector checksums if needed.
+     * 
+     * @param {Uint8Array} data
+     * @param {Array<number>} compressions
+     * @returns {Uint8Array}
+     */
+    compressSectors(data, compressions) {
+        let sectorSize = this.archive.sectorSize,
+            sectorCount = Math.ceil(data.byteLength / sectorSize),
+            sectorCrc = this.sectorCrc,
+            // With sector checksums, the checksum table is stored as an extra sector.
+            offsets = new Uint32Array(sectorCount + (sectorCrc ? 2 : 1)),
+            crcs = new Uint32Array(sectorCount),
+            offset = offsets.byteLength,
+            chunks = [];
 
-            let compressedSize = offsets[offsets.length - 1],
-                rawBuffer = new Uint8Array(new ArrayBuffer(compressedSize));
+        // First offset is right after the offsets list.
+        offsets[0] = offsets.byteLength;
 
-            // Write the offsets list.
-            rawBuffer.set(new Uint8Array(offsets.buffer));
+        for (let i = 0; i < sectorCount; i++) {
+            let sectorOffset = i * sectorSize,
+                chunk = this.compressChunk(data.subarray(sectorOffset, sectorOffset + sectorSize), compressions, i === 0);
 
-            offset = offsets.byteLength;
+            offset += chunk.byteLength;
 
-            for (let chunk of chunks) {
-                // If the chunk size is smaller than the archive's sector size, it means it was compressed.
-                if (chunk.byteLength < sectorSize) {
-                    rawBuffer[offset] = 2; // zlib
-                    offset += 1;
-                }
+            offsets[i + 1] = offset;
+
+            chunks[i] = chunk;
+            crcs[i] = adler32(chunk, 0);
+        }
+
+        if (sectorCrc) {
+            let table = new Uint8Array(crcs.buffer),
+                chunk = compress(table, COMPRESSION_DEFLATE);
 
-                // Write the chunk.
-                rawBuffer.set(chunk, offset);
-                offset += chunk.byteLength;
+            if (chunk.byteLength >= table.byteLength) {
+                chunk = table;
             }
 
-            // Only use the compressed data if it's actually smaller than the normal data.
-            if (rawBuffer.byteLength < data.byteLength) {
-                this.rawBuffer = rawBuffer.buffer;
-                this.block.compressedSize = rawBuffer.byteLength;
-                this.block.flags = (FILE_EXISTS | FILE_COMPRESSED) >>> 0;
+            offset += chunk.byteLength;
+
+            offsets[sectorCount + 1] = offset;
+
+            chunks[sectorCount] = chunk;
+        }
+
+        let rawBuffer = new Uint8Array(offset);
+
+        // Write the offsets list.
+        rawBuffer.set(new Uint8Array(offsets.buffer));
+
+        offset = offsets.byteLength;
+
+        // Write the chunks, which already have their compression masks.
+        for (let chunk of chunks) {
+            rawBuffer.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+
+        return rawBuffer;
+    }
+
+    /**
+     * Encrypts the encoded data of this file, which is done after its block flags and size are set.
+     * The sectors are encrypted with the key plus their index, and the sector offsets with the key minus one.
+     * The sector checksums are not encrypted.
+     * 
+     * @param {Uint8Array} rawBuffer
+     */
+    encrypt(rawBuffer) {
+        let block = this.block,
+            flags = block.flags,
+            c = this.c,
+            encryptionKey = this.computeKey();
+
+        if (flags & FILE_SINGLE_UNIT) {
+            c.encryptBlock(rawBuffer, encryptionKey);
+        } else {
+            let sectorSize = this.archive.sectorSize,
+                sectorCount = Math.ceil(block.normalSize / sectorSize);
+
+            if (flags & (FILE_COMPRESSED | FILE_IMPLODE)) {
+                let sectorOffsets = new Uint32Array(rawBuffer.buffer, rawBuffer.byteOffset, sectorCount + ((flags & FILE_SECTOR_CRC) ? 2 : 1));
+
+                for (let i = 0; i < sectorCount; i++) {
+                    c.encryptBlock(rawBuffer.subarray(sectorOffsets[i], sectorOffsets[i + 1]), encryptionKey + i);
+                }
+
+                c.encryptBlock(sectorOffsets, encryptionKey - 1);
             } else {
-                this.rawBuffer = this.buffer;
-                this.block.compressedSize = this.buffer.byteLength;
-                this.block.flags = FILE_EXISTS;
+                for (let i = 0; i < sectorCount; i++) {
+                    c.encryptBlock(rawBuffer.subarray(i * sectorSize, (i + 1) * sectorSize), encryptionKey + i);
+                }
             }
         }
     }
@@ -400,11 +807,15 @@ export default class MpqFile {
             c = archive.c,
             typedArray = new Uint8Array(this.rawBuffer),
             flags = block.flags,
-            encryptionKey = c.computeFileKey(this.name, block);
+            encryptionKey = this.computeKey();
 
         block.offset = offset;
 
-        let newEncryptionKey = c.computeFileKey(this.name, block);
+        let newEncryptionKey = this.computeKey();
+
+        if (!(flags & FILE_ENCRYPTED)) {
+            return;
+        }
 
         // One chunk.
         if (flags & FILE_SINGLE_UNIT) {
@@ -415,35 +826,29 @@ export default class MpqFile {
             c.encryptBlock(typedArray, newEncryptionKey);
             // One or more sectors.
         } else {
-            let sectorCount = Math.ceil(block.normalSize / archive.sectorSize);
-
-            // Get the sector offsets
-            let sectorOffsets = new Uint32Array(typedArray.buffer, 0, sectorCount + 1);
-
-            // Decrypt the sector offsets with the old key.
-            c.decryptBlock(sectorOffsets, encryptionKey - 1);
+            let sectorCount = Math.ceil(block.normalSize / archive.sectorSize),
+                compressed = flags & (FILE_COMPRESSED | FILE_IMPLODE),
+                sectorOffsets = this.getSectorOffsets(typedArray, sectorCount, block.normalSize, encryptionKey);
 
-            let start = sectorOffsets[0],
-                end = sectorOffsets[1];
+            // The sectors can't be found, so leave the file as it is.
+            if (!sectorOffsets) {
+                return;
+            }
 
             for (let i = 0; i < sectorCount; i++) {
-                let sector = typedArray.subarray(start, end);
+                let sector = typedArray.subarray(sectorOffsets[i], sectorOffsets[i + 1]);
 
                 // Decrypt the chunk with the old key.
                 c.decryptBlock(sector, encryptionKey + i);
 
                 // Encrypt the chunk with the new key.
                 c.encryptBlock(sector, newEncryptionKey + i);
-
-                // Prepare for the next sector
-                if (i < sectorCount) {
-                    start = end;
-                    end = sectorOffsets[i + 2];
-                }
             }
 
             // Encrypt the sector offsets with the new key.
-            c.encryptBlock(sectorOffsets, newEncryptionKey - 1);
+            if (compressed) {
+                typedArray.set(new Uint8Array(c.encryptBlock(sectorOffsets, newEncryptionKey - 1).buffer));
+            }
         }
     }
 
@@ -453,7 +858,7 @@ export default class MpqFile {
         let block = this.block;
 
         if (block.offset !== offset && block.flags & FILE_OFFSET_ADJUSTED_KEY) {
-            if (this.nameResolved) {
+            if (this.nameResolved || this.nameKey !== null) {
                 this.reEncrypt(offset);
 
                 return true;
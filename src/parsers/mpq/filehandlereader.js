@@ -0,0 +1,45 @@
+/**
+ * A reader over a Node.js FileHandle, as returned by fs.promises.open().
+ * The handle is not closed by the reader.
+ */
+export default class MpqFileHandleReader {
+    /**
+     * @param {FileHandle} handle
+     */
+    constructor(handle) {
+        /** @member {FileHandle} */
+        this.handle = handle;
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async size() {
+        let stats = await this.handle.stat();
+
+        return stats.size;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async read(offset, size) {
+        let typedArray = new Uint8Array(size),
+            bytesRead = 0;
+
+        // read() is allowed to return less bytes than requested.
+        while (bytesRead < size) {
+            let result = await this.handle.read(typedArray, bytesRead, size - bytesRead, offset + bytesRead);
+
+            if (result.bytesRead === 0) {
+                break;
+            }
+
+            bytesRead += result.bytesRead;
+        }
+
+        return typedArray.buffer.slice(0, bytesRead);
+    }
+};
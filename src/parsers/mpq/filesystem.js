@@ -0,0 +1,264 @@
+import { bufferToString } from '../../common/stringtobuffer';
+import applyPatch from './patch';
+import { FILE_DELETE_MARKER, FILE_PATCH_FILE } from './constants';
+
+/**
+ * Normalizes a path to the form used inside MPQ archives.
+ * That is, lower case, with backward slashes, and no leading or repeating slashes.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+    return path.toLowerCase().replace(/[\\/]+/g, '\\').replace(/^\\/, '');
+};
+
+/**
+ * A virtual file system over any number of archives.
+ *
+ * Every archive is mounted with a priority, and files in archives with higher priorities override files in archives with lower priorities.
+ * This is the way the game loads files - a map overrides War3Patch.mpq, which overrides War3x.mpq, which overrides war3.mpq.
+ *
+ * Archives with higher priorities can also change the files below them:
+ *     1) A file with FILE_DELETE_MARKER hides the file from all of the archives below it.
+ *     2) A file with FILE_PATCH_FILE is an incremental patch, which is applied to the file from the archives below it.
+ */
+export default class MpqFileSystem {
+    constructor() {
+        /**
+         * The mounted archives, sorted from the highest priority to the lowest.
+         *
+         * @member {Array<Object>}
+         */
+        this.mounts = [];
+        /**
+         * Resolved files, so getting the same file twice returns the same object.
+         * This matters for the viewer, which caches resources by their source.
+         *
+         * @member {Map<string, ?>}
+         */
+        this.cache = new Map();
+    }
+
+    /**
+     * Mounts an archive.
+     * If no priority is given, the archive gets a priority higher than all of the mounted archives.
+     * Archives with the same priority are searched from the last mounted.
+     *
+     * @param {MpqArchive} archive
+     * @param {?number} priority
+     * @returns {boolean}
+     */
+    mount(archive, priority) {
+        let mounts = this.mounts;
+
+        if (!archive || mounts.some((mount) => mount.archive === archive)) {
+            return false;
+        }
+
+        if (typeof priority !== 'number') {
+            priority = mounts.length ? mounts[0].priority + 1 : 0;
+        }
+
+        let index = mounts.findIndex((mount) => mount.priority <= priority);
+
+        if (index === -1) {
+            index = mounts.length;
+        }
+
+        mounts.splice(index, 0, { archive, priority });
+
+        this.cache.clear();
+
+        return true;
+    }
+
+    /**
+     * @param {MpqArchive} archive
+     * @returns {boolean}
+     */
+    unmount(archive) {
+        let index = this.mounts.findIndex((mount) => mount.archive === archive);
+
+        if (index === -1) {
+            return false;
+        }
+
+        this.mounts.splice(index, 1);
+
+        this.cache.clear();
+
+        return true;
+    }
+
+    /**
+     * Finds the file that a path resolves to, and the patches that apply to it.
+     * The patches are ordered from the lowest priority to the highest, which is the order they are applied in.
+     * Returns null if the file doesn't exist, or was deleted.
+     *
+     * @param {string} path
+     * @returns {?Object}
+     */
+    resolve(path) {
+        let name = normalizePath(path),
+            patches = [];
+
+        for (let { archive } of this.mounts) {
+            let file = archive.get(name);
+
+            if (file) {
+                let flags = file.block.flags;
+
+                if (flags & FILE_DELETE_MARKER) {
+                    return null;
+                }
+
+                if (flags & FILE_PATCH_FILE) {
+                    patches.unshift(file);
+                } else {
+                    return { file, patches };
+                }
+            }
+        }
+
+        // Patches with nothing to patch.
+        return null;
+    }
+
+    /**
+     * Checks if a file exists.
+     *
+     * @param {string} path
+     * @returns {boolean}
+     */
+    has(path) {
+        return !!this.resolve(path);
+    }
+
+    /**
+     * Gets a file's data, after applying all of its patches.
+     * If the file doesn't exist, or failed to decode or patch, null is returned.
+     * The result is cached, so edit the archives before mounting them, or call clearCache() after editing them.
+     *
+     * @param {string} path
+     * @param {?string} dataType 'arrayBuffer' (the default), 'text', 'json', or 'blob'.
+     * @returns {?ArrayBuffer|string|Object|Blob}
+     */
+    get(path, dataType) {
+        let name = normalizePath(path),
+            bufferKey = `arrayBuffer:${name}`,
+            key = `${dataType || 'arrayBuffer'}:${name}`,
+            cache = this.cache;
+
+        if (!cache.has(key)) {
+            let data = null;
+
+            if (dataType && dataType !== 'arrayBuffer') {
+                // Only the converted data is cached, so the file is not kept in memory twice.
+                let buffer = cache.has(bufferKey) ? cache.get(bufferKey) : this.patchedBuffer(name);
+
+                if (buffer) {
+                    if (dataType === 'text') {
+                        data = bufferToString(buffer);
+                    } else if (dataType === 'json') {
+                        data = JSON.parse(bufferToString(buffer));
+                    } else if (dataType === 'blob') {
+                        data = new Blob([buffer]);
+                    } else {
+                        data = buffer;
+                    }
+                }
+            } else {
+                data = this.patchedBuffer(name);
+            }
+
+            cache.set(key, data);
+        }
+
+        return cache.get(key);
+    }
+
+    /**
+     * @param {string} path
+     * @returns {?string}
+     */
+    text(path) {
+        return this.get(path, 'text');
+    }
+
+    /**
+     * @param {string} path
+     * @returns {?ArrayBuffer}
+     */
+    arrayBuffer(path) {
+        return this.get(path);
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {?ArrayBuffer}
+     */
+    patchedBuffer(name) {
+        let resolved = this.resolve(name);
+
+        if (!resolved) {
+            return null;
+        }
+
+        let buffer = resolved.file.arrayBuffer();
+
+        if (!buffer || !resolved.patches.length) {
+            return buffer;
+        }
+
+        let data = new Uint8Array(buffer);
+
+        for (let patch of resolved.patches) {
+            let patchBuffer = patch.arrayBuffer();
+
+            if (!patchBuffer) {
+                return null;
+            }
+
+            try {
+                data = applyPatch(data, new Uint8Array(patchBuffer));
+            } catch (e) {
+                console.warn(`File ${name}, failed to patch: ${e.message}`);
+                return null;
+            }
+        }
+
+        return data.buffer;
+    }
+
+    /**
+     * Creates a path solver for ModelViewer.load(), which loads files from this file system.
+     * The data type of every file is the one its handler expects.
+     * Paths that are not in this file system go to the fallback path solver if there is one, or are fetched from the server otherwise.
+     *
+     * @param {ModelViewer} viewer
+     * @param {?function(?)} fallbackPathSolver
+     * @returns {function(?)}
+     */
+    createPathSolver(viewer, fallbackPathSolver) {
+        return (src) => {
+            if (typeof src === 'string' && this.has(src)) {
+                let extension = src.substr(src.lastIndexOf('.')).toLowerCase(),
+                    handlerAndDataType = viewer.findHandler(extension),
+                    dataType = handlerAndDataType ? handlerAndDataType[1] : 'arrayBuffer';
+
+                return [this.get(src, dataType), extension, false];
+            }
+
+            if (fallbackPathSolver) {
+                return fallbackPathSolver(src);
+            }
+
+            return [src, src.substr(src.lastIndexOf('.')), true];
+        };
+    }
+};
@@ -35,7 +35,7 @@ export default class MpqHash {
     save(typedArray) {
         typedArray[0] = this.nameA;
         typedArray[1] = this.nameB;
-        typedArray[2] = (this.locale << 16) | this.platform;
+        typedArray[2] = (this.platform << 16) | this.locale;
         typedArray[3] = this.blockIndex;
     }
 
@@ -1,6 +1,6 @@
 import { powerOfTwo } from '../../common/math';
 import MpqHash from './hash';
-import { HASH_TABLE_KEY, HASH_TABLE_INDEX, HASH_NAME_A, HASH_NAME_B } from './constants';
+import { HASH_TABLE_INDEX, HASH_NAME_A, HASH_NAME_B, HASH_ENTRY_EMPTY } from './constants';
 
 export default class MpqHashTable {
     /**
@@ -42,7 +42,14 @@ export default class MpqHashTable {
         return -1;
     }
 
-    add(name, blockIndex) {
+    /**
+     * @param {string} name
+     * @param {number} blockIndex
+     * @param {?number} locale Defaults to 0, which is neutral.
+     * @param {?number} platform Defaults to 0, which is neutral.
+     * @returns {?MpqHash}
+     */
+    add(name, blockIndex, locale, platform) {
         let insertionIndex = this.getInsertionIndex(name);
 
         if (insertionIndex !== -1) {
@@ -50,17 +57,20 @@ export default class MpqHashTable {
 
             hash.nameA = this.c.hash(name, HASH_NAME_A);
             hash.nameB = this.c.hash(name, HASH_NAME_B);
-            hash.locale = 0;
-            hash.platform = 0;
+            hash.locale = locale || 0;
+            hash.platform = platform || 0;
             hash.blockIndex = blockIndex;
 
             return hash;
         }
     }
 
+    /**
+     * @param {Uint8Array} typedArray The decrypted and decompressed table.
+     */
     load(typedArray) {
         let entriesCount = typedArray.byteLength / 16,
-            uint32array = new Uint32Array(this.c.decryptBlock(typedArray, HASH_TABLE_KEY).buffer),
+            uint32array = new Uint32Array(typedArray.buffer),
             offset = 0;
 
         // Clear the table and add the needed empties.
@@ -75,6 +85,8 @@ export default class MpqHashTable {
     }
 
     /**
+     * Note that the table is saved decrypted, encryption is done by the archive.
+     * 
      * @param {Uint8Array} typedArray 
      */
     save(typedArray) {
@@ -87,30 +99,63 @@ export default class MpqHashTable {
             offset += 4;
         }
 
-        let uint8array = new Uint8Array(uint32array.buffer);
-
-        this.c.encryptBlock(uint8array, HASH_TABLE_KEY);
-
-        typedArray.set(uint8array);
+        typedArray.set(new Uint8Array(uint32array.buffer));
     }
 
-    get(name) {
+    /**
+     * Gets all of the hashes of a name.
+     * Archives can have the same name multiple times, each one for a different locale and/or platform.
+     * 
+     * @param {string} name
+     * @returns {Array<MpqHash>}
+     */
+    getAll(name) {
         let c = this.c,
             entries = this.entries,
             offset = c.hash(name, HASH_TABLE_INDEX) & (entries.length - 1),
             nameA = c.hash(name, HASH_NAME_A),
-            nameB = c.hash(name, HASH_NAME_B);
+            nameB = c.hash(name, HASH_NAME_B),
+            hashes = [];
 
         for (let i = 0, l = entries.length; i < l; i++) {
             let hash = entries[(i + offset) % l];
 
             if (nameA === hash.nameA && nameB === hash.nameB) {
+                hashes.push(hash);
+            } else if (hash.blockIndex === HASH_ENTRY_EMPTY) {
+                break;
+            }
+        }
+
+        return hashes;
+    }
+
+    /**
+     * Gets the hash of a name that best matches the given locale and platform.
+     * An exact match is preferred, then the neutral hash, and finally whatever hash is found first.
+     * 
+     * @param {string} name
+     * @param {?number} locale Defaults to 0, which is neutral.
+     * @param {?number} platform Defaults to 0, which is neutral.
+     * @returns {?MpqHash}
+     */
+    get(name, locale, platform) {
+        let hashes = this.getAll(name),
+            neutral = null;
+
+        locale = locale || 0;
+        platform = platform || 0;
+
+        for (let hash of hashes) {
+            if (hash.locale === locale && hash.platform === platform) {
                 return hash;
-            } else if (hash.blockIndex === 0xFFFFFFFF) {
-                return null;
+            }
+
+            if (hash.locale === 0 && hash.platform === 0) {
+                neutral = hash;
             }
         }
 
-        return null;
+        return neutral || hashes[0] || null;
     }
 };
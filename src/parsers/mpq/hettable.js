@@ -0,0 +1,342 @@
+import BinaryStream from '../../common/binarystream';
+import { getBits, setBits, copyBits, bitsNeeded } from './bitarray';
+import { HASH_ENTRY_DELETED, HASH_ENTRY_EMPTY } from './constants';
+
+/**
+ * The HET table, added in archive format version 2 (MPQ v3).
+ * It maps 64 bit Jenkins hashes of file names to block indices, and is an alternative to the hash table.
+ *
+ * Internally every slot stores the full masked name hash, which is the HET part of the hash combined with the BET part of it.
+ * This makes the table independent of the BET table once loaded, which is needed when blocks are removed from the archive.
+ */
+export default class MpqHetTable {
+    /**
+     * @param {MpqCrypto} c
+     */
+    constructor(c) {
+        /** @member {MpqCrypto} */
+        this.c = c;
+        /** @member {number} */
+        this.nameHashBits = 64;
+        /** @member {Array<?Uint8Array>} */
+        this.nameHashes = [];
+        /** @member {Array<number>} */
+        this.blockIndices = [];
+    }
+
+    clear() {
+        this.nameHashes.length = 0;
+        this.blockIndices.length = 0;
+    }
+
+    /**
+     * Computes the masked name hash of a file name, as it is stored in this table.
+     *
+     * @param {string} name
+     * @returns {Uint8Array}
+     */
+    hashName(name) {
+        return this.maskHash(this.c.jenkinsHash(name));
+    }
+
+    /**
+     * Masks a 64 bit name hash to the bit size of this table, and sets its top bit.
+     *
+     * @param {Uint8Array} hash
+     * @returns {Uint8Array}
+     */
+    maskHash(hash) {
+        let bits = this.nameHashBits,
+            masked = new Uint8Array(8);
+
+        copyBits(masked, 0, hash, 0, bits);
+        setBits(masked, bits - 1, 1, 1);
+
+        return masked;
+    }
+
+    /**
+     * The 8 high bits of a masked name hash, which are what the table is probed with.
+     *
+     * @param {Uint8Array} hash
+     * @returns {number}
+     */
+    nameHash1(hash) {
+        return getBits(hash, this.nameHashBits - 8, 8);
+    }
+
+    /**
+     * The index to start probing at, which is the masked name hash modulo the table size.
+     *
+     * @param {Uint8Array} hash
+     * @returns {number}
+     */
+    startIndex(hash) {
+        let count = this.nameHashes.length,
+            index = 0;
+
+        // Done 16 bits at a time to not lose precision.
+        for (let i = 48; i >= 0; i -= 16) {
+            index = (index * 0x10000 + getBits(hash, i, 16)) % count;
+        }
+
+        return index;
+    }
+
+    /**
+     * @param {Uint8Array} typedArray The decrypted and decompressed table data, following the extended table header.
+     * @param {MpqBetTable} betTable The BET table holding the rest of every name hash.
+     */
+    load(typedArray, betTable) {
+        let stream = new BinaryStream(typedArray.buffer),
+            tableSize = stream.readUint32(),
+            entryCount = stream.readUint32(),
+            totalCount = stream.readUint32(),
+            nameHashBits = stream.readUint32(),
+            indexSizeTotal = stream.readUint32(),
+            indexSizeExtra = stream.readUint32(),
+            indexSize = stream.readUint32(),
+            indexTableSize = stream.readUint32(),
+            hashes = stream.readUint8Array(totalCount),
+            indices = stream.readUint8Array(indexTableSize),
+            betHashBits = nameHashBits - 8;
+
+        this.clear();
+        this.nameHashBits = nameHashBits;
+
+        for (let i = 0; i < totalCount; i++) {
+            let hash1 = hashes[i];
+
+            if (hash1 === 0) {
+                this.nameHashes[i] = null;
+                this.blockIndices[i] = HASH_ENTRY_EMPTY;
+            } else {
+                let blockIndex = getBits(indices, i * indexSizeTotal, indexSize),
+                    hash = null;
+
+                if (blockIndex < betTable.nameHashes.length) {
+                    hash = new Uint8Array(8);
+
+                    copyBits(hash, 0, betTable.nameHashes[blockIndex], 0, betHashBits);
+                    setBits(hash, betHashBits, 8, hash1);
+                } else {
+                    blockIndex = HASH_ENTRY_DELETED;
+                }
+
+                this.nameHashes[i] = hash;
+                this.blockIndices[i] = blockIndex;
+            }
+        }
+    }
+
+    /**
+     * Rebuilds the table from the name hashes of all of the blocks in an archive.
+     * Blocks with unknown hashes are not added.
+     *
+     * @param {Array<?Uint8Array>} blockHashes Masked name hashes, indexed by block index.
+     */
+    set(blockHashes) {
+        let entryCount = blockHashes.length,
+            totalCount = Math.max(entryCount + 1, Math.floor(entryCount * 4 / 3));
+
+        this.clear();
+
+        for (let i = 0; i < totalCount; i++) {
+            this.nameHashes[i] = null;
+            this.blockIndices[i] = HASH_ENTRY_EMPTY;
+        }
+
+        for (let blockIndex = 0; blockIndex < entryCount; blockIndex++) {
+            let hash = blockHashes[blockIndex];
+
+            if (hash) {
+                let index = this.startIndex(hash);
+
+                while (this.nameHashes[index] !== null) {
+                    index = (index + 1) % totalCount;
+                }
+
+                this.nameHashes[index] = hash;
+                this.blockIndices[index] = blockIndex;
+            }
+        }
+    }
+
+    /**
+     * The size of the table data, not including the extended table header.
+     *
+     * @returns {number}
+     */
+    getByteLength() {
+        let totalCount = this.nameHashes.length;
+
+        return 32 + totalCount + Math.ceil(this.indexSize() * totalCount / 8);
+    }
+
+    /**
+     * The amount of bits needed to store every used block index.
+     *
+     * @returns {number}
+     */
+    indexSize() {
+        let count = 0;
+
+        for (let i = 0, l = this.nameHashes.length; i < l; i++) {
+            if (this.nameHashes[i]) {
+                count = Math.max(count, this.blockIndices[i] + 1);
+            }
+        }
+
+        return bitsNeeded(count);
+    }
+
+    /**
+     * The number of slots that hold names.
+     *
+     * @returns {number}
+     */
+    entryCount() {
+        let count = 0;
+
+        for (let hash of this.nameHashes) {
+            if (hash) {
+                count += 1;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * @param {Uint8Array} typedArray
+     */
+    save(typedArray) {
+        let totalCount = this.nameHashes.length,
+            entryCount = this.entryCount(),
+            indexSize = this.indexSize(),
+            indexTableSize = Math.ceil(indexSize * totalCount / 8),
+            byteLength = this.getByteLength(),
+            stream = new BinaryStream(typedArray.buffer, typedArray.byteOffset, byteLength),
+            hashes = new Uint8Array(totalCount),
+            indices = new Uint8Array(indexTableSize).fill(0xFF);
+
+        for (let i = 0; i < totalCount; i++) {
+            let hash = this.nameHashes[i];
+
+            if (hash) {
+                hashes[i] = this.nameHash1(hash);
+
+                setBits(indices, i * indexSize, indexSize, this.blockIndices[i]);
+            } else if (this.blockIndices[i] === HASH_ENTRY_DELETED) {
+                // Deleted slots must not look free, or they would break the probing of the slots after them.
+                hashes[i] = 0x80;
+            }
+        }
+
+        stream.writeUint32(byteLength);
+        stream.writeUint32(entryCount);
+        stream.writeUint32(totalCount);
+        stream.writeUint32(this.nameHashBits);
+        stream.writeUint32(indexSize);
+        stream.writeUint32(0);
+        stream.writeUint32(indexSize);
+        stream.writeUint32(indexTableSize);
+        stream.writeUint8Array(hashes);
+        stream.writeUint8Array(indices);
+    }
+
+    /**
+     * Gets the block index of a file name, or -1 if it is not in the table.
+     *
+     * @param {string} name
+     * @returns {number}
+     */
+    get(name) {
+        let nameHashes = this.nameHashes,
+            totalCount = nameHashes.length;
+
+        if (totalCount === 0) {
+            return -1;
+        }
+
+        let hash = this.hashName(name),
+            bytes = Math.ceil(this.nameHashBits / 8),
+            start = this.startIndex(hash);
+
+        for (let i = 0; i < totalCount; i++) {
+            let index = (start + i) % totalCount,
+                blockIndex = this.blockIndices[index];
+
+            if (blockIndex === HASH_ENTRY_EMPTY) {
+                return -1;
+            }
+
+            let other = nameHashes[index];
+
+            if (other && blockIndex !== HASH_ENTRY_DELETED) {
+                let match = true;
+
+                for (let j = 0; j < bytes; j++) {
+                    if (hash[j] !== other[j]) {
+                        match = false;
+                        break;
+                    }
+                }
+
+                if (match) {
+                    return blockIndex;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Gets the name hash of the given block, or null if it is not in the table.
+     *
+     * @param {number} blockIndex
+     * @returns {?Uint8Array}
+     */
+    getBlockHash(blockIndex) {
+        let index = this.blockIndices.indexOf(blockIndex);
+
+        if (index !== -1) {
+            return this.nameHashes[index];
+        }
+
+        return null;
+    }
+
+    /**
+     * Marks the slot of a block as deleted.
+     * Used when a file is deleted or renamed, so that the old name does not resolve anymore.
+     *
+     * @param {number} blockIndex
+     */
+    delete(blockIndex) {
+        let index = this.blockIndices.indexOf(blockIndex);
+
+        if (index !== -1) {
+            this.nameHashes[index] = null;
+            this.blockIndices[index] = HASH_ENTRY_DELETED;
+        }
+    }
+
+    /**
+     * A block was removed from the archive, so delete its slot, and shift all of the block indices after it.
+     *
+     * @param {number} blockIndex
+     */
+    removeBlock(blockIndex) {
+        let blockIndices = this.blockIndices;
+
+        this.delete(blockIndex);
+
+        for (let i = 0, l = blockIndices.length; i < l; i++) {
+            if (blockIndices[i] < HASH_ENTRY_DELETED && blockIndices[i] > blockIndex) {
+                blockIndices[i] -= 1;
+            }
+        }
+    }
+};
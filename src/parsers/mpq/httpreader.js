@@ -0,0 +1,79 @@
+/**
+ * A reader over a file on a server, which is read with HTTP Range requests.
+ * If the server ignores the ranges and sends the whole file, the requested range is cut out of it.
+ */
+export default class MpqHttpReader {
+    /**
+     * @param {string} url
+     * @param {?Object} options Extra options for fetch(), e.g. headers or credentials.
+     */
+    constructor(url, options) {
+        /** @member {string} */
+        this.url = url;
+        /** @member {Object} */
+        this.options = options || {};
+        /** @member {number} */
+        this.byteLength = -1;
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async size() {
+        if (this.byteLength === -1) {
+            let response = await this.fetchRange(0, 1),
+                contentRange = response.headers.get('Content-Range');
+
+            // Content-Range is of the form "bytes 0-0/size".
+            if (response.status === 206 && contentRange) {
+                this.byteLength = parseInt(contentRange.substr(contentRange.lastIndexOf('/') + 1));
+            } else {
+                this.byteLength = parseInt(response.headers.get('Content-Length'));
+            }
+
+            if (isNaN(this.byteLength)) {
+                throw new Error(`${this.url}: unknown size`);
+            }
+        }
+
+        return this.byteLength;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async read(offset, size) {
+        if (size <= 0) {
+            return new ArrayBuffer(0);
+        }
+
+        let response = await this.fetchRange(offset, size),
+            buffer = await response.arrayBuffer();
+
+        // The server sent the whole file.
+        if (response.status === 200) {
+            return buffer.slice(offset, offset + size);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Promise<Response>}
+     */
+    async fetchRange(offset, size) {
+        let options = this.options,
+            headers = Object.assign({}, options.headers, { Range: `bytes=${offset}-${offset + size - 1}` }),
+            response = await fetch(this.url, Object.assign({}, options, { headers }));
+
+        if (!response.ok) {
+            throw new Error(`${this.url}: HTTP error ${response.status}`);
+        }
+
+        return response;
+    }
+};
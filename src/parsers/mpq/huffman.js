@@ -0,0 +1,443 @@
+import { BitReader, BitWriter } from './bitstream';
+
+// The adaptive Huffman coding used by MPQ archives, mostly for sound files, where it follows the ADPCM compression.
+// The initial tree is built from one of the weight tables below, selected by the first byte of the stream.
+// Bytes that are not in the tree are escaped and added to it, and the tree is rebalanced as weights change.
+// Everything here, including the order of items with equal weights, must match the original implementation exactly, or the trees diverge.
+
+// Weights of every byte value, one table per compression type.
+// Missing entries at the end of a table are zero, which means the byte is not in the initial tree.
+let WEIGHT_TABLES = [
+    [
+        0x0A, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02
+    ],
+    [
+        0x54, 0x16, 0x16, 0x0D, 0x0C, 0x08, 0x06, 0x05, 0x06, 0x05, 0x06, 0x03, 0x04, 0x04, 0x03, 0x05,
+        0x0E, 0x0B, 0x14, 0x13, 0x13, 0x09, 0x0B, 0x06, 0x05, 0x04, 0x03, 0x02, 0x03, 0x02, 0x02, 0x02,
+        0x0D, 0x07, 0x09, 0x06, 0x06, 0x04, 0x03, 0x02, 0x04, 0x03, 0x03, 0x03, 0x03, 0x03, 0x02, 0x02,
+        0x09, 0x06, 0x04, 0x04, 0x04, 0x04, 0x03, 0x02, 0x03, 0x02, 0x02, 0x02, 0x02, 0x03, 0x02, 0x04,
+        0x08, 0x03, 0x04, 0x07, 0x09, 0x05, 0x03, 0x03, 0x03, 0x03, 0x02, 0x02, 0x02, 0x03, 0x02, 0x02,
+        0x03, 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, 0x01, 0x01, 0x01, 0x02, 0x01, 0x02, 0x02,
+        0x06, 0x0A, 0x08, 0x08, 0x06, 0x07, 0x04, 0x03, 0x04, 0x04, 0x02, 0x02, 0x04, 0x02, 0x03, 0x03,
+        0x04, 0x03, 0x07, 0x07, 0x09, 0x06, 0x04, 0x03, 0x03, 0x02, 0x01, 0x02, 0x02, 0x02, 0x02, 0x02,
+        0x0A, 0x02, 0x02, 0x03, 0x02, 0x02, 0x01, 0x01, 0x02, 0x02, 0x02, 0x06, 0x03, 0x05, 0x02, 0x03,
+        0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x03, 0x01, 0x01, 0x01,
+        0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x04, 0x04, 0x04, 0x07, 0x09, 0x08, 0x0C, 0x02,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x03,
+        0x04, 0x01, 0x02, 0x04, 0x05, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01,
+        0x04, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x03, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x02, 0x01, 0x01, 0x02, 0x02, 0x02, 0x06, 0x4B
+    ],
+    [
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03, 0x27, 0x00, 0x00, 0x23, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xFF, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x02, 0x01, 0x01, 0x06, 0x0E, 0x10, 0x04,
+        0x06, 0x08, 0x05, 0x04, 0x04, 0x03, 0x03, 0x02, 0x02, 0x03, 0x03, 0x01, 0x01, 0x02, 0x01, 0x01,
+        0x01, 0x04, 0x02, 0x04, 0x02, 0x02, 0x02, 0x01, 0x01, 0x04, 0x01, 0x01, 0x02, 0x03, 0x03, 0x02,
+        0x03, 0x01, 0x03, 0x06, 0x04, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x02, 0x01, 0x01,
+        0x01, 0x29, 0x07, 0x16, 0x12, 0x40, 0x0A, 0x0A, 0x11, 0x25, 0x01, 0x03, 0x17, 0x10, 0x26, 0x2A,
+        0x10, 0x01, 0x23, 0x23, 0x2F, 0x10, 0x06, 0x07, 0x02, 0x09, 0x01, 0x01, 0x01, 0x01, 0x01
+    ],
+    [
+        0xFF, 0x0B, 0x07, 0x05, 0x0B, 0x02, 0x02, 0x02, 0x06, 0x02, 0x02, 0x01, 0x04, 0x02, 0x01, 0x03,
+        0x09, 0x01, 0x01, 0x01, 0x03, 0x04, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01,
+        0x05, 0x01, 0x01, 0x01, 0x0D, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x02, 0x01, 0x01, 0x03, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x01,
+        0x0A, 0x04, 0x02, 0x01, 0x06, 0x03, 0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x03, 0x01, 0x01, 0x01,
+        0x05, 0x02, 0x03, 0x04, 0x03, 0x03, 0x03, 0x02, 0x01, 0x01, 0x01, 0x02, 0x01, 0x02, 0x03, 0x03,
+        0x01, 0x03, 0x01, 0x01, 0x02, 0x05, 0x01, 0x01, 0x04, 0x03, 0x05, 0x01, 0x03, 0x01, 0x03, 0x03,
+        0x02, 0x01, 0x04, 0x03, 0x0A, 0x06, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x02, 0x02, 0x01, 0x0A, 0x02, 0x05, 0x01, 0x01, 0x02, 0x07, 0x02, 0x17, 0x01, 0x05, 0x01, 0x01,
+        0x0E, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x06, 0x02, 0x01, 0x04, 0x05, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x07, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x01,
+        0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x02, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x11
+    ],
+    [
+        0xFF, 0xFB, 0x98, 0x9A, 0x84, 0x85, 0x63, 0x64, 0x3E, 0x3E, 0x22, 0x22, 0x13, 0x13, 0x18, 0x17
+    ],
+    [
+        0xFF, 0xF1, 0x9D, 0x9E, 0x9A, 0x9B, 0x9A, 0x97, 0x93, 0x93, 0x8C, 0x8E, 0x86, 0x88, 0x80, 0x82,
+        0x7C, 0x7C, 0x72, 0x73, 0x69, 0x6B, 0x5F, 0x60, 0x55, 0x56, 0x4A, 0x4B, 0x40, 0x41, 0x37, 0x37,
+        0x2F, 0x2F, 0x27, 0x27, 0x21, 0x21, 0x1B, 0x1C, 0x17, 0x17, 0x13, 0x13, 0x10, 0x10, 0x0D, 0x0D,
+        0x0B, 0x0B, 0x09, 0x09, 0x08, 0x08, 0x07, 0x07, 0x06, 0x05, 0x05, 0x04, 0x04, 0x04, 0x19, 0x18
+    ],
+    [
+        0xC3, 0xCB, 0xF5, 0x41, 0xFF, 0x7B, 0xF7, 0x21, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xBF, 0xCC, 0xF2, 0x40, 0xFD, 0x7C, 0xF7, 0x22, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x7A, 0x46
+    ],
+    [
+        0xC3, 0xD9, 0xEF, 0x3D, 0xF9, 0x7C, 0xE9, 0x1E, 0xFD, 0xAB, 0xF1, 0x2C, 0xFC, 0x5B, 0xFE, 0x17,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xBD, 0xD9, 0xEC, 0x3D, 0xF5, 0x7D, 0xE8, 0x1D, 0xFB, 0xAE, 0xF0, 0x2C, 0xFB, 0x5C, 0xFF, 0x18,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x70, 0x6C
+    ],
+    [
+        0xBA, 0xC5, 0xDA, 0x33, 0xE3, 0x6D, 0xD8, 0x18, 0xE5, 0x94, 0xDA, 0x23, 0xDF, 0x4A, 0xD1, 0x10,
+        0xEE, 0xAF, 0xE4, 0x2C, 0xEA, 0x5A, 0xDE, 0x15, 0xF4, 0x87, 0xE9, 0x21, 0xF6, 0x43, 0xFC, 0x12,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xB0, 0xC7, 0xD8, 0x33, 0xE3, 0x6B, 0xD6, 0x18, 0xE7, 0x95, 0xD8, 0x23, 0xDB, 0x49, 0xD0, 0x11,
+        0xE9, 0xB2, 0xE2, 0x2B, 0xE8, 0x5C, 0xDD, 0x15, 0xF1, 0x87, 0xE7, 0x20, 0xF7, 0x44, 0xFF, 0x13,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x5F, 0x9E
+    ]
+];
+
+// The value that ends the stream.
+let END_OF_STREAM = 0x100;
+
+// The value that is followed by a byte that is not in the tree yet.
+let NEW_BYTE = 0x101;
+
+/**
+ * An item in the tree, which is also a node in a list of all of the items sorted by weight, highest first.
+ * The two children of an item are always next to each other in the list, the higher weighted child first.
+ */
+class HuffmanItem {
+    /**
+     * @param {number} value
+     * @param {number} weight
+     */
+    constructor(value, weight) {
+        /** @member {?HuffmanItem} */
+        this.next = null;
+        /** @member {?HuffmanItem} */
+        this.prev = null;
+        /** @member {?HuffmanItem} */
+        this.parent = null;
+        /** @member {?HuffmanItem} */
+        this.childLo = null;
+        /** @member {number} */
+        this.value = value;
+        /** @member {number} */
+        this.weight = weight;
+    }
+
+    remove() {
+        this.prev.next = this.next;
+        this.next.prev = this.prev;
+        this.next = null;
+        this.prev = null;
+    }
+
+    /**
+     * @param {HuffmanItem} item
+     */
+    insertAfter(item) {
+        item.next = this.next;
+        item.prev = this;
+        this.next.prev = item;
+        this.next = item;
+    }
+}
+
+class HuffmanTree {
+    /**
+     * @param {number} compressionType
+     */
+    constructor(compressionType) {
+        let weights = WEIGHT_TABLES[compressionType];
+
+        if (!weights) {
+            throw new Error(`invalid compression type ${compressionType}`);
+        }
+
+        // The list head, which is not an item in the tree.
+        this.head = new HuffmanItem(0, 0);
+        this.head.next = this.head;
+        this.head.prev = this.head;
+        /** @member {Array<HuffmanItem>} */
+        this.itemsByValue = [];
+        /** @member {boolean} */
+        this.adaptive = compressionType === 0;
+
+        let maxWeight = 0;
+
+        for (let i = 0, l = weights.length; i < l; i++) {
+            if (weights[i]) {
+                let item = new HuffmanItem(i, weights[i]);
+
+                this.itemsByValue[i] = item;
+                this.head.insertAfter(item);
+
+                maxWeight = this.fixPosition(item, maxWeight);
+            }
+        }
+
+        this.itemsByValue[END_OF_STREAM] = this.append(new HuffmanItem(END_OF_STREAM, 1));
+        this.itemsByValue[NEW_BYTE] = this.append(new HuffmanItem(NEW_BYTE, 1));
+
+        // Pair the items from the lowest weight up, until only the root is left at the front of the list.
+        let childLo = this.head.prev;
+
+        while (childLo !== this.head) {
+            let childHi = childLo.prev;
+
+            if (childHi === this.head) {
+                break;
+            }
+
+            let parent = new HuffmanItem(0, childHi.weight + childLo.weight);
+
+            this.head.insertAfter(parent);
+
+            childLo.parent = parent;
+            childHi.parent = parent;
+            parent.childLo = childLo;
+
+            maxWeight = this.fixPosition(parent, maxWeight);
+
+            childLo = childHi.prev;
+        }
+    }
+
+    /**
+     * @param {HuffmanItem} item
+     * @returns {HuffmanItem}
+     */
+    append(item) {
+        this.head.prev.insertAfter(item);
+
+        return item;
+    }
+
+    /**
+     * Searches backwards from the given item for an item with a weight that is equal or higher than the given weight.
+     * Returns the list head if there is none.
+     *
+     * @param {HuffmanItem} item
+     * @param {number} weight
+     * @returns {HuffmanItem}
+     */
+    findHigherOrEqual(item, weight) {
+        while (item !== this.head) {
+            if (item.weight >= weight) {
+                return item;
+            }
+
+            item = item.prev;
+        }
+
+        return this.head;
+    }
+
+    /**
+     * Moves an item that was added at the front of the list to its sorted position.
+     * Returns the updated maximum weight in the list.
+     *
+     * @param {HuffmanItem} item
+     * @param {number} maxWeight
+     * @returns {number}
+     */
+    fixPosition(item, maxWeight) {
+        if (item.weight < maxWeight) {
+            let higher = this.findHigherOrEqual(this.head.prev, item.weight);
+
+            item.remove();
+            higher.insertAfter(item);
+
+            return maxWeight;
+        }
+
+        return item.weight;
+    }
+
+    /**
+     * Increments the weights of an item and all of its parents, and swaps items to keep the list sorted.
+     *
+     * @param {HuffmanItem} item
+     */
+    incrementWeight(item) {
+        for (; item; item = item.parent) {
+            item.weight += 1;
+
+            let higher = this.findHigherOrEqual(item.prev, item.weight),
+                other = higher.next;
+
+            if (other !== item) {
+                // Swap the positions of the item and the first item that now has a lower weight than it.
+                other.remove();
+                item.insertAfter(other);
+
+                item.remove();
+                higher.insertAfter(item);
+
+                // Swap their parents.
+                let otherSibling = other.parent.childLo,
+                    parent = item.parent;
+
+                if (parent.childLo === item) {
+                    parent.childLo = other;
+                }
+
+                if (otherSibling === other) {
+                    other.parent.childLo = item;
+                }
+
+                item.parent = other.parent;
+                other.parent = parent;
+            }
+        }
+    }
+
+    /**
+     * Adds a new byte to the tree, by splitting the lowest weighted leaf into it and the new byte.
+     *
+     * @param {number} value
+     */
+    addValue(value) {
+        let last = this.head.prev,
+            childHi = this.append(new HuffmanItem(last.value, last.weight)),
+            childLo = this.append(new HuffmanItem(value, 0));
+
+        childHi.parent = last;
+        childLo.parent = last;
+        last.childLo = childLo;
+
+        this.itemsByValue[childHi.value] = childHi;
+        this.itemsByValue[value] = childLo;
+
+        this.incrementWeight(childLo);
+    }
+
+    /**
+     * @param {BitReader} reader
+     * @returns {number}
+     */
+    decodeValue(reader) {
+        let item = this.head.next;
+
+        while (item.childLo) {
+            item = reader.read(1) ? item.childLo.prev : item.childLo;
+        }
+
+        return item.value;
+    }
+
+    /**
+     * @param {BitWriter} writer
+     * @param {number} value
+     */
+    encodeValue(writer, value) {
+        let item = this.itemsByValue[value],
+            parent = item.parent,
+            bits = [];
+
+        while (parent) {
+            bits.push(parent.childLo === item ? 0 : 1);
+
+            item = parent;
+            parent = parent.parent;
+        }
+
+        // The bits are collected from the leaf up, but are written from the root down.
+        for (let i = bits.length - 1; i >= 0; i--) {
+            writer.write(bits[i], 1);
+        }
+    }
+}
+
+/**
+ * Decompresses Huffman coded data.
+ * Throws if the data is corrupted.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} maxSize The size of the output buffer, decompression stops if it is filled before the end of the stream.
+ * @returns {Uint8Array}
+ */
+export function decompressHuffman(typedArray, maxSize) {
+    let reader = new BitReader(typedArray),
+        output = new Uint8Array(maxSize),
+        offset = 0,
+        tree = new HuffmanTree(reader.read(8));
+
+    while (offset < maxSize) {
+        let value = tree.decodeValue(reader);
+
+        if (value === END_OF_STREAM) {
+            break;
+        }
+
+        if (value === NEW_BYTE) {
+            value = reader.read(8);
+
+            tree.addValue(value);
+            tree.incrementWeight(tree.itemsByValue[value]);
+        } else if (tree.adaptive) {
+            tree.incrementWeight(tree.itemsByValue[value]);
+        }
+
+        output[offset++] = value;
+    }
+
+    return output.subarray(0, offset);
+};
+
+/**
+ * Compresses data with Huffman coding.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} compressionType The weight table to start with, 0 for generic data, 7 for ADPCM compressed sound.
+ * @returns {Uint8Array}
+ */
+export function compressHuffman(typedArray, compressionType) {
+    let writer = new BitWriter(Math.max(16, typedArray.byteLength)),
+        tree = new HuffmanTree(compressionType);
+
+    writer.write(compressionType, 8);
+
+    for (let i = 0, l = typedArray.byteLength; i < l; i++) {
+        let value = typedArray[i];
+
+        if (tree.itemsByValue[value]) {
+            tree.encodeValue(writer, value);
+
+            if (tree.adaptive) {
+                tree.incrementWeight(tree.itemsByValue[value]);
+            }
+        } else {
+            tree.encodeValue(writer, NEW_BYTE);
+            writer.write(value, 8);
+
+            tree.addValue(value);
+            tree.incrementWeight(tree.itemsByValue[value]);
+        }
+    }
+
+    tree.encodeValue(writer, END_OF_STREAM);
+
+    return writer.finish();
+};
@@ -0,0 +1,282 @@
+import { BitReader, BitWriter } from './bitstream';
+
+// PKWARE Data Compression Library (DCL) implode and explode.
+// The format, and the compact code tables below, follow Mark Adler's blast.c, which is the reference for decompression.
+// Codes are canonical Huffman codes, that are written to the stream bit-inverted, least significant bit first.
+
+// Bit lengths of the ASCII literal codes 0..255, as repeat counts in the high nibble, and lengths in the low nibble.
+let LITERAL_LENGTHS = [
+    11, 124, 8, 7, 28, 7, 188, 13, 76, 4, 10, 8, 12, 10, 12, 10, 8, 23, 8,
+    9, 7, 6, 7, 8, 7, 6, 55, 8, 23, 24, 12, 11, 7, 9, 11, 12, 6, 7, 22, 5,
+    7, 24, 6, 11, 9, 6, 7, 22, 7, 11, 38, 7, 9, 8, 25, 11, 8, 11, 9, 12,
+    8, 12, 5, 38, 5, 38, 5, 11, 7, 5, 6, 21, 6, 10, 53, 8, 7, 24, 10, 27,
+    44, 253, 253, 253, 252, 252, 252, 13, 12, 45, 12, 45, 12, 61, 12, 45,
+    44, 173
+];
+
+// Bit lengths of the length codes 0..15.
+let LENGTH_LENGTHS = [2, 35, 36, 53, 38, 23];
+
+// Bit lengths of the distance codes 0..63.
+let DISTANCE_LENGTHS = [2, 20, 53, 230, 247, 151, 248];
+
+// Base values and extra bits of the length codes.
+let LENGTH_BASE = [3, 2, 4, 5, 6, 7, 8, 9, 10, 12, 16, 24, 40, 72, 136, 264];
+let LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+// The length that marks the end of the stream.
+let END_OF_STREAM = 519;
+
+// The longest match that can be encoded.
+let MAX_MATCH = 518;
+
+// Literal modes.
+let BINARY = 0;
+let ASCII = 1;
+
+/**
+ * Builds a canonical Huffman code from compact bit lengths.
+ *
+ * @param {Array<number>} compact
+ * @returns {Object}
+ */
+function buildCode(compact) {
+    let lengths = [],
+        counts = new Uint16Array(16),
+        offsets = new Uint16Array(16),
+        symbols = [],
+        codes = [];
+
+    for (let value of compact) {
+        let length = value & 15;
+
+        for (let i = 0, l = (value >> 4) + 1; i < l; i++) {
+            lengths.push(length);
+        }
+    }
+
+    for (let length of lengths) {
+        counts[length] += 1;
+    }
+
+    for (let length = 1; length < 16; length++) {
+        offsets[length] = offsets[length - 1] + counts[length - 1];
+    }
+
+    // Symbols sorted by their code lengths, which is the order the decoder indexes them in.
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        symbols[offsets[lengths[symbol]]++] = symbol;
+    }
+
+    // The actual codes, which are needed by the encoder.
+    let code = 0,
+        nextCodes = new Uint16Array(16);
+
+    for (let length = 1; length < 16; length++) {
+        code = (code + counts[length - 1]) << 1;
+        nextCodes[length] = code;
+    }
+
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        codes[symbol] = nextCodes[lengths[symbol]]++;
+    }
+
+    return { lengths, counts, symbols, codes };
+}
+
+let literalCode = buildCode(LITERAL_LENGTHS);
+let lengthCode = buildCode(LENGTH_LENGTHS);
+let distanceCode = buildCode(DISTANCE_LENGTHS);
+
+/**
+ * Decodes one symbol of a canonical code.
+ *
+ * @param {BitReader} reader
+ * @param {Object} huffman
+ * @returns {number}
+ */
+function decodeSymbol(reader, huffman) {
+    let counts = huffman.counts,
+        code = 0,
+        first = 0,
+        index = 0;
+
+    for (let length = 1; length < 16; length++) {
+        // The code bits are inverted.
+        code |= reader.read(1) ^ 1;
+
+        let count = counts[length];
+
+        if (code - first < count) {
+            return huffman.symbols[index + code - first];
+        }
+
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+
+    throw new Error('invalid code');
+}
+
+/**
+ * Encodes one symbol of a canonical code.
+ *
+ * @param {BitWriter} writer
+ * @param {Object} huffman
+ * @param {number} symbol
+ */
+function encodeSymbol(writer, huffman, symbol) {
+    let code = huffman.codes[symbol],
+        length = huffman.lengths[symbol];
+
+    // Most significant code bit first, inverted.
+    for (let i = length - 1; i >= 0; i--) {
+        writer.write(((code >> i) & 1) ^ 1, 1);
+    }
+}
+
+/**
+ * Decompresses PKWARE DCL imploded data.
+ * Throws if the data is corrupted.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} decompressedSize
+ * @returns {Uint8Array}
+ */
+export function explode(typedArray, decompressedSize) {
+    let reader = new BitReader(typedArray),
+        output = new Uint8Array(decompressedSize),
+        offset = 0,
+        mode = reader.read(8),
+        dictionaryBits = reader.read(8);
+
+    if (mode !== BINARY && mode !== ASCII) {
+        throw new Error(`invalid literal mode ${mode}`);
+    }
+
+    if (dictionaryBits < 4 || dictionaryBits > 6) {
+        throw new Error(`invalid dictionary size ${dictionaryBits}`);
+    }
+
+    while (offset < decompressedSize) {
+        if (reader.read(1)) {
+            let symbol = decodeSymbol(reader, lengthCode),
+                length = LENGTH_BASE[symbol] + reader.read(LENGTH_EXTRA[symbol]);
+
+            if (length === END_OF_STREAM) {
+                break;
+            }
+
+            let bits = length === 2 ? 2 : dictionaryBits,
+                distance = (decodeSymbol(reader, distanceCode) << bits) + reader.read(bits) + 1;
+
+            if (distance > offset) {
+                throw new Error('distance too far back');
+            }
+
+            // Copy byte by byte, since the source and destination can overlap.
+            for (let i = 0; i < length && offset < decompressedSize; i++, offset++) {
+                output[offset] = output[offset - distance];
+            }
+        } else if (mode === ASCII) {
+            output[offset++] = decodeSymbol(reader, literalCode);
+        } else {
+            output[offset++] = reader.read(8);
+        }
+    }
+
+    return output.subarray(0, offset);
+};
+
+/**
+ * Compresses data with PKWARE DCL implode, in binary mode with a 4096 bytes dictionary.
+ *
+ * @param {Uint8Array} typedArray
+ * @returns {Uint8Array}
+ */
+export function implode(typedArray) {
+    let dictionaryBits = 6,
+        dictionarySize = 64 << dictionaryBits,
+        length = typedArray.byteLength,
+        writer = new BitWriter(Math.max(16, length)),
+        heads = new Int32Array(0x10000).fill(-1),
+        previous = new Int32Array(length),
+        hash = (i) => ((typedArray[i] << 8) ^ (typedArray[i + 1] << 4) ^ typedArray[i + 2]) & 0xFFFF,
+        insert = (i) => {
+            if (i + 2 < length) {
+                let h = hash(i);
+
+                previous[i] = heads[h];
+                heads[h] = i;
+            }
+        },
+        offset = 0;
+
+    writer.write(BINARY, 8);
+    writer.write(dictionaryBits, 8);
+
+    while (offset < length) {
+        let bestLength = 0,
+            bestDistance = 0;
+
+        // Search the hash chain for the longest match.
+        if (offset + 2 < length) {
+            let candidate = heads[hash(offset)],
+                maxLength = Math.min(MAX_MATCH, length - offset),
+                chain = 64;
+
+            while (candidate !== -1 && offset - candidate <= dictionarySize && chain--) {
+                let matchLength = 0;
+
+                while (matchLength < maxLength && typedArray[candidate + matchLength] === typedArray[offset + matchLength]) {
+                    matchLength += 1;
+                }
+
+                if (matchLength > bestLength) {
+                    bestLength = matchLength;
+                    bestDistance = offset - candidate;
+
+                    if (matchLength === maxLength) {
+                        break;
+                    }
+                }
+
+                candidate = previous[candidate];
+            }
+        }
+
+        if (bestLength >= 3) {
+            let symbol = 0;
+
+            while (bestLength >= LENGTH_BASE[symbol] + (1 << LENGTH_EXTRA[symbol]) || bestLength < LENGTH_BASE[symbol]) {
+                symbol += 1;
+            }
+
+            writer.write(1, 1);
+            encodeSymbol(writer, lengthCode, symbol);
+            writer.write(bestLength - LENGTH_BASE[symbol], LENGTH_EXTRA[symbol]);
+
+            let distance = bestDistance - 1;
+
+            encodeSymbol(writer, distanceCode, distance >> dictionaryBits);
+            writer.write(distance & ((1 << dictionaryBits) - 1), dictionaryBits);
+
+            for (let i = 0; i < bestLength; i++) {
+                insert(offset++);
+            }
+        } else {
+            writer.write(0, 1);
+            writer.write(typedArray[offset], 8);
+
+            insert(offset++);
+        }
+    }
+
+    // The end of stream marker, which is the longest length code.
+    writer.write(1, 1);
+    encodeSymbol(writer, lengthCode, 15);
+    writer.write(END_OF_STREAM - LENGTH_BASE[15], LENGTH_EXTRA[15]);
+
+    return writer.finish();
+};
@@ -1,17 +1,37 @@
 import Archive from './archive';
+import Attributes from './attributes';
+import BlobReader from './blobreader';
 import Block from './block';
 import BlockTable from './blocktable';
+import BetTable from './bettable';
+import BufferReader from './bufferreader';
 import Crypto from './crypto';
 import File from './file';
+import FileHandleReader from './filehandlereader';
+import FileSystem from './filesystem';
 import Hash from './hash';
 import HashTable from './hashtable';
+import HetTable from './hettable';
+import HttpReader from './httpreader';
+import NameRecovery from './namerecovery';
+import Signatures from './signature';
 
 export default {
     Archive,
+    Attributes,
+    BlobReader,
     Block,
     BlockTable,
+    BetTable,
+    BufferReader,
     Crypto,
     File,
+    FileHandleReader,
+    FileSystem,
     Hash,
-    HashTable
+    HashTable,
+    HetTable,
+    HttpReader,
+    NameRecovery,
+    Signatures
 };
@@ -0,0 +1,441 @@
+import { bufferToString } from '../../common/stringtobuffer';
+import MdlxModel from '../mdlx/model';
+import SlkFile from '../slk/file';
+import War3MapImp from '../w3x/war3map.imp/file';
+import { FILE_ENCRYPTED, FILE_COMPRESSED, FILE_IMPLODE, FILE_SINGLE_UNIT, FILE_PATCH_FILE, FILE_SECTOR_CRC, FILE_OFFSET_ADJUSTED_KEY } from './constants';
+
+/**
+ * Names of files that many archives have, mostly the internal files of Warcraft 3 maps and campaigns.
+ * They are tested first, since they are where most of the other names are harvested from.
+ */
+export let KNOWN_NAMES = [
+    '(listfile)',
+    '(attributes)',
+    '(signature)',
+    'war3map.j',
+    'scripts\\war3map.j',
+    'war3map.lua',
+    'war3map.w3e',
+    'war3map.w3i',
+    'war3map.wtg',
+    'war3map.wct',
+    'war3map.wts',
+    'war3map.w3r',
+    'war3map.w3c',
+    'war3map.w3s',
+    'war3map.w3u',
+    'war3map.w3t',
+    'war3map.w3a',
+    'war3map.w3b',
+    'war3map.w3d',
+    'war3map.w3q',
+    'war3map.w3h',
+    'war3map.w3o',
+    'war3map.mmp',
+    'war3map.shd',
+    'war3map.wpm',
+    'war3map.doo',
+    'war3mapunits.doo',
+    'war3map.imp',
+    'war3mapmap.blp',
+    'war3mapmap.b00',
+    'war3mapmap.tga',
+    'war3mappreview.tga',
+    'war3mappath.tga',
+    'war3mapmisc.txt',
+    'war3mapskin.txt',
+    'war3mapextra.txt',
+    'war3campaign.w3u',
+    'war3campaign.w3t',
+    'war3campaign.w3a',
+    'war3campaign.w3b',
+    'war3campaign.w3d',
+    'war3campaign.w3q',
+    'war3campaign.w3h',
+    'war3campaign.w3f',
+    'war3campaign.imp',
+    'war3campaignskin.txt',
+    'war3campaignmisc.txt'
+];
+
+// Paths with known extensions, in any text or binary data.
+let PATH_REGEX = /[\w\-. \\/()]+\.(?:mdx|mdl|blp|tga|dds|jpg|png|wav|mp3|flac|ogg|slk|txt|fdf|toc|ai|j|lua)\b/gi;
+
+// JASS string literals.
+let STRING_REGEX = /"((?:[^"\\\r\n]|\\.)*)"/g;
+
+/**
+ * Recovers the names of files in archives that have no (listfile), or an incomplete one.
+ *
+ * Candidate names are tested against the hash table, and every name that exists is given to its files.
+ * The candidates come from external listfiles, and from the contents of the archive itself:
+ *     1) Texture and particle paths in MDX models.
+ *     2) The file columns of SLK tables.
+ *     3) String literals in JASS scripts (war3map.j).
+ *     4) The entries of import lists (war3map.imp).
+ *     5) Anything that looks like a path, in any file.
+ *
+ * Encrypted files can't be decoded without their names, so recoverKeys() can find their keys instead.
+ */
+export default class MpqNameRecovery {
+    /**
+     * @param {MpqArchive} archive
+     */
+    constructor(archive) {
+        /** @member {MpqArchive} */
+        this.archive = archive;
+        /**
+         * Every name that was tested, so no name is tested twice.
+         *
+         * @member {Set<string>}
+         */
+        this.tested = new Set();
+        /**
+         * The files that were scanned for names, and whether their names were known at the time.
+         *
+         * @member {Map<MpqFile, boolean>}
+         */
+        this.scanned = new Map();
+    }
+
+    /**
+     * Tests names against the archive.
+     *
+     * @param {Iterable<string>} names
+     * @returns {number} The number of files that got their names.
+     */
+    addNames(names) {
+        let archive = this.archive,
+            files = archive.files,
+            tested = this.tested,
+            derived = [],
+            count = 0;
+
+        for (let name of names) {
+            name = name.trim().replace(/[\\/]+/g, '\\').replace(/^\\/, '').toLowerCase();
+
+            if (name === '' || tested.has(name)) {
+                continue;
+            }
+
+            tested.add(name);
+
+            // In v3 archives, the hash table and the HET table point to the same blocks.
+            let blockIndices = new Set(archive.hashTable.getAll(name).map((hash) => hash.blockIndex));
+
+            blockIndices.add(archive.hetTable.get(name));
+
+            for (let blockIndex of blockIndices) {
+                let file = files[blockIndex];
+
+                if (file && !file.nameResolved) {
+                    count += 1;
+                }
+            }
+
+            // getVariants() sets the names of the files.
+            if (archive.getVariants(name).length) {
+                derived.push(...this.getDerivedNames(name));
+            }
+        }
+
+        if (derived.length) {
+            count += this.addNames(derived);
+        }
+
+        return count;
+    }
+
+    /**
+     * Tests the names in a listfile against the archive.
+     *
+     * @param {string} text
+     * @returns {number} The number of files that got their names.
+     */
+    addListFile(text) {
+        return this.addNames(text.split(/[\r\n;]+/));
+    }
+
+    /**
+     * Harvests names from the contents of the archive.
+     * The known names are tested first, and every file that can be decoded is scanned for more names.
+     * This repeats as long as new names are found, since files that got their names can have names in them.
+     *
+     * @returns {number} The number of files that got their names.
+     */
+    harvest() {
+        let archive = this.archive,
+            scanned = this.scanned,
+            total = this.addNames(KNOWN_NAMES);
+
+        while (true) {
+            let found = 0;
+
+            for (let file of archive.files) {
+                // Encrypted files can only be decoded with their names or keys.
+                // Files are scanned again once they get their names, since some names are only harvested from files with known names.
+                if (file && scanned.get(file) !== file.nameResolved && (file.nameResolved || file.nameKey !== null || !(file.block.flags & FILE_ENCRYPTED))) {
+                    scanned.set(file, file.nameResolved);
+
+                    found += this.addNames(this.getCandidates(file));
+                }
+            }
+
+            if (!found) {
+                return total;
+            }
+
+            total += found;
+        }
+    }
+
+    /**
+     * Gets candidate names from the contents of a file.
+     *
+     * @param {MpqFile} file
+     * @returns {Array<string>}
+     */
+    getCandidates(file) {
+        let hadBuffer = file.buffer !== null,
+            buffer = file.arrayBuffer(),
+            candidates = [];
+
+        if (!buffer) {
+            return candidates;
+        }
+
+        let name = file.nameResolved ? file.name : '',
+            text = bufferToString(buffer);
+
+        if (text.startsWith('MDLX')) {
+            candidates.push(...this.getModelCandidates(buffer));
+        } else {
+            if (text.startsWith('ID;')) {
+                candidates.push(...this.getSlkCandidates(text));
+            }
+
+            if (name.endsWith('.j') || name.endsWith('.ai') || /\bendfunction\b/.test(text)) {
+                candidates.push(...this.getJassCandidates(text));
+            }
+
+            if (name.endsWith('.imp')) {
+                candidates.push(...this.getImportCandidates(buffer));
+            }
+
+            let match;
+
+            PATH_REGEX.lastIndex = 0;
+
+            while ((match = PATH_REGEX.exec(text))) {
+                candidates.push(match[0]);
+            }
+        }
+
+        // Don't keep the decoded data of files that were only decoded to be scanned.
+        if (!hadBuffer && file.rawBuffer !== null) {
+            file.buffer = null;
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     * @returns {Array<string>}
+     */
+    getModelCandidates(buffer) {
+        let model = new MdlxModel(),
+            candidates = [];
+
+        try {
+            model.loadMdx(buffer);
+        } catch (e) {
+            return candidates;
+        }
+
+        for (let texture of model.textures) {
+            candidates.push(texture.path);
+        }
+
+        for (let emitter of model.particleEmitters) {
+            candidates.push(emitter.path);
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    getSlkCandidates(text) {
+        let slk = new SlkFile(),
+            candidates = [];
+
+        try {
+            slk.load(text);
+        } catch (e) {
+            return candidates;
+        }
+
+        let rows = slk.rows,
+            header = rows[0] || [];
+
+        for (let column = 0, l = header.length; column < l; column++) {
+            if (typeof header[column] === 'string' && header[column].toLowerCase() === 'file') {
+                for (let i = 1, k = rows.length; i < k; i++) {
+                    let value = rows[i] && rows[i][column];
+
+                    if (typeof value === 'string' && value !== '') {
+                        // The paths have no extensions, and doodads with variations also append the variation number.
+                        candidates.push(value, `${value}.mdx`, `${value}.mdl`, `${value}_portrait.mdx`);
+
+                        for (let variation = 0; variation < 10; variation++) {
+                            candidates.push(`${value}${variation}.mdx`);
+                        }
+                    }
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    getJassCandidates(text) {
+        let candidates = [],
+            match;
+
+        STRING_REGEX.lastIndex = 0;
+
+        while ((match = STRING_REGEX.exec(text))) {
+            let value = match[1].replace(/\\(.)/g, '$1');
+
+            candidates.push(value);
+
+            // The game loads MDX models even when the script uses their MDL paths.
+            if (value.toLowerCase().endsWith('.mdl')) {
+                candidates.push(`${value.slice(0, -4)}.mdx`);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     * @returns {Array<string>}
+     */
+    getImportCandidates(buffer) {
+        try {
+            let imp = new War3MapImp(buffer),
+                candidates = [];
+
+            for (let [path, entry] of imp.entries) {
+                candidates.push(path, entry.name);
+            }
+
+            return candidates;
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Gets names of files that tend to exist alongside a file.
+     *
+     * @param {string} name
+     * @returns {Array<string>}
+     */
+    getDerivedNames(name) {
+        if (name.endsWith('.mdx') || name.endsWith('.mdl')) {
+            let base = name.slice(0, -4);
+
+            return [`${base}.mdx`, `${base}_portrait.mdx`];
+        }
+
+        return [];
+    }
+
+    /**
+     * Recovers the encryption keys of encrypted files whose names are unknown.
+     * With their keys, these files can be decoded, and then scanned for more names by harvest().
+     *
+     * @returns {number} The number of files that got their keys.
+     */
+    recoverKeys() {
+        let count = 0;
+
+        for (let file of this.archive.files) {
+            if (file && !file.nameResolved && file.nameKey === null && (file.block.flags & FILE_ENCRYPTED) && this.recoverKey(file)) {
+                count += 1;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Recovers the encryption key of a file with a known-plaintext attack on its sector offsets.
+     * The first sector offset is the size of the offsets table, so it's known from the size of the file.
+     * Every key that encrypts it to the stored value is checked by decrypting all of the offsets, and checking that they make sense.
+     * Files stored as a single unit have no sector offsets, so their keys can't be recovered.
+     *
+     * @param {MpqFile} file
+     * @returns {boolean}
+     */
+    recoverKey(file) {
+        let archive = this.archive,
+            c = archive.c,
+            block = file.block,
+            flags = block.flags,
+            sectorSize = archive.sectorSize;
+
+        if ((flags & (FILE_SINGLE_UNIT | FILE_PATCH_FILE)) || !(flags & (FILE_COMPRESSED | FILE_IMPLODE)) || !file.fetchSync()) {
+            return false;
+        }
+
+        let sectorCount = Math.ceil(block.normalSize / sectorSize),
+            offsetCount = sectorCount + ((flags & FILE_SECTOR_CRC) ? 2 : 1),
+            size = offsetCount * 4;
+
+        if (file.rawBuffer.byteLength < size) {
+            return false;
+        }
+
+        let encrypted = new Uint32Array(file.rawBuffer.slice(0, size));
+
+        for (let key of c.getKeysByValue(encrypted[0], size)) {
+            let offsets = c.decryptBlock(encrypted.slice(), key),
+                valid = true;
+
+            for (let i = 1; i < offsetCount && valid; i++) {
+                let sectorEnd = offsets[i],
+                    sectorStart = offsets[i - 1];
+
+                // The checksum table can be bigger than a sector.
+                if (sectorEnd < sectorStart || sectorEnd > block.compressedSize || (i <= sectorCount && sectorEnd - sectorStart > sectorSize)) {
+                    valid = false;
+                }
+            }
+
+            if (valid) {
+                // The sector offsets are encrypted with the file key minus one.
+                let fileKey = (key + 1) >>> 0;
+
+                if (flags & FILE_OFFSET_ADJUSTED_KEY) {
+                    fileKey = (((fileKey ^ block.normalSize) >>> 0) - block.offset) >>> 0;
+                }
+
+                file.nameKey = fileKey;
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+};
@@ -0,0 +1,192 @@
+import md5 from '../../common/md5';
+
+// The patch files of incremental patch archives hold a PTCH header, followed by the patch data.
+let PTCH_MAGIC = 0x48435450; // PTCH reversed
+let MD5_MAGIC = 0x5F35444D; // MD5_ reversed
+let XFRM_MAGIC = 0x4D524658; // XFRM reversed
+let BSD0_MAGIC = 0x30445342; // BSD0 reversed
+let COPY_MAGIC = 0x59504F43; // COPY reversed
+let PTCH_HEADER_SIZE = 68;
+let XFRM_HEADER_SIZE = 12;
+let BSDIFF_MAGIC = 'BSDIFF40';
+let BSDIFF_HEADER_SIZE = 32;
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Blizzard's RLE, which compresses BSD0 patch data.
+ * The data starts with a 32 bit size which is not needed.
+ * A byte with its high bit set is followed by its low 7 bits + 1 literal bytes, otherwise it's the number of zero bytes - 1.
+ *
+ * @param {Uint8Array} typedArray
+ * @param {number} decompressedSize
+ * @returns {Uint8Array}
+ */
+function decompressRle(typedArray, decompressedSize) {
+    let output = new Uint8Array(decompressedSize),
+        offset = 0,
+        inputOffset = 4,
+        inputSize = typedArray.byteLength;
+
+    while (inputOffset < inputSize && offset < decompressedSize) {
+        let byte = typedArray[inputOffset++];
+
+        if (byte & 0x80) {
+            for (let i = 0, l = (byte & 0x7F) + 1; i < l && offset < decompressedSize && inputOffset < inputSize; i++) {
+                output[offset++] = typedArray[inputOffset++];
+            }
+        } else {
+            offset += byte + 1;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Blizzard's BSDIFF40, which unlike the original isn't compressed, and uses 32 bit sign-magnitude control values.
+ *
+ * @param {Uint8Array} base
+ * @param {Uint8Array} patch
+ * @returns {Uint8Array}
+ */
+function applyBsdiff(base, patch) {
+    if (patch.byteLength < BSDIFF_HEADER_SIZE || String.fromCharCode(...patch.subarray(0, 8)) !== BSDIFF_MAGIC) {
+        throw new Error('invalid BSDIFF40 header');
+    }
+
+    let view = new DataView(patch.buffer, patch.byteOffset, patch.byteLength),
+        ctrlSize = view.getUint32(8, true),
+        dataSize = view.getUint32(16, true),
+        newSize = view.getUint32(24, true),
+        ctrlOffset = BSDIFF_HEADER_SIZE,
+        dataOffset = ctrlOffset + ctrlSize,
+        extraOffset = dataOffset + dataSize,
+        ctrlEnd = dataOffset,
+        output = new Uint8Array(newSize),
+        offset = 0,
+        baseOffset = 0;
+
+    if (extraOffset > patch.byteLength) {
+        throw new Error('truncated BSDIFF40 data');
+    }
+
+    while (offset < newSize) {
+        if (ctrlOffset + 12 > ctrlEnd) {
+            throw new Error('truncated BSDIFF40 control block');
+        }
+
+        let addSize = view.getUint32(ctrlOffset, true),
+            extraSize = view.getUint32(ctrlOffset + 4, true),
+            seek = view.getUint32(ctrlOffset + 8, true);
+
+        ctrlOffset += 12;
+
+        if (offset + addSize + extraSize > newSize || dataOffset + addSize > extraOffset || extraOffset + extraSize > patch.byteLength) {
+            throw new Error('BSDIFF40 control data out of bounds');
+        }
+
+        // Add the difference bytes to the base.
+        for (let i = 0; i < addSize; i++) {
+            let baseIndex = baseOffset + i,
+                value = patch[dataOffset + i];
+
+            if (baseIndex >= 0 && baseIndex < base.byteLength) {
+                value += base[baseIndex];
+            }
+
+            output[offset + i] = value;
+        }
+
+        dataOffset += addSize;
+        offset += addSize;
+        baseOffset += addSize;
+
+        // Copy the new bytes.
+        output.set(patch.subarray(extraOffset, extraOffset + extraSize), offset);
+
+        extraOffset += extraSize;
+        offset += extraSize;
+
+        // Sign-magnitude.
+        if (seek & 0x80000000) {
+            baseOffset -= seek & 0x7FFFFFFF;
+        } else {
+            baseOffset += seek;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Applies the data of a patch file to the data of the file it patches.
+ * Both the base data and the result are checked against the MD5 digests in the patch.
+ * Throws if the patch is invalid or doesn't fit the base.
+ *
+ * @param {Uint8Array} base
+ * @param {Uint8Array} patch
+ * @returns {Uint8Array}
+ */
+export default function applyPatch(base, patch) {
+    if (patch.byteLength < PTCH_HEADER_SIZE) {
+        throw new Error('patch too small');
+    }
+
+    let view = new DataView(patch.buffer, patch.byteOffset, patch.byteLength);
+
+    if (view.getUint32(0, true) !== PTCH_MAGIC || view.getUint32(16, true) !== MD5_MAGIC || view.getUint32(56, true) !== XFRM_MAGIC) {
+        throw new Error('invalid patch header');
+    }
+
+    let patchSize = view.getUint32(4, true),
+        sizeAfter = view.getUint32(12, true),
+        md5Before = patch.subarray(24, 40),
+        md5After = patch.subarray(40, 56),
+        xfrmSize = view.getUint32(60, true),
+        type = view.getUint32(64, true),
+        data = patch.subarray(PTCH_HEADER_SIZE, PTCH_HEADER_SIZE - XFRM_HEADER_SIZE + xfrmSize),
+        output;
+
+    if (!equals(md5(base), md5Before)) {
+        throw new Error('the patch does not match the file it patches');
+    }
+
+    if (type === COPY_MAGIC) {
+        output = data.slice(0, sizeAfter);
+    } else if (type === BSD0_MAGIC) {
+        let decompressedSize = patchSize - PTCH_HEADER_SIZE;
+
+        // The data is compressed if it's smaller than its decompressed size.
+        if (data.byteLength < decompressedSize) {
+            data = decompressRle(data, decompressedSize);
+        }
+
+        output = applyBsdiff(base, data);
+    } else {
+        throw new Error(`patch type ${type.toString(16)} not supported`);
+    }
+
+    if (!equals(md5(output), md5After)) {
+        throw new Error('the patched file does not match its expected checksum');
+    }
+
+    return output;
+};
@@ -0,0 +1,432 @@
+import md5 from '../../common/md5';
+import { Sha1 } from '../../common/sha1';
+
+// The public key Blizzard uses for weak signatures.
+export let WEAK_SIGNATURE_KEY = `-----BEGIN PUBLIC KEY-----
+MFwwDQYJKoZIhvcNAQEBBQADSwAwSAJBAJJidwS/uILMBSO5DLGsBFknIXWWjQJe
+2kfdfEk3G/j66w4KkhZ1V61Rt4zLaMVCYpDun7FLwRjkMDSepO1q2DcCAwEAAQ==
+-----END PUBLIC KEY-----`;
+
+// The public key Blizzard uses for strong signatures.
+export let STRONG_SIGNATURE_KEY = `-----BEGIN PUBLIC KEY-----
+MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAsQZ+ziT2h8h+J/iMQpgd
+tH1HaJzOBE3agjU4yMPcrixaPOZoA4t8bwfey7qczfWywocYo3pleytFF+IuD4HD
+Fl9OXN1SFyupSgMx1EGZlgbFAomnbq9MQJyMqQtMhRAjFgg4TndS7YNb+JMSAEKp
+kXNqY28n/EVBHD5TsMuVCL579gIenbr61dI92DDEdy790IzIG0VKWLh/KOTcTJfm
+Ds/7HQTkGouVW+WUsfekuqNQo7ND9DBnhLjLjptxeFE2AZqYcA1ao3S9LN3GL1tW
+lVXFIX9c7fWqaVTQlZ2oNsI/ARVApOK3grNgqvwH6YoVYVXjNJEo5sQJsPsdV/hk
+dwIDAQAB
+-----END PUBLIC KEY-----`;
+
+// The public key Blizzard uses for strong signatures of Warcraft 3 maps.
+export let WARCRAFT3_MAP_SIGNATURE_KEY = `-----BEGIN PUBLIC KEY-----
+MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA1BwklUUQ3UvjizOBRoF5
+yyOVc7KD+oGOQH5i6eUk1yfs0luCC70kNucNrfqhmviywVtahRse1JtXCPrx2bd3
+iN8Dx91fbkxjYIOGTsjYoHKTp0BbaFkJih776fcHgnFSb+7mJcDuJVvJOXxEH6w0
+1vo6VtujCqj1arqbyoal+xtAaczF3us5cOEp45sR1zAWTn1+7omN7VWV4QqJPaDS
+gBSESc0l1grO0i1VUSumayk7yBKIkb+LBvcG6WnYZHCi7VdLmaxER5m8oZfER66b
+heHoiSQIZf9PAY6Guw2DT5BTc54j/AaLQAKf2qcRSgQLVo5kQaddF3rCpsXoB/74
+6QIDAQAB
+-----END PUBLIC KEY-----`;
+
+// The (signature) file is 8 zero bytes followed by the weak signature.
+let WEAK_SIGNATURE_FILE_SIZE = 72;
+let WEAK_SIGNATURE_SIZE = 64;
+
+// The strong signature follows the archive, after the 'NGIS' magic.
+let STRONG_SIGNATURE_MAGIC = 0x5349474E; // NGIS reversed
+let STRONG_SIGNATURE_SIZE = 256;
+
+// The DER encoded DigestInfo prefix of MD5 digests, used by PKCS #1 v1.5 signatures.
+let MD5_DIGEST_INFO = [0x30, 0x20, 0x30, 0x0C, 0x06, 0x08, 0x2A, 0x86, 0x48, 0x86, 0xF7, 0x0D, 0x02, 0x05, 0x05, 0x00, 0x04, 0x10];
+
+/**
+ * Reads one DER element.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {Object} The tag, and the start and end offsets of the contents.
+ */
+function readDerElement(bytes, offset) {
+    let tag = bytes[offset],
+        length = bytes[offset + 1],
+        start = offset + 2;
+
+    // Long form, the low bits give the number of length bytes.
+    if (length & 0x80) {
+        let lengthBytes = length & 0x7F;
+
+        length = 0;
+
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + bytes[start + i];
+        }
+
+        start += lengthBytes;
+    }
+
+    if (start + length > bytes.length) {
+        throw new Error('Invalid public key: truncated DER data');
+    }
+
+    return { tag, start, end: start + length };
+}
+
+/**
+ * @param {Uint8Array} bytes Big endian.
+ * @returns {BigInt}
+ */
+function bytesToBigInt(bytes) {
+    let value = BigInt(0),
+        eight = BigInt(8);
+
+    for (let byte of bytes) {
+        value = (value << eight) | BigInt(byte);
+    }
+
+    return value;
+}
+
+/**
+ * @param {BigInt} value
+ * @param {number} size
+ * @returns {Uint8Array} Big endian.
+ */
+function bigIntToBytes(value, size) {
+    let bytes = new Uint8Array(size),
+        mask = BigInt(0xFF),
+        eight = BigInt(8);
+
+    for (let i = size - 1; i >= 0; i--) {
+        bytes[i] = Number(value & mask);
+        value >>= eight;
+    }
+
+    return bytes;
+}
+
+/**
+ * @param {BigInt} base
+ * @param {BigInt} exponent
+ * @param {BigInt} modulus
+ * @returns {BigInt}
+ */
+function modPow(base, exponent, modulus) {
+    let zero = BigInt(0),
+        one = BigInt(1),
+        result = one;
+
+    base %= modulus;
+
+    while (exponent > zero) {
+        if (exponent & one) {
+            result = (result * base) % modulus;
+        }
+
+        base = (base * base) % modulus;
+        exponent >>= one;
+    }
+
+    return result;
+}
+
+/**
+ * Parses an RSA public key.
+ * Accepts PEM strings holding either a SubjectPublicKeyInfo ("BEGIN PUBLIC KEY") or a PKCS #1 RSAPublicKey ("BEGIN RSA PUBLIC KEY").
+ *
+ * @param {string} pem
+ * @returns {Object} The modulus and exponent as BigInts, and the size of the modulus in bytes.
+ */
+export function parsePublicKey(pem) {
+    let base64 = pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''),
+        binary = atob(base64),
+        bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    let sequence = readDerElement(bytes, 0),
+        element = readDerElement(bytes, sequence.start);
+
+    // SubjectPublicKeyInfo wraps the RSAPublicKey in a bit string, after the algorithm identifier.
+    if (element.tag === 0x30) {
+        let bitString = readDerElement(bytes, element.end);
+
+        // Skip the unused bits byte.
+        sequence = readDerElement(bytes, bitString.start + 1);
+        element = readDerElement(bytes, sequence.start);
+    }
+
+    let exponent = readDerElement(bytes, element.end),
+        modulusBytes = bytes.subarray(element.start, element.end);
+
+    // Skip the sign byte.
+    while (modulusBytes.length && modulusBytes[0] === 0) {
+        modulusBytes = modulusBytes.subarray(1);
+    }
+
+    return {
+        modulus: bytesToBigInt(modulusBytes),
+        exponent: bytesToBigInt(bytes.subarray(exponent.start, exponent.end)),
+        size: modulusBytes.length
+    };
+}
+
+/**
+ * Applies the public key operation to a signature, which is stored in little endian order.
+ * Returns null if the signature isn't the size of the key.
+ *
+ * @param {Uint8Array} signature
+ * @param {string} key
+ * @returns {?Uint8Array} Big endian.
+ */
+function decryptSignature(signature, key) {
+    let publicKey = parsePublicKey(key);
+
+    if (signature.length !== publicKey.size) {
+        return null;
+    }
+
+    let value = bytesToBigInt(signature.slice().reverse());
+
+    if (value >= publicKey.modulus) {
+        return null;
+    }
+
+    return bigIntToBytes(modPow(value, publicKey.exponent, publicKey.modulus), publicKey.size);
+}
+
+/**
+ * Checks a weak signature, which is a PKCS #1 v1.5 RSA signature of an MD5 digest.
+ *
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} digest
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function verifyWeakSignature(signature, digest, key) {
+    let decrypted = decryptSignature(signature, key);
+
+    if (!decrypted) {
+        return false;
+    }
+
+    // 00 01 FF...FF 00 DigestInfo digest
+    let size = decrypted.length,
+        digestInfoStart = size - digest.length - MD5_DIGEST_INFO.length;
+
+    if (decrypted[0] !== 0 || decrypted[1] !== 1 || decrypted[digestInfoStart - 1] !== 0) {
+        return false;
+    }
+
+    for (let i = 2; i < digestInfoStart - 1; i++) {
+        if (decrypted[i] !== 0xFF) {
+            return false;
+        }
+    }
+
+    for (let i = 0; i < MD5_DIGEST_INFO.length; i++) {
+        if (decrypted[digestInfoStart + i] !== MD5_DIGEST_INFO[i]) {
+            return false;
+        }
+    }
+
+    for (let i = 0; i < digest.length; i++) {
+        if (decrypted[size - digest.length + i] !== digest[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Checks a strong signature, which is a raw RSA signature of a SHA-1 digest padded with 0xBB bytes.
+ *
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} digest
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function verifyStrongSignature(signature, digest, key) {
+    let decrypted = decryptSignature(signature, key);
+
+    if (!decrypted) {
+        return false;
+    }
+
+    // 0B BB...BB reversed-digest
+    let size = decrypted.length,
+        digestStart = size - digest.length;
+
+    if (decrypted[0] !== 0x0B) {
+        return false;
+    }
+
+    for (let i = 1; i < digestStart; i++) {
+        if (decrypted[i] !== 0xBB) {
+            return false;
+        }
+    }
+
+    for (let i = 0; i < digest.length; i++) {
+        if (decrypted[size - 1 - i] !== digest[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * The digital signatures of an archive.
+ *
+ * The weak signature is stored in the (signature) file.
+ * It signs the MD5 digest of the archive, from its header to its end, where the (signature) file's data is considered to be zeroes.
+ *
+ * The strong signature is stored right after the archive, following the 'NGIS' magic.
+ * It signs the SHA-1 digest of everything before it, from the start of the buffer, which includes Warcraft 3's map header.
+ * Warcraft 3 maps that are signed with the map key also sign their file names, which are not known when loading, so they need to be verified with verify().
+ *
+ * The digests are calculated when the archive is loaded, so the signatures can be checked against any key afterwards.
+ */
+export default class MpqSignatures {
+    constructor() {
+        /**
+         * 'none', 'valid', or 'invalid'.
+         *
+         * @member {string}
+         */
+        this.weak = 'none';
+        /**
+         * 'none', 'valid', or 'invalid'.
+         *
+         * @member {string}
+         */
+        this.strong = 'none';
+        /** @member {?Uint8Array} */
+        this.weakSignature = null;
+        /** @member {?Uint8Array} */
+        this.weakDigest = null;
+        /** @member {?Uint8Array} */
+        this.strongSignature = null;
+        /** @member {?Uint8Array} */
+        this.strongDigest = null;
+        /**
+         * The SHA-1 state after the signed data, which Warcraft 3 map signatures continue with the map's file name.
+         *
+         * @member {?Sha1}
+         */
+        this.strongHash = null;
+    }
+
+    clear() {
+        this.weak = 'none';
+        this.strong = 'none';
+        this.weakSignature = null;
+        this.weakDigest = null;
+        this.strongSignature = null;
+        this.strongDigest = null;
+        this.strongHash = null;
+    }
+
+    /**
+     * @param {Uint8Array} typedArray The buffer the archive was loaded from.
+     * @param {number} archiveStart The offset of the archive header.
+     * @param {number} archiveEnd
+     * @param {?MpqFile} signatureFile The (signature) file, if there is one.
+     */
+    load(typedArray, archiveStart, archiveEnd, signatureFile) {
+        this.clear();
+
+        archiveEnd = Math.min(archiveEnd, typedArray.byteLength);
+
+        if (signatureFile) {
+            let block = signatureFile.block,
+                buffer = signatureFile.arrayBuffer();
+
+            if (buffer && buffer.byteLength === WEAK_SIGNATURE_FILE_SIZE) {
+                let data = typedArray.slice(archiveStart, archiveEnd),
+                    excludeStart = block.offset,
+                    excludeEnd = Math.min(block.offset + block.compressedSize, data.byteLength);
+
+                data.fill(0, excludeStart, excludeEnd);
+
+                this.weakSignature = new Uint8Array(buffer, WEAK_SIGNATURE_FILE_SIZE - WEAK_SIGNATURE_SIZE);
+                this.weakDigest = md5(data);
+            }
+        }
+
+        if (archiveEnd + 4 + STRONG_SIGNATURE_SIZE <= typedArray.byteLength) {
+            let magic = new DataView(typedArray.buffer, typedArray.byteOffset + archiveEnd, 4).getUint32(0, true);
+
+            if (magic === STRONG_SIGNATURE_MAGIC) {
+                this.strongSignature = typedArray.slice(archiveEnd + 4, archiveEnd + 4 + STRONG_SIGNATURE_SIZE);
+                this.strongHash = new Sha1().update(typedArray.subarray(0, archiveEnd));
+                this.strongDigest = this.strongHash.digest();
+            }
+        }
+    }
+
+    /**
+     * Checks the signatures against the given public keys, and sets the weak and strong statuses.
+     * A strong signature is valid if it matches any of the strong keys.
+     * By default, Blizzard's keys are used.
+     *
+     * Warcraft 3 map signatures also sign the file name of the map, without its directories, in upper case.
+     * Therefore the Warcraft 3 map key can only match if the file name is given.
+     *
+     * @param {?string} weakKey A PEM public key.
+     * @param {?Array<string>} strongKeys PEM public keys.
+     * @param {?string} fileName The file name of the archive, e.g. "(4)Lost Temple.w3m".
+     * @returns {Object} The weak and strong statuses.
+     */
+    verify(weakKey, strongKeys, fileName) {
+        weakKey = weakKey || WEAK_SIGNATURE_KEY;
+        strongKeys = strongKeys || [STRONG_SIGNATURE_KEY, WARCRAFT3_MAP_SIGNATURE_KEY];
+
+        this.weak = 'none';
+        this.strong = 'none';
+
+        if (this.weakSignature) {
+            this.weak = verifyWeakSignature(this.weakSignature, this.weakDigest, weakKey) ? 'valid' : 'invalid';
+        }
+
+        if (this.strongSignature) {
+            this.strong = 'invalid';
+
+            for (let key of strongKeys) {
+                let digest = this.strongDigest;
+
+                if (key === WARCRAFT3_MAP_SIGNATURE_KEY) {
+                    if (!fileName) {
+                        continue;
+                    }
+
+                    digest = this.getMapDigest(fileName);
+                }
+
+                if (verifyStrongSignature(this.strongSignature, digest, key)) {
+                    this.strong = 'valid';
+                    break;
+                }
+            }
+        }
+
+        return { weak: this.weak, strong: this.strong };
+    }
+
+    /**
+     * Gets the strong digest of a Warcraft 3 map, which continues with the map's file name.
+     *
+     * @param {string} fileName
+     * @returns {Uint8Array}
+     */
+    getMapDigest(fileName) {
+        // Only ASCII letters are upper cased.
+        let name = fileName.split(/[\\/]/).pop().replace(/[a-z]/g, (c) => c.toUpperCase());
+
+        return this.strongHash.copy().update(new TextEncoder().encode(name)).digest();
+    }
+};
@@ -1,77 +1,19 @@
 import Texture from '../../texture';
-import BitStream from '../../../common/bitstream';
-import convertBitRange from '../../../common/convertbitrange';
-import { JpegImage } from './jpg';
+import BlpImage from '../../../parsers/blp/image';
 
 export default class BlpTexture extends Texture {
     initialize(src) {
         let gl = this.env.gl,
-            BLP1_MAGIC = 0x31504c42,
-            BLP_JPG = 0x0,
-            BLP_PALLETE = 0x1;
+            mipmap;
 
-        if (src.byteLength < 40) {
-            this.onerror('InvalidSource', 'FileTooSmall');
+        try {
+            mipmap = new BlpImage(src).getMipmap(0);
+        } catch (e) {
+            this.onerror('InvalidSource', e.message);
             return false;
         }
 
-        let header = new Int32Array(src, 0, 39);
-
-        if (header[0] !== BLP1_MAGIC) {
-            this.onerror('InvalidSource', 'WrongMagicNumber');
-            return false;
-        }
-
-        let arrayData = new Uint8Array(src),
-            content = header[1],
-            alphaBits = header[2],
-            width = header[3],
-            height = header[4],
-            mipmapOffset = header[7],
-            mipmapSize = header[23];
-
-        let imageData = new ImageData(width, height);
-
-        if (content === BLP_JPG) {
-            let jpegHeaderSize = new Uint32Array(src, 39 * 4, 1)[0],
-                jpegHeader = new Uint8Array(src, 160, jpegHeaderSize),
-                jpegData = new Uint8Array(jpegHeaderSize + mipmapSize);
-
-            jpegData.set(jpegHeader);
-            jpegData.set(arrayData.subarray(mipmapOffset, mipmapOffset + mipmapSize), jpegHeaderSize);
-
-            let jpegImage = new JpegImage();
-
-            jpegImage.parse(jpegData);
-
-            jpegImage.getData(imageData);
-        } else {
-            let pallete = new Uint8Array(src, 156, 1024),
-                size = width * height,
-                mipmapAlphaOffset = mipmapOffset + size,
-                bitBuffer,
-                bitsToByte;
-
-            if (alphaBits > 0) {
-                bitBuffer = new BitStream(arrayData.buffer, mipmapAlphaOffset, Math.ceil((size * alphaBits) / 8));
-                bitsToByte = convertBitRange(alphaBits, 8);
-            }
-
-            for (let index = 0; index < size; index++) {
-                let i = arrayData[mipmapOffset + index] * 4,
-                    dstI = index * 4;
-
-                imageData.data[dstI] = pallete[i];
-                imageData.data[dstI + 1] = pallete[i + 1];
-                imageData.data[dstI + 2] = pallete[i + 2];
-
-                if (alphaBits > 0) {
-                    imageData.data[dstI + 3] = bitBuffer.readBits(alphaBits) * bitsToByte;
-                } else {
-                    imageData.data[dstI + 3] = 255;
-                }
-            }
-        }
+        let imageData = new ImageData(mipmap.data, mipmap.width, mipmap.height);
 
         // Upscale to POT if the size is NPOT.
         imageData = this.upscaleNPOT(imageData);
@@ -48,6 +48,7 @@ export class MdxGeoset {
             vertexGroups = geoset.vertexGroups,
             matrixGroups = geoset.matrixGroups,
             matrixIndices = geoset.matrixIndices,
+            skin = geoset.skin,
             slices = [];
 
         // Make one typed array for the texture coordinates, in case there are multiple ones
@@ -67,23 +68,68 @@ export class MdxGeoset {
             k += matrixGroups[i];
         }
 
-        // Construct the final bone arrays
-        for (let i = 0; i < vertices; i++) {
-            let slice = slices[vertexGroups[i]];
+        if (skin.length) {
+            // Reforged skin weights can't be given to the shader as is, since it averages the bones of every vertex.
+            // Instead, each bone gets a number of the 4 bone slots that matches its weight, so the weights are approximated in quarters.
+            for (let i = 0; i < vertices; i++) {
+                let offset = i * 8,
+                    slots = [],
+                    boneCount = 0;
+
+                for (let j = 0; j < 4; j++) {
+                    let weight = skin[offset + 4 + j],
+                        bone = matrixIndices[skin[offset + j]];
+
+                    if (weight && bone !== undefined) {
+                        slots.push([bone, weight * 4 / 255]);
+                    }
+                }
+
+                // Give every bone the whole slots of its weight, and then the rest of the slots by the largest remainders.
+                for (let slot of slots) {
+                    slot[2] = Math.floor(slot[1]);
+                    slot[1] -= slot[2];
+                    boneCount += slot[2];
+                }
 
-            // Somehow in some bad models a vertex group index refers to an invalid matrix group.
-            // Such models are still loaded by the game.
-            if (slice) {
-                let bones = slices[vertexGroups[i]],
-                    boneCount = Math.min(bones.length, 4); // The viewer supports up to 4 bones per vertex, the game handles any(?) amount.
+                slots.sort((a, b) => b[1] - a[1]);
 
-                for (let j = 0; j < boneCount; j++) {
-                    // 1 is added to every index for shader optimization (index 0 is a zero matrix)
-                    boneIndices[i * 4 + j] = bones[j] + 1;
+                for (let j = 0; j < slots.length && boneCount < 4; j++) {
+                    slots[j][2] += 1;
+                    boneCount += 1;
+                }
+
+                boneCount = 0;
+
+                for (let [bone, remainder, count] of slots) {
+                    for (let j = 0; j < count && boneCount < 4; j++) {
+                        // 1 is added to every index for shader optimization (index 0 is a zero matrix)
+                        boneIndices[i * 4 + boneCount] = bone + 1;
+                        boneCount += 1;
+                    }
                 }
 
                 boneNumbers[i] = boneCount;
             }
+        } else {
+            // Construct the final bone arrays
+            for (let i = 0; i < vertices; i++) {
+                let slice = slices[vertexGroups[i]];
+
+                // Somehow in some bad models a vertex group index refers to an invalid matrix group.
+                // Such models are still loaded by the game.
+                if (slice) {
+                    let bones = slices[vertexGroups[i]],
+                        boneCount = Math.min(bones.length, 4); // The viewer supports up to 4 bones per vertex, the game handles any(?) amount.
+
+                    for (let j = 0; j < boneCount; j++) {
+                        // 1 is added to every index for shader optimization (index 0 is a zero matrix)
+                        boneIndices[i * 4 + j] = bones[j] + 1;
+                    }
+
+                    boneNumbers[i] = boneCount;
+                }
+            }
         }
 
         this.index = index;
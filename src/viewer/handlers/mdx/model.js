@@ -17,6 +17,7 @@ import Helper from './helper';
 import Attachment from './attachment';
 import ParticleEmitter from './modelparticleemitter';
 import ParticleEmitter2 from './modelparticleemitter2';
+import ParticleEmitterPopcorn from './modelparticleemitterpopcorn';
 import RibbonEmitter from './modelribbonemitter';
 import Camera from './camera';
 import EventObject from './modeleventobject';
@@ -50,6 +51,7 @@ export default class MdxModel extends TexturedModel {
         this.pivotPoints = [];
         this.particleEmitters = [];
         this.particleEmitters2 = [];
+        this.particleEmittersPopcorn = [];
         this.ribbonEmitters = [];
         this.cameras = [];
         this.eventObjects = [];
@@ -165,8 +167,22 @@ export default class MdxModel extends TexturedModel {
 
                 this.geosets.push(vGeoset);
 
+                // Reforged models have geosets for multiple levels of detail, only the most detailed ones are rendered.
+                if (geoset.lod !== 0) {
+                    continue;
+                }
+
+                let layers = this.materials[geoset.materialId],
+                    material = model.materials[geoset.materialId];
+
+                // The layers of Reforged HD materials are the texture slots of one shader, e.g. diffuse, normal, and emissive.
+                // Only the diffuse layer can be rendered by the standard shader.
+                if (material.shader === 'Shader_HD_DefaultUnit') {
+                    layers = layers.slice(0, 1);
+                }
+
                 // Batches
-                for (let vLayer of this.materials[geoset.materialId]) {
+                for (let vLayer of layers) {
                     let batch = new MdxBatch(batchId++, vLayer, vGeoset);
 
                     if (vLayer.filterMode < 1) {
@@ -221,6 +237,11 @@ export default class MdxModel extends TexturedModel {
             this.particleEmitters2.push(new ParticleEmitter2(this, particleEmitter2, pivotPoints, objectId++));
         }
 
+        // Popcorn particle emitters
+        for (let particleEmitterPopcorn of model.particleEmittersPopcorn) {
+            this.particleEmittersPopcorn.push(new ParticleEmitterPopcorn(this, particleEmitterPopcorn, pivotPoints, objectId++));
+        }
+
         // Ribbon emitters
         for (let ribbonEmitter of model.ribbonEmitters) {
             this.ribbonEmitters.push(new RibbonEmitter(this, ribbonEmitter, pivotPoints, objectId++));
@@ -242,7 +263,7 @@ export default class MdxModel extends TexturedModel {
         }
 
         // One array for all generic objects.
-        this.objects.push(...this.bones, ...this.lights, ...this.helpers, ...this.attachments, ...this.particleEmitters, ...this.particleEmitters2, ...this.ribbonEmitters, ...this.cameras, ...this.eventObjects, ...this.collisionShapes);
+        this.objects.push(...this.bones, ...this.lights, ...this.helpers, ...this.attachments, ...this.particleEmitters, ...this.particleEmitters2, ...this.particleEmittersPopcorn, ...this.ribbonEmitters, ...this.cameras, ...this.eventObjects, ...this.collisionShapes);
 
         // Creates the sorted indices array of the generic objects.
         this.setupHierarchy(-1);
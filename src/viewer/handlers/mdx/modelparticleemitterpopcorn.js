@@ -0,0 +1,7 @@
+import GenericObject from './genericobject';
+
+/**
+ * Popcorn FX particles are not rendered.
+ * These emitters still exist as nodes, so the object IDs of all of the objects after them stay correct.
+ */
+export default class ParticleEmitterPopcorn extends GenericObject { };
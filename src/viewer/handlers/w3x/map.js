@@ -1,6 +1,6 @@
 import unique from '../../../common/arrayunique';
 import * as geometry from '../../../common/geometry';
-import MpqArchive from '../../../parsers/mpq/archive';
+import MpqFileSystem from '../../../parsers/mpq/filesystem';
 import W3xParser from '../../../parsers/w3x/map';
 import ViewerFile from '../../file';
 import Scene from '../../scene';
@@ -42,38 +42,21 @@ export default class W3xMap extends ViewerFile {
         this.units = [];
 
         let env = this.env;
-        let internalPathSolver = this.internalPathSolver;
         let fileCache = new Map();
 
         this.fileCache = fileCache;
 
-        // Loads files either from the map archive, or the game archives.
-        // This is used for the tileset MPQ and all of the SLKs, since they can be overriden in the map.
-        let mpqPathSolver = (path) => {
-            // MPQ paths have backwards slashes...always? Don't know.
-            let mpqPath = path.replace(/\//g, '\\');
-
-            // If the file is in the map archive, return it.
-            let file = this.mpq.get(mpqPath);
-            if (file) {
-                let extension = path.substr(path.lastIndexOf('.')),
-                    data;
-
-                if (extension === '.slk') {
-                    data = file.text();
-                } else {
-                    data = file.arrayBuffer();
-                }
+        // Loads files either from the map archive, the tileset archive once it's loaded, or the game archives.
+        // The tileset archive itself and the SLKs are loaded before it is mounted, so only the map can override them.
+        let fileSystem = new MpqFileSystem();
 
-                return [data, extension, false];
-            }
+        fileSystem.mount(this.mpq, 1);
 
-            // Finally, try to get the file from the game archives.
-            return this.pathSolver(path);
-        };
+        this.fileSystem = fileSystem;
+        this.internalPathSolver = fileSystem.createPathSolver(env, this.pathSolver);
 
         this.tileset = environment.tileset;
-        this.tilesetMpq = env.load(environment.tileset + '.mpq', mpqPathSolver)
+        this.tilesetMpq = env.load(environment.tileset + '.mpq', this.internalPathSolver)
 
         fileCache.set('tileset', this.tilesetMpq);
 
@@ -94,36 +77,19 @@ export default class W3xMap extends ViewerFile {
                 index2 = path.indexOf('.', index1),
                 name = path.substring(index1, index2).toLowerCase();
 
-            fileCache.set(name, env.load(path, mpqPathSolver));
+            fileCache.set(name, env.load(path, this.internalPathSolver));
         }
 
-        // Loads files either from the map archive, the tilset archive, or the game archives.
-        // This is used for of the map interal resources, such as models and textures.
-        this.internalPathSolver = (path) => {
-            // MPQ paths have backwards slashes...always? Don't know.
-            let mpqPath = path.replace(/\//g, '\\');
-
-            // If the file is in the map archive, return it.
-            let file = this.mpq.get(mpqPath);
-            if (file) {
-                return [file.arrayBuffer(), path.substr(path.lastIndexOf('.')), false];
-            }
-
-            // If the file is in the tileset-specific archive, return it.
-            file = this.tilesetMpq.get(mpqPath);
-            if (file) {
-                return [file.arrayBuffer(), path.substr(path.lastIndexOf('.')), false];
-            }
-
-            // Finally, try to get the file from the game archives.
-            return this.pathSolver(path);
-        };
-
         // Promise that there is a future load that the code cannot know about yet, so Viewer.whenAllLoaded() isn't called prematurely.
         let promise = this.env.makePromise();
 
         this.env.whenLoaded(fileCache.values())
             .then(() => {
+                // The tileset archive is used for the map's internal resources, such as models and textures.
+                if (this.tilesetMpq.archive) {
+                    fileSystem.mount(this.tilesetMpq.archive, 0);
+                }
+
                 this.loadModifications(modifications);
                 this.loadTerrain(environment);
                 this.loadDoodads(doodads);